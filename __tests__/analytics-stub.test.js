@@ -0,0 +1,187 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the local analytics endpoint
+ * Tests all functions in scripts/analytics-stub.mjs
+ */
+
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  COLLECT_PATH,
+  ERRORS_PATH,
+  createStubServer,
+  parseBatch,
+  parseErrorReport,
+  resolveFile,
+  withStubEndpoints
+} from "../scripts/analytics-stub.mjs";
+
+describe("Analytics Stub (analytics-stub.mjs)", () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), "analytics-stub-"));
+    writeFileSync(join(root, "index.html"), "<h1>Home</h1>");
+    mkdirSync(join(root, "js"));
+    writeFileSync(join(root, "js", "app.js"), "export {};");
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  describe("parseBatch", () => {
+    it("should return the events of a batch", () => {
+      expect(parseBatch("{\"events\":[{\"type\":\"pageview\",\"path\":\"/\"}]}")).toEqual([
+        { type: "pageview", path: "/" }
+      ]);
+    });
+
+    it("should reject anything that isn't a batch of typed events", () => {
+      expect(parseBatch("not json")).toBeNull();
+      expect(parseBatch("{\"events\":{}}")).toBeNull();
+      expect(parseBatch("{\"events\":[{\"path\":\"/\"}]}")).toBeNull();
+      expect(parseBatch("{\"events\":[null]}")).toBeNull();
+    });
+  });
+
+  describe("parseErrorReport", () => {
+    it("should return the report as the only entry", () => {
+      expect(parseErrorReport("{\"message\":\"Boom\",\"source\":\"uncaught\"}")).toEqual([
+        { message: "Boom", source: "uncaught" }
+      ]);
+    });
+
+    it("should reject anything that isn't a report with a message", () => {
+      expect(parseErrorReport("not json")).toBeNull();
+      expect(parseErrorReport("null")).toBeNull();
+      expect(parseErrorReport("{\"message\":42}")).toBeNull();
+    });
+  });
+
+  describe("resolveFile", () => {
+    it("should find files and directory index pages", () => {
+      expect(resolveFile(root, "/js/app.js")).toBe(join(root, "js", "app.js"));
+      expect(resolveFile(root, "/")).toBe(join(root, "index.html"));
+    });
+
+    it("should refuse missing files and paths outside the root", () => {
+      expect(resolveFile(root, "/missing.html")).toBeNull();
+      expect(resolveFile(root, "/js")).toBeNull();
+      expect(resolveFile(root, "/../../etc/passwd")).toBeNull();
+      expect(resolveFile(root, "/%E0%A4%A")).toBeNull();
+    });
+  });
+
+  describe("withStubEndpoints", () => {
+    it("should fill in the empty analytics endpoint and error collector", () => {
+      expect(withStubEndpoints("<meta name=\"analytics-endpoint\" content=\"\" />")).toBe(
+        `<meta name="analytics-endpoint" content="${COLLECT_PATH}" />`
+      );
+      expect(withStubEndpoints("<meta\n  name=\"error-collector\" content=\"\">")).toBe(
+        `<meta name="error-collector" content="${ERRORS_PATH}" />`
+      );
+    });
+
+    it("should leave other and filled-in meta tags alone", () => {
+      const html =
+        "<meta name=\"analytics-endpoint\" content=\"/collect\" /><meta name=\"description\" content=\"\">";
+      expect(withStubEndpoints(html)).toBe(html);
+    });
+  });
+
+  describe("createStubServer", () => {
+    let server;
+    let baseUrl;
+    let logFile;
+    let errorLogFile;
+    let received;
+    let errors;
+
+    beforeEach(async () => {
+      logFile = join(root, "logs", "analytics.jsonl");
+      errorLogFile = join(root, "logs", "errors.jsonl");
+      received = [];
+      errors = [];
+      server = createStubServer({
+        root,
+        logFile,
+        errorLogFile,
+        onEvent: (event) => received.push(event),
+        onErrorReport: (report) => errors.push(report)
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const post = (body, path = COLLECT_PATH) =>
+      fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "text/plain;charset=UTF-8" },
+        body
+      });
+
+    it("should log each event of a beacon", async () => {
+      const events = [
+        { type: "pageview", path: "/" },
+        { type: "outbound", path: "/", url: "https://github.com/" }
+      ];
+
+      const response = await post(JSON.stringify({ events }));
+
+      expect(response.status).toBe(204);
+      expect(received).toEqual(events);
+      expect(readFileSync(logFile, "utf8").trim().split("\n").map(JSON.parse)).toEqual(events);
+    });
+
+    it("should reject malformed and oversized beacons", async () => {
+      expect((await post("nope")).status).toBe(400);
+      expect((await post("x".repeat(70 * 1024))).status).toBe(413);
+      expect(received).toEqual([]);
+    });
+
+    it("should log error reports separately", async () => {
+      const report = { message: "Boom", source: "partial", url: "/partials/header.html" };
+
+      const response = await post(JSON.stringify(report), ERRORS_PATH);
+
+      expect(response.status).toBe(204);
+      expect(errors).toEqual([report]);
+      expect(received).toEqual([]);
+      expect(JSON.parse(readFileSync(errorLogFile, "utf8"))).toEqual(report);
+      expect((await post("{\"events\":[]}", ERRORS_PATH)).status).toBe(400);
+    });
+
+    it("should only accept POST on the endpoints", async () => {
+      const response = await fetch(`${baseUrl}${COLLECT_PATH}`);
+
+      expect(response.status).toBe(405);
+      expect(response.headers.get("allow")).toBe("POST");
+      expect((await fetch(`${baseUrl}${ERRORS_PATH}`)).status).toBe(405);
+    });
+
+    it("should serve the site", async () => {
+      const page = await fetch(`${baseUrl}/`);
+      expect(page.status).toBe(200);
+      expect(page.headers.get("content-type")).toBe("text/html; charset=utf-8");
+      expect(await page.text()).toBe("<h1>Home</h1>");
+
+      writeFileSync(join(root, "about.html"), "<meta name=\"analytics-endpoint\" content=\"\" />");
+      expect(await (await fetch(`${baseUrl}/about.html`)).text()).toContain(`content="${COLLECT_PATH}"`);
+
+      const script = await fetch(`${baseUrl}/js/app.js`);
+      expect(script.headers.get("content-type")).toBe("text/javascript; charset=utf-8");
+
+      expect((await fetch(`${baseUrl}/missing.html`)).status).toBe(404);
+      expect((await fetch(`${baseUrl}/`, { method: "DELETE" })).status).toBe(405);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Test suite for first-party analytics
+ * Tests all functions in analytics.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  flush,
+  getEndpoint,
+  initAnalytics,
+  isTrackingAllowed,
+  track
+} from "../js/analytics.js";
+
+describe("Analytics (analytics.js)", () => {
+  let sendBeacon;
+
+  const setNavigator = (name, value) => {
+    Object.defineProperty(navigator, name, { configurable: true, value });
+  };
+
+  // Events in every beacon sent so far
+  const sent = () =>
+    sendBeacon.mock.calls.flatMap(([, body]) => JSON.parse(body).events);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.head.innerHTML =
+      "<meta name=\"analytics-endpoint\" content=\"/api/collect\" />";
+    document.body.innerHTML = "";
+    window.history.replaceState(null, "", "/resume.html");
+    sendBeacon = jest.fn(() => true);
+    setNavigator("sendBeacon", sendBeacon);
+    setNavigator("doNotTrack", null);
+    setNavigator("globalPrivacyControl", undefined);
+  });
+
+  afterEach(() => {
+    flush();
+    jest.useRealTimers();
+    delete navigator.sendBeacon;
+    delete navigator.doNotTrack;
+    delete navigator.globalPrivacyControl;
+    delete window.doNotTrack;
+  });
+
+  describe("isTrackingAllowed", () => {
+    it("should allow tracking by default", () => {
+      expect(isTrackingAllowed()).toBe(true);
+    });
+
+    it("should honor Global Privacy Control", () => {
+      expect(isTrackingAllowed({ globalPrivacyControl: true }, {})).toBe(false);
+    });
+
+    it("should honor Do Not Track in its different forms", () => {
+      expect(isTrackingAllowed({ doNotTrack: "1" }, {})).toBe(false);
+      expect(isTrackingAllowed({ doNotTrack: "yes" }, {})).toBe(false);
+      expect(isTrackingAllowed({}, { doNotTrack: "1" })).toBe(false);
+      expect(isTrackingAllowed({ doNotTrack: "0" }, {})).toBe(true);
+    });
+  });
+
+  describe("getEndpoint", () => {
+    it("should read the endpoint from the meta tag", () => {
+      expect(getEndpoint()).toBe("/api/collect");
+    });
+
+    it("should be empty without the meta tag or its content", () => {
+      document.head.innerHTML = "<meta name=\"analytics-endpoint\" content=\" \" />";
+      expect(getEndpoint()).toBe("");
+
+      document.head.innerHTML = "";
+      expect(getEndpoint()).toBe("");
+    });
+  });
+
+  describe("track and flush", () => {
+    it("should send queued events together after a delay", () => {
+      track("theme", { theme: "dark" });
+      track("contact", { step: "opened" });
+      expect(sendBeacon).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(5000);
+
+      expect(sendBeacon).toHaveBeenCalledTimes(1);
+      expect(sendBeacon.mock.calls[0][0]).toBe("/api/collect");
+      expect(sent()).toEqual([
+        { type: "theme", path: "/resume", time: expect.any(Number), theme: "dark" },
+        { type: "contact", path: "/resume", time: expect.any(Number), step: "opened" }
+      ]);
+    });
+
+    it("should send a full batch straight away", () => {
+      for (let i = 0; i < 10; i++) {
+        track("pageview");
+      }
+
+      expect(sendBeacon).toHaveBeenCalledTimes(1);
+      expect(sent()).toHaveLength(10);
+    });
+
+    it("should leave out the query string and hash", () => {
+      window.history.replaceState(null, "", "/projects/index.html?ref=mail#top");
+
+      track("pageview");
+      flush();
+
+      expect(sent()[0].path).toBe("/projects");
+    });
+
+    it("should drop events on pages without an endpoint", () => {
+      document.head.innerHTML = "";
+
+      track("pageview");
+
+      expect(flush()).toBe(false);
+      expect(sendBeacon).not.toHaveBeenCalled();
+      document.head.innerHTML =
+        "<meta name=\"analytics-endpoint\" content=\"/api/collect\" />";
+      expect(flush()).toBe(false);
+    });
+
+    it("should drop events without sendBeacon", () => {
+      delete navigator.sendBeacon;
+
+      track("pageview");
+
+      expect(flush()).toBe(false);
+    });
+
+    it("should record nothing for visitors who opted out", () => {
+      setNavigator("globalPrivacyControl", true);
+
+      track("pageview");
+
+      expect(flush()).toBe(false);
+      expect(sendBeacon).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing when there is nothing to send", () => {
+      expect(flush()).toBe(false);
+      expect(sendBeacon).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("initAnalytics", () => {
+    it("should not start for visitors who opted out", () => {
+      setNavigator("doNotTrack", "1");
+
+      initAnalytics();
+      flush();
+
+      expect(sendBeacon).not.toHaveBeenCalled();
+    });
+
+    describe("once started", () => {
+      let firstBeacon;
+
+      beforeAll(() => {
+        firstBeacon = jest.fn(() => true);
+        setNavigator("sendBeacon", firstBeacon);
+        Object.defineProperty(document, "referrer", {
+          configurable: true,
+          value: "https://www.linkedin.com/in/someone?trk=abc"
+        });
+        initAnalytics();
+        flush();
+        delete document.referrer;
+        delete navigator.sendBeacon;
+      });
+
+      it("should count the first page view with the referring site", () => {
+        expect(JSON.parse(firstBeacon.mock.calls[0][1]).events).toEqual([
+          {
+            type: "pageview",
+            path: "/resume",
+            time: expect.any(Number),
+            referrer: "www.linkedin.com"
+          }
+        ]);
+      });
+
+      it("should ignore being started again", () => {
+        initAnalytics();
+
+        expect(flush()).toBe(false);
+      });
+
+      it("should count client-side navigation as a page view", () => {
+        document.dispatchEvent(new CustomEvent("router:navigated"));
+        flush();
+
+        expect(sent()).toEqual([
+          { type: "pageview", path: "/resume", time: expect.any(Number) }
+        ]);
+      });
+
+      it("should count clicks on links to other sites", () => {
+        document.body.innerHTML = `
+          <a id="out" href="https://github.com/cpivonka/site?tab=readme"><span>GitHub</span></a>
+          <a id="in" href="/projects.html">Projects</a>
+          <a id="mail" href="mailto:someone@example.com">Email</a>
+        `;
+        const click = (id) =>
+          document.getElementById(id).dispatchEvent(new MouseEvent("click", { bubbles: true }));
+
+        document.querySelector("#out span").dispatchEvent(
+          new MouseEvent("click", { bubbles: true })
+        );
+        click("in");
+        click("mail");
+        flush();
+
+        expect(sent()).toEqual([
+          {
+            type: "outbound",
+            path: "/resume",
+            time: expect.any(Number),
+            url: "https://github.com/cpivonka/site"
+          }
+        ]);
+      });
+
+      it("should send queued events when the page is hidden", () => {
+        const visibility = jest.spyOn(document, "visibilityState", "get");
+
+        track("theme", { theme: "sepia" });
+        visibility.mockReturnValue("visible");
+        document.dispatchEvent(new Event("visibilitychange"));
+        expect(sendBeacon).not.toHaveBeenCalled();
+
+        visibility.mockReturnValue("hidden");
+        document.dispatchEvent(new Event("visibilitychange"));
+        expect(sendBeacon).toHaveBeenCalledTimes(1);
+
+        track("theme", { theme: "dark" });
+        window.dispatchEvent(new Event("pagehide"));
+        expect(sendBeacon).toHaveBeenCalledTimes(2);
+        visibility.mockRestore();
+      });
+    });
+  });
+});
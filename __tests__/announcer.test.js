@@ -0,0 +1,86 @@
+/**
+ * Test suite for screen reader announcements
+ * Tests all functions in announcer.js
+ */
+
+import { jest } from "@jest/globals";
+import { announce } from "../js/announcer.js";
+
+describe("Announcer (announcer.js)", () => {
+  const region = (politeness) =>
+    document.querySelector(`[data-announcer="${politeness}"]`);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = "<main></main>";
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should add a polite status region at the end of the body", () => {
+    announce("Hello");
+
+    const polite = region("polite");
+    expect(polite.getAttribute("role")).toBe("status");
+    expect(polite.getAttribute("aria-live")).toBe("polite");
+    expect(polite.getAttribute("aria-atomic")).toBe("true");
+    expect(polite.classList.contains("visually-hidden")).toBe(true);
+    expect(document.body.lastElementChild).toBe(polite);
+  });
+
+  it("should write the message after a short delay", () => {
+    announce("Hello");
+
+    expect(region("polite").textContent).toBe("");
+    jest.advanceTimersByTime(100);
+    expect(region("polite").textContent).toBe("Hello");
+  });
+
+  it("should use an alert region for assertive messages", () => {
+    announce("Something went wrong", { politeness: "assertive" });
+    jest.advanceTimersByTime(100);
+
+    const assertive = region("assertive");
+    expect(assertive.getAttribute("role")).toBe("alert");
+    expect(assertive.getAttribute("aria-live")).toBe("assertive");
+    expect(assertive.textContent).toBe("Something went wrong");
+    expect(region("polite")).toBeNull();
+  });
+
+  it("should reuse its regions", () => {
+    announce("One");
+    announce("Two");
+    jest.advanceTimersByTime(100);
+
+    expect(document.querySelectorAll("[data-announcer=\"polite\"]")).toHaveLength(1);
+    expect(region("polite").textContent).toBe("Two");
+  });
+
+  it("should clear the region so a repeated message is read again", () => {
+    announce("Saved");
+    jest.advanceTimersByTime(100);
+    announce("Saved");
+
+    expect(region("polite").textContent).toBe("");
+    jest.advanceTimersByTime(100);
+    expect(region("polite").textContent).toBe("Saved");
+  });
+
+  it("should add the regions again after the body is replaced", () => {
+    announce("First");
+    document.body.innerHTML = "<main></main>";
+    announce("Second");
+    jest.advanceTimersByTime(100);
+
+    expect(region("polite").textContent).toBe("Second");
+  });
+
+  it("should ignore empty messages and unknown politeness", () => {
+    announce("");
+    announce("Hello", { politeness: "rude" });
+
+    expect(document.querySelector("[data-announcer]")).toBeNull();
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the case study pages
+ * Tests all functions in scripts/build-case-studies.mjs
+ */
+
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import {
+  CONTENT_DIR,
+  TEMPLATE_FILE,
+  buildCaseStudies,
+  caseStudyListing,
+  parseFrontMatter,
+  readCaseStudies,
+  readCaseStudy,
+  renderCaseStudy,
+  renderCaseStudyPage,
+  writeCaseStudies
+} from "../scripts/build-case-studies.mjs";
+
+const study = (title, date, extra = "") =>
+  `---\ntitle: ${title}\nsummary: About ${title}\ndate: ${date}\n${extra}---\n\n## Intro\n\nText.\n`;
+
+describe("Case Study Pages (build-case-studies.mjs)", () => {
+  describe("parseFrontMatter", () => {
+    it("should read values, quoted values, lists and comments", () => {
+      const { data, body } = parseFrontMatter(
+        [
+          "---",
+          "# A comment",
+          "title: \"C# at scale: #1\"",
+          "summary: Plain text  # trailing comment",
+          "date: 2026-03",
+          "tags: [JavaScript, \"HTML5 / CSS\", ]",
+          "links:",
+          "  - one",
+          "  - 'two'",
+          "empty-list:",
+          "---",
+          "Body"
+        ].join("\r\n")
+      );
+
+      expect(data).toEqual({
+        title: "C# at scale: #1",
+        summary: "Plain text",
+        date: "2026-03",
+        tags: ["JavaScript", "HTML5 / CSS"],
+        links: ["one", "two"],
+        "empty-list": []
+      });
+      expect(body).toBe("Body");
+    });
+
+    it("should leave a file without front matter alone", () => {
+      expect(parseFrontMatter("# Title\n---\n")).toEqual({ data: {}, body: "# Title\n---\n" });
+    });
+
+    it("should reject front matter it can't read", () => {
+      expect(() => parseFrontMatter("---\ntitle: A\n")).toThrow("Front matter has no closing ---");
+      expect(() => parseFrontMatter("---\ntitle: A\njust text\n---\n")).toThrow(
+        "Front matter line 3 isn't \"key: value\": just text"
+      );
+      expect(() => parseFrontMatter("---\n- orphan\n---\n")).toThrow("Front matter line 2");
+    });
+  });
+
+  describe("readCaseStudy", () => {
+    it("should read the front matter and render the body", () => {
+      expect(readCaseStudy("my-site.md", study("My site", "2026-03", "tags: [AWS]\n"))).toEqual({
+        title: "My site",
+        summary: "About My site",
+        date: "2026-03",
+        tags: ["AWS"],
+        slug: "my-site",
+        url: "/projects/my-site.html",
+        html: "<h2 id=\"intro\">Intro</h2>\n<p>Text.</p>"
+      });
+    });
+
+    it("should list every problem", () => {
+      const text = "---\ntitle: A\ndate: June\nimage: /a.png\n---\n";
+
+      expect(() => readCaseStudy("My Site.md", text)).toThrow(
+        `Invalid case study in ${CONTENT_DIR}/My Site.md:\n` +
+          "  - summary is required\n" +
+          "  - date must be a date like 2019, 2019-06 or 2019-06-01, not \"June\"\n" +
+          "  - the file name must be lowercase words separated by dashes, like \"my-project.md\"\n" +
+          "  - imageAlt is required with an image"
+      );
+    });
+  });
+
+  describe("caseStudyListing", () => {
+    it("should list what the projects page shows", () => {
+      const studies = [
+        readCaseStudy("a.md", study("A", "2026", "project: Site\n")),
+        readCaseStudy("b.md", study("B", "2025"))
+      ];
+
+      expect(caseStudyListing(studies)).toEqual({
+        caseStudies: [
+          { url: "/projects/a.html", title: "A", summary: "About A", date: "2026", tags: [], project: "Site" },
+          { url: "/projects/b.html", title: "B", summary: "About B", date: "2025", tags: [] }
+        ]
+      });
+    });
+  });
+
+  describe("renderCaseStudy", () => {
+    const current = readCaseStudy(
+      "site.md",
+      study("The <site>", "2026-03-15", "tags: [AWS]\nimage: /a.png\nimageAlt: Home\n")
+    );
+    const older = { title: "Older", url: "/projects/older.html" };
+    const newer = { title: "Newer & better", url: "/projects/newer.html" };
+
+    it("should render the header, cover image and body", () => {
+      const html = renderCaseStudy(current);
+
+      expect(html).toContain("<time datetime=\"2026-03-15\">Mar 2026</time>");
+      expect(html).toContain("<span class=\"text-gradient d-inline\">The &lt;site&gt;</span></h1>");
+      expect(html).toContain("<p class=\"lead fw-light mb-3\">About The &lt;site&gt;</p>");
+      expect(html).toContain("<ul class=\"list-inline mb-0\" aria-label=\"Technologies\">");
+      expect(html).toContain("src=\"/a.png\" alt=\"Home\"");
+      expect(html).toContain(`<div class="case-study-body">${current.html}</div>`);
+    });
+
+    it("should link to the previous and next case studies", () => {
+      const html = renderCaseStudy(current, { previous: older, next: newer });
+
+      expect(html).toMatch(/href="\/projects\/older.html" rel="prev">.*Previous case study.*Older/);
+      expect(html).toMatch(/href="\/projects\/newer.html" rel="next">.*Next case study<\/span>Newer &amp; better/);
+      expect(html).toContain("href=\"/projects.html#case-studies\"");
+    });
+
+    it("should leave out the links it doesn't have", () => {
+      const html = renderCaseStudy({ ...current, tags: undefined, image: undefined });
+
+      expect(html).not.toContain("rel=\"prev\"");
+      expect(html).not.toContain("rel=\"next\"");
+      expect(html).not.toContain("Technologies");
+      expect(html).not.toContain("<img");
+    });
+  });
+
+  describe("renderCaseStudyPage", () => {
+    it("should fill in the template's placeholders", () => {
+      const current = readCaseStudy("site.md", study("A \"quoted\" title", "2026"));
+      const template =
+        "<title>{{title}}</title><meta content=\"{{description}}\"><link href=\"{{url}}\">" +
+        "<main>{{content}}</main>{{unknown}}";
+
+      const html = renderCaseStudyPage(template, current, {});
+
+      expect(html).toContain("<title>A &quot;quoted&quot; title</title>");
+      expect(html).toContain("<meta content=\"About A &quot;quoted&quot; title\">");
+      expect(html).toContain("<link href=\"https://chrispivonka.com/projects/site.html\">");
+      expect(html).toContain(`<main>${renderCaseStudy(current, {})}</main>{{unknown}}`);
+    });
+  });
+
+  describe("with a site root", () => {
+    let root;
+
+    const write = (path, content) => {
+      const target = join(root, path);
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, content);
+    };
+
+    beforeEach(() => {
+      root = mkdtempSync(join(tmpdir(), "case-studies-"));
+      write(TEMPLATE_FILE, "<title>{{title}}</title>{{content}}");
+      write(`${CONTENT_DIR}/middle.md`, study("Middle", "2025-06"));
+      write(`${CONTENT_DIR}/newest.md`, study("Newest", "2026"));
+      write(`${CONTENT_DIR}/oldest.md`, study("Oldest", "2024-01-02"));
+      write(`${CONTENT_DIR}/notes.txt`, "Not a case study");
+    });
+
+    afterEach(() => {
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    it("should read the case studies newest first", () => {
+      expect(readCaseStudies(root).map(({ slug }) => slug)).toEqual(["newest", "middle", "oldest"]);
+    });
+
+    it("should find none without a content directory", () => {
+      rmSync(join(root, "content"), { recursive: true });
+
+      expect(readCaseStudies(root)).toEqual([]);
+      expect(buildCaseStudies(root)).toEqual({ pages: [], listing: { caseStudies: [] } });
+    });
+
+    it("should link each page to its neighbours", () => {
+      const { pages, listing } = buildCaseStudies(root);
+      const [newest, middle, oldest] = pages;
+
+      expect(pages.map(({ path }) => path)).toEqual([
+        "projects/newest.html",
+        "projects/middle.html",
+        "projects/oldest.html"
+      ]);
+      expect(newest.html).toContain("<title>Newest</title>");
+      expect(newest.html).toContain("href=\"/projects/middle.html\" rel=\"prev\"");
+      expect(newest.html).not.toContain("rel=\"next\"");
+      expect(middle.html).toContain("href=\"/projects/oldest.html\" rel=\"prev\"");
+      expect(middle.html).toContain("href=\"/projects/newest.html\" rel=\"next\"");
+      expect(oldest.html).not.toContain("rel=\"prev\"");
+      expect(listing.caseStudies.map(({ title }) => title)).toEqual(["Newest", "Middle", "Oldest"]);
+    });
+
+    it("should write the pages and listing", () => {
+      const outDir = join(root, "out");
+      mkdirSync(outDir);
+
+      const files = writeCaseStudies(outDir, root);
+
+      expect(files).toEqual([
+        "projects/newest.html",
+        "projects/middle.html",
+        "projects/oldest.html",
+        "case-studies.json"
+      ]);
+      expect(readFileSync(join(outDir, "projects/middle.html"), "utf8")).toContain("<title>Middle</title>");
+      expect(JSON.parse(readFileSync(join(outDir, "case-studies.json"), "utf8")).caseStudies).toHaveLength(3);
+      expect(existsSync(join(root, "projects"))).toBe(false);
+    });
+
+    it("should fail on an invalid case study", () => {
+      write(`${CONTENT_DIR}/broken.md`, "---\ntitle: Broken\n---\n");
+
+      expect(() => buildCaseStudies(root)).toThrow(`Invalid case study in ${CONTENT_DIR}/broken.md`);
+    });
+  });
+
+  it("should build the committed case studies", () => {
+    const { pages, listing } = buildCaseStudies();
+
+    expect(pages.length).toBe(listing.caseStudies.length);
+    pages.forEach(({ html }) => {
+      expect(html).toContain("data-include=\"/partials/header.html\"");
+      expect(html).not.toMatch(/\{\{\w+\}\}/);
+    });
+  });
+});
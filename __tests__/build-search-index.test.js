@@ -0,0 +1,194 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the search index build
+ * Tests all functions in scripts/build-search-index.mjs
+ */
+
+import { jest } from "@jest/globals";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  buildSearchIndex,
+  decodeEntities,
+  extractEntries,
+  writeSearchIndex
+} from "../scripts/build-search-index.mjs";
+
+const page = (title, main) => `
+  <!doctype html>
+  <html>
+    <head><title>${title} - chrispivonka.com</title></head>
+    <body>
+      <!-- Header placeholder (outside <main> so navigation keeps it) -->
+      <nav>Home Resume</nav>
+      <main>${main}</main>
+      <footer>Footer text</footer>
+    </body>
+  </html>
+`;
+
+describe("Search Index Build (build-search-index.mjs)", () => {
+  describe("decodeEntities", () => {
+    it("should decode named and numeric entities", () => {
+      expect(decodeEntities("Tom &amp; Jerry&#39;s &#x2014;&nbsp;x &hellip;")).toBe(
+        "Tom & Jerry's — x &hellip;"
+      );
+    });
+  });
+
+  describe("extractEntries", () => {
+    it("should use the page title without the site name", () => {
+      expect(extractEntries(page("Resume", "")).title).toBe("Resume");
+    });
+
+    it("should only index <main>", () => {
+      const { entries } = extractEntries(page("Home", "<p>Welcome</p>"));
+
+      expect(entries).toEqual([{ anchor: "", heading: "Home", text: "Welcome" }]);
+    });
+
+    it("should start an entry at each heading with its section anchor", () => {
+      const { entries } = extractEntries(
+        page(
+          "Resume",
+          `
+          <section id="experience" data-command="Experience">
+            <h2>Experience</h2>
+            <div class="card"><h3>Software <em>Engineer</em></h3><p>Web apps</p></div>
+          </section>
+          <section>
+            <h2 id="education">Education</h2>
+            <p>Marquette &amp; more</p>
+          </section>
+          <h2>No anchor</h2>
+          <p>Loose text</p>
+          `
+        )
+      );
+
+      expect(entries).toEqual([
+        { anchor: "experience", heading: "Experience", text: "" },
+        { anchor: "experience", heading: "Software Engineer", text: "Web apps" },
+        { anchor: "education", heading: "Education", text: "Marquette & more" },
+        { anchor: "", heading: "No anchor", text: "Loose text" }
+      ]);
+    });
+
+    it("should link headings to the IDs js/toc.js gives them", () => {
+      const { entries } = extractEntries(
+        page(
+          "Resume",
+          `
+          <nav id="resumeToc" data-toc></nav>
+          <section id="experience">
+            <div><h2>Experience</h2></div>
+            <div class="card">
+              <h3>Software Engineer<span class="visually-hidden">,</span>
+                <span>Fandango</span></h3>
+            </div>
+            <div class="card"><h3>Software Engineer, Fandango</h3></div>
+          </section>
+          <section><h2 id="custom">Education</h2><h3>Skills</h3></section>
+          <p id="skills">Taken</p>
+          `
+        )
+      );
+
+      expect(entries.map(({ anchor, heading }) => [anchor, heading])).toEqual([
+        ["experience", "Experience"],
+        ["software-engineer-fandango", "Software Engineer, Fandango"],
+        ["software-engineer-fandango-2", "Software Engineer, Fandango"],
+        ["custom", "Education"],
+        ["skills-2", "Skills"]
+      ]);
+    });
+
+    it("should skip navigation, forms, scripts, buttons and hidden content", () => {
+      const { entries } = extractEntries(
+        page(
+          "Contact",
+          `
+          <h1>Get in touch</h1>
+          <nav data-scroll-spy><a href="#form">Form</a></nav>
+          <div data-search-ignore>You're offline</div>
+          <div hidden>Hidden</div>
+          <div aria-hidden="true">Decoration</div>
+          <form><label>Full name</label><input id="name" /></form>
+          <button>Submit</button>
+          <script>var x = "<p>";</script>
+          <p>Say hi<br/>anytime<img src="a.png" alt=""></p>
+          `
+        )
+      );
+
+      expect(entries).toEqual([
+        { anchor: "", heading: "Get in touch", text: "Say hi anytime" }
+      ]);
+    });
+
+    it("should handle pages without <main> or a title", () => {
+      expect(extractEntries("<p>No main</p>")).toEqual({ title: "", entries: [] });
+    });
+  });
+
+  describe("buildSearchIndex", () => {
+    let root;
+
+    beforeEach(() => {
+      root = mkdtempSync(join(tmpdir(), "search-"));
+      writeFileSync(join(root, "index.html"), page("Index", "<h1>Hi</h1><p>Hello</p>"));
+      writeFileSync(
+        join(root, "resume.html"),
+        page("Resume", "<section id=\"skills\"><h2>Skills</h2><p>JavaScript</p></section>")
+      );
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      rmSync(root, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it("should build a compact index across pages", () => {
+      const index = buildSearchIndex({
+        root,
+        pages: ["index.html", "resume.html", "missing.html"]
+      });
+
+      expect(index).toEqual({
+        version: 1,
+        pages: [
+          { url: "/index.html", title: "Index" },
+          { url: "/resume.html", title: "Resume" }
+        ],
+        entries: [
+          { p: 0, a: "", h: "Hi", t: "Hello" },
+          { p: 1, a: "skills", h: "Skills", t: "JavaScript" }
+        ]
+      });
+      expect(console.warn).toHaveBeenCalledWith("  Skipping missing page: missing.html");
+    });
+
+    it("should leave the resume download menu out", () => {
+      const { entries } = buildSearchIndex({ pages: ["resume.html"] });
+      const text = entries.map((entry) => `${entry.h} ${entry.t}`).join(" ");
+
+      expect(entries.map((entry) => entry.a)).toContain("experience");
+      ["Download Resume", "PDF (print)", "Plain text (ATS)", "Markdown", "vCard"].forEach((label) => {
+        expect(text).not.toContain(label);
+      });
+    });
+
+    it("should write the index as JSON", () => {
+      const outFile = join(root, "search-index.json");
+
+      const index = writeSearchIndex(outFile, { root, pages: ["index.html"] });
+
+      expect(JSON.parse(readFileSync(outFile, "utf8"))).toEqual(index);
+    });
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the static site build
+ * Tests all functions in scripts/build.mjs
+ */
+
+import { jest } from "@jest/globals";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import {
+  build,
+  createPartialReader,
+  inlinePartials,
+  readRelease,
+  renderNavLists,
+  renderProjectSections,
+  renderResumeSections,
+  stampRelease,
+  stampServiceWorker,
+  writeResumeExports
+} from "../scripts/build.mjs";
+
+describe("Static Site Build (build.mjs)", () => {
+  describe("inlinePartials", () => {
+    const partials = {
+      "/partials/header.html": "<nav>Header</nav>\n",
+      "/partials/footer.html": "<footer>Footer</footer>",
+      "/partials/nested.html":
+        "<div data-include=\"/partials/header.html\"></div>",
+      "/partials/loop.html": "<div data-include=\"/partials/loop.html\"></div>"
+    };
+    const readPartial = (url) => partials[url] ?? null;
+
+    it("should inline a placeholder and mark it as rendered", () => {
+      const html =
+        "<div id=\"header-placeholder\" data-include=\"/partials/header.html\"></div>";
+
+      expect(inlinePartials(html, readPartial)).toBe(
+        "<div id=\"header-placeholder\" data-included=\"/partials/header.html\"><nav>Header</nav></div>"
+      );
+    });
+
+    it("should keep attributes on either side of data-include", () => {
+      const html =
+        "<section data-include=\"/partials/footer.html\" class=\"x\">Loading</section>";
+
+      expect(inlinePartials(html, readPartial)).toBe(
+        "<section data-included=\"/partials/footer.html\" class=\"x\"><footer>Footer</footer></section>"
+      );
+    });
+
+    it("should inline every placeholder on the page", () => {
+      const html = `
+        <div data-include="/partials/header.html"></div>
+        <main>Body</main>
+        <div data-include="/partials/footer.html"></div>
+      `;
+
+      const result = inlinePartials(html, readPartial);
+
+      expect(result).toContain("<nav>Header</nav>");
+      expect(result).toContain("<footer>Footer</footer>");
+      expect(result).not.toContain("data-include=");
+    });
+
+    it("should resolve nested includes", () => {
+      const html = "<div data-include=\"/partials/nested.html\"></div>";
+
+      expect(inlinePartials(html, readPartial)).toContain("<nav>Header</nav>");
+    });
+
+    it("should reject recursive includes", () => {
+      const html = "<div data-include=\"/partials/loop.html\"></div>";
+
+      expect(() => inlinePartials(html, readPartial)).toThrow(
+        "Recursive partial include: /partials/loop.html -> /partials/loop.html"
+      );
+    });
+
+    it("should leave placeholders for missing partials", () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const html = "<div data-include=\"/partials/missing.html\"></div>";
+
+      expect(inlinePartials(html, readPartial)).toBe(html);
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it("should ignore empty data-include attributes", () => {
+      const html = "<div data-include=\"\"></div>";
+
+      expect(inlinePartials(html, readPartial)).toBe(html);
+    });
+  });
+
+  describe("renderNavLists", () => {
+    const config = JSON.stringify({
+      items: [
+        { label: "Home", href: "/index.html" },
+        { label: "Cam", href: "https://cam.example.com/", when: "kittycamViewer" }
+      ]
+    });
+
+    it("should render unconditional links into the nav list", () => {
+      const html = "<ul\n  class=\"navbar-nav\"\n  data-nav=\"/partials/nav.json\"\n></ul>";
+
+      expect(renderNavLists(html, () => config)).toBe(
+        "<ul\n  class=\"navbar-nav\"\n  data-nav=\"/partials/nav.json\"\n>" +
+          "<li class=\"nav-item\"><a class=\"nav-link\" href=\"/index.html\">Home</a></li></ul>"
+      );
+    });
+
+    it("should leave the list empty without a config", () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      const html = "<ul data-nav=\"/partials/missing.json\"></ul>";
+
+      expect(renderNavLists(html, () => null)).toBe(html);
+      expect(console.warn).toHaveBeenCalledWith(
+        "  Nav config not found, leaving list empty: /partials/missing.json"
+      );
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe("build", () => {
+    let root;
+    let outDir;
+
+    const write = (path, content) => {
+      const target = join(root, path);
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, content);
+    };
+
+    beforeEach(() => {
+      root = mkdtempSync(join(tmpdir(), "site-"));
+      outDir = join(root, "dist");
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      write("partials/header.html", "<nav>Header</nav>");
+      write("css/styles.css", "body {}");
+      write("robots.txt", "User-agent: *");
+      write(
+        "index.html",
+        "<body><div data-include=\"/partials/header.html\"></div></body>"
+      );
+      write(
+        "subdomains/kittycam/kitty-cam.html",
+        "<div id=\"header-placeholder\" data-include=\"/partials/header.html\"></div>"
+      );
+    });
+
+    afterEach(() => {
+      rmSync(root, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it("should render pages with partials inlined", () => {
+      const pages = build({ root, outDir });
+
+      expect(pages).toEqual(["index.html", "subdomains/kittycam/kitty-cam.html"]);
+      expect(readFileSync(join(outDir, "index.html"), "utf8")).toContain(
+        "<nav>Header</nav>"
+      );
+      expect(
+        readFileSync(join(outDir, "subdomains/kittycam/kitty-cam.html"), "utf8")
+      ).toContain("data-included=\"/partials/header.html\"");
+    });
+
+    it("should render the header nav from its config", () => {
+      write("partials/header.html", "<ul data-nav=\"/partials/nav.json\"></ul>");
+      write(
+        "partials/nav.json",
+        JSON.stringify({ items: [{ label: "Resume", href: "/resume.html" }] })
+      );
+
+      build({ root, outDir });
+
+      expect(readFileSync(join(outDir, "index.html"), "utf8")).toContain(
+        "<a class=\"nav-link\" href=\"/resume.html\">Resume</a>"
+      );
+    });
+
+    it("should copy static files", () => {
+      build({ root, outDir });
+
+      expect(readFileSync(join(outDir, "css/styles.css"), "utf8")).toBe("body {}");
+      expect(readFileSync(join(outDir, "robots.txt"), "utf8")).toBe(
+        "User-agent: *"
+      );
+      expect(readFileSync(join(outDir, "partials/header.html"), "utf8")).toBe(
+        "<nav>Header</nav>"
+      );
+    });
+
+    it("should not modify source pages", () => {
+      build({ root, outDir });
+
+      expect(readFileSync(join(root, "index.html"), "utf8")).toContain(
+        "data-include=\"/partials/header.html\""
+      );
+    });
+
+    it("should clear stale output", () => {
+      mkdirSync(outDir, { recursive: true });
+      writeFileSync(join(outDir, "stale.html"), "old");
+
+      build({ root, outDir });
+
+      expect(() => readFileSync(join(outDir, "stale.html"))).toThrow();
+    });
+
+    it("should stamp the service worker cache version", () => {
+      write("sw.js", "const CACHE_VERSION = \"dev\";\n");
+
+      build({ root, outDir });
+      const first = readFileSync(join(outDir, "sw.js"), "utf8");
+
+      expect(first).toMatch(/const CACHE_VERSION = "[0-9a-f]{12}";/);
+      expect(readFileSync(join(root, "sw.js"), "utf8")).toContain("\"dev\"");
+
+      write("css/styles.css", "body { color: red; }");
+      build({ root, outDir });
+
+      expect(readFileSync(join(outDir, "sw.js"), "utf8")).not.toBe(first);
+    });
+
+    it("should render resume sections from resume.json", () => {
+      write(
+        "resume.json",
+        JSON.stringify({
+          basics: { name: "Chris" },
+          work: [{ name: "Acme", position: "Engineer", startDate: "2019" }],
+          education: [],
+          skills: []
+        })
+      );
+      write(
+        "resume.html",
+        "<section><div class=\"x\" data-resume=\"work\" aria-busy=\"true\"></div></section>"
+      );
+
+      build({ root, outDir });
+      const html = readFileSync(join(outDir, "resume.html"), "utf8");
+
+      expect(html).toContain("<div class=\"x\" data-resume=\"work\"><div class=\"card");
+      expect(html).toContain("Engineer<span class=\"visually-hidden\">,</span>");
+      expect(html).not.toContain("aria-busy");
+      expect(readFileSync(join(outDir, "resume.json"), "utf8")).toContain("Acme");
+    });
+
+    it("should write the resume downloads next to resume.json", () => {
+      write(
+        "resume.json",
+        JSON.stringify({
+          basics: { name: "Chris Pivonka", email: "chris@example.com" },
+          work: [{ name: "Acme", position: "Engineer", startDate: "2019" }],
+          education: [],
+          skills: []
+        })
+      );
+
+      build({ root, outDir });
+
+      expect(readFileSync(join(outDir, "resume.txt"), "utf8")).toContain("Engineer, Acme\n2019 - Present");
+      expect(readFileSync(join(outDir, "resume.md"), "utf8")).toContain("# Chris Pivonka");
+      expect(readFileSync(join(outDir, "resume.vcf"), "utf8")).toContain(
+        "EMAIL;TYPE=INTERNET:chris@example.com"
+      );
+      expect(writeResumeExports(outDir, createPartialReader(join(root, "missing")))).toEqual([]);
+    });
+
+    it("should fail on an invalid resume.json", () => {
+      write("resume.json", JSON.stringify({ basics: {}, work: [], education: [], skills: [] }));
+      write("resume.html", "<div data-resume=\"work\" aria-busy=\"true\"></div>");
+
+      expect(() => build({ root, outDir })).toThrow(
+        "Invalid resume in /resume.json:\n  - basics.name is required"
+      );
+
+      write("resume.json", "{ \"basics\": ");
+      expect(() => build({ root, outDir })).toThrow("Invalid JSON in /resume.json");
+    });
+
+    it("should leave resume sections for the browser without resume.json", () => {
+      const page = "<div data-resume=\"work\" aria-busy=\"true\"></div>";
+
+      expect(renderResumeSections(page, createPartialReader(root))).toBe(page);
+      expect(console.warn).toHaveBeenCalledWith(
+        "  Resume not found, leaving sections empty: /resume.json"
+      );
+    });
+
+    it("should render project cards and filter chips from projects.json", () => {
+      write(
+        "projects.json",
+        JSON.stringify({
+          projects: [
+            { title: "Site", summary: "This site", tags: ["AWS"], status: "active", startDate: "2024" }
+          ]
+        })
+      );
+      write(
+        "projects.html",
+        "<div data-projects=\"tags\" aria-busy=\"true\"></div>" +
+          "<div class=\"x\" data-projects=\"list\" aria-busy=\"true\"></div>"
+      );
+
+      build({ root, outDir });
+      const html = readFileSync(join(outDir, "projects.html"), "utf8");
+
+      expect(html).toContain("<div data-projects=\"tags\"><div class=\"d-flex flex-wrap gap-2\"><input");
+      expect(html).toContain("<div class=\"x\" data-projects=\"list\"><article");
+      expect(html).not.toContain("aria-busy");
+      expect(readFileSync(join(outDir, "projects.json"), "utf8")).toContain("This site");
+    });
+
+    it("should add repository stats from the GitHub snapshot", () => {
+      write(
+        "projects.json",
+        JSON.stringify({
+          projects: [
+            { title: "Site", summary: "This site", status: "active", startDate: "2024", repo: "me/site" }
+          ]
+        })
+      );
+      write("projects.html", "<div data-projects=\"list\" aria-busy=\"true\"></div>");
+      write("projects-github.json", JSON.stringify({ repos: { "me/site": { stars: 7 } } }));
+
+      build({ root, outDir });
+
+      expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining("No GitHub stats"));
+      expect(readFileSync(join(outDir, "projects.html"), "utf8")).toContain("7 stars");
+      expect(readFileSync(join(outDir, "projects-github.json"), "utf8")).toContain("me/site");
+
+      write("projects-github.json", "{ \"repos\": ");
+      build({ root, outDir });
+
+      expect(readFileSync(join(outDir, "projects.html"), "utf8")).not.toContain("stars");
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining("  Ignoring invalid JSON in /projects-github.json:")
+      );
+      expect(console.warn).toHaveBeenCalledWith(
+        "  No GitHub stats for me/site in /projects-github.json (npm run github:sync)"
+      );
+    });
+
+    it("should fail on an invalid projects.json", () => {
+      write("projects.json", JSON.stringify({ projects: [{ title: "Site" }] }));
+      write("projects.html", "<div data-projects=\"list\" aria-busy=\"true\"></div>");
+
+      expect(() => build({ root, outDir })).toThrow(
+        "Invalid projects in /projects.json:\n  - projects[0].summary is required"
+      );
+    });
+
+    it("should leave project sections for the browser without projects.json", () => {
+      const page = "<div data-projects=\"list\" aria-busy=\"true\"></div>";
+
+      expect(renderProjectSections(page, createPartialReader(root))).toBe(page);
+      expect(console.warn).toHaveBeenCalledWith(
+        "  Projects not found, leaving sections empty: /projects.json"
+      );
+    });
+
+    it("should stamp pages with the package version", () => {
+      write("package.json", JSON.stringify({ version: "1.4.2" }));
+      write("index.html", "<head><meta name=\"release\" content=\"dev\" /></head>");
+
+      build({ root, outDir });
+
+      expect(readRelease(root)).toBe("1.4.2");
+      expect(readFileSync(join(outDir, "index.html"), "utf8")).toContain(
+        "<meta name=\"release\" content=\"1.4.2\" />"
+      );
+
+      build({ root, outDir, release: "1.5.0-rc.1" });
+
+      expect(readFileSync(join(outDir, "index.html"), "utf8")).toContain(
+        "content=\"1.5.0-rc.1\""
+      );
+    });
+
+    it("should leave the release alone without a version", () => {
+      const page = "<meta name=\"release\" content=\"dev\" />";
+
+      expect(readRelease(root)).toBeNull();
+      expect(stampRelease(page, null)).toBe(page);
+      expect(stampRelease("<title>No tag</title>", "1.0.0")).toBe("<title>No tag</title>");
+    });
+
+    it("should write the search index from the rendered pages", () => {
+      write(
+        "index.html",
+        "<title>Index</title><main><h1>Hi</h1><p>Hello</p></main>"
+      );
+
+      build({ root, outDir });
+      const index = JSON.parse(
+        readFileSync(join(outDir, "search-index.json"), "utf8")
+      );
+
+      expect(index.pages).toEqual([{ url: "/index.html", title: "Index" }]);
+      expect(index.entries).toEqual([{ p: 0, a: "", h: "Hi", t: "Hello" }]);
+    });
+
+    it("should render case study pages and list them on the projects page", () => {
+      write(
+        "templates/case-study.html",
+        "<title>{{title}} - chrispivonka.com</title>" +
+          "<div data-include=\"/partials/header.html\"></div><main>{{content}}</main>"
+      );
+      write(
+        "content/projects/site.md",
+        "---\ntitle: Site\nsummary: How it works\ndate: 2026-03\nproject: Site\n---\n\n## Hosting\n\nOn S3.\n"
+      );
+      write(
+        "projects.json",
+        JSON.stringify({ projects: [{ title: "Site", summary: "This site", status: "active", startDate: "2024" }] })
+      );
+      write(
+        "projects.html",
+        "<div data-projects=\"list\" aria-busy=\"true\"></div>" +
+          "<div data-projects=\"case-studies\" aria-busy=\"true\"></div>"
+      );
+      write("case-studies.json", "{ \"caseStudies\": [] }");
+
+      const pages = build({ root, outDir, release: "1.2.3" });
+      const page = readFileSync(join(outDir, "projects/site.html"), "utf8");
+      const projects = readFileSync(join(outDir, "projects.html"), "utf8");
+      const index = JSON.parse(readFileSync(join(outDir, "search-index.json"), "utf8"));
+
+      expect(pages).toContain("projects/site.html");
+      expect(page).toContain("data-included=\"/partials/header.html\"><nav>Header</nav>");
+      expect(page).toContain("<h2 id=\"hosting\">Hosting</h2>");
+      expect(projects).toContain("href=\"/projects/site.html\">Read the case study</a>");
+      expect(projects).toContain("<h2 class=\"fw-bolder mb-4\" id=\"case-studies\">Case studies</h2>");
+      expect(JSON.parse(readFileSync(join(outDir, "case-studies.json"), "utf8")).caseStudies).toHaveLength(1);
+      expect(index.pages).toContainEqual({ url: "/projects/site.html", title: "Site" });
+      expect(index.entries).toContainEqual(expect.objectContaining({ a: "hosting", h: "Hosting", t: "On S3." }));
+    });
+
+    it("should skip stamping when there is no service worker", () => {
+      build({ root, outDir });
+
+      expect(stampServiceWorker(outDir)).toBeNull();
+    });
+
+    it("should read partials relative to the site root", () => {
+      const readPartial = createPartialReader(root);
+
+      expect(readPartial("/partials/header.html")).toBe("<nav>Header</nav>");
+      expect(readPartial("/partials/missing.html")).toBeNull();
+    });
+  });
+});
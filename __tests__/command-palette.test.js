@@ -0,0 +1,416 @@
+/**
+ * Test suite for the command palette
+ * Tests all functions in command-palette.js
+ */
+
+import { jest } from "@jest/globals";
+
+const visit = jest.fn(() => Promise.resolve(true));
+jest.unstable_mockModule("../js/router.js", () => ({ visit }));
+
+const { renderProjectList } = await import("../js/projects.js");
+const {
+  closeCommandPalette,
+  filterCommands,
+  fuzzyScore,
+  initCommandPalette,
+  openCommandPalette
+} = await import("../js/command-palette.js");
+
+describe("Command Palette (command-palette.js)", () => {
+  const respondWith = (html, ok = true) =>
+    Promise.resolve({
+      ok,
+      status: ok ? 200 : 500,
+      text: () => Promise.resolve(html)
+    });
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  const input = () => document.querySelector(".command-palette-input");
+  const labels = () =>
+    Array.from(document.querySelectorAll(".command-palette-label")).map(
+      (label) => label.textContent
+    );
+  const activeLabel = () =>
+    document.querySelector("[role=\"option\"][aria-selected=\"true\"] .command-palette-label")
+      .textContent;
+
+  const type = (value) => {
+    input().value = value;
+    input().dispatchEvent(new Event("input"));
+  };
+
+  const press = (key, target = input(), init = {}) => {
+    const event = new KeyboardEvent("keydown", {
+      key,
+      bubbles: true,
+      cancelable: true,
+      ...init
+    });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    window.history.replaceState(null, "", "/index.html");
+    document.documentElement.className = "";
+    document.body.innerHTML = `
+      <nav class="navbar">
+        <a class="nav-link" href="index.html">Home</a>
+        <a class="nav-link" href="resume.html">Resume</a>
+        <a class="nav-link" href="contact.html">Contact</a>
+      </nav>
+      <main><button id="opener">Open</button></main>
+    `;
+    global.fetch = jest.fn((url) =>
+      respondWith(
+        url.endsWith("/resume.html")
+          ? "<main><section id=\"experience\" data-command=\"Experience\"></section></main>"
+          : "<main></main>"
+      )
+    );
+    window.scrollTo = jest.fn();
+    visit.mockClear();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    closeCommandPalette();
+    jest.restoreAllMocks();
+  });
+
+  describe("fuzzyScore", () => {
+    it("should match characters in order", () => {
+      expect(fuzzyScore("rsm", "Resume")).not.toBeNull();
+      expect(fuzzyScore("msr", "Resume")).toBeNull();
+    });
+
+    it("should ignore case and whitespace in the query", () => {
+      expect(fuzzyScore("BACK top", "Back to top")).not.toBeNull();
+    });
+
+    it("should score word starts and runs higher", () => {
+      expect(fuzzyScore("tt", "Toggle theme")).toBeGreaterThan(
+        fuzzyScore("tt", "Contact")
+      );
+      expect(fuzzyScore("res", "Resume")).toBeGreaterThan(
+        fuzzyScore("res", "Projects")
+      );
+    });
+
+    it("should match everything with an empty query", () => {
+      expect(fuzzyScore("", "Anything")).toBe(0);
+    });
+  });
+
+  describe("filterCommands", () => {
+    const list = [
+      { label: "Projects", group: "Page" },
+      { label: "Resume", group: "Page" },
+      { label: "Experience", group: "Resume" }
+    ];
+
+    it("should keep the original order for an empty query", () => {
+      expect(filterCommands("", list)).toEqual(list);
+    });
+
+    it("should drop non-matches and put the best match first", () => {
+      const labels = filterCommands("resu", list).map((c) => c.label);
+
+      expect(labels[0]).toBe("Resume");
+      expect(labels).toContain("Experience");
+      expect(labels).not.toContain("Projects");
+    });
+  });
+
+  describe("opening and closing", () => {
+    beforeAll(() => {
+      initCommandPalette();
+      initCommandPalette();
+    });
+
+    it("should open on Ctrl+K and Cmd+K", () => {
+      const event = press("k", document.body, { ctrlKey: true });
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(document.getElementById("commandPalette").hidden).toBe(false);
+      expect(document.activeElement).toBe(input());
+
+      press("K", document.body, { metaKey: true });
+      expect(document.getElementById("commandPalette").hidden).toBe(true);
+
+      press("k", document.body, { metaKey: true });
+      expect(document.getElementById("commandPalette").hidden).toBe(false);
+    });
+
+    it("should ignore K without a modifier", () => {
+      press("k", document.body);
+
+      expect(document.getElementById("commandPalette")).toBeNull();
+    });
+
+    it("should close on Escape and restore focus", () => {
+      document.getElementById("opener").focus();
+      openCommandPalette();
+
+      press("Escape");
+
+      expect(document.getElementById("commandPalette").hidden).toBe(true);
+      expect(input().getAttribute("aria-expanded")).toBe("false");
+      expect(document.activeElement.id).toBe("opener");
+    });
+
+    it("should close when the backdrop is clicked", () => {
+      openCommandPalette();
+
+      document.getElementById("commandPalette").click();
+
+      expect(document.getElementById("commandPalette").hidden).toBe(true);
+    });
+
+    it("should keep focus in the input on Tab", () => {
+      openCommandPalette();
+
+      expect(press("Tab").defaultPrevented).toBe(true);
+    });
+  });
+
+  describe("ARIA combobox", () => {
+    it("should wire the input to the listbox", () => {
+      openCommandPalette();
+      const listbox = document.getElementById("commandPaletteList");
+
+      expect(input().getAttribute("role")).toBe("combobox");
+      expect(input().getAttribute("aria-controls")).toBe(listbox.id);
+      expect(input().getAttribute("aria-expanded")).toBe("true");
+      expect(listbox.getAttribute("role")).toBe("listbox");
+      expect(input().getAttribute("aria-activedescendant")).toBe(
+        "commandPaletteList-option-0"
+      );
+    });
+
+    it("should move the active option with the arrow keys and wrap", () => {
+      openCommandPalette();
+      const count = document.querySelectorAll("[role=\"option\"]").length;
+
+      press("ArrowDown");
+      expect(input().getAttribute("aria-activedescendant")).toBe(
+        "commandPaletteList-option-1"
+      );
+
+      press("ArrowUp");
+      press("ArrowUp");
+      expect(input().getAttribute("aria-activedescendant")).toBe(
+        `commandPaletteList-option-${count - 1}`
+      );
+      expect(
+        document.querySelectorAll("[aria-selected=\"true\"]").length
+      ).toBe(1);
+    });
+
+    it("should announce the number of results", () => {
+      openCommandPalette();
+      type("back to top");
+
+      expect(document.querySelector("[role=\"status\"]").textContent).toBe(
+        "1 result"
+      );
+
+      type("zzzz");
+      expect(document.querySelector("[role=\"status\"]").textContent).toBe(
+        "No matching commands"
+      );
+      expect(document.querySelector(".command-palette-empty").hidden).toBe(false);
+      expect(input().hasAttribute("aria-activedescendant")).toBe(false);
+    });
+
+    it("should highlight options under the mouse", () => {
+      openCommandPalette();
+      const option = document.getElementById("commandPaletteList-option-2");
+
+      option.dispatchEvent(new MouseEvent("mousemove", { bubbles: true }));
+
+      expect(option.getAttribute("aria-selected")).toBe("true");
+    });
+  });
+
+  describe("commands", () => {
+    it("should list nav pages, current-page sections and actions", () => {
+      document.querySelector("main").innerHTML +=
+        "<section id=\"intro\" data-command=\"Intro\"></section>";
+
+      openCommandPalette();
+
+      expect(labels()).toEqual(
+        expect.arrayContaining([
+          "Home",
+          "Resume",
+          "Contact",
+          "Intro",
+          "Toggle dark mode",
+          "Back to top",
+          "Open contact form",
+          "Theme: Sepia"
+        ])
+      );
+    });
+
+    it("should add sections fetched from other pages", async () => {
+      openCommandPalette();
+      await flush();
+
+      expect(labels()).toContain("Experience");
+      expect(fetch).not.toHaveBeenCalledWith(
+        "http://localhost/index.html",
+        expect.anything()
+      );
+
+      type("exp");
+      press("Enter");
+      expect(visit).toHaveBeenCalledWith("http://localhost/resume.html#experience");
+    });
+
+    it("should fetch each page only once", async () => {
+      openCommandPalette();
+      await flush();
+      closeCommandPalette();
+      openCommandPalette();
+      await flush();
+
+      expect(labels().filter((label) => label === "Experience")).toHaveLength(1);
+      expect(fetch).not.toHaveBeenCalledWith(
+        "http://localhost/resume.html",
+        expect.anything()
+      );
+    });
+
+    it("should log pages that fail to load and retry later", async () => {
+      document.querySelector(".navbar").innerHTML +=
+        "<a class=\"nav-link\" href=\"projects.html\">Projects</a>";
+      global.fetch = jest.fn(() => respondWith("", false));
+      const sendBeacon = jest.fn(() => true);
+      Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+      document.head.innerHTML = "<meta name=\"error-collector\" content=\"/api/errors\" />";
+
+      openCommandPalette();
+      await flush();
+      expect(console.error).toHaveBeenCalledWith(
+        "Error loading commands:",
+        "http://localhost/projects.html",
+        expect.any(Error)
+      );
+      expect(sendBeacon.mock.calls.map(([, body]) => JSON.parse(body))).toContainEqual(
+        expect.objectContaining({ source: "commands", url: "http://localhost/projects.html" })
+      );
+      document.head.innerHTML = "";
+      delete navigator.sendBeacon;
+
+      closeCommandPalette();
+      openCommandPalette();
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should list the projects on the projects page", async () => {
+      document.querySelector(".navbar").innerHTML =
+        "<a class=\"nav-link\" href=\"/projects.html\">Projects</a>";
+      global.fetch = jest.fn(() =>
+        respondWith(
+          `<main>${renderProjectList([
+            { title: "Kitty Cam", summary: "A cat camera", status: "active", startDate: "2024" }
+          ])}</main>`
+        )
+      );
+
+      openCommandPalette();
+      await flush();
+      type("kitty");
+
+      expect(labels()[0]).toBe("Kitty Cam");
+      press("Enter");
+      expect(visit).toHaveBeenCalledWith("http://localhost/projects.html#kitty-cam");
+    });
+
+    it("should not fetch pages on other origins", () => {
+      document.querySelector(".navbar").innerHTML =
+        "<a class=\"nav-link\" href=\"https://example.com/resume.html\">Resume</a>";
+
+      openCommandPalette();
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("should navigate to a page with Enter", () => {
+      openCommandPalette();
+      type("contact");
+
+      press("Enter");
+
+      expect(visit).toHaveBeenCalledWith("http://localhost/contact.html");
+      expect(document.getElementById("commandPalette").hidden).toBe(true);
+    });
+
+    it("should run clicked options", () => {
+      openCommandPalette();
+      type("back to top");
+
+      document.querySelector("[role=\"option\"] span").click();
+
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 0, behavior: "smooth" });
+    });
+
+    it("should toggle dark mode", () => {
+      openCommandPalette();
+      type("toggle dark");
+      press("Enter");
+
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+
+      openCommandPalette();
+      type("toggle dark");
+      press("Enter");
+
+      expect(document.documentElement.getAttribute("data-theme")).toBe("light");
+    });
+
+    it("should switch to a specific theme", () => {
+      openCommandPalette();
+      type("theme sepia");
+      press("Enter");
+
+      expect(document.documentElement.getAttribute("data-theme-preference")).toBe(
+        "sepia"
+      );
+    });
+
+    it("should open the contact page from elsewhere", () => {
+      openCommandPalette();
+      type("open contact");
+      press("Enter");
+
+      expect(visit).toHaveBeenCalledWith("http://localhost/contact.html");
+    });
+
+    it("should focus the contact form when it's on the page", () => {
+      document.querySelector("main").innerHTML =
+        "<form id=\"contactForm\"><input id=\"name\" /></form>";
+
+      openCommandPalette();
+      type("open contact");
+      press("Enter");
+
+      expect(document.activeElement.id).toBe("name");
+      expect(visit).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing on Enter without results", () => {
+      openCommandPalette();
+      type("zzzz");
+
+      press("Enter");
+
+      expect(document.getElementById("commandPalette").hidden).toBe(false);
+      expect(visit).not.toHaveBeenCalled();
+    });
+  });
+});
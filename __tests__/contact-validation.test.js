@@ -4,6 +4,7 @@
  */
 
 import { jest } from "@jest/globals";
+import { flush } from "../js/analytics.js";
 import {
   sanitizeInput,
   isValidName,
@@ -12,6 +13,8 @@ import {
   isValidMessage
 } from "../js/validation-helpers.js";
 import {
+  initPage,
+  updateOfflineNotice,
   validateContactForm,
   submitForm,
   showErrorModal,
@@ -1037,6 +1040,81 @@ describe("Contact Form Validation (contact-validation.js)", () => {
     });
 
 
+    it("should bind the submit handler when initPage runs", () => {
+      const form = { addEventListener: jest.fn() };
+      global.document.getElementById = jest.fn((id) =>
+        id === "contactForm" ? form : null
+      );
+
+      initPage();
+
+      expect(form.addEventListener).toHaveBeenCalledWith(
+        "submit",
+        validateContactForm
+      );
+    });
+
+    it("should do nothing in initPage without a contact form", () => {
+      global.document.getElementById = jest.fn(() => null);
+
+      expect(() => initPage()).not.toThrow();
+    });
+
+    it("should show the offline notice and disable sending while offline", () => {
+      const notice = { classList: { toggle: jest.fn() } };
+      const submitButton = { disabled: false };
+      global.document.getElementById = jest.fn((id) => {
+        if (id === "offlineNotice") return notice;
+        if (id === "submitButton") return submitButton;
+        return null;
+      });
+      const onLineSpy = jest.spyOn(navigator, "onLine", "get");
+
+      onLineSpy.mockReturnValue(false);
+      updateOfflineNotice();
+      expect(notice.classList.toggle).toHaveBeenLastCalledWith("d-none", false);
+      expect(submitButton.disabled).toBe(true);
+
+      onLineSpy.mockReturnValue(true);
+      updateOfflineNotice();
+      expect(notice.classList.toggle).toHaveBeenLastCalledWith("d-none", true);
+      expect(submitButton.disabled).toBe(false);
+
+      onLineSpy.mockRestore();
+    });
+
+    it("should explain a failed send while offline", async () => {
+      const notice = { classList: { toggle: jest.fn() } };
+      const submitButton = { disabled: false, innerHTML: "Submit" };
+      const modalBody = { innerHTML: "" };
+      global.document.getElementById = jest.fn((id) => {
+        if (id === "offlineNotice") return notice;
+        if (id === "submitButton") return submitButton;
+        return null;
+      });
+      global.document.createElement = jest.fn(() => ({
+        querySelector: jest.fn(() => modalBody)
+      }));
+      global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+      const onLineSpy = jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      await submitForm({ name: "Test", email: "test@example.com", message: "Hello" });
+
+      expect(modalBody.innerHTML).toContain("You're offline");
+      expect(submitButton.disabled).toBe(true);
+      expect(notice.classList.toggle).toHaveBeenCalledWith("d-none", false);
+
+      onLineSpy.mockRestore();
+      consoleSpy.mockRestore();
+    });
+
+    it("should ignore connectivity changes on pages without the notice", () => {
+      global.document.getElementById = jest.fn(() => null);
+
+      expect(() => updateOfflineNotice()).not.toThrow();
+    });
+
     it("should test createErrorModal function creation", () => {
       global.document.createElement = jest.fn((tag) => {
         if (tag === "div") {
@@ -1140,4 +1218,209 @@ describe("Contact Form Validation (contact-validation.js)", () => {
       expect(document.addEventListener).toHaveBeenCalledWith("DOMContentLoaded", expect.any(Function));
     });
   });
+
+  describe("Announcements and focus", () => {
+    // document.querySelector is mocked by the suite, so search from <body>
+    const announced = (politeness) => {
+      jest.advanceTimersByTime(100);
+      return document.body.querySelector(`[data-announcer="${politeness}"]`).textContent;
+    };
+
+    const hideModal = (id) => {
+      document.body.insertAdjacentHTML("beforeend", `<div id="${id}"></div>`);
+      document.body.lastElementChild.dispatchEvent(
+        new Event("hidden.bs.modal", { bubbles: true })
+      );
+      document.body.lastElementChild.remove();
+    };
+
+    const focusable = () => ({ tabIndex: 0, hasAttribute: jest.fn(), focus: jest.fn() });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should announce validation errors assertively", () => {
+      showErrorModal(["Name is required", "Email is required"]);
+
+      expect(announced("assertive")).toBe("Name is required. Email is required");
+    });
+
+    it("should announce sending and then success politely", async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve({}) })
+      );
+
+      const pending = submitForm({ name: "Test", email: "test@example.com", message: "Hello" });
+      expect(announced("polite")).toBe("Sending your message...");
+
+      await pending;
+      expect(announced("polite")).toBe("Your message was sent.");
+    });
+
+    it("should focus the first invalid field when a contact modal closes", () => {
+      const field = focusable();
+      global.document.querySelector = jest.fn((selector) =>
+        selector === "#contactForm .is-invalid" ? field : null
+      );
+
+      hideModal("validationErrorModal");
+
+      expect(field.focus).toHaveBeenCalled();
+    });
+
+    it("should fall back to the Submit button", () => {
+      const submitButton = { ...focusable(), disabled: false };
+      mockInputElements.submitButton = submitButton;
+      global.document.querySelector = jest.fn(() => null);
+
+      hideModal("successModal");
+
+      expect(submitButton.focus).toHaveBeenCalled();
+    });
+
+    it("should fall back to the first field while sending is disabled", () => {
+      const name = focusable();
+      mockInputElements.name = name;
+      mockInputElements.submitButton.disabled = true;
+      global.document.querySelector = jest.fn(() => null);
+
+      hideModal("successModal");
+
+      expect(name.focus).toHaveBeenCalled();
+    });
+
+    it("should leave focus alone when other modals close", () => {
+      const field = focusable();
+      global.document.querySelector = jest.fn(() => field);
+
+      hideModal("someOtherModal");
+
+      expect(field.focus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Analytics funnel", () => {
+    let sendBeacon;
+
+    // Contact steps recorded since the last flush
+    const steps = () => {
+      flush();
+      return sendBeacon.mock.calls
+        .flatMap(([, body]) => JSON.parse(body).events)
+        .filter((event) => event.type === "contact")
+        .map(({ step, errors }) => (errors ? { step, errors } : { step }));
+    };
+
+    beforeEach(() => {
+      flush();
+      sendBeacon = jest.fn(() => true);
+      Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+      global.document.querySelector = jest.fn(() => ({
+        getAttribute: jest.fn(() => "/api/collect")
+      }));
+    });
+
+    afterEach(() => {
+      delete navigator.sendBeacon;
+    });
+
+    it("should record the form being opened", () => {
+      mockInputElements.contactForm.addEventListener = jest.fn();
+
+      initPage();
+
+      expect(steps()).toEqual([{ step: "opened" }]);
+    });
+
+    it("should record failed validation with the number of errors", () => {
+      validateContactForm({ preventDefault: jest.fn() });
+
+      expect(steps()).toEqual([{ step: "validation_failed", errors: 3 }]);
+    });
+
+    it("should record a submission and its success", async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve({}) })
+      );
+
+      await submitForm({ name: "Test", email: "test@example.com", message: "Hello" });
+
+      expect(steps()).toEqual([{ step: "submitted" }, { step: "succeeded" }]);
+    });
+
+    it("should not record success when sending fails", async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: false, json: () => Promise.resolve({ message: "Nope" }) })
+      );
+
+      await submitForm({ name: "Test", email: "test@example.com", message: "Hello" });
+
+      expect(steps()).toEqual([{ step: "submitted" }]);
+    });
+  });
+
+  describe("Error reports", () => {
+    let sendBeacon;
+
+    const reports = () =>
+      sendBeacon.mock.calls
+        .filter(([url]) => url === "/api/errors")
+        .map(([, body]) => JSON.parse(body));
+
+    beforeEach(() => {
+      sendBeacon = jest.fn(() => true);
+      Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+      global.document.querySelector = jest.fn((selector) => ({
+        getAttribute: jest.fn(() =>
+          selector.includes("error-collector") ? "/api/errors" : "1.1.0"
+        )
+      }));
+    });
+
+    afterEach(() => {
+      delete navigator.sendBeacon;
+    });
+
+    it("should report a contact API that can't be reached", async () => {
+      global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+
+      await submitForm({ name: "Test", email: "test@example.com", message: "Hello" });
+
+      expect(reports()).toEqual([
+        expect.objectContaining({
+          name: "TypeError",
+          message: "Failed to fetch",
+          source: "contact",
+          url: expect.stringContaining("/prod/contact"),
+          release: "1.1.0"
+        })
+      ]);
+    });
+
+    it("should report server errors but not rejected messages", async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: false, status: 400, json: () => Promise.resolve({}) })
+      );
+      await submitForm({ name: "Test", email: "test@example.com", message: "Hello" });
+      expect(reports()).toEqual([]);
+
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: false, status: 503, json: () => Promise.resolve({}) })
+      );
+      await submitForm({ name: "Test", email: "test@example.com", message: "Hello" });
+
+      expect(reports()).toEqual([
+        expect.objectContaining({
+          message: "Contact API responded HTTP 503",
+          source: "contact",
+          status: 503
+        })
+      ]);
+    });
+  });
 });
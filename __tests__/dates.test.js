@@ -0,0 +1,43 @@
+/**
+ * Test suite for dates in data files
+ * Tests all functions in dates.js
+ */
+
+import { DATE_PATTERN, formatDate, formatDateRange, formatDateRangeText } from "../js/dates.js";
+
+describe("Dates (dates.js)", () => {
+  describe("DATE_PATTERN", () => {
+    it("should match years, months and days", () => {
+      ["2019", "2019-06", "2019-06-30"].forEach((date) => {
+        expect(DATE_PATTERN.test(date)).toBe(true);
+      });
+      ["19", "2019-6", "2019-13", "2019-06-32", "June 2019"].forEach((date) => {
+        expect(DATE_PATTERN.test(date)).toBe(false);
+      });
+    });
+  });
+
+  describe("formatDate and formatDateRange", () => {
+    it("should show years, or months and years", () => {
+      expect(formatDate("2019")).toBe("2019");
+      expect(formatDate("2019-06")).toBe("Jun 2019");
+      expect(formatDate("2019-12-25")).toBe("Dec 2019");
+    });
+
+    it("should mark up a range, ongoing without an end date", () => {
+      expect(formatDateRange("2014", "2019-01")).toBe(
+        "<time datetime=\"2014\">2014</time> - <time datetime=\"2019-01\">Jan 2019</time>"
+      );
+      expect(formatDateRange("2019")).toBe("<time datetime=\"2019\">2019</time> - Present");
+      expect(formatDateRange()).toBe("");
+    });
+  });
+
+  describe("formatDateRangeText", () => {
+    it("should show a range as text", () => {
+      expect(formatDateRangeText("2014", "2019-01")).toBe("2014 - Jan 2019");
+      expect(formatDateRangeText("2019-03")).toBe("Mar 2019 - Present");
+      expect(formatDateRangeText()).toBe("");
+    });
+  });
+});
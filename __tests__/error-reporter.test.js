@@ -0,0 +1,199 @@
+/**
+ * Test suite for client-side error reporting
+ * Tests all functions in error-reporter.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  getCollector,
+  getRelease,
+  initErrorReporter,
+  reportError
+} from "../js/error-reporter.js";
+
+describe("Error Reporter (error-reporter.js)", () => {
+  let sendBeacon;
+  let now = Date.now();
+
+  const setNavigator = (name, value) => {
+    Object.defineProperty(navigator, name, { configurable: true, value });
+  };
+
+  // Reports sent so far
+  const sent = () => sendBeacon.mock.calls.map(([, body]) => JSON.parse(body));
+
+  beforeEach(() => {
+    // Every test starts in a fresh rate limit window
+    now += 61000;
+    jest.useFakeTimers({ now });
+    document.head.innerHTML = `
+      <meta name="error-collector" content="/api/errors" />
+      <meta name="release" content="1.1.0" />
+    `;
+    window.history.replaceState(null, "", "/contact.html?ref=home");
+    sendBeacon = jest.fn(() => true);
+    setNavigator("sendBeacon", sendBeacon);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete navigator.sendBeacon;
+    delete navigator.onLine;
+  });
+
+  describe("getCollector", () => {
+    it("should read the collector from the meta tag", () => {
+      expect(getCollector()).toBe("/api/errors");
+    });
+
+    it("should be empty without the meta tag", () => {
+      document.head.innerHTML = "";
+
+      expect(getCollector()).toBe("");
+    });
+  });
+
+  describe("getRelease", () => {
+    it("should read the release from the meta tag", () => {
+      expect(getRelease()).toBe("1.1.0");
+    });
+
+    it("should fall back to unknown", () => {
+      document.head.innerHTML = "";
+
+      expect(getRelease()).toBe("unknown");
+    });
+  });
+
+  describe("reportError", () => {
+    it("should send the error with page, user agent and release", () => {
+      const error = new TypeError("list is undefined");
+
+      expect(reportError(error, { source: "nav", url: "/partials/nav.json" })).toBe(true);
+
+      expect(sendBeacon).toHaveBeenCalledWith("/api/errors", expect.any(String));
+      expect(sent()).toEqual([
+        {
+          name: "TypeError",
+          message: "list is undefined",
+          stack: error.stack,
+          source: "nav",
+          url: "/partials/nav.json",
+          page: "http://localhost/contact.html",
+          userAgent: navigator.userAgent,
+          release: "1.1.0",
+          time: now
+        }
+      ]);
+    });
+
+    it("should describe values that aren't errors", () => {
+      reportError("plain string rejection", { source: "unhandledrejection" });
+
+      expect(sent()[0]).toEqual(
+        expect.objectContaining({ name: "Error", message: "plain string rejection" })
+      );
+      expect(sent()[0]).not.toHaveProperty("stack");
+    });
+
+    it("should truncate long stacks", () => {
+      const error = new Error("deep recursion");
+      error.stack = "at f\n".repeat(1000);
+
+      reportError(error);
+
+      expect(sent()[0].stack).toHaveLength(2000);
+    });
+
+    it("should report the same error only once", () => {
+      expect(reportError(new Error("twice"), { source: "partial" })).toBe(true);
+      expect(reportError(new Error("twice"), { source: "partial" })).toBe(false);
+      expect(reportError(new Error("twice"), { source: "contact" })).toBe(true);
+
+      expect(sendBeacon).toHaveBeenCalledTimes(2);
+    });
+
+    it("should send at most five reports a minute", () => {
+      for (let i = 0; i < 7; i++) {
+        reportError(new Error(`burst ${i}`));
+      }
+      expect(sendBeacon).toHaveBeenCalledTimes(5);
+
+      jest.advanceTimersByTime(60000);
+      reportError(new Error("after the burst"));
+
+      expect(sendBeacon).toHaveBeenCalledTimes(6);
+    });
+
+    it("should not report failed requests while offline", () => {
+      setNavigator("onLine", false);
+
+      expect(reportError(new Error("Failed to fetch"), { url: "/partials/footer.html" })).toBe(
+        false
+      );
+      expect(reportError(new Error("offline but not a request"))).toBe(true);
+    });
+
+    it("should send nothing without a collector or beacon support", () => {
+      document.head.innerHTML = "";
+      expect(reportError(new Error("no collector"))).toBe(false);
+
+      document.head.innerHTML = "<meta name=\"error-collector\" content=\"/api/errors\" />";
+      delete navigator.sendBeacon;
+      expect(reportError(new Error("no beacon"))).toBe(false);
+    });
+  });
+
+  describe("initErrorReporter", () => {
+    beforeAll(() => {
+      initErrorReporter();
+      // A second call must not add a second set of listeners
+      initErrorReporter();
+    });
+
+    it("should report uncaught errors with their location", () => {
+      const error = new ReferenceError("bootstrap is not defined");
+
+      window.dispatchEvent(
+        new ErrorEvent("error", {
+          error,
+          message: error.message,
+          filename: "http://localhost/js/scripts.js",
+          lineno: 12,
+          colno: 3
+        })
+      );
+
+      expect(sent()).toEqual([
+        expect.objectContaining({
+          name: "ReferenceError",
+          message: "bootstrap is not defined",
+          source: "uncaught",
+          file: "http://localhost/js/scripts.js",
+          line: 12,
+          column: 3
+        })
+      ]);
+    });
+
+    it("should ignore opaque errors from other origins", () => {
+      window.dispatchEvent(new ErrorEvent("error", { message: "Script error." }));
+
+      expect(sendBeacon).not.toHaveBeenCalled();
+    });
+
+    it("should report unhandled rejections", () => {
+      const event = new Event("unhandledrejection");
+      event.reason = new Error("search index failed");
+
+      window.dispatchEvent(event);
+
+      expect(sent()).toEqual([
+        expect.objectContaining({
+          message: "search index failed",
+          source: "unhandledrejection"
+        })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Test suite for focus management
+ * Tests all functions in focus.js
+ */
+
+import { focusElement, preserveFocus } from "../js/focus.js";
+
+describe("Focus Management (focus.js)", () => {
+  describe("focusElement", () => {
+    it("should make a non-interactive element focusable from script", () => {
+      document.body.innerHTML = "<section id=\"target\"></section>";
+      const target = document.getElementById("target");
+
+      focusElement(target);
+
+      expect(target.getAttribute("tabindex")).toBe("-1");
+      expect(document.activeElement).toBe(target);
+    });
+
+    it("should leave controls and existing tabindexes alone", () => {
+      document.body.innerHTML = `
+        <button id="button">Go</button>
+        <div id="tabbable" tabindex="0"></div>
+      `;
+
+      focusElement(document.getElementById("button"));
+      expect(document.getElementById("button").hasAttribute("tabindex")).toBe(false);
+      expect(document.activeElement.id).toBe("button");
+
+      focusElement(document.getElementById("tabbable"));
+      expect(document.getElementById("tabbable").getAttribute("tabindex")).toBe("0");
+      expect(document.activeElement.id).toBe("tabbable");
+    });
+  });
+
+  describe("preserveFocus", () => {
+    let container;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <button id="outside">Outside</button>
+        <div id="container">
+          <a href="/a.html">A</a>
+          <button id="search">Search</button>
+          <button>Theme</button>
+        </div>
+      `;
+      container = document.getElementById("container");
+    });
+
+    const replace = (html) => {
+      container.innerHTML = html;
+    };
+
+    it("should refocus the element with the same id", () => {
+      document.getElementById("search").focus();
+      const restore = preserveFocus(container);
+
+      replace("<button>New</button><button id=\"search\">Search</button>");
+      restore();
+
+      expect(document.activeElement.id).toBe("search");
+    });
+
+    it("should refocus the link with the same href", () => {
+      container.querySelector("a").focus();
+      const restore = preserveFocus(container);
+
+      replace("<button>New</button><a href=\"/a.html\">A (renamed)</a>");
+      restore();
+
+      expect(document.activeElement.textContent).toBe("A (renamed)");
+    });
+
+    it("should fall back to the control in the same position", () => {
+      container.querySelectorAll("button")[1].focus();
+      const restore = preserveFocus(container);
+
+      replace("<a href=\"/b.html\">B</a><button>One</button><button>Two</button>");
+      restore();
+
+      expect(document.activeElement.textContent).toBe("Two");
+    });
+
+    it("should fall back to the container itself", () => {
+      document.getElementById("search").focus();
+      const restore = preserveFocus(container);
+
+      replace("<p>Nothing to focus</p>");
+      restore();
+
+      expect(document.activeElement).toBe(container);
+      expect(container.getAttribute("tabindex")).toBe("-1");
+    });
+
+    it("should do nothing when focus was outside the container", () => {
+      const outside = document.getElementById("outside");
+      outside.focus();
+      const restore = preserveFocus(container);
+
+      replace("<button id=\"search\">Search</button>");
+      restore();
+
+      expect(document.activeElement).toBe(outside);
+    });
+
+    it("should not steal focus that has moved on", () => {
+      document.getElementById("search").focus();
+      const restore = preserveFocus(container);
+
+      replace("<button id=\"search\">Search</button>");
+      document.getElementById("outside").focus();
+      restore();
+
+      expect(document.activeElement.id).toBe("outside");
+    });
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Test suite for HTML escaping
+ * Tests all functions in html.js
+ */
+
+import { escapeHtml } from "../js/html.js";
+
+describe("HTML Escaping (html.js)", () => {
+  describe("escapeHtml", () => {
+    it("should escape markup and both kinds of quotes", () => {
+      expect(escapeHtml("<a href=\"x\" title='y'>R&D</a>")).toBe(
+        "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;R&amp;D&lt;/a&gt;"
+      );
+    });
+
+    it("should turn other values into text", () => {
+      expect(escapeHtml(42)).toBe("42");
+    });
+  });
+});
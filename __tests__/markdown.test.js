@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for case study Markdown
+ * Tests all functions in scripts/markdown.mjs
+ */
+
+import {
+  highlightCode,
+  normalizeLanguage,
+  renderInline,
+  renderMarkdown
+} from "../scripts/markdown.mjs";
+
+describe("Case Study Markdown (markdown.mjs)", () => {
+  describe("normalizeLanguage", () => {
+    it("should map aliases to the highlighted languages", () => {
+      expect(normalizeLanguage("JavaScript")).toBe("js");
+      expect(normalizeLanguage("sh")).toBe("bash");
+      expect(normalizeLanguage("css")).toBe("css");
+      expect(normalizeLanguage("")).toBe("");
+      expect(normalizeLanguage(undefined)).toBe("");
+    });
+  });
+
+  describe("highlightCode", () => {
+    it("should wrap JavaScript tokens", () => {
+      expect(highlightCode("const n = load(\"a\", 2); // go", "js")).toBe(
+        "<span class=\"token-keyword\">const</span> n = <span class=\"token-function\">load</span>(" +
+          "<span class=\"token-string\">&quot;a&quot;</span>, <span class=\"token-number\">2</span>); " +
+          "<span class=\"token-comment\">// go</span>"
+      );
+    });
+
+    it("should tell JSON properties from strings", () => {
+      expect(highlightCode("{\"a\": [\"b\", true, -1]}", "json")).toBe(
+        "{<span class=\"token-property\">&quot;a&quot;</span>: [<span class=\"token-string\">&quot;b&quot;</span>, " +
+          "<span class=\"token-literal\">true</span>, <span class=\"token-number\">-1</span>]}"
+      );
+    });
+
+    it("should highlight shell comments and variables", () => {
+      expect(highlightCode("echo \"$HOME\" $USER # hi", "bash")).toBe(
+        "echo <span class=\"token-string\">&quot;$HOME&quot;</span> <span class=\"token-variable\">$USER</span> " +
+          "<span class=\"token-comment\"># hi</span>"
+      );
+      expect(highlightCode("a#b", "sh")).toBe("a#b");
+    });
+
+    it("should highlight HTML tags and attributes", () => {
+      expect(highlightCode("<a href=\"/\">x</a>", "html")).toBe(
+        "<span class=\"token-tag\">&lt;a</span> <span class=\"token-attr\">href</span>=" +
+          "<span class=\"token-string\">&quot;/&quot;</span><span class=\"token-tag\">&gt;</span>x" +
+          "<span class=\"token-tag\">&lt;/a</span><span class=\"token-tag\">&gt;</span>"
+      );
+    });
+
+    it("should highlight CSS properties but not selectors", () => {
+      expect(highlightCode("a:hover { margin: 0 2px; }", "css")).toBe(
+        "a:hover { <span class=\"token-property\">margin</span>: <span class=\"token-number\">0</span> " +
+          "<span class=\"token-number\">2px</span>; }"
+      );
+    });
+
+    it("should only escape other languages", () => {
+      expect(highlightCode("<b>if</b>", "rust")).toBe("&lt;b&gt;if&lt;/b&gt;");
+      expect(highlightCode("if", "")).toBe("if");
+    });
+  });
+
+  describe("renderInline", () => {
+    it("should render code, links, bold and italics", () => {
+      expect(renderInline("Use `a_b*c*` with **care** and *style*, _not_ snake_case")).toBe(
+        "Use <code>a_b*c*</code> with <strong>care</strong> and <em>style</em>, <em>not</em> snake_case"
+      );
+      expect(renderInline("[The **docs**](https://example.com/a_b_c \"Docs\")")).toBe(
+        "<a href=\"https://example.com/a_b_c\" title=\"Docs\">The <strong>docs</strong></a>"
+      );
+    });
+
+    it("should render inline images", () => {
+      expect(renderInline("See ![A chart](/assets/chart.png)")).toBe(
+        "See <img class=\"img-fluid rounded-3\" src=\"/assets/chart.png\" alt=\"A chart\" loading=\"lazy\" />"
+      );
+    });
+
+    it("should escape HTML and refuse script links", () => {
+      expect(renderInline("<script>alert(1)</script> & [x](javascript:void)")).toBe(
+        "&lt;script&gt;alert(1)&lt;/script&gt; &amp; <a href=\"#\">x</a>"
+      );
+      expect(renderInline("[x](data:text/html,hi) [y](mailto:me@example.com) [z](other.html#top)")).toBe(
+        "<a href=\"#\">x</a> <a href=\"mailto:me@example.com\">y</a> <a href=\"other.html#top\">z</a>"
+      );
+    });
+  });
+
+  describe("renderMarkdown", () => {
+    it("should render headings below the page title with unique IDs", () => {
+      expect(renderMarkdown("# Goal\n\n## Goal ##\n\n### How *it* works")).toBe(
+        "<h2 id=\"goal\">Goal</h2>\n<h2 id=\"goal-2\">Goal</h2>\n<h3 id=\"how-it-works\">How <em>it</em> works</h3>"
+      );
+    });
+
+    it("should join a paragraph's lines and end it at the next block", () => {
+      expect(renderMarkdown("One\r\ntwo\n- item\n\nThree")).toBe(
+        "<p>One\ntwo</p>\n<ul><li>item</li></ul>\n<p>Three</p>"
+      );
+    });
+
+    it("should render lists, continuing wrapped and spaced items", () => {
+      expect(renderMarkdown("- one\n  wrapped\n\n- two\n\n3. three\n4) four\n\nAfter")).toBe(
+        "<ul><li>one wrapped</li><li>two</li></ul>\n<ol start=\"3\"><li>three</li><li>four</li></ol>\n<p>After</p>"
+      );
+    });
+
+    it("should render quotes and rules", () => {
+      expect(renderMarkdown("> Quoted\n> **text**\n\n---")).toBe(
+        "<blockquote class=\"blockquote border-start ps-3\"><p>Quoted\n<strong>text</strong></p></blockquote>\n<hr />"
+      );
+    });
+
+    it("should highlight fenced code blocks, leaving Markdown inside alone", () => {
+      expect(renderMarkdown("```JavaScript\nlet a = 1;\n\n# not a heading\n```\nAfter")).toBe(
+        "<pre class=\"code-block\" data-language=\"js\"><code class=\"language-js\">" +
+          "<span class=\"token-keyword\">let</span> a = <span class=\"token-number\">1</span>;\n\n# not a heading" +
+          "</code></pre>\n<p>After</p>"
+      );
+      expect(renderMarkdown("~~~\n<b>\n~~~")).toBe("<pre class=\"code-block\"><code>&lt;b&gt;</code></pre>");
+    });
+
+    it("should close a code block left open at the end", () => {
+      expect(renderMarkdown("```\ncode")).toBe("<pre class=\"code-block\"><code>code</code></pre>");
+    });
+
+    it("should render a lone image as a captioned figure", () => {
+      expect(renderMarkdown("![The home page](/assets/home.png \"In *dark* mode\")")).toBe(
+        "<figure class=\"figure d-block text-center my-4\">" +
+          "<img class=\"figure-img img-fluid rounded-3\" src=\"/assets/home.png\" alt=\"The home page\" loading=\"lazy\" />" +
+          "<figcaption class=\"figure-caption\">In <em>dark</em> mode</figcaption></figure>"
+      );
+    });
+
+    it("should render a paragraph of images as a gallery", () => {
+      const html = renderMarkdown("![One](/a.png \"First\") ![Two](/b.png)\n![Three](javascript:x)");
+
+      expect(html).toMatch(/^<div class="case-study-gallery row [^"]*">/);
+      expect(html.match(/<figure class="col mb-0">/g)).toHaveLength(3);
+      expect(html).toContain(
+        "<a href=\"/a.png\"><img class=\"img-fluid rounded-3 shadow-sm\" src=\"/a.png\" alt=\"One\" loading=\"lazy\" /></a>" +
+          "<figcaption class=\"figure-caption mt-2\">First</figcaption>"
+      );
+      expect(html).toContain("<a href=\"/b.png\">");
+      expect(html).toContain("<a href=\"#\"><img class=\"img-fluid rounded-3 shadow-sm\" src=\"#\"");
+      expect(html.match(/figcaption/g)).toHaveLength(2);
+    });
+
+    it("should keep text next to images in a paragraph", () => {
+      expect(renderMarkdown("Before ![A](/a.png)")).toMatch(/^<p>Before <img /);
+    });
+
+    it("should render nothing for an empty document", () => {
+      expect(renderMarkdown("\n\n")).toBe("");
+    });
+  });
+});
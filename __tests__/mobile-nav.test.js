@@ -0,0 +1,218 @@
+/**
+ * Test suite for the mobile navigation menu
+ * Tests all functions in mobile-nav.js
+ */
+
+import { jest } from "@jest/globals";
+import { initMobileNav } from "../js/mobile-nav.js";
+
+describe("Mobile Navigation (mobile-nav.js)", () => {
+  let toggler;
+  let menu;
+  // The module watches the breakpoint once, the first time a menu is bound
+  const breakpoint = new EventTarget();
+
+  const press = (key, target) => {
+    target.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true }));
+  };
+
+  const isOpen = () => toggler.getAttribute("aria-expanded") === "true";
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav class="navbar">
+        <button class="navbar-toggler" type="button" aria-controls="navbarSupportedContent"
+          aria-expanded="false">Menu</button>
+        <div class="collapse navbar-collapse" id="navbarSupportedContent">
+          <a class="nav-link" href="/resume.html">Resume</a>
+          <button class="theme-toggle" type="button">Theme</button>
+          <ul class="dropdown-menu"><li>Result</li></ul>
+        </div>
+      </nav>
+      <main><a id="outside" href="#x">Outside</a></main>
+    `;
+    toggler = document.querySelector(".navbar-toggler");
+    menu = document.getElementById("navbarSupportedContent");
+    window.matchMedia = jest.fn(() => breakpoint);
+    delete globalThis.bootstrap;
+    initMobileNav(toggler, menu);
+  });
+
+  afterEach(() => {
+    delete globalThis.bootstrap;
+  });
+
+  describe("without Bootstrap", () => {
+    it("should open the menu and focus its first link", () => {
+      toggler.click();
+
+      expect(isOpen()).toBe(true);
+      expect(menu.classList.contains("show")).toBe(true);
+      expect(document.activeElement.textContent).toBe("Resume");
+    });
+
+    it("should close again from the toggler", () => {
+      toggler.click();
+      toggler.click();
+
+      expect(isOpen()).toBe(false);
+      expect(menu.classList.contains("show")).toBe(false);
+    });
+
+    it("should only bind a toggler once", () => {
+      initMobileNav(toggler, menu);
+
+      toggler.click();
+
+      expect(isOpen()).toBe(true);
+    });
+
+    it("should close on Escape and return focus to the toggler", () => {
+      toggler.click();
+
+      press("Escape", document.activeElement);
+
+      expect(isOpen()).toBe(false);
+      expect(document.activeElement).toBe(toggler);
+    });
+
+    it("should leave Escape to an open dropdown inside the menu", () => {
+      toggler.click();
+      menu.querySelector(".dropdown-menu").classList.add("show");
+
+      press("Escape", menu.querySelector(".theme-toggle"));
+
+      expect(isOpen()).toBe(true);
+    });
+
+    it("should ignore Escape while closed", () => {
+      const focusSpy = jest.spyOn(toggler, "focus");
+
+      press("Escape", document.body);
+
+      expect(focusSpy).not.toHaveBeenCalled();
+    });
+
+    it("should close after following a link but not other controls", () => {
+      toggler.click();
+      menu.querySelector(".theme-toggle").click();
+      expect(isOpen()).toBe(true);
+
+      const link = menu.querySelector("a");
+      link.addEventListener("click", (e) => e.preventDefault());
+      link.click();
+      expect(isOpen()).toBe(false);
+    });
+
+    it("should close when clicking outside", () => {
+      toggler.click();
+
+      document.querySelector("main").click();
+
+      expect(isOpen()).toBe(false);
+      expect(document.activeElement).not.toBe(toggler);
+    });
+
+    it("should close when focus leaves the menu", () => {
+      toggler.click();
+
+      menu.dispatchEvent(
+        new FocusEvent("focusout", { relatedTarget: document.getElementById("outside") })
+      );
+      expect(isOpen()).toBe(false);
+    });
+
+    it("should stay open while focus moves within the menu or to the toggler", () => {
+      toggler.click();
+
+      menu.dispatchEvent(
+        new FocusEvent("focusout", { relatedTarget: menu.querySelector(".theme-toggle") })
+      );
+      menu.dispatchEvent(new FocusEvent("focusout", { relatedTarget: toggler }));
+      menu.dispatchEvent(new FocusEvent("focusout", { relatedTarget: null }));
+
+      expect(isOpen()).toBe(true);
+    });
+
+    it("should close after client-side navigation", () => {
+      toggler.click();
+
+      document.dispatchEvent(new CustomEvent("router:navigated"));
+
+      expect(isOpen()).toBe(false);
+    });
+
+    it("should close when the window widens past the breakpoint", () => {
+      toggler.click();
+
+      const narrower = new Event("change");
+      narrower.matches = false;
+      breakpoint.dispatchEvent(narrower);
+      expect(isOpen()).toBe(true);
+
+      const wider = new Event("change");
+      wider.matches = true;
+      breakpoint.dispatchEvent(wider);
+      expect(isOpen()).toBe(false);
+    });
+
+    it("should not add document listeners for a re-rendered header", () => {
+      const addEventListener = jest.spyOn(document, "addEventListener");
+      document.body.innerHTML = document.body.innerHTML;
+      const newToggler = document.querySelector(".navbar-toggler");
+      const newMenu = document.getElementById("navbarSupportedContent");
+
+      initMobileNav(newToggler, newMenu);
+      newToggler.click();
+      document.getElementById("outside").click();
+
+      expect(addEventListener).not.toHaveBeenCalled();
+      expect(newToggler.getAttribute("aria-expanded")).toBe("false");
+      addEventListener.mockRestore();
+    });
+
+    it("should ignore the page once its header is replaced", () => {
+      toggler.click();
+      document.querySelector("nav").remove();
+
+      document.dispatchEvent(new CustomEvent("router:navigated"));
+
+      expect(isOpen()).toBe(true);
+    });
+  });
+
+  describe("with Bootstrap", () => {
+    it("should animate through Bootstrap's Collapse", () => {
+      const collapse = { show: jest.fn(), hide: jest.fn() };
+      globalThis.bootstrap = {
+        Collapse: { getOrCreateInstance: jest.fn(() => collapse) }
+      };
+
+      toggler.click();
+      expect(bootstrap.Collapse.getOrCreateInstance).toHaveBeenCalledWith(menu, {
+        toggle: false
+      });
+      expect(collapse.show).toHaveBeenCalled();
+
+      press("Escape", document.activeElement);
+      expect(collapse.hide).toHaveBeenCalled();
+      expect(isOpen()).toBe(false);
+    });
+  });
+
+  it("should work without matchMedia", async () => {
+    delete window.matchMedia;
+    document.body.innerHTML =
+      "<button class=\"navbar-toggler\" aria-expanded=\"false\"></button><div id=\"menu\"></div>";
+    const otherToggler = document.querySelector("button");
+
+    // A fresh copy of the module, which hasn't bound its listeners yet
+    await jest.isolateModulesAsync(async () => {
+      const mobileNav = await import("../js/mobile-nav.js");
+      mobileNav.initMobileNav(otherToggler, document.getElementById("menu"));
+    });
+    otherToggler.click();
+
+    expect(otherToggler.getAttribute("aria-expanded")).toBe("true");
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Test suite for navigation route matching
+ * Tests all functions in nav-match.js
+ */
+
+import { matchesRoute, normalizePath } from "../js/nav-match.js";
+
+describe("Navigation Route Matching (nav-match.js)", () => {
+  const at = (path) => new URL(path, "https://chrispivonka.com");
+
+  describe("normalizePath", () => {
+    it.each([
+      ["/", "/"],
+      ["/index.html", "/"],
+      ["/index", "/"],
+      ["/resume", "/resume"],
+      ["/resume.html", "/resume"],
+      ["/resume/", "/resume"],
+      ["/projects/index.html", "/projects"],
+      ["/projects/foo.htm", "/projects/foo"],
+      ["//projects//foo.html", "/projects/foo"],
+      ["/caf%C3%A9.html", "/café"],
+      ["/bad%E0.html", "/bad%E0"]
+    ])("should normalize %s to %s", (path, expected) => {
+      expect(normalizePath(path)).toBe(expected);
+    });
+  });
+
+  describe("matchesRoute", () => {
+    it("should treat clean URLs, extensions and trailing slashes alike", () => {
+      expect(matchesRoute("/resume.html", at("/resume"))).toBe(true);
+      expect(matchesRoute("/resume.html", at("/resume/"))).toBe(true);
+      expect(matchesRoute("resume.html", at("/resume.html?ref=cv"))).toBe(true);
+      expect(matchesRoute("/index.html", at("/"))).toBe(true);
+      expect(matchesRoute("/", at("/index.html"))).toBe(true);
+    });
+
+    it("should match exactly by default", () => {
+      expect(matchesRoute("/projects.html", at("/projects/foo.html"))).toBe(false);
+      expect(matchesRoute("/resume.html", at("/projects.html"))).toBe(false);
+    });
+
+    it("should match pages below a prefix link", () => {
+      const prefix = { match: "prefix" };
+
+      expect(matchesRoute("/projects.html", at("/projects/foo.html"), prefix)).toBe(true);
+      expect(matchesRoute("/projects.html", at("/projects"), prefix)).toBe(true);
+      expect(matchesRoute("/projects.html", at("/projects-old.html"), prefix)).toBe(false);
+      expect(matchesRoute("/index.html", at("/resume.html"), prefix)).toBe(false);
+    });
+
+    it("should match hash links only on their section", () => {
+      expect(matchesRoute("#skills", at("/resume.html#skills"))).toBe(true);
+      expect(matchesRoute("/resume#skills", at("/resume.html#skills"))).toBe(true);
+      expect(matchesRoute("/resume.html#skills", at("/resume.html"))).toBe(false);
+      expect(matchesRoute("/resume.html#skills", at("/resume.html#education"))).toBe(false);
+    });
+
+    it("should never match other origins or invalid links", () => {
+      expect(
+        matchesRoute("https://example.com/resume.html", at("/resume.html"))
+      ).toBe(false);
+      expect(matchesRoute("http://[bad", at("/resume.html"))).toBe(false);
+    });
+  });
+});
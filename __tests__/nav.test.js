@@ -0,0 +1,189 @@
+/**
+ * Test suite for header navigation
+ * Tests all functions in nav.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  getNavContext,
+  isVisible,
+  loadNavConfig,
+  NAV_CONDITIONS,
+  renderNavItems,
+  resolveHref
+} from "../js/nav.js";
+
+const CONFIG = {
+  site: "https://chrispivonka.com",
+  items: [
+    { label: "Home", href: "/index.html" },
+    { label: "Projects", href: "/projects.html", match: "prefix" },
+    {
+      label: "Elsewhere",
+      icon: "bi-three-dots",
+      children: [
+        {
+          label: "GitHub",
+          href: "https://github.com/chrispivonka",
+          icon: "bi-github",
+          external: true
+        },
+        { label: "Cam", href: "https://kittycam.chrispivonka.com/", when: "kittycamViewer" }
+      ]
+    },
+    { label: "Cam", href: "https://kittycam.chrispivonka.com/", when: "kittycamViewer" }
+  ]
+};
+
+describe("Header Navigation (nav.js)", () => {
+  const render = (items, context) => {
+    const list = document.createElement("ul");
+    list.innerHTML = renderNavItems(items, context);
+    return list;
+  };
+
+  const mainSite = getNavContext(CONFIG, new URL("https://chrispivonka.com/"), "");
+  const kittycam = getNavContext(
+    CONFIG,
+    new URL("https://kittycam.chrispivonka.com/"),
+    "theme=dark; kc_viewer=1"
+  );
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("getNavContext", () => {
+    it("should tell the main site from its subdomains", () => {
+      expect(mainSite).toEqual({
+        siteUrl: "https://chrispivonka.com",
+        onSubdomain: false,
+        cookie: ""
+      });
+      expect(kittycam.onSubdomain).toBe(true);
+    });
+
+    it("should default to the current page", () => {
+      expect(getNavContext({}).onSubdomain).toBe(false);
+      expect(getNavContext({}).cookie).toBe(document.cookie);
+    });
+  });
+
+  describe("isVisible", () => {
+    it("should show items without conditions", () => {
+      expect(isVisible({ label: "Home" })).toBe(true);
+    });
+
+    it("should check named conditions, negations and lists", () => {
+      expect(isVisible({ when: "kittycamViewer" }, kittycam)).toBe(true);
+      expect(isVisible({ when: "kittycamViewer" }, mainSite)).toBe(false);
+      expect(isVisible({ when: "!subdomain" }, mainSite)).toBe(true);
+      expect(isVisible({ when: ["kittycamViewer", "!subdomain"] }, kittycam)).toBe(false);
+      expect(NAV_CONDITIONS.kittycamViewer({ cookie: "kc_viewer=10" })).toBe(false);
+    });
+
+    it("should hide items with unknown conditions", () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      expect(isVisible({ when: "nope" }, mainSite)).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith("Unknown nav condition:", "nope");
+    });
+  });
+
+  describe("resolveHref", () => {
+    it("should keep links relative on the main site", () => {
+      expect(resolveHref("/resume.html", mainSite)).toBe("/resume.html");
+    });
+
+    it("should point root-relative links at the main site from subdomains", () => {
+      expect(resolveHref("/resume.html", kittycam)).toBe(
+        "https://chrispivonka.com/resume.html"
+      );
+      expect(resolveHref("//cdn.example.com/x", kittycam)).toBe("//cdn.example.com/x");
+      expect(resolveHref("https://github.com/", kittycam)).toBe("https://github.com/");
+    });
+  });
+
+  describe("renderNavItems", () => {
+    it("should render links and hide conditional items by default", () => {
+      const list = render(CONFIG.items);
+
+      const links = Array.from(list.children)
+        .map((item) => item.querySelector("a.nav-link"))
+        .filter(Boolean);
+      expect(links.map((link) => link.getAttribute("href"))).toEqual([
+        "/index.html",
+        "/projects.html"
+      ]);
+      expect(links[1].dataset.match).toBe("prefix");
+      expect(list.querySelectorAll(".dropdown-item")).toHaveLength(1);
+    });
+
+    it("should render dropdown groups", () => {
+      const list = render(CONFIG.items, kittycam);
+
+      const toggle = list.querySelector(".dropdown-toggle");
+      expect(toggle.tagName).toBe("BUTTON");
+      expect(toggle.getAttribute("data-bs-toggle")).toBe("dropdown");
+      expect(toggle.textContent).toBe("Elsewhere");
+      expect(toggle.querySelector(".bi-three-dots")).not.toBeNull();
+      expect(list.querySelectorAll(".dropdown-menu .dropdown-item")).toHaveLength(2);
+    });
+
+    it("should open external links in a new tab", () => {
+      const github = render(CONFIG.items).querySelector(".dropdown-item");
+
+      expect(github.getAttribute("target")).toBe("_blank");
+      expect(github.getAttribute("rel")).toBe("noopener noreferrer");
+      expect(github.textContent).toBe("GitHub (opens in a new tab)");
+    });
+
+    it("should show conditional items and absolute links where they apply", () => {
+      const list = render(CONFIG.items, kittycam);
+
+      expect(list.querySelector("a.nav-link").getAttribute("href")).toBe(
+        "https://chrispivonka.com/index.html"
+      );
+      expect(list.children).toHaveLength(4);
+    });
+
+    it("should escape labels and links and drop bad icons", () => {
+      const list = render([
+        { label: "<b>Bold</b>", href: "/a.html?x=\"y\"", icon: "bi-x\" onclick=\"alert(1)" }
+      ]);
+
+      const link = list.querySelector("a");
+      expect(list.querySelector("b")).toBeNull();
+      expect(link.textContent).toBe("<b>Bold</b>");
+      expect(link.getAttribute("href")).toBe("/a.html?x=\"y\"");
+      expect(link.querySelector("i")).toBeNull();
+    });
+
+    it("should skip malformed items and empty groups", () => {
+      const list = render([
+        null,
+        { href: "/no-label.html" },
+        { label: "No link" },
+        { label: "Empty", children: [{ label: "Hidden", href: "/", when: "kittycamViewer" }] }
+      ]);
+
+      expect(list.children).toHaveLength(0);
+    });
+  });
+
+  describe("loadNavConfig", () => {
+    it("should fetch once and retry after failures", async () => {
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce({ ok: false, status: 500 })
+        .mockResolvedValue({ ok: true, json: () => Promise.resolve(CONFIG) });
+
+      await expect(loadNavConfig()).rejects.toThrow("HTTP 500");
+      await expect(loadNavConfig()).resolves.toEqual(CONFIG);
+      await loadNavConfig();
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch).toHaveBeenCalledWith("/partials/nav.json");
+    });
+  });
+});
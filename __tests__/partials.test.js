@@ -0,0 +1,443 @@
+/**
+ * Test suite for declarative partial includes
+ * Tests all functions in partials.js
+ */
+
+import { jest } from "@jest/globals";
+import { loadIncludes } from "../js/partials.js";
+
+describe("Partial Includes (partials.js)", () => {
+  let partials;
+  let consoleErrorSpy;
+
+  const respond = (url) => {
+    if (!(url in partials)) {
+      return Promise.resolve({ ok: false, status: 404, text: () => "" });
+    }
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      text: () => Promise.resolve(partials[url])
+    });
+  };
+
+  beforeEach(() => {
+    partials = {};
+    document.body.innerHTML = "";
+    sessionStorage.clear();
+    global.fetch = jest.fn(respond);
+    consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    delete global.fetch;
+  });
+
+  it("should fill every element with a data-include attribute", async () => {
+    partials["/partials/header.html"] = "<nav>Header</nav>";
+    partials["/partials/footer.html"] = "<footer>Footer</footer>";
+    document.body.innerHTML = `
+      <div id="header-placeholder" data-include="/partials/header.html"></div>
+      <div id="footer-placeholder" data-include="/partials/footer.html"></div>
+    `;
+
+    await loadIncludes();
+
+    const header = document.getElementById("header-placeholder");
+    expect(header.innerHTML).toBe("<nav>Header</nav>");
+    expect(header.hasAttribute("data-include")).toBe(false);
+    expect(header.getAttribute("data-included")).toBe("/partials/header.html");
+    expect(document.getElementById("footer-placeholder").textContent).toBe(
+      "Footer"
+    );
+  });
+
+  it("should fetch includes in parallel", async () => {
+    let resolveHeader;
+    partials["/partials/footer.html"] = "<footer>Footer</footer>";
+    global.fetch = jest.fn((url) => {
+      if (url === "/partials/header.html") {
+        return new Promise((resolve) => {
+          resolveHeader = resolve;
+        });
+      }
+      return respond(url);
+    });
+    document.body.innerHTML = `
+      <div data-include="/partials/header.html"></div>
+      <div data-include="/partials/footer.html"></div>
+    `;
+
+    const pending = loadIncludes();
+    await Promise.resolve();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    resolveHeader({ ok: true, text: () => Promise.resolve("<nav></nav>") });
+    await pending;
+  });
+
+  it("should fetch a partial used several times only once", async () => {
+    partials["/partials/cta.html"] = "<p>Hire me</p>";
+    document.body.innerHTML = `
+      <div data-include="/partials/cta.html"></div>
+      <div data-include="/partials/cta.html"></div>
+    `;
+
+    await loadIncludes();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(document.querySelectorAll("[data-included]").length).toBe(2);
+  });
+
+  it("should resolve nested includes", async () => {
+    partials["/partials/header.html"] =
+      "<nav><div id=\"nested\" data-include=\"/partials/cta.html\"></div></nav>";
+    partials["/partials/cta.html"] = "<a href=\"contact.html\">Contact</a>";
+    document.body.innerHTML =
+      "<div data-include=\"/partials/header.html\"></div>";
+
+    await loadIncludes();
+
+    expect(document.getElementById("nested").textContent).toBe("Contact");
+  });
+
+  it("should stop recursive includes", async () => {
+    partials["/partials/loop.html"] =
+      "<div data-include=\"/partials/loop.html\"></div>";
+    document.body.innerHTML = "<div data-include=\"/partials/loop.html\"></div>";
+
+    await loadIncludes();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(consoleErrorSpy).toHaveBeenCalledWith(
+      "Skipping recursive partial include:",
+      "/partials/loop.html"
+    );
+  });
+
+  it("should keep styles that DOMParser hoists into the head", async () => {
+    partials["/partials/banner.html"] =
+      "<style>.banner { color: red; }</style><div class=\"banner\">Hi</div>";
+    document.body.innerHTML =
+      "<div id=\"host\" data-include=\"/partials/banner.html\"></div>";
+
+    await loadIncludes();
+
+    const host = document.getElementById("host");
+    expect(host.querySelector("style")).not.toBeNull();
+    expect(host.querySelector(".banner")).not.toBeNull();
+  });
+
+  it("should replace parsed scripts with executable copies", async () => {
+    partials["/partials/widget.html"] =
+      "<div><script src=\"/js/widget.js\" type=\"module\"></script></div>";
+    document.body.innerHTML =
+      "<div id=\"host\" data-include=\"/partials/widget.html\"></div>";
+    const createElementSpy = jest.spyOn(document, "createElement");
+
+    await loadIncludes();
+
+    const script = document.querySelector("#host script");
+    expect(createElementSpy).toHaveBeenCalledWith("script");
+    expect(script.getAttribute("src")).toBe("/js/widget.js");
+    expect(script.getAttribute("type")).toBe("module");
+    expect(script.async).toBe(false);
+    createElementSpy.mockRestore();
+  });
+
+  it("should activate top-level scripts in a partial", async () => {
+    partials["/partials/inline.html"] =
+      "<script data-test=\"inline\">window.__partialRan = true;</script>";
+    document.body.innerHTML =
+      "<div id=\"host\" data-include=\"/partials/inline.html\"></div>";
+
+    await loadIncludes();
+
+    const script = document.querySelector("#host script");
+    expect(script.dataset.test).toBe("inline");
+    expect(script.textContent).toContain("__partialRan");
+  });
+
+  it("should log and leave the element untouched when a fetch fails", async () => {
+    document.body.innerHTML =
+      "<div id=\"host\" data-include=\"/partials/missing.html\">Fallback</div>";
+
+    await loadIncludes();
+
+    const host = document.getElementById("host");
+    expect(host.textContent).toBe("Fallback");
+    expect(host.getAttribute("data-include")).toBe("/partials/missing.html");
+    expect(consoleErrorSpy).toHaveBeenCalledWith(
+      "Error loading partial:",
+      "/partials/missing.html",
+      expect.any(Error)
+    );
+  });
+
+  it("should report partials that fail to load", async () => {
+    document.head.innerHTML = "<meta name=\"error-collector\" content=\"/api/errors\" />";
+    const sendBeacon = jest.fn(() => true);
+    Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+    document.body.innerHTML = "<div data-include=\"/partials/gone.html\"></div>";
+
+    await loadIncludes();
+
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(sendBeacon.mock.calls[0][1])).toEqual(
+      expect.objectContaining({
+        message: "Failed to load partial /partials/gone.html: HTTP 404",
+        source: "partial",
+        url: "/partials/gone.html"
+      })
+    );
+    delete navigator.sendBeacon;
+    document.head.innerHTML = "";
+  });
+
+  it("should skip placeholders pre-rendered at build time", async () => {
+    document.body.innerHTML = `
+      <div id="host" data-included="/partials/header.html"><nav>Built</nav></div>
+      <div data-include="/partials/footer.html" data-included="/partials/footer.html"></div>
+    `;
+
+    await loadIncludes();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(document.getElementById("host").textContent).toBe("Built");
+  });
+
+  it("should ignore empty data-include attributes", async () => {
+    document.body.innerHTML = "<div data-include=\"\"></div>";
+
+    await loadIncludes();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should only search within the given root", async () => {
+    partials["/partials/footer.html"] = "<footer>Footer</footer>";
+    document.body.innerHTML = `
+      <section id="scope"><div data-include="/partials/footer.html"></div></section>
+      <div data-include="/partials/header.html"></div>
+    `;
+
+    await loadIncludes(document.getElementById("scope"));
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith(
+      "/partials/footer.html",
+      expect.any(Object)
+    );
+  });
+
+  describe("Caching and revalidation", () => {
+    const cache = (url, html, etag) => {
+      sessionStorage.setItem(`partial:${url}`, JSON.stringify({ html, etag }));
+    };
+
+    const waitForUpdate = (element) =>
+      new Promise((resolve) => {
+        element.addEventListener("partial:updated", resolve, { once: true });
+      });
+
+    it("should store fetched partials with their ETag", async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          status: 200,
+          headers: new Headers({ ETag: "\"v1\"" }),
+          text: () => Promise.resolve("<nav>Header</nav>")
+        })
+      );
+      document.body.innerHTML =
+        "<div data-include=\"/partials/header.html\"></div>";
+
+      await loadIncludes();
+
+      expect(JSON.parse(sessionStorage.getItem("partial:/partials/header.html")))
+        .toEqual({ html: "<nav>Header</nav>", etag: "\"v1\"" });
+    });
+
+    it("should render from cache before the network responds", async () => {
+      cache("/partials/header.html", "<nav>Cached</nav>", "\"v1\"");
+      global.fetch = jest.fn(() => new Promise(() => {}));
+      document.body.innerHTML =
+        "<div id=\"host\" data-include=\"/partials/header.html\"></div>";
+
+      await loadIncludes();
+
+      expect(document.getElementById("host").textContent).toBe("Cached");
+    });
+
+    it("should revalidate cached partials with If-None-Match", async () => {
+      cache("/partials/header.html", "<nav>Cached</nav>", "\"v1\"");
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 304 }));
+      document.body.innerHTML =
+        "<div id=\"host\" data-include=\"/partials/header.html\"></div>";
+
+      await loadIncludes();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(global.fetch).toHaveBeenCalledWith("/partials/header.html", {
+        cache: "no-cache",
+        headers: { "If-None-Match": "\"v1\"" }
+      });
+      expect(document.getElementById("host").textContent).toBe("Cached");
+    });
+
+    it("should swap in changed markup and announce the update", async () => {
+      let respondToRevalidation;
+      cache("/partials/header.html", "<nav>Old</nav>", "\"v1\"");
+      partials["/partials/header.html"] = "<nav>New</nav>";
+      global.fetch = jest.fn(
+        (url) =>
+          new Promise((resolve) => {
+            respondToRevalidation = () => resolve(respond(url));
+          })
+      );
+      document.body.innerHTML =
+        "<div id=\"host\" data-include=\"/partials/header.html\"></div>";
+      const host = document.getElementById("host");
+      const updated = waitForUpdate(host);
+
+      await loadIncludes();
+      expect(host.textContent).toBe("Old");
+
+      respondToRevalidation();
+      const event = await updated;
+      expect(host.textContent).toBe("New");
+      expect(event.detail.url).toBe("/partials/header.html");
+      expect(
+        JSON.parse(sessionStorage.getItem("partial:/partials/header.html")).html
+      ).toBe("<nav>New</nav>");
+    });
+
+    it("should leave the DOM alone when the body is unchanged", async () => {
+      cache("/partials/header.html", "<nav>Same</nav>", null);
+      partials["/partials/header.html"] = "<nav>Same</nav>";
+      document.body.innerHTML =
+        "<div id=\"host\" data-include=\"/partials/header.html\"></div>";
+      const host = document.getElementById("host");
+      const listener = jest.fn();
+      host.addEventListener("partial:updated", listener);
+      const nav = () => host.querySelector("nav");
+
+      await loadIncludes();
+      const rendered = nav();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(nav()).toBe(rendered);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it("should keep the cached copy when revalidation fails", async () => {
+      cache("/partials/header.html", "<nav>Cached</nav>", "\"v1\"");
+      global.fetch = jest.fn(() => Promise.reject(new Error("offline")));
+      document.body.innerHTML =
+        "<div id=\"host\" data-include=\"/partials/header.html\"></div>";
+
+      await loadIncludes();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(document.getElementById("host").textContent).toBe("Cached");
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        "Error revalidating partial:",
+        "/partials/header.html",
+        expect.any(Error)
+      );
+    });
+
+    it("should ignore corrupted cache entries", async () => {
+      sessionStorage.setItem("partial:/partials/header.html", "{not json");
+      partials["/partials/header.html"] = "<nav>Fresh</nav>";
+      document.body.innerHTML =
+        "<div id=\"host\" data-include=\"/partials/header.html\"></div>";
+
+      await loadIncludes();
+
+      expect(document.getElementById("host").textContent).toBe("Fresh");
+    });
+  });
+
+  describe("Announcements and focus", () => {
+    const announced = () => {
+      jest.advanceTimersByTime(100);
+      const region = document.querySelector("[data-announcer=\"polite\"]");
+      return region ? region.textContent : "";
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should announce a labelled partial loaded from the network", async () => {
+      partials["/partials/header.html"] = "<nav>Header</nav>";
+      document.body.innerHTML =
+        "<div data-include=\"/partials/header.html\" data-include-label=\"Site navigation\"></div>";
+
+      await loadIncludes();
+
+      expect(announced()).toBe("Site navigation loaded");
+    });
+
+    it("should not announce a partial rendered from the cache", async () => {
+      sessionStorage.setItem(
+        "partial:/partials/header.html",
+        JSON.stringify({ html: "<nav>Cached</nav>", etag: null })
+      );
+      global.fetch = jest.fn(() => new Promise(() => {}));
+      document.body.innerHTML =
+        "<div data-include=\"/partials/header.html\" data-include-label=\"Site navigation\"></div>";
+
+      await loadIncludes();
+
+      expect(announced()).toBe("");
+    });
+
+    it("should not announce partials without a label", async () => {
+      partials["/partials/footer.html"] = "<footer>Footer</footer>";
+      document.body.innerHTML = "<div data-include=\"/partials/footer.html\"></div>";
+
+      await loadIncludes();
+
+      expect(announced()).toBe("");
+    });
+
+    it("should announce a labelled partial that fails to load", async () => {
+      document.body.innerHTML =
+        "<div data-include=\"/partials/missing.html\" data-include-label=\"Site navigation\"></div>";
+
+      await loadIncludes();
+
+      expect(announced()).toBe("Site navigation couldn't be loaded");
+    });
+
+    it("should announce an update and keep focus on the same link", async () => {
+      sessionStorage.setItem(
+        "partial:/partials/header.html",
+        JSON.stringify({ html: "<a href=\"/\">Home</a><a href=\"/cv.html\">CV</a>", etag: null })
+      );
+      partials["/partials/header.html"] =
+        "<a href=\"/\">Home</a><a href=\"/now.html\">Now</a><a href=\"/cv.html\">Resume</a>";
+      document.body.innerHTML =
+        "<div id=\"host\" data-include=\"/partials/header.html\" data-include-label=\"Site navigation\"></div>";
+      const host = document.getElementById("host");
+      const updated = new Promise((resolve) => {
+        host.addEventListener("partial:updated", resolve, { once: true });
+      });
+
+      await loadIncludes();
+      host.querySelector("a[href=\"/cv.html\"]").focus();
+      await updated;
+
+      expect(document.activeElement.textContent).toBe("Resume");
+      expect(announced()).toBe("Site navigation updated");
+    });
+  });
+});
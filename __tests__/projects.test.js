@@ -0,0 +1,518 @@
+/**
+ * Test suite for the projects page
+ * Tests all functions in projects.js
+ */
+
+import { jest } from "@jest/globals";
+import { readFileSync } from "node:fs";
+import {
+  DEFAULT_SORT,
+  assertValidProjects,
+  caseStudyList,
+  filterProjects,
+  filtersToSearch,
+  initPage,
+  loadProjects,
+  parseFilters,
+  projectTags,
+  renderCaseStudyList,
+  renderProjectList,
+  renderProjectsSection,
+  renderTagFilters,
+  repoStats,
+  validateProjects,
+  withCaseStudies,
+  withRepoStats
+} from "../js/projects.js";
+
+const PROJECTS = [
+  {
+    title: "Old API",
+    summary: "A serverless API",
+    tags: ["AWS", "Node.js"],
+    links: [{ label: "Source", url: "https://github.com/me/old-api" }],
+    status: "archived",
+    startDate: "2018",
+    endDate: "2020"
+  },
+  {
+    title: "Site",
+    summary: "This <site>",
+    tags: ["JavaScript", "AWS"],
+    status: "active",
+    startDate: "2024-02",
+    repo: "me/site",
+    image: { src: "/assets/site.png", alt: "The home page" }
+  },
+  {
+    title: "Tool",
+    summary: "A command-line tool",
+    status: "maintained",
+    startDate: "2021"
+  }
+];
+const DATA = { projects: PROJECTS };
+const SNAPSHOT = {
+  syncedAt: "2026-10-01T12:00:00.000Z",
+  repos: {
+    "me/site": { stars: 1, language: "JavaScript", lastCommit: "2026-09-30", release: "v2.0.0" }
+  }
+};
+const LISTING = {
+  caseStudies: [
+    {
+      url: "/projects/site.html",
+      title: "Building the <site>",
+      summary: "How it works",
+      date: "2026-10-19",
+      tags: ["JavaScript"],
+      project: "Site"
+    },
+    { url: "/projects/tool.html", title: "Tool notes", summary: "Why a CLI", date: "2025-01" }
+  ]
+};
+
+const titles = (projects) => projects.map((project) => project.title);
+const NO_FILTERS = { tags: [], sort: DEFAULT_SORT, query: "" };
+
+describe("Projects (projects.js)", () => {
+  let consoleErrorSpy;
+
+  const respondWith = (body, ok = true) => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve({ ok, status: ok ? 200 : 404, json: () => Promise.resolve(body) })
+    );
+  };
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    delete global.fetch;
+  });
+
+  describe("validateProjects", () => {
+    it("should accept the site's projects.json", () => {
+      const data = JSON.parse(readFileSync(new URL("../projects.json", import.meta.url), "utf8"));
+
+      expect(validateProjects(data)).toEqual([]);
+    });
+
+    it("should list every problem with its path", () => {
+      const data = {
+        projects: [
+          { title: "A", summary: "B", status: "done", startDate: "2020", repo: "github.com/me/a" },
+          {
+            summary: "B",
+            status: "active",
+            startDate: "2020",
+            endDate: "2019",
+            links: [{ label: "Docs", url: "/docs" }],
+            image: { src: "/a.png" }
+          }
+        ]
+      };
+
+      expect(validateProjects(data)).toEqual([
+        "projects[0].status must be one of \"active\", \"maintained\", \"planned\", \"archived\", not \"done\"",
+        "projects[0].repo must be a GitHub repository like \"owner/name\", not \"github.com/me/a\"",
+        "projects[1].title is required",
+        "projects[1].links[0].url must be an http(s) URL, not \"/docs\"",
+        "projects[1].image.alt is required",
+        "projects[1].endDate must not be before its startDate"
+      ]);
+    });
+
+    it("should require a list of projects", () => {
+      expect(validateProjects([])).toEqual(["The project list must be an object, not an array"]);
+      expect(validateProjects({})).toEqual(["projects is required"]);
+    });
+  });
+
+  describe("assertValidProjects", () => {
+    it("should return valid projects, and throw with every problem listed", () => {
+      expect(assertValidProjects(DATA)).toBe(DATA);
+      expect(() => assertValidProjects({ projects: [{}] }, "projects.json")).toThrow(
+        "Invalid projects in projects.json:\n  - projects[0].title is required"
+      );
+    });
+  });
+
+  describe("repoStats and withRepoStats", () => {
+    it("should attach each project's repository stats", () => {
+      const [old, site] = withRepoStats(DATA, SNAPSHOT).projects;
+
+      expect(site.github).toEqual(SNAPSHOT.repos["me/site"]);
+      expect(old).toBe(PROJECTS[0]);
+      expect(DATA.projects[1].github).toBeUndefined();
+    });
+
+    it("should leave out stats that are missing or malformed", () => {
+      const snapshot = {
+        repos: { "me/site": { stars: -1, language: "", lastCommit: "yesterday", release: "v1" } }
+      };
+
+      expect(repoStats(snapshot, "me/site")).toEqual({ release: "v1" });
+      expect(repoStats(snapshot, "me/other")).toBeNull();
+      expect(repoStats({ repos: { "me/site": "3 stars" } }, "me/site")).toBeNull();
+      expect(repoStats({}, "me/site")).toBeNull();
+      expect(repoStats(null, "me/site")).toBeNull();
+      expect(withRepoStats(DATA, null).projects[1].github).toBeNull();
+    });
+  });
+
+  describe("caseStudyList and withCaseStudies", () => {
+    it("should attach the case studies and link the projects they're about", () => {
+      const data = withCaseStudies(DATA, LISTING);
+
+      expect(data.caseStudies).toEqual(LISTING.caseStudies);
+      expect(data.projects[1].caseStudy).toBe(LISTING.caseStudies[0]);
+      expect(data.projects[0]).toBe(PROJECTS[0]);
+      expect(DATA.caseStudies).toBeUndefined();
+    });
+
+    it("should leave out malformed entries", () => {
+      const listing = {
+        caseStudies: [
+          LISTING.caseStudies[1],
+          { url: "javascript:alert(1)", title: "Bad", summary: "Bad", date: "2025" },
+          { url: "/projects/undated.html", title: "Undated", summary: "No date" },
+          "/projects/text.html"
+        ]
+      };
+
+      expect(caseStudyList(listing)).toEqual([LISTING.caseStudies[1]]);
+      expect(caseStudyList({ caseStudies: "none" })).toEqual([]);
+      expect(caseStudyList(null)).toEqual([]);
+      expect(withCaseStudies(DATA, null).caseStudies).toEqual([]);
+    });
+  });
+
+  describe("projectTags", () => {
+    it("should list each tag once, sorted", () => {
+      expect(projectTags(PROJECTS)).toEqual(["AWS", "JavaScript", "Node.js"]);
+    });
+  });
+
+  describe("parseFilters and filtersToSearch", () => {
+    it("should read tags, sort and text from the query string", () => {
+      expect(parseFilters("?tag=AWS&tag=Node.js&sort=status&q=+api+")).toEqual({
+        tags: ["AWS", "Node.js"],
+        sort: "status",
+        query: "api"
+      });
+    });
+
+    it("should fall back to the defaults", () => {
+      expect(parseFilters("")).toEqual(NO_FILTERS);
+      expect(parseFilters("?sort=stars").sort).toBe(DEFAULT_SORT);
+      expect(parseFilters("?sort=constructor").sort).toBe(DEFAULT_SORT);
+    });
+
+    it("should write only what differs from the defaults", () => {
+      expect(filtersToSearch({ tags: ["C / C++", "AWS"], sort: "status", query: "web app" })).toBe(
+        "?tag=C+%2F+C%2B%2B&tag=AWS&sort=status&q=web+app"
+      );
+      expect(filtersToSearch(NO_FILTERS)).toBe("");
+    });
+
+    it("should round-trip filters", () => {
+      const filters = { tags: ["C / C++"], sort: "status", query: "a&b" };
+
+      expect(parseFilters(filtersToSearch(filters))).toEqual(filters);
+    });
+  });
+
+  describe("filterProjects", () => {
+    it("should list newest first by default", () => {
+      expect(titles(filterProjects(PROJECTS, NO_FILTERS))).toEqual(["Site", "Tool", "Old API"]);
+    });
+
+    it("should sort by status, newest first within a status", () => {
+      const projects = [...PROJECTS, { ...PROJECTS[0], title: "New API", startDate: "2019" }];
+
+      expect(titles(filterProjects(projects, { ...NO_FILTERS, sort: "status" }))).toEqual([
+        "Site",
+        "Tool",
+        "New API",
+        "Old API"
+      ]);
+    });
+
+    it("should keep projects with every selected tag", () => {
+      expect(titles(filterProjects(PROJECTS, { ...NO_FILTERS, tags: ["AWS"] }))).toEqual([
+        "Site",
+        "Old API"
+      ]);
+      expect(titles(filterProjects(PROJECTS, { ...NO_FILTERS, tags: ["AWS", "Node.js"] }))).toEqual([
+        "Old API"
+      ]);
+    });
+
+    it("should match every word of the text in titles, summaries and tags", () => {
+      expect(titles(filterProjects(PROJECTS, { ...NO_FILTERS, query: "serverless NODE" }))).toEqual([
+        "Old API"
+      ]);
+      expect(filterProjects(PROJECTS, { ...NO_FILTERS, query: "serverless tool" })).toEqual([]);
+    });
+
+    it("should not reorder the list it was given", () => {
+      const projects = [...PROJECTS];
+      filterProjects(projects, NO_FILTERS);
+
+      expect(projects).toEqual(PROJECTS);
+    });
+  });
+
+  describe("renderProjectList", () => {
+    it("should render a card per project", () => {
+      document.body.innerHTML = renderProjectList(PROJECTS);
+      const [old, site, tool] = document.querySelectorAll("article");
+
+      expect(old.id).toBe("old-api");
+      expect(old.getAttribute("data-command")).toBe("Old API");
+      expect(old.querySelector("h2").textContent).toBe("Old API");
+      expect(old.querySelector(".badge").textContent).toBe("Archived");
+      expect(old.querySelector(".text-muted").textContent).toBe("2018 - 2020");
+      expect(Array.from(old.querySelectorAll("li"), (li) => li.textContent)).toEqual([
+        "AWS",
+        "Node.js"
+      ]);
+      expect(old.querySelector("a").getAttribute("href")).toBe("https://github.com/me/old-api");
+      expect(old.querySelector("img")).toBeNull();
+      expect(site.querySelector("p").textContent).toBe("This <site>");
+      expect(site.querySelector("img").getAttribute("alt")).toBe("The home page");
+      expect(tool.querySelector("ul, a")).toBeNull();
+    });
+
+    it("should show the repository stats it has", () => {
+      const [site] = withRepoStats({ projects: [PROJECTS[1]] }, SNAPSHOT).projects;
+      document.body.innerHTML = renderProjectList([
+        site,
+        { ...site, title: "Partial", github: { lastCommit: "2026-09" } },
+        { ...site, title: "None", github: {} }
+      ]);
+      const [full, partial, none] = document.querySelectorAll("article");
+      const stats = (card) =>
+        Array.from(card.querySelectorAll("[aria-label=\"GitHub repository\"] li"), (li) => li.textContent);
+
+      expect(stats(full)).toEqual(["1 star", "JavaScript", "Updated Sep 2026", "v2.0.0"]);
+      expect(full.querySelector("li time").getAttribute("datetime")).toBe("2026-09-30");
+      expect(stats(partial)).toEqual(["Updated Sep 2026"]);
+      expect(none.querySelector("[aria-label=\"GitHub repository\"]")).toBeNull();
+      document.body.innerHTML = renderProjectList([{ ...site, github: { stars: 12 } }]);
+      expect(stats(document.querySelector("article"))).toEqual(["12 stars"]);
+    });
+
+    it("should link a project to its case study", () => {
+      const [, site] = withCaseStudies(DATA, LISTING).projects;
+      document.body.innerHTML = renderProjectList([site]);
+      const links = document.querySelectorAll("article a");
+
+      expect(links).toHaveLength(1);
+      expect(links[0].textContent).toBe("Read the case study");
+      expect(links[0].getAttribute("href")).toBe("/projects/site.html");
+    });
+
+    it("should offer to clear the filters when nothing matches", () => {
+      document.body.innerHTML = renderProjectList([]);
+
+      expect(document.body.textContent).toContain("No projects match these filters.");
+      expect(document.querySelector("[data-projects-clear]")).not.toBeNull();
+    });
+  });
+
+  describe("renderTagFilters", () => {
+    it("should render a labelled checkbox per tag", () => {
+      document.body.innerHTML = renderTagFilters(["C / C++", "AWS"]);
+      const inputs = document.querySelectorAll("input[name=\"tag\"]");
+
+      expect(Array.from(inputs, (input) => input.value)).toEqual(["C / C++", "AWS"]);
+      expect(document.querySelector(`label[for="${inputs[0].id}"]`).textContent).toBe("C / C++");
+    });
+  });
+
+  describe("renderCaseStudyList", () => {
+    it("should render a card per case study, newest first as listed", () => {
+      document.body.innerHTML = renderCaseStudyList(LISTING.caseStudies);
+      const links = document.querySelectorAll(".card a");
+
+      expect(document.querySelector("h2").id).toBe("case-studies");
+      expect(Array.from(links, (link) => link.textContent)).toEqual(["Building the <site>", "Tool notes"]);
+      expect(links[1].getAttribute("href")).toBe("/projects/tool.html");
+      expect(document.querySelector("time").textContent).toBe("Oct 2026");
+    });
+
+    it("should render nothing without case studies", () => {
+      expect(renderCaseStudyList([])).toBe("");
+    });
+  });
+
+  describe("renderProjectsSection", () => {
+    it("should render a section by name", () => {
+      const data = withCaseStudies(DATA, LISTING);
+
+      expect(renderProjectsSection("list", DATA)).toBe(renderProjectList(filterProjects(PROJECTS, NO_FILTERS)));
+      expect(renderProjectsSection("tags", DATA)).toBe(renderTagFilters(projectTags(PROJECTS)));
+      expect(renderProjectsSection("case-studies", data)).toBe(renderCaseStudyList(data.caseStudies));
+      expect(renderProjectsSection("case-studies", DATA)).toBe("");
+    });
+
+    it("should reject unknown sections", () => {
+      expect(() => renderProjectsSection("stars", DATA)).toThrow("Unknown projects section: stars");
+    });
+  });
+
+  // loadProjects keeps a successful response for the rest of the page load,
+  // so failures are tested first
+  describe("loadProjects", () => {
+    it("should reject invalid projects and try again next time", async () => {
+      respondWith({ projects: [{ title: "A" }] });
+
+      await expect(loadProjects()).rejects.toThrow("Invalid projects in /projects.json");
+
+      respondWith({}, false);
+      await expect(loadProjects()).rejects.toThrow("HTTP 404");
+      expect(fetch).toHaveBeenCalledWith("/projects.json");
+    });
+  });
+
+  describe("initPage", () => {
+    const contentRendered = jest.fn();
+    const page = (busy = true) => `
+      <main>
+        <form data-project-filters hidden>
+          <input type="search" name="q" />
+          <select name="sort">
+            <option value="date">Newest first</option>
+            <option value="status">By status</option>
+          </select>
+          <div data-projects="tags"${busy ? " aria-busy=\"true\"" : ""}></div>
+        </form>
+        <div data-projects="list"${busy ? " aria-busy=\"true\"" : ""}></div>
+        <div data-projects="case-studies"${busy ? " aria-busy=\"true\"" : ""}></div>
+      </main>
+    `;
+    const shown = () =>
+      Array.from(document.querySelectorAll("[data-projects=\"list\"] h2"), (h2) => h2.textContent);
+    const form = () => document.querySelector("[data-project-filters]");
+
+    beforeAll(() => {
+      document.addEventListener("content:rendered", contentRendered);
+    });
+
+    beforeEach(() => {
+      contentRendered.mockClear();
+      window.history.replaceState(null, "", "/projects.html");
+      document.body.innerHTML = page();
+    });
+
+    it("should leave a notice and hide the filters when the projects can't be loaded", async () => {
+      respondWith({}, false);
+
+      await initPage();
+
+      expect(document.querySelector("[data-projects=\"list\"]").textContent).toContain(
+        "couldn't be loaded"
+      );
+      expect(document.querySelector("[aria-busy]")).toBeNull();
+      expect(form().hidden).toBe(true);
+      expect(consoleErrorSpy).toHaveBeenCalledWith("Error loading projects:", expect.any(Error));
+      expect(contentRendered).toHaveBeenCalledTimes(1);
+    });
+
+    it("should render the projects and chips and show the filters", async () => {
+      const files = { "/projects-github.json": SNAPSHOT, "/case-studies.json": LISTING };
+      global.fetch = jest.fn((url) =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(Object.hasOwn(files, url) ? files[url] : DATA)
+        })
+      );
+
+      await initPage();
+
+      expect(shown()).toEqual(["Site", "Tool", "Old API"]);
+      expect(document.querySelector("#site li time").textContent).toBe("Sep 2026");
+      expect(document.querySelectorAll("input[name=\"tag\"]")).toHaveLength(3);
+      expect(document.querySelector("#site a").getAttribute("href")).toBe("/projects/site.html");
+      expect(document.querySelectorAll("[data-projects=\"case-studies\"] .card")).toHaveLength(2);
+      expect(form().hidden).toBe(false);
+      expect(contentRendered).toHaveBeenCalledTimes(1);
+    });
+
+    it("should start from the filters in the URL, ignoring unknown tags", async () => {
+      window.history.replaceState(null, "", "/projects.html?tag=AWS&tag=Rust&sort=status&q=api");
+
+      await initPage();
+
+      expect(shown()).toEqual(["Old API"]);
+      expect(document.querySelector("input[value=\"AWS\"]").checked).toBe(true);
+      expect(form().elements.sort.value).toBe("status");
+      expect(form().elements.q.value).toBe("api");
+    });
+
+    it("should filter as the form changes and keep the URL in step", async () => {
+      window.history.replaceState({ scrollY: 40 }, "", "/projects.html#top");
+      await initPage();
+
+      const aws = document.querySelector("input[value=\"AWS\"]");
+      aws.checked = true;
+      aws.dispatchEvent(new Event("input", { bubbles: true }));
+
+      expect(shown()).toEqual(["Site", "Old API"]);
+      expect(window.location.search).toBe("?tag=AWS");
+      expect(window.location.hash).toBe("#top");
+      expect(window.history.state).toEqual({ scrollY: 40 });
+
+      form().elements.q.value = "nothing like this";
+      form().elements.q.dispatchEvent(new Event("input", { bubbles: true }));
+
+      expect(shown()).toEqual([]);
+      expect(window.location.search).toBe("?tag=AWS&q=nothing+like+this");
+    });
+
+    it("should clear the filters from the empty list", async () => {
+      window.history.replaceState(null, "", "/projects.html?q=nothing");
+      await initPage();
+
+      document.querySelector("[data-projects-clear]").click();
+
+      expect(shown()).toEqual(["Site", "Tool", "Old API"]);
+      expect(window.location.search).toBe("");
+      expect(document.activeElement).toBe(form().elements.q);
+    });
+
+    it("should not submit the form", async () => {
+      await initPage();
+      const event = new Event("submit", { cancelable: true });
+
+      form().dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it("should filter sections rendered at build time", async () => {
+      document.body.innerHTML = page(false);
+      document.querySelector("[data-projects=\"tags\"]").innerHTML = renderTagFilters(
+        projectTags(PROJECTS)
+      );
+      window.history.replaceState(null, "", "/projects.html?tag=JavaScript");
+
+      await initPage();
+
+      expect(shown()).toEqual(["Site"]);
+      expect(contentRendered).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing on other pages", async () => {
+      document.body.innerHTML = "<main><p>Other</p></main>";
+
+      await initPage();
+
+      expect(document.body.textContent).toBe("Other");
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Test suite for resume exports
+ * Tests all functions in resume-export.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  EXPORT_FORMATS,
+  exportFileName,
+  exportResume,
+  toMarkdown,
+  toPlainText,
+  toVCard
+} from "../js/resume-export.js";
+
+const RESUME = {
+  basics: {
+    name: "Chris Pivonka",
+    label: "Software Engineer",
+    email: "chris@example.com",
+    phone: "+1 555 0100",
+    url: "https://chrispivonka.com",
+    location: { city: "Milwaukee", region: "WI", countryCode: "US" },
+    profiles: [{ network: "GitHub", url: "https://github.com/chrispivonka" }]
+  },
+  work: [
+    {
+      name: "Fandango",
+      position: "Software Engineer",
+      url: "https://www.fandango.com",
+      startDate: "2019-03",
+      summary: "Web apps for *movie* fans",
+      highlights: ["Sped up <checkout>", "Ran on-call"]
+    },
+    { name: "Acme", position: "Intern", startDate: "2012", endDate: "2014" }
+  ],
+  education: [
+    {
+      institution: "Marquette University",
+      location: "Milwaukee, WI",
+      studyType: "Bachelor of Science",
+      area: "Computer Engineering",
+      startDate: "2010",
+      endDate: "2014"
+    }
+  ],
+  skills: [
+    { name: "Languages", keywords: ["C#", "Java"] },
+    { name: "Mentoring" }
+  ]
+};
+
+const MINIMAL = { basics: { name: "Cher" }, work: [], education: [], skills: [] };
+
+describe("Resume Exports (resume-export.js)", () => {
+  describe("toPlainText", () => {
+    it("should list one fact per line under plain section titles", () => {
+      expect(toPlainText(RESUME)).toBe(
+        [
+          "CHRIS PIVONKA",
+          "Software Engineer",
+          "chris@example.com",
+          "+1 555 0100",
+          "Milwaukee, WI",
+          "Website: https://chrispivonka.com",
+          "GitHub: https://github.com/chrispivonka",
+          "",
+          "EXPERIENCE",
+          "",
+          "Software Engineer, Fandango",
+          "Mar 2019 - Present",
+          "Web apps for *movie* fans",
+          "- Sped up <checkout>",
+          "- Ran on-call",
+          "",
+          "Intern, Acme",
+          "2012 - 2014",
+          "",
+          "EDUCATION",
+          "",
+          "Marquette University, Milwaukee, WI",
+          "Bachelor of Science, Computer Engineering",
+          "2010 - 2014",
+          "",
+          "SKILLS",
+          "",
+          "Languages: C#, Java",
+          "",
+          "Mentoring",
+          ""
+        ].join("\n")
+      );
+    });
+
+    it("should leave out empty sections", () => {
+      expect(toPlainText(MINIMAL)).toBe("CHER\n");
+    });
+  });
+
+  describe("toMarkdown", () => {
+    it("should render headings, links, dates and lists", () => {
+      const markdown = toMarkdown(RESUME);
+
+      expect(markdown).toContain("# Chris Pivonka\n\nSoftware Engineer\n\n");
+      expect(markdown).toContain(
+        "[chris@example.com](mailto:chris@example.com) · +1 555 0100 · Milwaukee, WI · " +
+          "[Website](https://chrispivonka.com) · [GitHub](https://github.com/chrispivonka)"
+      );
+      expect(markdown).toContain(
+        "## Experience\n\n### Software Engineer, [Fandango](https://www.fandango.com)\n\n" +
+          "*Mar 2019 - Present*\n\nWeb apps for \\*movie\\* fans\n\n" +
+          "- Sped up \\<checkout\\>\n- Ran on-call"
+      );
+      expect(markdown).toContain("### Intern, Acme\n\n*2012 - 2014*\n\n## Education");
+      expect(markdown).toContain(
+        "### Marquette University\n\nMilwaukee, WI · Bachelor of Science, Computer Engineering · *2010 - 2014*"
+      );
+      expect(markdown.endsWith("## Skills\n\n- **Languages**: C#, Java\n- **Mentoring**\n")).toBe(
+        true
+      );
+    });
+
+    it("should leave out empty sections", () => {
+      expect(toMarkdown(MINIMAL)).toBe("# Cher\n");
+    });
+  });
+
+  describe("toVCard", () => {
+    it("should describe the contact details in vCard 3.0", () => {
+      expect(toVCard(RESUME).split("\r\n")).toEqual([
+        "BEGIN:VCARD",
+        "VERSION:3.0",
+        "N:Pivonka;Chris;;;",
+        "FN:Chris Pivonka",
+        "TITLE:Software Engineer",
+        "EMAIL;TYPE=INTERNET:chris@example.com",
+        "TEL;TYPE=CELL:+1 555 0100",
+        "ADR;TYPE=HOME:;;;Milwaukee;WI;;US",
+        "URL:https://chrispivonka.com",
+        "X-SOCIALPROFILE;TYPE=github:https://github.com/chrispivonka",
+        "END:VCARD",
+        ""
+      ]);
+    });
+
+    it("should escape values and fold long lines", () => {
+      const card = toVCard({
+        ...MINIMAL,
+        basics: { name: "Cher", label: `Singer; actor, producer\\${"x".repeat(80)}` }
+      });
+      const lines = card.split("\r\n");
+
+      expect(lines[2]).toBe("N:;Cher;;;");
+      expect(lines[4]).toBe(`TITLE:Singer\\; actor\\, producer\\\\${"x".repeat(42)}`);
+      expect(lines[4]).toHaveLength(75);
+      expect(lines[5]).toBe(` ${"x".repeat(38)}`);
+    });
+  });
+
+  describe("exportFileName", () => {
+    it("should name downloads after the person", () => {
+      expect(exportFileName("markdown", RESUME)).toBe("chris-pivonka-resume.md");
+      expect(exportFileName("text", RESUME)).toBe("chris-pivonka-resume.txt");
+      expect(exportFileName("vcard", RESUME)).toBe("chris-pivonka.vcf");
+    });
+  });
+
+  describe("in the browser", () => {
+    let blobs;
+    let downloads;
+    let consoleErrorSpy;
+
+    const control = (format, tag = "a") => {
+      document.body.innerHTML =
+        tag === "a"
+          ? `<a href="/resume.${format}" download data-resume-export="${format}"><i></i>Get</a>`
+          : `<button type="button" data-resume-export="${format}">Print</button>`;
+      return document.body.firstElementChild;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      blobs = [];
+      downloads = [];
+      URL.createObjectURL = jest.fn((blob) => {
+        blobs.push(blob);
+        return `blob:${blobs.length}`;
+      });
+      URL.revokeObjectURL = jest.fn();
+      jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+        downloads.push({ href: this.getAttribute("href"), name: this.download });
+      });
+      consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+      delete global.fetch;
+      delete window.print;
+    });
+
+    it("should report a resume that can't be loaded", async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 500 }));
+      const link = control("text");
+
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true });
+      link.querySelector("i").dispatchEvent(event);
+      await jest.advanceTimersByTimeAsync(100);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(consoleErrorSpy).toHaveBeenCalledWith("Error exporting resume:", expect.any(Error));
+      expect(document.querySelector("[data-announcer=\"assertive\"]").textContent).toBe(
+        "The resume couldn't be downloaded. Please try again later."
+      );
+    });
+
+    it("should generate and download an export", async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve(RESUME) })
+      );
+
+      await exportResume("markdown");
+
+      expect(downloads).toEqual([{ href: "blob:1", name: "chris-pivonka-resume.md" }]);
+      expect(blobs[0].type).toBe(EXPORT_FORMATS.markdown.type);
+      const text = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blobs[0]);
+      });
+      expect(text).toBe(toMarkdown(RESUME));
+      expect(document.querySelector("a[href^=\"blob:\"]")).toBeNull();
+
+      jest.advanceTimersByTime(1000);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:1");
+    });
+
+    it("should download instead of following an export link", async () => {
+      const link = control("vcard");
+
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true });
+      link.dispatchEvent(event);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(downloads).toEqual([{ href: "blob:1", name: "chris-pivonka.vcf" }]);
+    });
+
+    it("should open the print dialog for a PDF", () => {
+      window.print = jest.fn();
+
+      control("pdf", "button").click();
+
+      expect(window.print).toHaveBeenCalled();
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    it("should ignore unknown formats and other clicks", () => {
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true });
+      control("docx").dispatchEvent(event);
+      document.body.click();
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Test suite for the resume
+ * Tests all functions in resume.js
+ */
+
+import { jest } from "@jest/globals";
+import { readFileSync } from "node:fs";
+import {
+  assertValidResume,
+  initPage,
+  loadResume,
+  renderEducation,
+  renderProfiles,
+  renderResumeSection,
+  renderSkills,
+  renderWork,
+  validateResume
+} from "../js/resume.js";
+
+const RESUME = {
+  basics: {
+    name: "Chris Pivonka",
+    profiles: [
+      { network: "GitHub", url: "https://github.com/chrispivonka" },
+      { network: "Blog", url: "https://example.com/blog" }
+    ]
+  },
+  work: [
+    {
+      name: "Fandango",
+      position: "Software Engineer",
+      url: "https://www.fandango.com",
+      startDate: "2019-03",
+      summary: "Movies & more",
+      highlights: ["Shipped <checkout>", "Cut load time"]
+    },
+    { name: "Acme", position: "Intern", startDate: "2012", endDate: "2014" }
+  ],
+  education: [
+    {
+      institution: "Marquette University",
+      location: "Milwaukee, WI",
+      studyType: "Bachelor of Science",
+      area: "Computer Engineering",
+      startDate: "2010",
+      endDate: "2014"
+    },
+    { institution: "Online" }
+  ],
+  skills: [
+    { name: "Languages", icon: "bi-code-slash", keywords: ["C", "Java", "JavaScript", "SQL"] },
+    { name: "Other" }
+  ]
+};
+
+describe("Resume (resume.js)", () => {
+  let consoleErrorSpy;
+
+  const respondWith = (body, ok = true) => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve({ ok, status: ok ? 200 : 404, json: () => Promise.resolve(body) })
+    );
+  };
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    delete global.fetch;
+  });
+
+  describe("validateResume", () => {
+    it("should accept the site's resume.json", () => {
+      const resume = JSON.parse(readFileSync(new URL("../resume.json", import.meta.url), "utf8"));
+
+      expect(validateResume(resume)).toEqual([]);
+    });
+
+    it("should accept a resume with only the required fields", () => {
+      expect(
+        validateResume({ basics: { name: "A" }, work: [], education: [], skills: [] })
+      ).toEqual([]);
+    });
+
+    it("should list every problem with its path", () => {
+      const resume = {
+        basics: { profiles: [{ network: "GitHub", url: "github.com/me" }] },
+        work: [
+          { name: "Acme", position: "Engineer", startDate: "June 2019" },
+          { name: "Acme", position: " ", startDate: "2019-06", endDate: "2019-01" },
+          { name: "Acme", position: "Engineer", startDate: "2014-05", endDate: "2014", highlights: "All of it" }
+        ],
+        education: {},
+        skills: [{ name: "Cloud", icon: "cloud", keywords: ["AWS", 42] }]
+      };
+
+      expect(validateResume(resume)).toEqual([
+        "basics.name is required",
+        "basics.profiles[0].url must be an http(s) URL, not \"github.com/me\"",
+        "work[0].startDate must be a date like 2019, 2019-06 or 2019-06-01, not \"June 2019\"",
+        "work[1].position must be non-empty text, not \" \"",
+        "work[1].endDate must not be before its startDate",
+        "work[2].highlights must be an array, not \"All of it\"",
+        "education must be an array, not {}",
+        "skills[0].icon must be a Bootstrap icon class like \"bi-cloud\", not \"cloud\"",
+        "skills[0].keywords[1] must be non-empty text, not 42"
+      ]);
+    });
+
+    it("should check the contact details", () => {
+      const resume = {
+        basics: {
+          name: "A",
+          email: "me at example.com",
+          phone: "",
+          location: { city: "Milwaukee", countryCode: 1 }
+        },
+        work: [],
+        education: [],
+        skills: []
+      };
+
+      expect(validateResume(resume)).toEqual([
+        "basics.email must be an email address, not \"me at example.com\"",
+        "basics.phone must be non-empty text, not \"\"",
+        "basics.location.countryCode must be non-empty text, not 1"
+      ]);
+    });
+
+    it("should require the resume and its sections to be there", () => {
+      expect(validateResume(null)).toEqual(["The resume must be an object, not null"]);
+      expect(validateResume([])).toEqual(["The resume must be an object, not an array"]);
+      expect(validateResume({})).toEqual([
+        "basics is required",
+        "work is required",
+        "education is required",
+        "skills is required"
+      ]);
+    });
+  });
+
+  describe("assertValidResume", () => {
+    it("should return a valid resume", () => {
+      expect(assertValidResume(RESUME)).toBe(RESUME);
+    });
+
+    it("should throw with every problem listed", () => {
+      expect(() => assertValidResume({ basics: {} }, "resume.json")).toThrow(
+        "Invalid resume in resume.json:\n  - basics.name is required\n  - work is required"
+      );
+    });
+  });
+
+  describe("renderWork", () => {
+    it("should render a card per job with dates, links and highlights", () => {
+      document.body.innerHTML = renderWork(RESUME.work);
+      const [first, second] = document.querySelectorAll(".card");
+
+      expect(first.querySelector(".text-primary").textContent).toBe("Mar 2019 - Present");
+      expect(first.querySelector("h3").textContent).toBe("Software Engineer, Fandango");
+      expect(first.querySelector("h3 a").getAttribute("href")).toBe("https://www.fandango.com");
+      expect(first.querySelector(".col-lg-8 div").textContent).toBe("Movies & more");
+      expect(Array.from(first.querySelectorAll("li"), (li) => li.textContent)).toEqual([
+        "Shipped <checkout>",
+        "Cut load time"
+      ]);
+      expect(second.querySelector("h3 a")).toBeNull();
+      expect(second.querySelector("ul")).toBeNull();
+    });
+  });
+
+  describe("renderEducation", () => {
+    it("should render a card per school, leaving out missing fields", () => {
+      document.body.innerHTML = renderEducation(RESUME.education);
+      const [first, second] = document.querySelectorAll(".card");
+
+      expect(first.querySelector(".text-secondary").textContent).toBe("2010 - 2014");
+      expect(Array.from(first.querySelectorAll(".small.text-muted"), (el) => el.textContent)).toEqual([
+        "Milwaukee, WI",
+        "Bachelor of Science",
+        "Computer Engineering"
+      ]);
+      expect(second.querySelector("h3").textContent).toBe("Online");
+      expect(second.querySelector(".text-secondary, .fst-italic")).toBeNull();
+    });
+  });
+
+  describe("renderSkills", () => {
+    it("should lay out keywords in rows of three under each skill", () => {
+      document.body.innerHTML = renderSkills(RESUME.skills);
+      const [languages, other] = document.querySelectorAll(".card-body > div");
+
+      expect(languages.querySelector("h3").textContent).toBe("Languages");
+      expect(languages.querySelector("i").className).toBe("bi bi-code-slash");
+      expect(
+        Array.from(languages.querySelectorAll(".row"), (row) =>
+          Array.from(row.querySelectorAll(".bg-light"), (cell) => cell.textContent)
+        )
+      ).toEqual([["C", "Java", "JavaScript"], ["SQL"]]);
+      expect(languages.querySelector(".row").classList.contains("mb-4")).toBe(true);
+      expect(other.classList.contains("mb-0")).toBe(true);
+      expect(other.querySelector("i, .row")).toBeNull();
+    });
+
+    it("should render nothing without skills", () => {
+      expect(renderSkills([])).toBe("");
+    });
+  });
+
+  describe("renderProfiles", () => {
+    it("should link each profile, with an icon for known networks", () => {
+      document.body.innerHTML = renderProfiles(RESUME.basics.profiles);
+      const [github, blog] = document.querySelectorAll("a");
+
+      expect(github.getAttribute("href")).toBe("https://github.com/chrispivonka");
+      expect(github.querySelector("i").className).toBe("bi bi-github me-1");
+      expect(blog.textContent).toBe("Blog");
+      expect(blog.querySelector("i")).toBeNull();
+      expect(renderProfiles([])).toBe("");
+    });
+  });
+
+  describe("renderResumeSection", () => {
+    it("should render a section by name", () => {
+      expect(renderResumeSection("work", RESUME)).toBe(renderWork(RESUME.work));
+      expect(renderResumeSection("profiles", { basics: { name: "A" } })).toBe("");
+    });
+
+    it("should reject unknown sections", () => {
+      expect(() => renderResumeSection("hobbies", RESUME)).toThrow(
+        "Unknown resume section: hobbies"
+      );
+      expect(() => renderResumeSection("toString", RESUME)).toThrow();
+    });
+  });
+
+  // loadResume keeps a successful response for the rest of the page load,
+  // so failures are tested first
+  describe("loadResume", () => {
+    it("should reject an invalid resume and try again next time", async () => {
+      respondWith({ basics: { name: "A" } });
+
+      await expect(loadResume()).rejects.toThrow("Invalid resume in /resume.json");
+
+      respondWith({}, false);
+      await expect(loadResume()).rejects.toThrow("HTTP 404");
+      expect(fetch).toHaveBeenCalledWith("/resume.json");
+    });
+  });
+
+  describe("initPage", () => {
+    const contentRendered = jest.fn();
+
+    beforeAll(() => {
+      document.addEventListener("content:rendered", contentRendered);
+    });
+
+    beforeEach(() => {
+      contentRendered.mockClear();
+      document.body.innerHTML = `
+        <main>
+          <div data-resume="work" aria-busy="true"></div>
+          <div data-resume="skills" aria-busy="true"></div>
+        </main>
+      `;
+    });
+
+    it("should leave a notice when the resume can't be loaded", async () => {
+      respondWith({}, false);
+
+      await initPage();
+
+      const sections = document.querySelectorAll("[data-resume]");
+      sections.forEach((section) => {
+        expect(section.textContent).toContain("couldn't be loaded");
+        expect(section.hasAttribute("aria-busy")).toBe(false);
+      });
+      expect(consoleErrorSpy).toHaveBeenCalledWith("Error loading resume:", expect.any(Error));
+      expect(contentRendered).toHaveBeenCalledTimes(1);
+    });
+
+    it("should render each busy section and announce it's done", async () => {
+      respondWith(RESUME);
+
+      await initPage();
+
+      const work = document.querySelector("[data-resume=\"work\"]");
+      expect(work.querySelectorAll(".card")).toHaveLength(2);
+      expect(work.hasAttribute("aria-busy")).toBe(false);
+      expect(document.querySelector("[data-resume=\"skills\"] h3").textContent).toBe("Languages");
+      expect(contentRendered).toHaveBeenCalledTimes(1);
+    });
+
+    it("should fetch the resume once per page load", async () => {
+      respondWith(RESUME);
+
+      await initPage();
+      await loadResume();
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("should leave sections rendered at build time alone", async () => {
+      document.body.innerHTML = "<div data-resume=\"work\"><p>Built</p></div>";
+
+      await initPage();
+
+      expect(document.body.textContent).toBe("Built");
+      expect(contentRendered).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,361 @@
+/**
+ * Test suite for the client-side router
+ * Tests all functions in router.js
+ */
+
+import { jest } from "@jest/globals";
+import { initRouter, navigate, visit } from "../js/router.js";
+
+describe("Client-side Router (router.js)", () => {
+  const page = ({
+    title = "Page",
+    main = "",
+    bodyAttrs = "data-router",
+    scripts = ""
+  } = {}) => `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>${title}</title>
+        <meta name="description" content="${title} description" />
+      </head>
+      <body ${bodyAttrs}>
+        <main>${main}</main>
+        ${scripts}
+      </body>
+    </html>
+  `;
+
+  const respondWith = (html, ok = true) =>
+    Promise.resolve({
+      ok,
+      status: ok ? 200 : 500,
+      text: () => Promise.resolve(html)
+    });
+
+  const click = (selector, init = {}) => {
+    const event = new MouseEvent("click", {
+      bubbles: true,
+      cancelable: true,
+      ...init
+    });
+    document.querySelector(selector).dispatchEvent(event);
+    return event;
+  };
+
+  // Let fetch, partial loading and page modules settle
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeAll(() => {
+    document.body.setAttribute("data-router", "");
+    expect(initRouter()).toBe(true);
+  });
+
+  beforeEach(() => {
+    window.history.replaceState(null, "", "/index.html");
+    document.head.innerHTML = "<meta name=\"description\" content=\"Home\" />";
+    document.body.className = "home";
+    document.body.setAttribute("data-router", "");
+    document.body.innerHTML = `
+      <nav><a class="nav-link" href="resume.html">Resume</a></nav>
+      <main><p>Home</p></main>
+    `;
+    global.fetch = jest.fn(() =>
+      respondWith(page({ title: "Resume", main: "<h1>Resume</h1>" }))
+    );
+    window.scrollTo = jest.fn();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("initRouter", () => {
+    it("should stay inactive on pages without data-router", () => {
+      document.body.removeAttribute("data-router");
+
+      expect(initRouter()).toBe(false);
+    });
+
+    it("should be safe to call more than once", () => {
+      expect(initRouter()).toBe(true);
+      expect(initRouter()).toBe(true);
+    });
+  });
+
+  describe("link interception", () => {
+    it("should swap <main> for same-origin page links", async () => {
+      const event = click("a");
+      await flush();
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(fetch).toHaveBeenCalledWith(
+        "http://localhost/resume.html",
+        expect.any(Object)
+      );
+      expect(document.querySelector("main h1").textContent).toBe("Resume");
+      expect(document.querySelector("nav")).not.toBeNull();
+      expect(window.location.pathname).toBe("/resume.html");
+      expect(document.title).toBe("Resume");
+    });
+
+    it.each([
+      ["modifier keys", "<a href=\"resume.html\">x</a>", { ctrlKey: true }],
+      ["middle clicks", "<a href=\"resume.html\">x</a>", { button: 1 }],
+      ["other origins", "<a href=\"https://example.com/a.html\">x</a>", {}],
+      ["new tabs", "<a href=\"resume.html\" target=\"_blank\">x</a>", {}],
+      ["downloads", "<a href=\"resume.html\" download>x</a>", {}],
+      ["opted-out links", "<a href=\"resume.html\" data-no-router>x</a>", {}],
+      ["non-page assets", "<a href=\"assets/resume.pdf\">x</a>", {}],
+      ["in-page anchors", "<a href=\"index.html#top\">x</a>", {}]
+    ])("should ignore %s", (name, link, init) => {
+      document.querySelector("nav").innerHTML = link;
+
+      const event = click("nav a", init);
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("should ignore clicks outside links", () => {
+      click("main p");
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("navigate", () => {
+    it("should update the body class and description", async () => {
+      global.fetch = jest.fn(() =>
+        respondWith(
+          page({ title: "Projects", bodyAttrs: "class=\"bg-light\" data-router" })
+        )
+      );
+
+      await navigate("/projects.html");
+
+      expect(document.body.className).toBe("bg-light");
+      expect(
+        document.querySelector("meta[name=\"description\"]").getAttribute("content")
+      ).toBe("Projects description");
+    });
+
+    it("should announce the navigation and focus the new content", async () => {
+      const listener = jest.fn();
+      document.addEventListener("router:navigated", listener);
+
+      await navigate("/resume.html");
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].detail.url).toBe(
+        "http://localhost/resume.html"
+      );
+      expect(document.activeElement).toBe(document.querySelector("main"));
+      document.removeEventListener("router:navigated", listener);
+    });
+
+    it("should scroll to the top of a new page", async () => {
+      await navigate("/resume.html");
+
+      expect(window.scrollTo).toHaveBeenCalledWith(0, 0);
+    });
+
+    it("should scroll to a hash target on the new page", async () => {
+      global.fetch = jest.fn(() =>
+        respondWith(page({ main: "<section id=\"skills\">Skills</section>" }))
+      );
+      Element.prototype.scrollIntoView = jest.fn();
+
+      await navigate("/resume.html#skills");
+
+      expect(Element.prototype.scrollIntoView).toHaveBeenCalled();
+      expect(window.scrollTo).not.toHaveBeenCalled();
+      delete Element.prototype.scrollIntoView;
+    });
+
+    it("should save the scroll position of the page being left", async () => {
+      window.scrollY = 250;
+
+      await navigate("/resume.html");
+      window.scrollY = 0;
+
+      window.history.back();
+      await flush();
+      await flush();
+
+      expect(window.scrollTo).toHaveBeenLastCalledWith(0, 250);
+    });
+
+    it("should fall back to a full load when the fetch fails", async () => {
+      global.fetch = jest.fn(() => Promise.reject(new Error("offline")));
+
+      await expect(navigate("/resume.html")).resolves.toBe(false);
+      expect(console.error).toHaveBeenCalledWith(
+        "Error loading page:",
+        "http://localhost/resume.html",
+        expect.any(Error)
+      );
+    });
+
+    it("should report pages that fail to load", async () => {
+      const sendBeacon = jest.fn(() => true);
+      Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+      document.head.innerHTML += "<meta name=\"error-collector\" content=\"/api/errors\" />";
+      global.fetch = jest.fn(() => respondWith("", false));
+
+      await navigate("/gone.html");
+
+      expect(JSON.parse(sendBeacon.mock.calls[0][1])).toEqual(
+        expect.objectContaining({ message: "HTTP 500", source: "router", url: "http://localhost/gone.html" })
+      );
+      delete navigator.sendBeacon;
+    });
+
+    it("should fall back to a full load for error responses", async () => {
+      global.fetch = jest.fn(() => respondWith("", false));
+
+      await expect(navigate("/missing.html")).resolves.toBe(false);
+    });
+
+    it("should fall back to a full load for pages without data-router", async () => {
+      global.fetch = jest.fn(() => respondWith(page({ bodyAttrs: "" })));
+
+      await expect(navigate("/kitty-cam.html")).resolves.toBe(false);
+      expect(document.querySelector("main p").textContent).toBe("Home");
+    });
+
+    it("should ignore a response overtaken by a newer navigation", async () => {
+      let resolveSlow;
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(
+          () => new Promise((resolve) => {
+            resolveSlow = resolve;
+          })
+        )
+        .mockImplementationOnce(() =>
+          respondWith(page({ title: "Contact", main: "<h1>Contact</h1>" }))
+        );
+
+      const slow = navigate("/resume.html");
+      await navigate("/contact.html");
+      resolveSlow({
+        ok: true,
+        text: () => Promise.resolve(page({ main: "<h1>Resume</h1>" }))
+      });
+
+      await expect(slow).resolves.toBe(true);
+      expect(document.querySelector("main h1").textContent).toBe("Contact");
+    });
+
+    it("should run initPage() on the new page's modules", async () => {
+      const moduleUrl = new URL("../js/contact-validation.js", import.meta.url).href;
+      global.fetch = jest.fn(() =>
+        respondWith(
+          page({
+            main: "<form id=\"contactForm\"></form>",
+            scripts: `<script type="module" src="${moduleUrl}"></script>`
+          })
+        )
+      );
+      const addListener = jest.spyOn(HTMLFormElement.prototype, "addEventListener");
+
+      await navigate("/contact.html");
+
+      expect(addListener).toHaveBeenCalledWith("submit", expect.any(Function));
+    });
+
+    it("should log page modules that fail to load", async () => {
+      global.fetch = jest.fn(() =>
+        respondWith(
+          page({ scripts: "<script type=\"module\" src=\"js/missing.js\"></script>" })
+        )
+      );
+
+      await expect(navigate("/contact.html")).resolves.toBe(true);
+      expect(console.error).toHaveBeenCalledWith(
+        "Error running page module:",
+        "http://localhost/js/missing.js",
+        expect.anything()
+      );
+    });
+  });
+
+  describe("back and forward", () => {
+    const popState = (state) => {
+      window.dispatchEvent(new PopStateEvent("popstate", { state }));
+      return flush();
+    };
+
+    beforeEach(async () => {
+      // The router only knows which page it shows once it has navigated
+      await navigate("/index.html");
+      fetch.mockClear();
+      window.scrollTo.mockClear();
+    });
+
+    it("should load the page of another history entry", async () => {
+      window.history.replaceState({ scrollY: 120 }, "", "/resume.html");
+
+      await popState({ scrollY: 120 });
+
+      expect(fetch).toHaveBeenCalledWith("http://localhost/resume.html", expect.any(Object));
+      expect(window.scrollTo).toHaveBeenLastCalledWith(0, 120);
+    });
+
+    it("should only scroll between anchors on the same page", async () => {
+      document.querySelector("main").innerHTML =
+        "<a href=\"#skills\">Skills</a><section id=\"skills\"></section>";
+      const section = document.getElementById("skills");
+      section.scrollIntoView = jest.fn();
+      window.scrollY = 300;
+      click("a[href=\"#skills\"]");
+
+      expect(window.history.state).toEqual({ scrollY: 300 });
+
+      window.history.replaceState(null, "", "/index.html#skills");
+      await popState(null);
+      expect(section.scrollIntoView).toHaveBeenCalled();
+
+      window.history.replaceState({ scrollY: 300 }, "", "/index.html");
+      await popState({ scrollY: 300 });
+      expect(window.scrollTo).toHaveBeenLastCalledWith(0, 300);
+      expect(fetch).not.toHaveBeenCalled();
+      expect(document.getElementById("skills")).toBe(section);
+    });
+  });
+
+  describe("visit", () => {
+    it("should go to other pages through the router", async () => {
+      await expect(visit("resume.html")).resolves.toBe(true);
+
+      expect(fetch).toHaveBeenCalledWith(
+        "http://localhost/resume.html",
+        expect.any(Object)
+      );
+      expect(document.querySelector("main h1").textContent).toBe("Resume");
+    });
+
+    it("should only change the hash for anchors on the current page", async () => {
+      document.querySelector("main").innerHTML = "<section id=\"skills\"></section>";
+
+      await expect(visit("/index.html#skills")).resolves.toBe(true);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(window.location.hash).toBe("#skills");
+    });
+
+    it("should scroll again to the anchor already in the URL", async () => {
+      window.history.replaceState(null, "", "/index.html#skills");
+      document.querySelector("main").innerHTML = "<section id=\"skills\"></section>";
+      const section = document.getElementById("skills");
+      section.scrollIntoView = jest.fn();
+
+      await visit("#skills");
+
+      expect(section.scrollIntoView).toHaveBeenCalled();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Test suite for data file validation
+ * Tests all functions in schema.js
+ */
+
+import { invalidDataError, validate } from "../js/schema.js";
+
+const SCHEMA = {
+  type: "object",
+  fields: {
+    title: { type: "string", required: true },
+    status: { type: "enum", values: ["active", "archived"] },
+    tags: { type: "array", items: { type: "string" } }
+  }
+};
+
+describe("Data File Validation (schema.js)", () => {
+  describe("validate", () => {
+    it("should accept a valid value, with fields beyond the schema", () => {
+      expect(validate({ title: "A", status: "active", extra: 1 }, SCHEMA, "The project")).toEqual(
+        []
+      );
+    });
+
+    it("should name the whole value by its subject", () => {
+      expect(validate([], SCHEMA, "The project")).toEqual([
+        "The project must be an object, not an array"
+      ]);
+      expect(validate({}, { type: "array", items: SCHEMA }, "The list")).toEqual([
+        "The list must be an array, not {}"
+      ]);
+    });
+
+    it("should list allowed values for an enum", () => {
+      expect(validate({ title: "A", status: "done" }, SCHEMA, "The project")).toEqual([
+        "status must be one of \"active\", \"archived\", not \"done\""
+      ]);
+    });
+
+    it("should check every item of an array", () => {
+      expect(validate({ title: "A", tags: ["x", ""] }, SCHEMA, "The project")).toEqual([
+        "tags[1] must be non-empty text, not \"\""
+      ]);
+    });
+  });
+
+  describe("invalidDataError", () => {
+    it("should list every problem under a heading", () => {
+      expect(invalidDataError("Invalid data in /x.json", ["a is required", "b is wrong"]).message).toBe(
+        "Invalid data in /x.json:\n  - a is required\n  - b is wrong"
+      );
+    });
+  });
+});
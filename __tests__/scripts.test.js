@@ -4,11 +4,14 @@
  */
 
 import { jest } from "@jest/globals";
+import { flush } from "../js/analytics.js";
 import { loadPartials, initializeScripts } from "../js/scripts.js";
+import { setThemePreference } from "../js/theme.js";
 
 describe("Common Scripts (scripts.js)", () => {
   let mockBackToTopBtn;
   let mockDarkModeToggle;
+  let mockThemeMenu;
   let mockHtml;
   let mockPartialLinks;
   let mockNavbar;
@@ -26,6 +29,17 @@ describe("Common Scripts (scripts.js)", () => {
       addEventListener: jest.fn(),
     };
 
+    mockThemeMenu = {
+      id: "themeMenu",
+      addEventListener: jest.fn(),
+      classList: {
+        toggle: jest.fn(),
+        contains: jest.fn(() => false)
+      },
+      querySelector: jest.fn(() => null),
+      querySelectorAll: jest.fn(() => [])
+    };
+
     mockHtml = {
       classList: {
         add: jest.fn(),
@@ -404,6 +418,19 @@ describe("Common Scripts (scripts.js)", () => {
   });
 
   describe("Real Script Functions", () => {
+    // Build a querySelectorAll mock that reports one data-include element per URL
+    const mockIncludes = (...urls) =>
+      jest.fn((selector) => {
+        if (!selector.startsWith("[data-include]")) return [];
+        return urls.map((url) => ({
+          getAttribute: jest.fn(() => url),
+          setAttribute: jest.fn(),
+          removeAttribute: jest.fn(),
+          replaceChildren: jest.fn(),
+          querySelectorAll: jest.fn(() => [])
+        }));
+      });
+
     it("should export loadPartials function", () => {
       expect(loadPartials).toBeDefined();
       expect(typeof loadPartials).toBe("function");
@@ -422,14 +449,7 @@ describe("Common Scripts (scripts.js)", () => {
         })
       );
 
-      document.getElementById = jest.fn((id) => {
-        if (id === "header-placeholder") {
-          return {
-            replaceChildren: jest.fn()
-          };
-        }
-        return null;
-      });
+      document.querySelectorAll = mockIncludes("/partials/header.html");
 
       try {
         await loadPartials();
@@ -448,14 +468,7 @@ describe("Common Scripts (scripts.js)", () => {
         })
       );
 
-      document.getElementById = jest.fn((id) => {
-        if (id === "footer-placeholder") {
-          return {
-            replaceChildren: jest.fn()
-          };
-        }
-        return null;
-      });
+      document.querySelectorAll = mockIncludes("/partials/footer.html");
 
       try {
         await loadPartials();
@@ -471,6 +484,8 @@ describe("Common Scripts (scripts.js)", () => {
         Promise.reject(new Error("Failed to load"))
       );
 
+      document.querySelectorAll = mockIncludes("/partials/header.html");
+
       try {
         await loadPartials();
       } catch (e) {
@@ -480,6 +495,41 @@ describe("Common Scripts (scripts.js)", () => {
       expect(window.fetch).toHaveBeenCalled();
     });
 
+    it("should re-bind partial scripts when a partial is updated", () => {
+      const mockYearElement = { textContent: "" };
+
+      document.getElementById = jest.fn((id) => {
+        if (id === "current-year") return mockYearElement;
+        return null;
+      });
+
+      document.dispatchEvent(new CustomEvent("partial:updated"));
+
+      expect(mockYearElement.textContent).toBe(new Date().getFullYear());
+    });
+
+    it("should not bind the theme menu twice when another partial is updated", () => {
+      const toggle = {
+        addEventListener: jest.fn(),
+        querySelector: jest.fn(() => ({ classList: { add: jest.fn(), remove: jest.fn() } }))
+      };
+      const search = { addEventListener: jest.fn() };
+
+      document.getElementById = jest.fn((id) => {
+        if (id === "darkModeToggle") return toggle;
+        if (id === "themeMenu") return mockThemeMenu;
+        if (id === "siteSearch") return search;
+        return null;
+      });
+
+      document.dispatchEvent(new CustomEvent("partial:updated", { detail: { url: "/partials/footer.html" } }));
+      document.dispatchEvent(new CustomEvent("partial:updated", { detail: { url: "/partials/footer.html" } }));
+
+      expect(toggle.addEventListener.mock.calls.filter(([type]) => type === "click")).toHaveLength(1);
+      expect(mockThemeMenu.addEventListener.mock.calls.filter(([type]) => type === "click")).toHaveLength(1);
+      expect(search.addEventListener).toHaveBeenCalledTimes(1);
+    });
+
     it("should initialize scripts with back-to-top button", () => {
       document.getElementById = jest.fn((id) => {
         if (id === "current-year") {
@@ -505,6 +555,7 @@ describe("Common Scripts (scripts.js)", () => {
         if (id === "darkModeToggle") {
           return mockDarkModeToggle;
         }
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -548,6 +599,7 @@ describe("Common Scripts (scripts.js)", () => {
         if (id === "darkModeToggle") {
           return mockDarkModeToggle;
         }
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -560,31 +612,6 @@ describe("Common Scripts (scripts.js)", () => {
       expect(window.localStorage.getItem).toHaveBeenCalled();
     });
 
-    it("should respect system dark mode preference when no saved preference", () => {
-      window.localStorage = {
-        getItem: jest.fn(() => null),
-        setItem: jest.fn(),
-        removeItem: jest.fn()
-      };
-
-      window.matchMedia = jest.fn(() => ({ matches: true }));
-
-      document.getElementById = jest.fn((id) => {
-        if (id === "darkModeToggle") {
-          return mockDarkModeToggle;
-        }
-        return null;
-      });
-
-      try {
-        initializeScripts();
-      } catch (e) {
-        // May error due to DOM setup
-      }
-
-      expect(window.matchMedia).toHaveBeenCalledWith("(prefers-color-scheme: dark)");
-    });
-
     it("should handle missing current year element", () => {
       document.getElementById = jest.fn(() => null);
 
@@ -611,6 +638,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       document.getElementById = jest.fn((id) => {
         if (id === "darkModeToggle") return mockToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -639,14 +667,10 @@ describe("Common Scripts (scripts.js)", () => {
         })
       );
 
-      document.getElementById = jest.fn((id) => {
-        if (id === "header-placeholder" || id === "footer-placeholder") {
-          return {
-            replaceChildren: jest.fn()
-          };
-        }
-        return null;
-      });
+      document.querySelectorAll = mockIncludes(
+        "/partials/header.html",
+        "/partials/footer.html"
+      );
 
       try {
         await loadPartials();
@@ -674,6 +698,7 @@ describe("Common Scripts (scripts.js)", () => {
         if (id === "current-year") return mockYearElement;
         if (id === "backToTopBtn") return mockBackToTopBtn;
         if (id === "darkModeToggle") return mockDarkModeToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -713,6 +738,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       document.getElementById = jest.fn((id) => {
         if (id === "darkModeToggle") return mockDarkModeToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -779,6 +805,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       document.getElementById = jest.fn((id) => {
         if (id === "darkModeToggle") return mockDarkModeToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -867,6 +894,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       document.getElementById = jest.fn((id) => {
         if (id === "darkModeToggle") return mockToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -914,12 +942,10 @@ describe("Common Scripts (scripts.js)", () => {
         })
       );
 
-      document.getElementById = jest.fn((id) => {
-        if (id === "header-placeholder" || id === "footer-placeholder") {
-          return { replaceChildren: jest.fn() };
-        }
-        return null;
-      });
+      document.querySelectorAll = mockIncludes(
+        "/partials/header.html",
+        "/partials/footer.html"
+      );
 
       try {
         await loadPartials();
@@ -931,10 +957,6 @@ describe("Common Scripts (scripts.js)", () => {
     });
 
     it("should test partial content parsing and insertion", async () => {
-      const mockPlaceholder = {
-        replaceChildren: jest.fn()
-      };
-
       window.fetch = jest.fn(() =>
         Promise.resolve({
           ok: true,
@@ -942,12 +964,10 @@ describe("Common Scripts (scripts.js)", () => {
         })
       );
 
-      document.getElementById = jest.fn((id) => {
-        if (id === "header-placeholder" || id === "footer-placeholder") {
-          return mockPlaceholder;
-        }
-        return null;
-      });
+      document.querySelectorAll = mockIncludes(
+        "/partials/header.html",
+        "/partials/footer.html"
+      );
 
       try {
         await loadPartials();
@@ -996,6 +1016,7 @@ describe("Common Scripts (scripts.js)", () => {
         if (id === "current-year") return mockYear;
         if (id === "backToTopBtn") return mockBackToTop;
         if (id === "darkModeToggle") return mockDarkToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -1070,6 +1091,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       document.getElementById = jest.fn((id) => {
         if (id === "darkModeToggle") return mockDarkModeToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -1393,6 +1415,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       document.getElementById = jest.fn((id) => {
         if (id === "darkModeToggle") return mockToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -1543,6 +1566,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       document.getElementById = jest.fn((id) => {
         if (id === "darkModeToggle") return mockToggle;
+        if (id === "themeMenu") return mockThemeMenu;
         return null;
       });
 
@@ -1637,6 +1661,8 @@ describe("Common Scripts (scripts.js)", () => {
 
     it("should initialize navbar toggler click handler with Bootstrap", () => {
       const mockNavCollapse = {
+        addEventListener: jest.fn(),
+        querySelector: jest.fn(() => null),
         classList: {
           toggle: jest.fn(),
           contains: jest.fn(() => false)
@@ -1645,10 +1671,11 @@ describe("Common Scripts (scripts.js)", () => {
 
       const mockToggler = {
         addEventListener: jest.fn(),
+        getAttribute: jest.fn(() => "false"),
         setAttribute: jest.fn()
       };
 
-      const mockBsCollapse = { toggle: jest.fn() };
+      const mockBsCollapse = { show: jest.fn(), hide: jest.fn() };
 
       document.querySelector = jest.fn((selector) => {
         if (selector === ".navbar-toggler") return mockToggler;
@@ -1691,14 +1718,20 @@ describe("Common Scripts (scripts.js)", () => {
       const clickHandler = mockToggler.addEventListener.mock.calls[0][1];
       clickHandler();
 
-      expect(globalThis.bootstrap.Collapse.getOrCreateInstance).toHaveBeenCalledWith(mockNavCollapse);
-      expect(mockBsCollapse.toggle).toHaveBeenCalled();
+      expect(globalThis.bootstrap.Collapse.getOrCreateInstance).toHaveBeenCalledWith(
+        mockNavCollapse,
+        { toggle: false }
+      );
+      expect(mockBsCollapse.show).toHaveBeenCalled();
+      expect(mockToggler.setAttribute).toHaveBeenCalledWith("aria-expanded", "true");
 
       delete globalThis.bootstrap;
     });
 
     it("should initialize navbar toggler with fallback when Bootstrap is unavailable", () => {
       const mockNavCollapse = {
+        addEventListener: jest.fn(),
+        querySelector: jest.fn(() => null),
         classList: {
           toggle: jest.fn(),
           contains: jest.fn(() => true)
@@ -1707,6 +1740,7 @@ describe("Common Scripts (scripts.js)", () => {
 
       const mockToggler = {
         addEventListener: jest.fn(),
+        getAttribute: jest.fn(() => "false"),
         setAttribute: jest.fn()
       };
 
@@ -1747,8 +1781,483 @@ describe("Common Scripts (scripts.js)", () => {
       const clickHandler = mockToggler.addEventListener.mock.calls[0][1];
       clickHandler();
 
-      expect(mockNavCollapse.classList.toggle).toHaveBeenCalledWith("show");
+      expect(mockNavCollapse.classList.toggle).toHaveBeenCalledWith("show", true);
       expect(mockToggler.setAttribute).toHaveBeenCalledWith("aria-expanded", "true");
     });
   });
+
+  describe("Theme Menu", () => {
+    let store;
+
+    // Render the real header markup for the theme menu into the document
+    const renderThemeMenu = () => {
+      document.body.innerHTML = `
+        <ul class="navbar-nav">
+          <li class="nav-item dropdown theme-menu">
+            <button id="darkModeToggle" aria-expanded="false">
+              <i class="bi bi-circle-half"></i>
+            </button>
+            <ul id="themeMenu" class="dropdown-menu"></ul>
+          </li>
+        </ul>
+        <p id="outside">Outside</p>
+      `;
+      initializeScripts();
+    };
+
+    const click = (selector) => {
+      document
+        .querySelector(selector)
+        .dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    };
+
+    const keydown = (key) => {
+      document.activeElement.dispatchEvent(
+        new KeyboardEvent("keydown", { key, bubbles: true })
+      );
+    };
+
+    beforeEach(() => {
+      // Use the real jsdom document for these tests
+      delete document.getElementById;
+      delete document.querySelectorAll;
+      delete document.querySelector;
+      delete document.addEventListener;
+      delete document.createElement;
+
+      store = {};
+      Object.defineProperty(window, "localStorage", {
+        value: {
+          getItem: jest.fn((key) => (key in store ? store[key] : null)),
+          setItem: jest.fn((key, value) => {
+            store[key] = String(value);
+          }),
+          removeItem: jest.fn((key) => {
+            delete store[key];
+          })
+        },
+        writable: true
+      });
+      window.matchMedia = jest.fn(() => ({
+        matches: false,
+        addEventListener: jest.fn()
+      }));
+      document.cookie = "theme=; Path=/; Max-Age=0";
+      document.documentElement.className = "";
+    });
+
+    afterEach(() => {
+      document.body.innerHTML = "";
+    });
+
+    it("should render an item for every registered theme", () => {
+      renderThemeMenu();
+
+      const values = Array.from(
+        document.querySelectorAll("#themeMenu [data-theme-value]")
+      ).map((item) => item.getAttribute("data-theme-value"));
+      expect(values).toEqual(["light", "dark", "high-contrast", "sepia", "system"]);
+      expect(
+        document.querySelector("[data-theme-value=\"sepia\"]").textContent.trim()
+      ).toBe("Sepia");
+    });
+
+    it("should take the toggle icon from the selected theme", () => {
+      renderThemeMenu();
+
+      click("[data-theme-value=\"high-contrast\"]");
+
+      const icon = document.querySelector("#darkModeToggle i");
+      expect(icon.classList.contains("bi-eye-fill")).toBe(true);
+      expect(icon.classList.contains("bi-circle-half")).toBe(false);
+      expect(document.documentElement.getAttribute("data-theme")).toBe(
+        "high-contrast"
+      );
+    });
+
+    it("should count theme changes", () => {
+      renderThemeMenu();
+      flush();
+      const sendBeacon = jest.fn(() => true);
+      Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+      document.head.innerHTML =
+        "<meta name=\"analytics-endpoint\" content=\"/api/collect\" />";
+
+      click("[data-theme-value=\"sepia\"]");
+      flush();
+
+      const events = JSON.parse(sendBeacon.mock.calls[0][1]).events;
+      expect(events).toEqual([expect.objectContaining({ type: "theme", theme: "sepia" })]);
+      document.head.innerHTML = "";
+      delete navigator.sendBeacon;
+    });
+
+    it("should count theme changes made outside the menu once", () => {
+      renderThemeMenu();
+      setThemePreference("light");
+      flush();
+      const sendBeacon = jest.fn(() => true);
+      Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+      document.head.innerHTML =
+        "<meta name=\"analytics-endpoint\" content=\"/api/collect\" />";
+
+      // As the command palette does
+      setThemePreference("dark");
+      setThemePreference("dark");
+      flush();
+
+      const events = JSON.parse(sendBeacon.mock.calls[0][1]).events;
+      expect(events).toEqual([expect.objectContaining({ type: "theme", theme: "dark" })]);
+      document.head.innerHTML = "";
+      delete navigator.sendBeacon;
+    });
+
+    it("should show the icon and checked item for the saved preference", () => {
+      store.theme = "dark";
+      renderThemeMenu();
+
+      const icon = document.querySelector("#darkModeToggle i");
+      expect(icon.classList.contains("bi-moon-fill")).toBe(true);
+      expect(icon.classList.contains("bi-circle-half")).toBe(false);
+      expect(
+        document
+          .querySelector("[data-theme-value=\"dark\"]")
+          .getAttribute("aria-checked")
+      ).toBe("true");
+    });
+
+    it("should update when the theme is changed outside the menu", () => {
+      renderThemeMenu();
+
+      setThemePreference("light");
+
+      const icon = document.querySelector("#darkModeToggle i");
+      expect(icon.classList.contains("bi-sun-fill")).toBe(true);
+      expect(
+        document
+          .querySelector("[data-theme-value=\"light\"]")
+          .getAttribute("aria-checked")
+      ).toBe("true");
+    });
+
+    it("should migrate a legacy darkMode value", () => {
+      store.darkMode = "enabled";
+      renderThemeMenu();
+
+      expect(store.theme).toBe("dark");
+      expect(store.darkMode).toBeUndefined();
+    });
+
+    it("should open and close the menu from the toggle", () => {
+      renderThemeMenu();
+      const toggle = document.getElementById("darkModeToggle");
+      const menu = document.getElementById("themeMenu");
+
+      click("#darkModeToggle");
+      expect(menu.classList.contains("show")).toBe(true);
+      expect(toggle.getAttribute("aria-expanded")).toBe("true");
+      expect(document.activeElement.getAttribute("data-theme-value")).toBe(
+        "system"
+      );
+
+      click("#darkModeToggle");
+      expect(menu.classList.contains("show")).toBe(false);
+      expect(toggle.getAttribute("aria-expanded")).toBe("false");
+    });
+
+    it("should save and apply the chosen preference", () => {
+      renderThemeMenu();
+
+      click("#darkModeToggle");
+      click("[data-theme-value=\"dark\"]");
+
+      expect(store.theme).toBe("dark");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+      expect(document.getElementById("themeMenu").classList.contains("show")).toBe(
+        false
+      );
+      expect(document.activeElement.id).toBe("darkModeToggle");
+
+      click("#darkModeToggle");
+      click("[data-theme-value=\"light\"]");
+
+      expect(store.theme).toBe("light");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(false);
+    });
+
+    it("should ignore clicks between menu items", () => {
+      renderThemeMenu();
+
+      click("#darkModeToggle");
+      click("#themeMenu");
+
+      expect(store.theme).toBeUndefined();
+    });
+
+    it("should move between items with the arrow keys", () => {
+      renderThemeMenu();
+      click("#darkModeToggle");
+
+      keydown("ArrowDown");
+      expect(document.activeElement.getAttribute("data-theme-value")).toBe(
+        "light"
+      );
+
+      keydown("ArrowUp");
+      expect(document.activeElement.getAttribute("data-theme-value")).toBe(
+        "system"
+      );
+    });
+
+    it("should close on Escape and return focus to the toggle", () => {
+      renderThemeMenu();
+      click("#darkModeToggle");
+
+      keydown("Escape");
+
+      expect(document.getElementById("themeMenu").classList.contains("show")).toBe(
+        false
+      );
+      expect(document.activeElement.id).toBe("darkModeToggle");
+    });
+
+    it("should close when clicking outside the menu", () => {
+      renderThemeMenu();
+      click("#darkModeToggle");
+
+      click("#outside");
+
+      expect(document.getElementById("themeMenu").classList.contains("show")).toBe(
+        false
+      );
+    });
+  });
+
+  describe("Service Worker Registration", () => {
+    let register;
+
+    beforeEach(() => {
+      // Use the real jsdom document for these tests
+      delete document.getElementById;
+      delete document.querySelectorAll;
+      delete document.querySelector;
+      delete document.addEventListener;
+      delete document.createElement;
+
+      register = jest.fn(() => Promise.resolve());
+      Object.defineProperty(navigator, "serviceWorker", {
+        value: { register },
+        configurable: true
+      });
+    });
+
+    afterEach(() => {
+      delete navigator.serviceWorker;
+      document.head.innerHTML = "";
+    });
+
+    it("should register sw.js on pages that link the manifest", () => {
+      document.head.innerHTML = "<link rel=\"manifest\" href=\"manifest.json\" />";
+
+      initializeScripts();
+
+      expect(register).toHaveBeenCalledWith("/sw.js");
+    });
+
+    it("should not register on pages without the manifest", () => {
+      initializeScripts();
+
+      expect(register).not.toHaveBeenCalled();
+    });
+
+    it("should log registration failures", async () => {
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+      const error = new Error("SecurityError");
+      register.mockReturnValue(Promise.reject(error));
+      document.head.innerHTML = "<link rel=\"manifest\" href=\"manifest.json\" />";
+
+      initializeScripts();
+      await Promise.resolve();
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        "Error registering service worker:",
+        error
+      );
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("Site Search", () => {
+    beforeEach(() => {
+      // Use the real jsdom document for these tests
+      delete document.getElementById;
+      delete document.querySelectorAll;
+      delete document.querySelector;
+      delete document.addEventListener;
+      delete document.createElement;
+
+      document.body.innerHTML = `
+        <form id="siteSearch" role="search">
+          <input id="siteSearchInput" type="search" aria-controls="siteSearchResults" />
+          <ul id="siteSearchResults"></ul>
+          <div role="status"></div>
+        </form>
+      `;
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              version: 1,
+              pages: [{ url: "/resume.html", title: "Resume" }],
+              entries: [{ p: 0, a: "skills", h: "Languages", t: "JavaScript Python" }]
+            })
+        })
+      );
+    });
+
+    it("should load the search module on first focus", async () => {
+      initializeScripts();
+      const input = document.getElementById("siteSearchInput");
+      input.value = "python";
+
+      input.focus();
+      // Dynamic import, index fetch and rendering
+      for (let i = 0; i < 5; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+
+      const link = document.querySelector("#siteSearchResults a");
+      expect(link.getAttribute("href")).toBe("/resume.html#skills");
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("Active Nav Link", () => {
+    beforeEach(() => {
+      // Use the real jsdom document for these tests
+      delete document.getElementById;
+      delete document.querySelectorAll;
+      delete document.querySelector;
+      delete document.addEventListener;
+      delete document.createElement;
+
+      document.body.innerHTML = `
+        <nav class="navbar">
+          <a class="nav-link" href="/index.html">Home</a>
+          <a class="nav-link" href="/resume.html">Resume</a>
+          <a class="nav-link" href="/projects.html" data-match="prefix">Projects</a>
+          <a class="nav-link" href="/resume.html#skills">Skills</a>
+          <a class="nav-link" href="https://github.com/chrispivonka">GitHub</a>
+        </nav>
+      `;
+    });
+
+    afterEach(() => {
+      window.history.replaceState(null, "", "/");
+    });
+
+    const active = () =>
+      Array.from(document.querySelectorAll(".nav-link[aria-current=\"page\"]")).map(
+        (link) => link.textContent
+      );
+
+    it.each([
+      ["/", ["Home"]],
+      ["/resume", ["Resume"]],
+      ["/resume/", ["Resume"]],
+      ["/projects/foo.html", ["Projects"]],
+      ["/contact.html", []]
+    ])("should highlight the link for %s", (path, expected) => {
+      window.history.replaceState(null, "", path);
+
+      initializeScripts();
+
+      expect(active()).toEqual(expected);
+      expect(document.querySelectorAll(".nav-link.active")).toHaveLength(expected.length);
+    });
+
+    it("should follow hash changes", () => {
+      window.history.replaceState(null, "", "/resume.html");
+      initializeScripts();
+      expect(active()).toEqual(["Resume"]);
+
+      window.history.replaceState(null, "", "/resume.html#skills");
+      window.dispatchEvent(new Event("hashchange"));
+
+      expect(active()).toEqual(["Resume", "Skills"]);
+    });
+  });
+
+  describe("Navigation", () => {
+    const flush = async () => {
+      for (let i = 0; i < 3; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    };
+
+    beforeEach(() => {
+      // Use the real jsdom document for these tests
+      delete document.getElementById;
+      delete document.querySelectorAll;
+      delete document.querySelector;
+      delete document.addEventListener;
+      delete document.createElement;
+
+      document.body.innerHTML = `
+        <nav class="navbar">
+          <ul class="navbar-nav" data-nav="/partials/nav.json">
+            <li class="nav-item"><a class="nav-link" href="/index.html">Pre-rendered</a></li>
+          </ul>
+        </nav>
+      `;
+      window.history.replaceState(null, "", "/projects/foo.html");
+    });
+
+    afterEach(() => {
+      window.history.replaceState(null, "", "/");
+    });
+
+    // Runs first: the config is cached once it loads
+    it("should keep the pre-rendered links if the config fails to load", async () => {
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+      const error = new Error("offline");
+      global.fetch = jest.fn(() => Promise.reject(error));
+
+      initializeScripts();
+      await flush();
+
+      expect(errorSpy).toHaveBeenCalledWith("Error loading navigation:", error);
+      expect(document.querySelector(".nav-link").textContent).toBe("Pre-rendered");
+    });
+
+    it("should render the config and highlight the current page", async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              items: [
+                { label: "Home", href: "/index.html" },
+                {
+                  label: "Work",
+                  children: [{ label: "Projects", href: "/projects.html", match: "prefix" }]
+                }
+              ]
+            })
+        })
+      );
+
+      initializeScripts();
+      await flush();
+
+      expect(fetch).toHaveBeenCalledWith("/partials/nav.json");
+      expect(document.querySelectorAll("[data-nav] > li")).toHaveLength(2);
+      const item = document.querySelector(".dropdown-item");
+      expect(item.getAttribute("aria-current")).toBe("page");
+      expect(document.querySelector(".dropdown-toggle").classList.contains("active")).toBe(
+        true
+      );
+    });
+  });
 });
@@ -0,0 +1,235 @@
+/**
+ * Test suite for the scroll manager
+ * Tests all functions in scroll.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  initBackToTop,
+  initScrollSpy,
+  onScroll,
+  prefersReducedMotion,
+  scrollToTop
+} from "../js/scroll.js";
+
+describe("Scroll Manager (scroll.js)", () => {
+  let frames;
+
+  const scrollTo = (y) => {
+    window.scrollY = y;
+    window.dispatchEvent(new Event("scroll"));
+  };
+
+  const runFrame = () => {
+    const pending = frames;
+    frames = [];
+    pending.forEach((callback) => callback());
+  };
+
+  const setReducedMotion = (reduce) => {
+    window.matchMedia = jest.fn((query) => ({
+      matches: reduce && query === "(prefers-reduced-motion: reduce)"
+    }));
+  };
+
+  beforeEach(() => {
+    frames = [];
+    window.requestAnimationFrame = jest.fn((callback) => frames.push(callback));
+    window.scrollTo = jest.fn();
+    window.scrollY = 0;
+    setReducedMotion(false);
+    document.body.innerHTML = "";
+  });
+
+  describe("onScroll", () => {
+    it("should call subscribers right away and once per frame", () => {
+      const callback = jest.fn();
+      const unsubscribe = onScroll(callback);
+      expect(callback).toHaveBeenCalledWith(0);
+
+      scrollTo(100);
+      scrollTo(200);
+      window.dispatchEvent(new Event("resize"));
+      expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1);
+
+      runFrame();
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenLastCalledWith(200);
+
+      unsubscribe();
+      scrollTo(300);
+      runFrame();
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    it("should register a single passive listener", () => {
+      const addSpy = jest.spyOn(window, "addEventListener");
+
+      const first = onScroll(() => {});
+      const second = onScroll(() => {});
+
+      const scrollCalls = addSpy.mock.calls.filter(([type]) => type === "scroll");
+      expect(scrollCalls[0][1]).toBe(scrollCalls[1][1]);
+      expect(scrollCalls[0][2]).toEqual({ passive: true });
+      first();
+      second();
+      addSpy.mockRestore();
+    });
+  });
+
+  describe("reduced motion", () => {
+    it("should follow the prefers-reduced-motion media query", () => {
+      expect(prefersReducedMotion()).toBe(false);
+      setReducedMotion(true);
+      expect(prefersReducedMotion()).toBe(true);
+    });
+
+    it("should scroll smoothly by default", () => {
+      scrollToTop();
+
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 0, behavior: "smooth" });
+    });
+
+    it("should jump when reduced motion is requested", () => {
+      setReducedMotion(true);
+
+      scrollToTop();
+
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 0, behavior: "auto" });
+    });
+
+    it("should cope without matchMedia", () => {
+      delete window.matchMedia;
+
+      expect(prefersReducedMotion()).toBe(false);
+    });
+  });
+
+  describe("initBackToTop", () => {
+    it("should show the button past the threshold and scroll up on click", () => {
+      document.body.innerHTML = "<button id=\"backToTopBtn\"></button>";
+      const button = document.getElementById("backToTopBtn");
+      const unsubscribe = initBackToTop(button);
+
+      expect(button.classList.contains("show")).toBe(false);
+      scrollTo(500);
+      runFrame();
+      expect(button.classList.contains("show")).toBe(true);
+      scrollTo(100);
+      runFrame();
+      expect(button.classList.contains("show")).toBe(false);
+
+      button.click();
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 0, behavior: "smooth" });
+      unsubscribe();
+    });
+
+    it("should stop updating a button that left the page", () => {
+      document.body.innerHTML = "<button id=\"backToTopBtn\"></button>";
+      const button = document.getElementById("backToTopBtn");
+      initBackToTop(button);
+      button.remove();
+
+      scrollTo(500);
+      runFrame();
+
+      expect(button.classList.contains("show")).toBe(false);
+    });
+  });
+
+  describe("initScrollSpy", () => {
+    let tops;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <nav data-scroll-spy>
+          <a href="#experience">Experience</a>
+          <a href="#education">Education</a>
+          <a href="#missing">Missing</a>
+        </nav>
+        <section id="experience"></section>
+        <section id="education"></section>
+      `;
+      tops = { experience: 400, education: 1200 };
+      document.querySelectorAll("section").forEach((section) => {
+        section.getBoundingClientRect = () => ({ top: tops[section.id] });
+      });
+      window.innerHeight = 800;
+      Object.defineProperty(document.documentElement, "scrollHeight", {
+        configurable: true,
+        value: 3000
+      });
+    });
+
+    const active = () =>
+      Array.from(document.querySelectorAll("nav a.active")).map((a) => a.textContent);
+
+    it("should highlight nothing above the first section", () => {
+      initScrollSpy(document.querySelector("nav"));
+
+      expect(active()).toEqual([]);
+    });
+
+    it("should highlight the section being read", () => {
+      initScrollSpy(document.querySelector("nav"));
+
+      tops = { experience: -100, education: 700 };
+      scrollTo(500);
+      runFrame();
+      expect(active()).toEqual(["Experience"]);
+      expect(
+        document.querySelector("a[href=\"#experience\"]").getAttribute("aria-current")
+      ).toBe("location");
+
+      tops = { experience: -900, education: 100 };
+      scrollTo(1300);
+      runFrame();
+      expect(active()).toEqual(["Education"]);
+      expect(
+        document.querySelector("a[href=\"#experience\"]").hasAttribute("aria-current")
+      ).toBe(false);
+    });
+
+    it("should highlight the last section at the bottom of the page", () => {
+      initScrollSpy(document.querySelector("nav"));
+
+      tops = { experience: -1900, education: 300 };
+      scrollTo(2200);
+      runFrame();
+
+      expect(active()).toEqual(["Education"]);
+    });
+
+    it("should not spy on the same nav twice", () => {
+      const nav = document.querySelector("nav");
+      const link = nav.querySelector("a");
+      const toggleSpy = jest.spyOn(link.classList, "toggle");
+
+      initScrollSpy(nav);
+      initScrollSpy(nav);
+
+      expect(toggleSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it("should stop once the nav leaves the page", () => {
+      const nav = document.querySelector("nav");
+      initScrollSpy(nav);
+      nav.remove();
+
+      tops = { experience: -100, education: 700 };
+      scrollTo(500);
+      runFrame();
+
+      expect(nav.querySelector("a.active")).toBeNull();
+    });
+
+    it("should ignore navs that aren't on the page", () => {
+      const nav = document.querySelector("nav");
+      nav.remove();
+
+      initScrollSpy(nav);
+
+      expect(nav.querySelector("a.active")).toBeNull();
+    });
+  });
+});
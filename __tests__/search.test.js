@@ -0,0 +1,328 @@
+/**
+ * Test suite for site search
+ * Tests all functions in search.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  initSearch,
+  loadSearchIndex,
+  makeSnippet,
+  prepareIndex,
+  scoreTerm,
+  searchEntries,
+  tokenize
+} from "../js/search.js";
+
+const INDEX = {
+  version: 1,
+  pages: [
+    { url: "/index.html", title: "Index" },
+    { url: "/resume.html", title: "Resume" }
+  ],
+  entries: [
+    { p: 0, a: "", h: "Hi, I'm Chris", t: "A software engineer living in Denver." },
+    {
+      p: 1,
+      a: "experience",
+      h: "Experience",
+      t: "Software Engineer at Fandango building web applications with JavaScript."
+    },
+    { p: 1, a: "skills", h: "Languages", t: "JavaScript Python TypeScript Kubernetes" },
+    { p: 1, a: "", h: "<b>Tags</b>", t: "markup" }
+  ]
+};
+
+describe("Site Search (search.js)", () => {
+  const entries = prepareIndex(INDEX);
+
+  // Let the index fetch and rendering settle
+  const flush = async () => {
+    for (let i = 0; i < 3; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  };
+
+  describe("tokenize", () => {
+    it("should split text into lowercase words", () => {
+      expect(tokenize("Node.js & C#, AWS!")).toEqual(["node", "js", "c", "aws"]);
+    });
+
+    it("should return no words for punctuation", () => {
+      expect(tokenize(" - ")).toEqual([]);
+    });
+  });
+
+  describe("scoreTerm", () => {
+    const words = ["javascript", "python", "kubernetes"];
+
+    it("should rank exact, prefix and fuzzy matches", () => {
+      expect(scoreTerm("python", words)).toBe(3);
+      expect(scoreTerm("pyth", words)).toBe(2);
+      expect(scoreTerm("pythn", words)).toBe(1);
+      expect(scoreTerm("kubernets", words)).toBe(1);
+      expect(scoreTerm("rust", words)).toBe(0);
+    });
+
+    it("should not correct short terms", () => {
+      expect(scoreTerm("pyt", ["pit"])).toBe(0);
+    });
+  });
+
+  describe("prepareIndex", () => {
+    it("should build section URLs from pages and anchors", () => {
+      expect(entries.map((entry) => entry.url)).toEqual([
+        "/index.html",
+        "/resume.html#experience",
+        "/resume.html#skills",
+        "/resume.html"
+      ]);
+      expect(entries[2].page).toBe("Resume");
+    });
+  });
+
+  describe("searchEntries", () => {
+    it("should return nothing for an empty query", () => {
+      expect(searchEntries(entries, "  ")).toEqual([]);
+    });
+
+    it("should rank heading matches above text matches", () => {
+      const results = searchEntries(entries, "experience");
+
+      expect(results).toHaveLength(1);
+      expect(results[0].heading).toBe("Experience");
+    });
+
+    it("should require every query word to match", () => {
+      const results = searchEntries(entries, "javascript fandango");
+
+      expect(results.map((result) => result.url)).toEqual([
+        "/resume.html#experience"
+      ]);
+    });
+
+    it("should find prefixes and typos", () => {
+      expect(searchEntries(entries, "denv")[0].url).toBe("/index.html");
+      expect(searchEntries(entries, "pyhton")[0].url).toBe("/resume.html#skills");
+    });
+
+    it("should order exact matches first and respect the limit", () => {
+      const results = searchEntries(entries, "javascript", 1);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].url).toBe("/resume.html#experience");
+    });
+  });
+
+  describe("makeSnippet", () => {
+    it("should return short text whole", () => {
+      expect(makeSnippet("Short text", ["text"])).toBe("Short text");
+    });
+
+    it("should cut long text around the first match", () => {
+      const text = `${"lorem ".repeat(40)}needle${" ipsum".repeat(40)}`;
+      const snippet = makeSnippet(text, ["needle"]);
+
+      expect(snippet).toContain("needle");
+      expect(snippet.startsWith("…")).toBe(true);
+      expect(snippet.endsWith("…")).toBe(true);
+      expect(snippet.length).toBeLessThanOrEqual(122);
+    });
+  });
+
+  // Runs before anything loads the index successfully; the index is
+  // cached for the rest of the file once it does
+  describe("initSearch without an index", () => {
+    it("should report that search is unavailable", async () => {
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+      const sendBeacon = jest.fn(() => true);
+      Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+      document.head.innerHTML = "<meta name=\"error-collector\" content=\"/api/errors\" />";
+      const error = new Error("offline");
+      global.fetch = jest.fn(() => Promise.reject(error));
+      document.body.innerHTML = `
+        <form id="siteSearch" role="search">
+          <input type="search" aria-controls="siteSearchResults" value="python" />
+          <ul id="siteSearchResults"></ul>
+          <div role="status"></div>
+        </form>
+      `;
+
+      initSearch(document.getElementById("siteSearch"));
+      await flush();
+
+      expect(consoleSpy).toHaveBeenCalledWith("Error loading search index:", error);
+      expect(document.querySelector("[role=\"status\"]").textContent).toBe(
+        "Search is unavailable right now"
+      );
+      expect(JSON.parse(sendBeacon.mock.calls[0][1])).toEqual(
+        expect.objectContaining({ message: "offline", source: "search", url: "/search-index.json" })
+      );
+      consoleSpy.mockRestore();
+      document.head.innerHTML = "";
+      delete navigator.sendBeacon;
+    });
+  });
+
+  describe("loadSearchIndex", () => {
+    it("should fetch once and retry after failures", async () => {
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce({ ok: false, status: 404 })
+        .mockResolvedValue({ ok: true, json: () => Promise.resolve(INDEX) });
+
+      await expect(loadSearchIndex()).rejects.toThrow("HTTP 404");
+      await expect(loadSearchIndex()).resolves.toHaveLength(4);
+      await loadSearchIndex();
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch).toHaveBeenCalledWith("/search-index.json");
+    });
+  });
+
+  describe("initSearch", () => {
+    let form;
+    let input;
+
+    const type = async (value) => {
+      input.value = value;
+      input.dispatchEvent(new Event("input"));
+      await flush();
+    };
+
+    const press = (key, target) => {
+      const event = new KeyboardEvent("keydown", {
+        key,
+        bubbles: true,
+        cancelable: true
+      });
+      target.dispatchEvent(event);
+      return event;
+    };
+
+    const results = () => document.getElementById("siteSearchResults");
+    const status = () => form.querySelector("[role=\"status\"]");
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <form id="siteSearch" role="search">
+          <input type="search" aria-controls="siteSearchResults" />
+          <ul id="siteSearchResults"></ul>
+          <div role="status"></div>
+        </form>
+        <p id="outside">Elsewhere</p>
+      `;
+      form = document.getElementById("siteSearch");
+      input = form.querySelector("input");
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve(INDEX) })
+      );
+      initSearch(form);
+    });
+
+    it("should list matching sections as links", async () => {
+      await type("javascript");
+
+      const links = results().querySelectorAll("a");
+      expect(links).toHaveLength(2);
+      expect(links[0].getAttribute("href")).toBe("/resume.html#experience");
+      expect(links[0].querySelector(".site-search-heading").textContent).toBe(
+        "Experience"
+      );
+      expect(results().classList.contains("show")).toBe(true);
+      expect(status().textContent).toBe(
+        "2 results, use the down arrow to browse"
+      );
+    });
+
+    it("should not render index text as HTML", async () => {
+      await type("markup");
+
+      expect(results().querySelector("b")).toBeNull();
+      expect(results().querySelector(".site-search-heading").textContent).toBe(
+        "<b>Tags</b>"
+      );
+    });
+
+    it("should say when nothing matches", async () => {
+      await type("zzzz");
+
+      expect(results().textContent).toContain("No results");
+      expect(status().textContent).toBe("No results");
+    });
+
+    it("should hide results when the query is cleared", async () => {
+      await type("python");
+      await type("");
+
+      expect(results().classList.contains("show")).toBe(false);
+      expect(status().textContent).toBe("");
+    });
+
+    it("should move through results with the arrow keys", async () => {
+      await type("javascript");
+      const links = results().querySelectorAll("a");
+
+      press("ArrowDown", input);
+      expect(document.activeElement).toBe(links[0]);
+      press("ArrowDown", links[0]);
+      expect(document.activeElement).toBe(links[1]);
+      press("ArrowDown", links[1]);
+      expect(document.activeElement).toBe(links[1]);
+      press("ArrowUp", links[1]);
+      press("ArrowUp", links[0]);
+      expect(document.activeElement).toBe(input);
+    });
+
+    it("should ignore arrow keys without results", () => {
+      expect(press("ArrowDown", input).defaultPrevented).toBe(false);
+    });
+
+    it("should close on Escape and return to the input", async () => {
+      await type("python");
+      const link = results().querySelector("a");
+      link.focus();
+
+      press("Escape", link);
+
+      expect(results().classList.contains("show")).toBe(false);
+      expect(document.activeElement).toBe(input);
+    });
+
+    it("should open the best match on submit", async () => {
+      input.value = "kubernetes";
+      const clicked = jest.fn((e) => e.preventDefault());
+      document.addEventListener("click", clicked);
+
+      form.dispatchEvent(new Event("submit", { cancelable: true }));
+      await flush();
+
+      expect(clicked).toHaveBeenCalled();
+      expect(clicked.mock.calls[0][0].target.getAttribute("href")).toBe(
+        "/resume.html#skills"
+      );
+      expect(input.value).toBe("");
+      document.removeEventListener("click", clicked);
+    });
+
+    it("should close when clicking elsewhere", async () => {
+      await type("python");
+
+      document.getElementById("outside").click();
+
+      expect(results().classList.contains("show")).toBe(false);
+    });
+
+    it("should search text typed before it was initialized", async () => {
+      const other = form.cloneNode(true);
+      form.replaceWith(other);
+      other.querySelector("input").value = "python";
+
+      initSearch(other);
+      initSearch(other);
+      await flush();
+
+      expect(other.querySelectorAll("#siteSearchResults a")).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Test suite for the skip link
+ * Tests all functions in skip-link.js
+ */
+
+import { findMainContent, initSkipLink } from "../js/skip-link.js";
+
+describe("Skip Link (skip-link.js)", () => {
+  const skipLink = () => document.querySelector(".skip-link");
+
+  describe("findMainContent", () => {
+    it("should land on <main> when the header is outside it", () => {
+      document.body.innerHTML = `
+        <div id="header-placeholder"></div>
+        <main id="main"><h1>Hi</h1></main>
+      `;
+
+      expect(findMainContent().id).toBe("main");
+    });
+
+    it("should skip past a header inside <main>", () => {
+      document.body.innerHTML = `
+        <main>
+          <div id="header-placeholder"></div>
+          <section id="content"></section>
+        </main>
+      `;
+
+      expect(findMainContent().id).toBe("content");
+    });
+
+    it("should find nothing without <main>", () => {
+      document.body.innerHTML = "<div></div>";
+
+      expect(findMainContent()).toBeNull();
+    });
+  });
+
+  describe("initSkipLink", () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div id="header-placeholder"><a href="/">Home</a></div>
+        <main><h1>Hi</h1></main>
+      `;
+    });
+
+    it("should add one skip link before everything else", () => {
+      initSkipLink();
+      initSkipLink();
+
+      expect(document.querySelectorAll(".skip-link")).toHaveLength(1);
+      expect(document.body.firstElementChild).toBe(skipLink());
+      expect(skipLink().textContent).toBe("Skip to content");
+      expect(skipLink().classList.contains("visually-hidden-focusable")).toBe(true);
+    });
+
+    it("should move focus to the main content", () => {
+      initSkipLink();
+
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true });
+      skipLink().dispatchEvent(event);
+
+      const main = document.querySelector("main");
+      expect(event.defaultPrevented).toBe(true);
+      expect(main.getAttribute("tabindex")).toBe("-1");
+      expect(document.activeElement).toBe(main);
+    });
+
+    it("should keep an existing tabindex", () => {
+      document.querySelector("main").setAttribute("tabindex", "0");
+      initSkipLink();
+
+      skipLink().click();
+
+      expect(document.querySelector("main").getAttribute("tabindex")).toBe("0");
+    });
+
+    it("should fall back to the link without <main>", () => {
+      document.querySelector("main").remove();
+      initSkipLink();
+
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true });
+      skipLink().dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Test suite for heading slugs
+ * Tests all functions in slug.js
+ */
+
+import { slugify, uniqueSlug } from "../js/slug.js";
+
+describe("Heading Slugs (slug.js)", () => {
+  describe("slugify", () => {
+    it("should lowercase text and join words with dashes", () => {
+      expect(slugify("Backend & Cloud")).toBe("backend-cloud");
+      expect(slugify("  Software Engineer, Fandango ")).toBe(
+        "software-engineer-fandango"
+      );
+    });
+
+    it("should strip accents but keep other letters and numbers", () => {
+      expect(slugify("Café Résumé 2024")).toBe("cafe-resume-2024");
+      expect(slugify("日本語")).toBe("日本語");
+    });
+
+    it("should fall back when nothing is left", () => {
+      expect(slugify("&!?")).toBe("section");
+    });
+  });
+
+  describe("uniqueSlug", () => {
+    it("should number slugs that are taken", () => {
+      const taken = new Set(["skills", "skills-2"]);
+
+      expect(uniqueSlug("Skills", (id) => taken.has(id))).toBe("skills-3");
+      expect(uniqueSlug("Education", (id) => taken.has(id))).toBe("education");
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the service worker
+ * Tests install, activate and fetch handling in sw.js
+ */
+
+import { jest } from "@jest/globals";
+import { readFileSync } from "node:fs";
+
+const ORIGIN = "https://chrispivonka.com";
+
+// Response.type is "default" outside a browser; the worker only caches
+// same-origin ("basic") responses
+const basic = (body, status = 200) => {
+  const response = new Response(status === 304 ? null : body, { status });
+  Object.defineProperty(response, "type", { value: "basic" });
+  return response;
+};
+
+// Minimal Cache Storage keyed by URL
+const createCaches = () => {
+  const stores = new Map();
+  const stripSearch = (url) => {
+    const parsed = new URL(url, ORIGIN);
+    parsed.search = "";
+    return parsed.href;
+  };
+
+  const createCache = () => {
+    const entries = new Map();
+    return {
+      entries,
+      addAll: jest.fn(async (urls) => {
+        urls.forEach((url) =>
+          entries.set(new URL(url, ORIGIN).href, basic(url))
+        );
+      }),
+      put: jest.fn(async (request, response) => {
+        entries.set(request.url, response);
+      }),
+      match: jest.fn(async (request, { ignoreSearch } = {}) => {
+        const url = typeof request === "string" ? request : request.url;
+        const href = new URL(url, ORIGIN).href;
+        for (const [key, response] of entries) {
+          const sameFile = ignoreSearch && stripSearch(key) === stripSearch(href);
+          if (key === href || sameFile) {
+            return response.clone();
+          }
+        }
+        return undefined;
+      })
+    };
+  };
+
+  return {
+    stores,
+    open: jest.fn(async (name) => {
+      if (!stores.has(name)) {
+        stores.set(name, createCache());
+      }
+      return stores.get(name);
+    }),
+    keys: jest.fn(async () => Array.from(stores.keys())),
+    delete: jest.fn(async (name) => stores.delete(name))
+  };
+};
+
+describe("Service Worker (sw.js)", () => {
+  const handlers = {};
+
+  const dispatchFetch = (request) => {
+    const event = {
+      request,
+      respondWith: jest.fn(),
+      waitUntil: jest.fn()
+    };
+    handlers.fetch(event);
+    return event;
+  };
+
+  const pageRequest = (path) =>
+    new Request(`${ORIGIN}${path}`, { headers: { Accept: "text/html" } });
+
+  beforeAll(async () => {
+    global.self = {
+      location: { origin: ORIGIN },
+      addEventListener: (type, handler) => {
+        handlers[type] = handler;
+      },
+      skipWaiting: jest.fn(),
+      clients: { claim: jest.fn() }
+    };
+    await import("../sw.js");
+  });
+
+  beforeEach(() => {
+    global.caches = createCaches();
+    global.fetch = jest.fn(async (request) => basic(`fresh ${request.url}`));
+  });
+
+  afterAll(() => {
+    delete global.self;
+    delete global.caches;
+  });
+
+  describe("install", () => {
+    it("should precache pages, partials, styles, scripts and the icon font", async () => {
+      let done;
+      handlers.install({ waitUntil: (promise) => (done = promise) });
+      await done;
+
+      const cache = caches.stores.get("site-dev");
+      const cached = Array.from(cache.entries.keys());
+      expect(cached).toEqual(
+        expect.arrayContaining([
+          `${ORIGIN}/index.html`,
+          `${ORIGIN}/offline.html`,
+          `${ORIGIN}/partials/header.html`,
+          `${ORIGIN}/css/styles.css`,
+          `${ORIGIN}/js/scripts.js`,
+          `${ORIGIN}/assets/bootstrap-icons/font/fonts/bootstrap-icons.woff2`
+        ])
+      );
+      expect(self.skipWaiting).toHaveBeenCalled();
+    });
+    it("should only precache files the S3 deploy uploads", async () => {
+      // One missing URL fails cache.addAll, and with it the install
+      const workflow = readFileSync(new URL("../.github/workflows/deploy.yml", import.meta.url), "utf8");
+      const includes = Array.from(workflow.matchAll(/--include "([^"]+)"/g), ([, glob]) => {
+        // aws s3 sync globs: * matches across "/", ? matches one character
+        const pattern = glob
+          .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*+/g, ".*")
+          .replace(/\?/g, ".");
+        return new RegExp(`^${pattern}$`);
+      });
+      let done;
+      handlers.install({ waitUntil: (promise) => (done = promise) });
+      await done;
+
+      const [urls] = caches.stores.get("site-dev").addAll.mock.calls[0];
+      const files = urls.map((url) => (url === "/" ? "index.html" : url.slice(1)));
+      expect(includes.length).toBeGreaterThan(0);
+      expect(files.filter((file) => !includes.some((include) => include.test(file)))).toEqual([]);
+    });
+  });
+
+  describe("activate", () => {
+    it("should delete caches from older versions only", async () => {
+      await caches.open("site-old");
+      await caches.open("site-dev");
+      await caches.open("other-app");
+
+      let done;
+      handlers.activate({ waitUntil: (promise) => (done = promise) });
+      await done;
+
+      expect(Array.from(caches.stores.keys())).toEqual(["site-dev", "other-app"]);
+      expect(self.clients.claim).toHaveBeenCalled();
+    });
+  });
+
+  describe("fetch", () => {
+    it("should leave non-GET requests alone", () => {
+      const event = dispatchFetch(
+        new Request(`${ORIGIN}/contact.html`, { method: "POST" })
+      );
+
+      expect(event.respondWith).not.toHaveBeenCalled();
+    });
+
+    it("should leave cross-origin requests alone", () => {
+      const event = dispatchFetch(new Request("https://cdn.jsdelivr.net/x.js"));
+
+      expect(event.respondWith).not.toHaveBeenCalled();
+    });
+
+    it("should serve the cached copy and refresh it in the background", async () => {
+      const cache = await caches.open("site-dev");
+      cache.entries.set(`${ORIGIN}/resume.html`, basic("cached resume"));
+
+      const event = dispatchFetch(pageRequest("/resume.html"));
+      const response = await event.respondWith.mock.calls[0][0];
+
+      expect(await response.text()).toBe("cached resume");
+      await event.waitUntil.mock.calls[0][0];
+      expect(await cache.entries.get(`${ORIGIN}/resume.html`).text()).toBe(
+        `fresh ${ORIGIN}/resume.html`
+      );
+    });
+
+    it("should ignore query strings when matching the cache", async () => {
+      const cache = await caches.open("site-dev");
+      cache.entries.set(`${ORIGIN}/projects.html`, basic("cached projects"));
+
+      const event = dispatchFetch(pageRequest("/projects.html?tag=aws"));
+      const response = await event.respondWith.mock.calls[0][0];
+
+      expect(await response.text()).toBe("cached projects");
+    });
+
+    it("should fetch and cache responses that aren't cached yet", async () => {
+      const event = dispatchFetch(new Request(`${ORIGIN}/css/styles.css`));
+      const response = await event.respondWith.mock.calls[0][0];
+
+      expect(await response.text()).toBe(`fresh ${ORIGIN}/css/styles.css`);
+      expect(caches.stores.get("site-dev").put).toHaveBeenCalled();
+    });
+
+    it("should not cache 304 or error responses", async () => {
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce(basic(null, 304))
+        .mockResolvedValueOnce(basic("missing", 404));
+
+      for (const path of ["/partials/header.html", "/missing.html"]) {
+        const event = dispatchFetch(new Request(`${ORIGIN}${path}`));
+        await event.respondWith.mock.calls[0][0];
+      }
+
+      expect(caches.stores.get("site-dev").put).not.toHaveBeenCalled();
+    });
+
+    it("should serve the offline page for uncached pages without a network", async () => {
+      const cache = await caches.open("site-dev");
+      cache.entries.set(`${ORIGIN}/offline.html`, basic("offline page"));
+      global.fetch = jest.fn(() => Promise.reject(new TypeError("offline")));
+
+      const event = dispatchFetch({
+        url: `${ORIGIN}/projects.html`,
+        method: "GET",
+        mode: "navigate",
+        headers: new Headers()
+      });
+      const response = await event.respondWith.mock.calls[0][0];
+
+      expect(await response.text()).toBe("offline page");
+    });
+
+    it("should fail uncached assets without a network", async () => {
+      global.fetch = jest.fn(() => Promise.reject(new TypeError("offline")));
+
+      const event = dispatchFetch(new Request(`${ORIGIN}/assets/profile.png`));
+
+      await expect(event.respondWith.mock.calls[0][0]).rejects.toThrow("offline");
+    });
+  });
+});
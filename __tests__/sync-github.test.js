@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the GitHub repository sync
+ * Tests all functions in scripts/sync-github.mjs
+ */
+
+import { jest } from "@jest/globals";
+import { readFileSync } from "node:fs";
+import {
+  API_ROOT,
+  createApiReader,
+  createFixtureReader,
+  fetchRepoStats,
+  syncRepos
+} from "../scripts/sync-github.mjs";
+
+const FIXTURES = JSON.parse(
+  readFileSync(new URL("../scripts/fixtures/github-api.json", import.meta.url), "utf8")
+);
+
+describe("GitHub Repository Sync (sync-github.mjs)", () => {
+  describe("createApiReader", () => {
+    const respond = (status, body = {}) =>
+      jest.fn(() => Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) }));
+
+    it("should request the API path with the token", async () => {
+      const fetchImpl = respond(200, { stargazers_count: 1 });
+      const read = createApiReader({ token: "secret", fetchImpl });
+
+      await expect(read("/repos/me/site")).resolves.toEqual({ stargazers_count: 1 });
+      expect(fetchImpl).toHaveBeenCalledWith(`${API_ROOT}/repos/me/site`, {
+        headers: expect.objectContaining({
+          Accept: "application/vnd.github+json",
+          Authorization: "Bearer secret"
+        })
+      });
+    });
+
+    it("should send no Authorization header without a token", async () => {
+      const fetchImpl = respond(200);
+
+      await createApiReader({ fetchImpl })("/repos/me/site");
+
+      expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    });
+
+    it("should resolve with null for missing releases and empty repositories", async () => {
+      await expect(createApiReader({ fetchImpl: respond(404) })("/x")).resolves.toBeNull();
+      await expect(createApiReader({ fetchImpl: respond(409) })("/x")).resolves.toBeNull();
+    });
+
+    it("should reject other errors", async () => {
+      await expect(createApiReader({ fetchImpl: respond(403) })("/repos/me/site")).rejects.toThrow(
+        "GitHub API responded HTTP 403 for /repos/me/site"
+      );
+    });
+  });
+
+  describe("createFixtureReader", () => {
+    it("should answer from the fixtures, and with null for other paths", async () => {
+      const read = createFixtureReader({ "/repos/me/site": { language: "Go" } });
+
+      await expect(read("/repos/me/site")).resolves.toEqual({ language: "Go" });
+      await expect(read("/repos/me/other")).resolves.toBeNull();
+      await expect(read("toString")).resolves.toBeNull();
+    });
+  });
+
+  describe("fetchRepoStats", () => {
+    it("should collect stars, language, last commit and release", async () => {
+      const stats = await fetchRepoStats(
+        "chrispivonka/chrispivonka.com",
+        createFixtureReader(FIXTURES)
+      );
+
+      expect(stats).toEqual({
+        stars: 3,
+        language: "JavaScript",
+        lastCommit: "2026-03-15",
+        release: "chrispivonka-com-v1.1.0"
+      });
+    });
+
+    it("should leave out what GitHub doesn't have", async () => {
+      const read = createFixtureReader({
+        "/repos/me/empty": { stargazers_count: 0, language: null },
+        "/repos/me/empty/commits?per_page=1": []
+      });
+
+      await expect(fetchRepoStats("me/empty", read)).resolves.toEqual({ stars: 0 });
+    });
+
+    it("should fall back to the author date", async () => {
+      const read = createFixtureReader({
+        "/repos/me/site": {},
+        "/repos/me/site/commits?per_page=1": [{ commit: { author: { date: "2025-01-02T03:04:05Z" } } }]
+      });
+
+      await expect(fetchRepoStats("me/site", read)).resolves.toEqual({ lastCommit: "2025-01-02" });
+    });
+
+    it("should reject a repository that doesn't exist", async () => {
+      await expect(fetchRepoStats("me/gone", createFixtureReader({}))).rejects.toThrow(
+        "Repository not found: me/gone"
+      );
+    });
+  });
+
+  describe("syncRepos", () => {
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it("should snapshot each repository once", async () => {
+      const read = createFixtureReader({
+        "/repos/me/a": { stargazers_count: 1 },
+        "/repos/me/b": { stargazers_count: 2 }
+      });
+      const projects = [{ repo: "me/b" }, { title: "No repo" }, { repo: "me/a" }, { repo: "me/b" }];
+
+      const { snapshot, failed } = await syncRepos({
+        projects,
+        read,
+        now: new Date("2026-10-01T12:00:00Z")
+      });
+
+      expect(snapshot).toEqual({
+        syncedAt: "2026-10-01T12:00:00.000Z",
+        repos: { "me/a": { stars: 1 }, "me/b": { stars: 2 } }
+      });
+      expect(Object.keys(snapshot.repos)).toEqual(["me/a", "me/b"]);
+      expect(failed).toEqual([]);
+    });
+
+    it("should keep the last snapshot of a repository that fails", async () => {
+      const read = (path) =>
+        path.startsWith("/repos/me/a")
+          ? Promise.reject(new Error("GitHub API responded HTTP 502 for /repos/me/a"))
+          : Promise.resolve(null);
+      const previous = { repos: { "me/a": { stars: 5 }, "me/dropped": { stars: 1 } } };
+
+      const { snapshot, failed } = await syncRepos({
+        projects: [{ repo: "me/a" }, { repo: "me/b" }],
+        read,
+        previous
+      });
+
+      expect(snapshot.repos).toEqual({ "me/a": { stars: 5 } });
+      expect(failed).toEqual(["me/a", "me/b"]);
+      expect(warnSpy).toHaveBeenCalledWith(
+        "  GitHub API responded HTTP 502 for /repos/me/a; keeping the last snapshot"
+      );
+      expect(warnSpy).toHaveBeenCalledWith("  Repository not found: me/b");
+    });
+  });
+});
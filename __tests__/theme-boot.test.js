@@ -0,0 +1,132 @@
+/**
+ * Test suite for the pre-paint theme script
+ * Tests js/theme-boot.js
+ */
+
+import { jest } from "@jest/globals";
+
+describe("Pre-paint Theme (theme-boot.js)", () => {
+  const html = document.documentElement;
+
+  const runBootScript = () => import("../js/theme-boot.js");
+
+  beforeEach(() => {
+    jest.resetModules();
+    localStorage.clear();
+    document.cookie = "theme=; Path=/; Max-Age=0";
+    html.className = "";
+    html.removeAttribute("data-theme");
+    html.removeAttribute("data-theme-preference");
+    window.matchMedia = jest.fn(() => ({ matches: false }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should apply a saved dark preference", async () => {
+    localStorage.setItem("theme", "dark");
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(true);
+    expect(html.getAttribute("data-theme-preference")).toBe("dark");
+  });
+
+  it("should apply a saved light preference", async () => {
+    localStorage.setItem("theme", "light");
+    html.classList.add("dark-mode");
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(false);
+  });
+
+  it("should apply the high-contrast theme on the dark base", async () => {
+    localStorage.setItem("theme", "high-contrast");
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(true);
+    expect(html.getAttribute("data-theme")).toBe("high-contrast");
+  });
+
+  it("should apply the sepia theme on the light base", async () => {
+    localStorage.setItem("theme", "sepia");
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(false);
+    expect(html.getAttribute("data-theme")).toBe("sepia");
+  });
+
+  it("should honor a legacy darkMode value", async () => {
+    localStorage.setItem("darkMode", "enabled");
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(true);
+    expect(html.getAttribute("data-theme-preference")).toBe("dark");
+  });
+
+  it("should follow the system for unknown values", async () => {
+    localStorage.setItem("theme", "purple");
+    window.matchMedia = jest.fn(() => ({ matches: true }));
+
+    await runBootScript();
+
+    expect(window.matchMedia).toHaveBeenCalledWith("(prefers-color-scheme: dark)");
+    expect(html.classList.contains("dark-mode")).toBe(true);
+    expect(html.getAttribute("data-theme")).toBe("dark");
+    expect(html.getAttribute("data-theme-preference")).toBe("system");
+  });
+
+  it("should prefer the shared cookie over localStorage", async () => {
+    document.cookie = "theme=dark; Path=/";
+    localStorage.setItem("theme", "light");
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(true);
+    expect(html.getAttribute("data-theme-preference")).toBe("dark");
+  });
+
+  it("should not treat inherited property names as themes", async () => {
+    localStorage.setItem("theme", "toString");
+
+    await runBootScript();
+
+    expect(html.getAttribute("data-theme-preference")).toBe("system");
+  });
+
+  it("should ignore an invalid cookie", async () => {
+    document.cookie = "theme=purple; Path=/";
+    localStorage.setItem("theme", "dark");
+
+    await runBootScript();
+
+    expect(html.getAttribute("data-theme-preference")).toBe("dark");
+  });
+
+  it("should still use the cookie when storage throws", async () => {
+    document.cookie = "theme=dark; Path=/";
+    jest.spyOn(Storage.prototype, "getItem").mockImplementation(() => {
+      throw new Error("SecurityError");
+    });
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(true);
+  });
+
+  it("should leave the page untouched when cookies throw", async () => {
+    jest.spyOn(document, "cookie", "get").mockImplementation(() => {
+      throw new Error("SecurityError");
+    });
+
+    await runBootScript();
+
+    expect(html.classList.contains("dark-mode")).toBe(false);
+    expect(html.hasAttribute("data-theme-preference")).toBe(false);
+  });
+});
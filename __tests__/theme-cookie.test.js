@@ -0,0 +1,39 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://kittycam.chrispivonka.com/"}
+ */
+
+/**
+ * Test suite for the shared theme cookie on a chrispivonka.com subdomain
+ * Tests cookie scoping in theme.js
+ */
+
+import { jest } from "@jest/globals";
+import { setThemePreference } from "../js/theme.js";
+
+describe("Shared Theme Cookie (theme.js)", () => {
+  beforeEach(() => {
+    window.matchMedia = jest.fn(() => ({ matches: false }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should scope the cookie to every chrispivonka.com subdomain", () => {
+    const cookieSpy = jest.spyOn(document, "cookie", "set");
+
+    setThemePreference("dark");
+
+    const cookie = cookieSpy.mock.calls[0][0];
+    expect(cookie).toContain("theme=dark");
+    expect(cookie).toContain("Domain=.chrispivonka.com");
+    expect(cookie).toContain("Secure");
+  });
+
+  it("should be readable after it is written", () => {
+    setThemePreference("light");
+
+    expect(document.cookie).toContain("theme=light");
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * Test suite for theme preferences
+ * Tests all functions in theme.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  applyTheme,
+  getThemeOptions,
+  getThemePreference,
+  initTheme,
+  onThemeChange,
+  reconcileThemePreference,
+  registerTheme,
+  resolveTheme,
+  setThemePreference,
+  watchSystemTheme
+} from "../js/theme.js";
+
+describe("Theme Preferences (theme.js)", () => {
+  let prefersDark;
+  let mediaQuery;
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.cookie = "theme=; Path=/; Max-Age=0";
+    document.documentElement.className = "";
+    prefersDark = false;
+    mediaQuery = {
+      get matches() {
+        return prefersDark;
+      },
+      addEventListener: jest.fn()
+    };
+    window.matchMedia = jest.fn(() => mediaQuery);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("getThemePreference", () => {
+    it("should default to following the system", () => {
+      expect(getThemePreference()).toBe("system");
+    });
+
+    it("should return a saved preference", () => {
+      localStorage.setItem("theme", "dark");
+      expect(getThemePreference()).toBe("dark");
+    });
+
+    it("should ignore unknown saved values", () => {
+      localStorage.setItem("theme", "purple");
+      expect(getThemePreference()).toBe("system");
+    });
+
+    it("should migrate a legacy enabled value to dark", () => {
+      localStorage.setItem("darkMode", "enabled");
+
+      expect(getThemePreference()).toBe("dark");
+      expect(localStorage.getItem("theme")).toBe("dark");
+      expect(localStorage.getItem("darkMode")).toBeNull();
+    });
+
+    it("should migrate a legacy disabled value to light", () => {
+      localStorage.setItem("darkMode", "disabled");
+
+      expect(getThemePreference()).toBe("light");
+      expect(localStorage.getItem("theme")).toBe("light");
+    });
+
+    it("should keep an existing preference over a legacy value", () => {
+      localStorage.setItem("theme", "system");
+      localStorage.setItem("darkMode", "enabled");
+
+      expect(getThemePreference()).toBe("system");
+      expect(localStorage.getItem("darkMode")).toBeNull();
+    });
+
+    it("should drop unrecognized legacy values", () => {
+      localStorage.setItem("darkMode", "maybe");
+      localStorage.setItem("theme", "light");
+
+      expect(getThemePreference()).toBe("light");
+      expect(localStorage.getItem("darkMode")).toBeNull();
+    });
+
+    it("should prefer the shared cookie over localStorage", () => {
+      document.cookie = "theme=dark; Path=/";
+      localStorage.setItem("theme", "light");
+
+      expect(getThemePreference()).toBe("dark");
+    });
+
+    it("should ignore an invalid cookie", () => {
+      document.cookie = "theme=purple; Path=/";
+      localStorage.setItem("theme", "light");
+
+      expect(getThemePreference()).toBe("light");
+    });
+
+    it("should fall back to system when storage throws", () => {
+      const getItemSpy = jest
+        .spyOn(Storage.prototype, "getItem")
+        .mockImplementation(() => {
+          throw new Error("SecurityError");
+        });
+
+      expect(getThemePreference()).toBe("system");
+      getItemSpy.mockRestore();
+    });
+  });
+
+  describe("resolveTheme", () => {
+    it("should pass explicit preferences through", () => {
+      expect(resolveTheme("light")).toBe("light");
+      expect(resolveTheme("dark")).toBe("dark");
+    });
+
+    it("should pass registered themes through", () => {
+      expect(resolveTheme("high-contrast")).toBe("high-contrast");
+      expect(resolveTheme("sepia")).toBe("sepia");
+    });
+
+    it("should follow prefers-color-scheme for system", () => {
+      expect(resolveTheme("system")).toBe("light");
+      prefersDark = true;
+      expect(resolveTheme("system")).toBe("dark");
+      expect(window.matchMedia).toHaveBeenCalledWith(
+        "(prefers-color-scheme: dark)"
+      );
+    });
+  });
+
+  describe("applyTheme", () => {
+    it("should add the dark-mode class for dark", () => {
+      expect(applyTheme("dark")).toBe("dark");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+      expect(
+        document.documentElement.getAttribute("data-theme-preference")
+      ).toBe("dark");
+    });
+
+    it("should remove the dark-mode class for light", () => {
+      document.documentElement.classList.add("dark-mode");
+
+      expect(applyTheme("light")).toBe("light");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(false);
+    });
+
+    it("should set data-theme to the resolved theme", () => {
+      prefersDark = true;
+
+      applyTheme("system");
+
+      expect(document.documentElement.getAttribute("data-theme")).toBe("dark");
+      expect(
+        document.documentElement.getAttribute("data-theme-preference")
+      ).toBe("system");
+    });
+
+    it("should build dark-scheme themes on the dark-mode class", () => {
+      applyTheme("high-contrast");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+      expect(document.documentElement.getAttribute("data-theme")).toBe(
+        "high-contrast"
+      );
+
+      applyTheme("sepia");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(false);
+      expect(document.documentElement.getAttribute("data-theme")).toBe("sepia");
+    });
+
+    it("should use the saved preference by default", () => {
+      localStorage.setItem("theme", "system");
+      prefersDark = true;
+
+      expect(applyTheme()).toBe("dark");
+    });
+  });
+
+  describe("setThemePreference", () => {
+    it("should save and apply each preference", () => {
+      getThemeOptions().forEach(({ value: preference }) => {
+        setThemePreference(preference);
+        expect(localStorage.getItem("theme")).toBe(preference);
+      });
+    });
+
+    it("should share the preference through a cookie", () => {
+      setThemePreference("dark");
+
+      expect(document.cookie).toContain("theme=dark");
+    });
+
+    it("should not set a cookie domain on other hosts", () => {
+      const cookieSpy = jest.spyOn(document, "cookie", "set");
+
+      setThemePreference("light");
+
+      expect(cookieSpy.mock.calls[0][0]).not.toContain("Domain=");
+    });
+
+    it("should reject unknown preferences", () => {
+      expect(() => setThemePreference("purple")).toThrow(
+        "Unknown theme preference: purple"
+      );
+    });
+
+    it("should still apply when storage is unavailable", () => {
+      const setItemSpy = jest
+        .spyOn(Storage.prototype, "setItem")
+        .mockImplementation(() => {
+          throw new Error("QuotaExceededError");
+        });
+
+      expect(setThemePreference("dark")).toBe("dark");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+      setItemSpy.mockRestore();
+    });
+  });
+
+  describe("getThemeOptions", () => {
+    it("should list the built-in themes followed by system", () => {
+      const values = getThemeOptions().map((option) => option.value);
+
+      expect(values.slice(0, 4)).toEqual([
+        "light",
+        "dark",
+        "high-contrast",
+        "sepia"
+      ]);
+      expect(values[values.length - 1]).toBe("system");
+    });
+
+    it("should give every option a label and an icon", () => {
+      getThemeOptions().forEach((option) => {
+        expect(option.label).toEqual(expect.any(String));
+        expect(option.icon).toMatch(/^bi-/);
+      });
+    });
+  });
+
+  describe("registerTheme", () => {
+    const html = document.documentElement;
+
+    afterEach(() => {
+      applyTheme("light");
+    });
+
+    it("should offer a registered theme in the picker options", () => {
+      registerTheme("ocean", { label: "Ocean", icon: "bi-water" });
+
+      expect(getThemeOptions()).toContainEqual({
+        value: "ocean",
+        label: "Ocean",
+        icon: "bi-water"
+      });
+      expect(setThemePreference("ocean")).toBe("ocean");
+    });
+
+    it("should set and clear inline custom properties", () => {
+      registerTheme("midnight", {
+        label: "Midnight",
+        icon: "bi-stars",
+        colorScheme: "dark",
+        properties: { "--bs-body-bg": "#000022" }
+      });
+
+      applyTheme("midnight");
+      expect(html.style.getPropertyValue("--bs-body-bg")).toBe("#000022");
+      expect(html.classList.contains("dark-mode")).toBe(true);
+
+      applyTheme("light");
+      expect(html.style.getPropertyValue("--bs-body-bg")).toBe("");
+    });
+
+    it("should apply a saved preference once its theme is registered", () => {
+      localStorage.setItem("theme", "forest");
+      expect(getThemePreference()).toBe("system");
+
+      registerTheme("forest", { label: "Forest", icon: "bi-tree" });
+
+      expect(getThemePreference()).toBe("forest");
+      expect(html.getAttribute("data-theme")).toBe("forest");
+    });
+
+    it("should reject invalid definitions", () => {
+      expect(() => registerTheme("system", { label: "S", icon: "bi-x" })).toThrow(
+        "Invalid theme definition: system"
+      );
+      expect(() => registerTheme("nolabel", { icon: "bi-x" })).toThrow(
+        "Invalid theme definition: nolabel"
+      );
+      expect(() =>
+        registerTheme("odd", { label: "Odd", icon: "bi-x", colorScheme: "blue" })
+      ).toThrow("Invalid theme definition: odd");
+    });
+  });
+
+  describe("reconcileThemePreference", () => {
+    it("should copy a cookie from another subdomain into localStorage", () => {
+      document.cookie = "theme=dark; Path=/";
+      localStorage.setItem("theme", "light");
+
+      reconcileThemePreference();
+
+      expect(localStorage.getItem("theme")).toBe("dark");
+    });
+
+    it("should publish a local-only preference to the cookie", () => {
+      localStorage.setItem("theme", "light");
+
+      reconcileThemePreference();
+
+      expect(document.cookie).toContain("theme=light");
+    });
+
+    it("should migrate a legacy value before publishing it", () => {
+      localStorage.setItem("darkMode", "enabled");
+
+      reconcileThemePreference();
+
+      expect(document.cookie).toContain("theme=dark");
+      expect(localStorage.getItem("theme")).toBe("dark");
+    });
+
+    it("should leave both stores empty when nothing is saved", () => {
+      reconcileThemePreference();
+
+      expect(document.cookie).not.toContain("theme=");
+      expect(localStorage.getItem("theme")).toBeNull();
+    });
+  });
+
+  describe("onThemeChange", () => {
+    it("should notify subscribers until they unsubscribe", () => {
+      const listener = jest.fn();
+      const unsubscribe = onThemeChange(listener);
+
+      setThemePreference("dark");
+      expect(listener).toHaveBeenCalledWith({ preference: "dark", theme: "dark" });
+
+      unsubscribe();
+      setThemePreference("light");
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("watchSystemTheme", () => {
+    it("should re-apply on OS changes only while following the system", () => {
+      watchSystemTheme();
+      watchSystemTheme();
+
+      expect(mediaQuery.addEventListener).toHaveBeenCalledTimes(1);
+      const onChange = mediaQuery.addEventListener.mock.calls[0][1];
+
+      localStorage.setItem("theme", "system");
+      prefersDark = true;
+      onChange();
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+
+      localStorage.setItem("theme", "light");
+      prefersDark = false;
+      document.documentElement.classList.add("dark-mode");
+      onChange();
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+    });
+  });
+
+  // Runs after watchSystemTheme, which only registers its listener once
+  describe("initTheme", () => {
+    it("should respect system dark mode preference when no saved preference", () => {
+      prefersDark = true;
+
+      expect(initTheme()).toBe("dark");
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+      expect(window.matchMedia).toHaveBeenCalledWith(
+        "(prefers-color-scheme: dark)"
+      );
+    });
+
+    it("should apply without any theme menu on the page", () => {
+      localStorage.setItem("theme", "dark");
+      document.body.innerHTML = "";
+
+      initTheme();
+
+      expect(document.documentElement.classList.contains("dark-mode")).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Test suite for the table of contents
+ * Tests all functions in toc.js
+ */
+
+import { jest } from "@jest/globals";
+import {
+  addCopyLinkButton,
+  assignHeadingIds,
+  copyLink,
+  headingText,
+  highlightTarget,
+  initPage,
+  renderToc,
+  sectionUrl
+} from "../js/toc.js";
+
+const RESUME = `
+  <main>
+    <nav id="resumeToc" data-toc></nav>
+    <section id="experience">
+      <div><h2>Experience</h2></div>
+      <div class="card">
+        <h3>Software Engineer<span class="visually-hidden">,</span>
+          <span>Fandango</span></h3>
+      </div>
+      <div class="card"><h3>Software Engineer, Fandango</h3></div>
+    </section>
+    <section>
+      <h2 id="custom">Education</h2>
+      <h3>Skills</h3>
+    </section>
+    <p id="skills">Taken</p>
+  </main>
+`;
+
+describe("Table of Contents (toc.js)", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = RESUME;
+    window.history.replaceState(null, "", "/resume.html");
+    window.requestAnimationFrame = jest.fn();
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe("headingText", () => {
+    it("should collapse whitespace before punctuation", () => {
+      expect(headingText(document.querySelector("h3"))).toBe(
+        "Software Engineer, Fandango"
+      );
+    });
+  });
+
+  describe("assignHeadingIds", () => {
+    it("should keep, share or generate unique IDs", () => {
+      const items = assignHeadingIds(document.querySelector("main"));
+
+      expect(items.map(({ id, level }) => [id, level])).toEqual([
+        ["experience", 2],
+        ["software-engineer-fandango", 3],
+        ["software-engineer-fandango-2", 3],
+        ["custom", 2],
+        ["skills-2", 3]
+      ]);
+      // The section keeps the id; its first heading doesn't take it too
+      expect(document.querySelectorAll("#experience")).toHaveLength(1);
+      expect(document.querySelectorAll("h3")[1].id).toBe(
+        "software-engineer-fandango-2"
+      );
+    });
+
+    it("should skip headings inside navs", () => {
+      document.querySelector("nav").innerHTML = "<h2>Contents</h2>";
+
+      expect(
+        assignHeadingIds(document.querySelector("main")).map(({ text }) => text)
+      ).not.toContain("Contents");
+    });
+  });
+
+  describe("renderToc", () => {
+    it("should nest h3 links under their h2", () => {
+      const nav = document.querySelector("nav");
+      renderToc(nav, [
+        { id: "lead", level: 3, text: "Before any h2" },
+        { id: "experience", level: 2, text: "Experience" },
+        { id: "role one", level: 3, text: "<b>Role</b>" }
+      ]);
+
+      const toggle = nav.querySelector(".toc-toggle");
+      const list = nav.querySelector(".toc-list");
+      expect(toggle.getAttribute("aria-controls")).toBe("resumeToc-list");
+      expect(list.id).toBe("resumeToc-list");
+      expect(list.hidden).toBe(true);
+      expect(
+        Array.from(list.children).map((item) => item.firstChild.textContent)
+      ).toEqual(["Before any h2", "Experience"]);
+      const nested = list.children[1].querySelector(":scope > ol a");
+      expect(nested.getAttribute("href")).toBe("#role%20one");
+      expect(nested.textContent).toBe("<b>Role</b>");
+    });
+  });
+
+  describe("copy links", () => {
+    const item = () => ({
+      heading: document.querySelector("h2"),
+      id: "experience",
+      text: "Experience"
+    });
+
+    it("should build absolute section URLs", () => {
+      expect(sectionUrl("experience")).toBe("http://localhost/resume.html#experience");
+    });
+
+    it("should add one labelled button per heading", () => {
+      addCopyLinkButton(item());
+      addCopyLinkButton(item());
+
+      const buttons = document.querySelectorAll("h2 .heading-link");
+      expect(buttons).toHaveLength(1);
+      expect(buttons[0].getAttribute("aria-label")).toBe("Copy link to Experience");
+    });
+
+    it("should copy the link and confirm briefly", async () => {
+      const writeText = jest.fn(() => Promise.resolve());
+      Object.defineProperty(navigator, "clipboard", {
+        configurable: true,
+        value: { writeText }
+      });
+      addCopyLinkButton(item());
+      const button = document.querySelector(".heading-link");
+
+      await copyLink(button, "experience", "Experience");
+
+      expect(writeText).toHaveBeenCalledWith("http://localhost/resume.html#experience");
+      expect(button.getAttribute("aria-label")).toBe("Link copied");
+      expect(button.querySelector("i").className).toBe("bi bi-check2");
+      jest.advanceTimersByTime(100);
+      expect(document.querySelector("[data-announcer=\"polite\"]").textContent).toBe(
+        "Link copied"
+      );
+      jest.advanceTimersByTime(1900);
+      expect(button.getAttribute("aria-label")).toBe("Copy link to Experience");
+      expect(button.querySelector("i").className).toBe("bi bi-link-45deg");
+    });
+
+    it("should put the link in the address bar without clipboard access", async () => {
+      Object.defineProperty(navigator, "clipboard", {
+        configurable: true,
+        value: undefined
+      });
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+      addCopyLinkButton(item());
+      const button = document.querySelector(".heading-link");
+
+      button.click();
+      await Promise.resolve();
+
+      expect(consoleSpy).toHaveBeenCalledWith("Error copying link:", expect.any(TypeError));
+      expect(window.location.hash).toBe("#experience");
+      expect(button.getAttribute("aria-label")).toBe("Link is in the address bar");
+    });
+  });
+
+  describe("highlightTarget", () => {
+    it("should highlight a role's card until the timer runs out", () => {
+      document.querySelector("h3").id = "role";
+
+      const card = highlightTarget("#role", { scroll: true });
+
+      expect(card.classList.contains("card")).toBe(true);
+      expect(card.classList.contains("toc-highlight")).toBe(true);
+      expect(document.getElementById("role").scrollIntoView).toHaveBeenCalled();
+      jest.advanceTimersByTime(2000);
+      expect(card.classList.contains("toc-highlight")).toBe(false);
+    });
+
+    it("should move the highlight to a new target", () => {
+      const first = highlightTarget("#experience");
+      const second = highlightTarget("#skills");
+
+      expect(first.classList.contains("toc-highlight")).toBe(false);
+      expect(second.classList.contains("toc-highlight")).toBe(true);
+    });
+
+    it("should ignore missing, empty and malformed hashes", () => {
+      expect(highlightTarget("#missing")).toBeNull();
+      expect(highlightTarget("")).toBeNull();
+      expect(highlightTarget("#%E0")).toBeNull();
+    });
+
+    it("should follow hash changes", () => {
+      window.history.replaceState(null, "", "/resume.html#experience");
+      window.dispatchEvent(new Event("hashchange"));
+
+      expect(
+        document.getElementById("experience").classList.contains("toc-highlight")
+      ).toBe(true);
+    });
+  });
+
+  describe("initPage", () => {
+    const nav = () => document.querySelector("nav");
+    const toggle = () => nav().querySelector(".toc-toggle");
+
+    it("should build the contents and heading links once", () => {
+      initPage();
+      initPage();
+
+      expect(nav().querySelectorAll(".toc-toggle")).toHaveLength(1);
+      expect(nav().querySelectorAll(".toc-link")).toHaveLength(5);
+      expect(document.querySelectorAll("h2 .heading-link, h3 .heading-link")).toHaveLength(5);
+    });
+
+    it("should open and close the list", () => {
+      initPage();
+
+      toggle().click();
+      expect(toggle().getAttribute("aria-expanded")).toBe("true");
+      expect(nav().querySelector(".toc-list").hidden).toBe(false);
+
+      nav().querySelector(".toc-link").click();
+      expect(toggle().getAttribute("aria-expanded")).toBe("false");
+      expect(nav().classList.contains("open")).toBe(false);
+    });
+
+    it("should close on Escape and return focus to the toggle", () => {
+      initPage();
+      toggle().click();
+      const link = nav().querySelector(".toc-link");
+      link.focus();
+
+      link.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+
+      expect(nav().querySelector(".toc-list").hidden).toBe(true);
+      expect(document.activeElement).toBe(toggle());
+    });
+
+    it("should name the section being read", () => {
+      initPage();
+
+      // jsdom puts every section at the top, so the spy picks the last one
+      expect(nav().querySelector(".toc-current").textContent).toBe("Skills");
+    });
+
+    it("should scroll to a generated anchor from the URL", () => {
+      window.history.replaceState(null, "", "/resume.html#software-engineer-fandango");
+
+      initPage();
+
+      const heading = document.getElementById("software-engineer-fandango");
+      expect(heading.scrollIntoView).toHaveBeenCalledWith({ block: "start" });
+      expect(heading.closest(".card").classList.contains("toc-highlight")).toBe(true);
+    });
+
+    it("should wait for content that is still being rendered", () => {
+      const work = document.createElement("div");
+      work.setAttribute("aria-busy", "true");
+      document.getElementById("experience").append(work);
+
+      initPage();
+      expect(toggle()).toBeNull();
+
+      work.innerHTML = "<h3>Engineer, Acme</h3>";
+      work.removeAttribute("aria-busy");
+      document.dispatchEvent(new CustomEvent("content:rendered"));
+
+      expect(nav().querySelectorAll(".toc-link")).toHaveLength(6);
+      expect(document.getElementById("engineer-acme")).not.toBeNull();
+    });
+
+    it("should do nothing without a table of contents", () => {
+      document.body.innerHTML = "<main><h2>Alone</h2></main>";
+
+      initPage();
+
+      expect(document.querySelector("h2").id).toBe("");
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test suite for the Core Web Vitals report
+ * Tests all functions in scripts/vitals-report.mjs
+ */
+
+import {
+  aggregateVitals,
+  formatReport,
+  parseVitals,
+  percentile
+} from "../scripts/vitals-report.mjs";
+
+describe("Core Web Vitals Report (vitals-report.mjs)", () => {
+  const vital = (path, name, value) =>
+    JSON.stringify({ type: "vital", path, name, value, rating: "good", theme: "dark" });
+
+  describe("parseVitals", () => {
+    it("should keep well-formed vital events only", () => {
+      const text = [
+        vital("/", "LCP", 1200),
+        "",
+        "{\"type\":\"pageview\",\"path\":\"/\"}",
+        "not json",
+        vital("/", "FID", 10),
+        JSON.stringify({ type: "vital", path: "/", name: "CLS", value: "0.1" }),
+        vital("/resume", "CLS", 0.02)
+      ].join("\n");
+
+      expect(parseVitals(text).map(({ path, name, value }) => [path, name, value])).toEqual([
+        ["/", "LCP", 1200],
+        ["/resume", "CLS", 0.02]
+      ]);
+    });
+  });
+
+  describe("percentile", () => {
+    it("should use the nearest rank", () => {
+      const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+      expect(percentile(sorted, 50)).toBe(50);
+      expect(percentile(sorted, 75)).toBe(80);
+      expect(percentile(sorted, 95)).toBe(100);
+      expect(percentile([7], 0)).toBe(7);
+    });
+  });
+
+  describe("aggregateVitals", () => {
+    it("should summarize each metric per page", () => {
+      const lines = [];
+      for (let i = 1; i <= 20; i++) {
+        lines.push(vital("/resume", "LCP", i * 250));
+      }
+      lines.push(vital("/", "CLS", 0.3), vital("/", "TTFB", 400), vital("/", "CLS", 0.01));
+
+      const report = aggregateVitals(parseVitals(lines.join("\n")));
+
+      expect(Object.keys(report)).toEqual(["/", "/resume"]);
+      // Metrics come out in report order, not arrival order
+      expect(Object.keys(report["/"])).toEqual(["CLS", "TTFB"]);
+      expect(report["/"].CLS).toEqual({
+        count: 2,
+        p50: 0.01,
+        p75: 0.3,
+        p95: 0.3,
+        rating: "poor"
+      });
+      expect(report["/resume"].LCP).toEqual({
+        count: 20,
+        p50: 2500,
+        p75: 3750,
+        p95: 4750,
+        rating: "needs-improvement"
+      });
+    });
+
+    it("should be empty without vitals", () => {
+      expect(aggregateVitals([])).toEqual({});
+    });
+  });
+
+  describe("formatReport", () => {
+    it("should render a table per page with units", () => {
+      const report = aggregateVitals(
+        parseVitals([vital("/", "LCP", 1234.4), vital("/", "CLS", 0.05)].join("\n"))
+      );
+
+      expect(formatReport(report)).toBe(
+        [
+          "/",
+          "  Metric  Count  p50      p75      p95      Rating (p75)",
+          "  LCP     1      1234 ms  1234 ms  1234 ms  good",
+          "  CLS     1      0.050    0.050    0.050    good"
+        ].join("\n")
+      );
+    });
+
+    it("should say when there is nothing to report", () => {
+      expect(formatReport({})).toBe("No Core Web Vitals recorded.");
+    });
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Test suite for Core Web Vitals collection
+ * Tests all functions in vitals.js
+ */
+
+import { jest } from "@jest/globals";
+import { flush } from "../js/analytics.js";
+import {
+  cumulativeLayoutShift,
+  getSampleRate,
+  initVitals,
+  interactionToNextPaint,
+  rate
+} from "../js/vitals.js";
+
+describe("Core Web Vitals (vitals.js)", () => {
+  let sendBeacon;
+  let observers;
+
+  // Stand-in for the browser's PerformanceObserver
+  class FakeObserver {
+    static supportedEntryTypes = [
+      "paint",
+      "largest-contentful-paint",
+      "layout-shift",
+      "event",
+      "first-input"
+    ];
+
+    constructor(callback) {
+      this.callback = callback;
+      this.records = [];
+      observers.push(this);
+    }
+
+    observe(options) {
+      this.options = options;
+    }
+
+    takeRecords() {
+      return this.records.splice(0);
+    }
+
+    disconnect() {
+      this.disconnected = true;
+    }
+  }
+
+  const observer = (type) => observers.find((o) => o.options.type === type);
+  const emit = (type, entries) => observer(type).callback({ getEntries: () => entries });
+
+  // Vitals sent so far, by metric name
+  const vitals = () => {
+    flush();
+    return Object.fromEntries(
+      sendBeacon.mock.calls
+        .flatMap(([, body]) => JSON.parse(body).events)
+        .filter((event) => event.type === "vital")
+        .map((event) => [event.name, event])
+    );
+  };
+
+  const hide = () => {
+    const visibility = jest.spyOn(document, "visibilityState", "get").mockReturnValue("hidden");
+    document.dispatchEvent(new Event("visibilitychange"));
+    visibility.mockRestore();
+  };
+
+  beforeEach(() => {
+    observers = [];
+    global.PerformanceObserver = FakeObserver;
+    sendBeacon = jest.fn(() => true);
+    Object.defineProperty(navigator, "sendBeacon", { configurable: true, value: sendBeacon });
+    document.head.innerHTML = "<meta name=\"analytics-endpoint\" content=\"/api/collect\" />";
+  });
+
+  afterEach(() => {
+    flush();
+    delete global.PerformanceObserver;
+    delete navigator.sendBeacon;
+  });
+
+  describe("rate", () => {
+    it("should rate values against the metric's thresholds", () => {
+      expect(rate("LCP", 2500)).toBe("good");
+      expect(rate("LCP", 3000)).toBe("needs-improvement");
+      expect(rate("LCP", 4001)).toBe("poor");
+      expect(rate("CLS", 0.05)).toBe("good");
+      expect(rate("INP", 600)).toBe("poor");
+    });
+  });
+
+  describe("getSampleRate", () => {
+    it("should measure every page load by default", () => {
+      expect(getSampleRate()).toBe(1);
+    });
+
+    it("should read and clamp the page's sample rate", () => {
+      document.head.innerHTML = "<meta name=\"vitals-sample-rate\" content=\"0.25\" />";
+      expect(getSampleRate()).toBe(0.25);
+
+      document.head.innerHTML = "<meta name=\"vitals-sample-rate\" content=\"5\" />";
+      expect(getSampleRate()).toBe(1);
+
+      document.head.innerHTML = "<meta name=\"vitals-sample-rate\" content=\"-1\" />";
+      expect(getSampleRate()).toBe(0);
+
+      document.head.innerHTML = "<meta name=\"vitals-sample-rate\" content=\"often\" />";
+      expect(getSampleRate()).toBe(1);
+    });
+  });
+
+  describe("cumulativeLayoutShift", () => {
+    const shift = (startTime, value, hadRecentInput = false) => ({
+      startTime,
+      value,
+      hadRecentInput
+    });
+
+    it("should take the largest session window", () => {
+      const shifts = [
+        shift(0, 0.05),
+        shift(500, 0.05),
+        // More than a second later: a new window
+        shift(2000, 0.02),
+        shift(2500, 0.2)
+      ];
+
+      expect(cumulativeLayoutShift(shifts)).toBeCloseTo(0.22);
+    });
+
+    it("should cap a session window at five seconds", () => {
+      const shifts = [0, 900, 1800, 2700, 3600, 4500, 5400].map((time) => shift(time, 0.1));
+
+      expect(cumulativeLayoutShift(shifts)).toBeCloseTo(0.6);
+    });
+
+    it("should ignore shifts caused by input", () => {
+      expect(cumulativeLayoutShift([shift(0, 0.5, true), shift(100, 0.01)])).toBeCloseTo(0.01);
+      expect(cumulativeLayoutShift([])).toBe(0);
+    });
+  });
+
+  describe("interactionToNextPaint", () => {
+    it("should take the slowest interaction", () => {
+      expect(interactionToNextPaint([80, 240, 120])).toBe(240);
+    });
+
+    it("should skip one outlier per 50 interactions", () => {
+      const durations = Array.from({ length: 100 }, (_, i) => i + 1);
+
+      expect(interactionToNextPaint(durations)).toBe(98);
+    });
+
+    it("should be null without interactions", () => {
+      expect(interactionToNextPaint([])).toBeNull();
+    });
+  });
+
+  describe("initVitals", () => {
+    it("should skip page loads outside the sample", () => {
+      initVitals({ sampleRate: 0.25, random: () => 0.5 });
+
+      expect(observers).toHaveLength(0);
+    });
+
+    it("should skip visitors who opted out of analytics", () => {
+      Object.defineProperty(navigator, "globalPrivacyControl", {
+        configurable: true,
+        value: true
+      });
+
+      initVitals({ random: () => 0 });
+
+      expect(observers).toHaveLength(0);
+      delete navigator.globalPrivacyControl;
+    });
+
+    describe("once measuring", () => {
+      let measured;
+
+      // initVitals only starts once per page, so every test in this block
+      // drives the observers from this one start
+      beforeAll(() => {
+        window.history.replaceState(null, "", "/resume.html");
+        document.documentElement.setAttribute("data-theme", "dark");
+        // jsdom has no navigation timing
+        performance.getEntriesByType = jest.fn(() => [{ responseStart: 123.4 }]);
+        observers = [];
+        global.PerformanceObserver = FakeObserver;
+
+        initVitals({ random: () => 0 });
+
+        measured = observers;
+        delete performance.getEntriesByType;
+      });
+
+      afterAll(() => {
+        document.documentElement.removeAttribute("data-theme");
+      });
+
+      const find = (type) => measured.find((o) => o.options.type === type);
+      const emitTo = (type, entries) => find(type).callback({ getEntries: () => entries });
+
+      it("should report TTFB straight away and FCP once painted", () => {
+        emitTo("paint", [
+          { name: "first-paint", startTime: 900 },
+          { name: "first-contentful-paint", startTime: 1000.6 }
+        ]);
+
+        expect(vitals()).toEqual({
+          TTFB: {
+            type: "vital",
+            path: "/resume",
+            time: expect.any(Number),
+            name: "TTFB",
+            value: 123,
+            rating: "good",
+            theme: "dark"
+          },
+          FCP: expect.objectContaining({ value: 1001, rating: "good", theme: "dark" })
+        });
+      });
+
+      it("should observe buffered entries and slow-ish interactions", () => {
+        expect(find("paint").options).toEqual({ type: "paint", buffered: true });
+        expect(find("event").options).toEqual({
+          type: "event",
+          buffered: true,
+          durationThreshold: 40
+        });
+      });
+
+      it("should be started only once", () => {
+        initVitals({ random: () => 0 });
+
+        expect(observers).toHaveLength(0);
+      });
+
+      it("should finish LCP at the first interaction", () => {
+        emitTo("largest-contentful-paint", [{ startTime: 1500 }, { startTime: 2600 }]);
+        find("largest-contentful-paint").records.push({ startTime: 2700 });
+
+        window.dispatchEvent(new KeyboardEvent("keydown", { key: "Tab" }));
+
+        expect(vitals().LCP).toEqual(
+          expect.objectContaining({ value: 2700, rating: "needs-improvement" })
+        );
+        expect(find("largest-contentful-paint").disconnected).toBe(true);
+      });
+
+      it("should report CLS and INP for the landing page when hidden", () => {
+        window.history.replaceState(null, "", "/projects.html");
+        emitTo("layout-shift", [
+          { startTime: 100, value: 0.08, hadRecentInput: false },
+          { startTime: 300, value: 0.3, hadRecentInput: true }
+        ]);
+        find("layout-shift").records.push({ startTime: 600, value: 0.04, hadRecentInput: false });
+        emitTo("event", [
+          { interactionId: 1, duration: 80 },
+          { interactionId: 1, duration: 260 },
+          { interactionId: 0, duration: 900 }
+        ]);
+        emitTo("first-input", [{ interactionId: 2, duration: 48 }]);
+        find("event").records.push({ interactionId: 3, duration: 120 });
+
+        hide();
+
+        const { CLS, INP } = vitals();
+        expect(CLS).toEqual(
+          expect.objectContaining({ path: "/resume", value: 0.12, rating: "needs-improvement" })
+        );
+        expect(INP).toEqual(
+          expect.objectContaining({ path: "/resume", value: 260, rating: "needs-improvement" })
+        );
+        window.history.replaceState(null, "", "/resume.html");
+      });
+
+      it("should report each metric only once", () => {
+        hide();
+
+        expect(vitals()).toEqual({});
+      });
+    });
+  });
+});
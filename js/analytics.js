@@ -0,0 +1,155 @@
+// First-party analytics
+//
+// Records page views, outbound link clicks, theme changes and the steps of
+// the contact form (opened, validation failed, submitted, succeeded), and
+// sends them in batches with navigator.sendBeacon to the endpoint named by
+//
+//   <meta name="analytics-endpoint" content="/api/collect" />
+//
+// Pages without that tag send nothing. Batches go out once MAX_BATCH_SIZE
+// events are queued, FLUSH_DELAY after the first one, and whenever the page
+// is hidden, so clicks that leave the site are still counted.
+//
+// Nothing identifies a visitor: no cookies or IDs are used, paths are sent
+// normalized and without their query string or hash, and a referrer is only
+// reported as a hostname. Visitors with Do Not Track or Global Privacy
+// Control turned on are not tracked at all.
+//
+// `npm run analytics:stub` serves the site with a stub endpoint that prints
+// and logs each batch (scripts/analytics-stub.mjs).
+
+import { normalizePath } from "./nav-match.js";
+
+const ENDPOINT_SELECTOR = "meta[name=\"analytics-endpoint\"]";
+const MAX_BATCH_SIZE = 10;
+const FLUSH_DELAY = 5000;
+
+let queue = [];
+let flushTimer = null;
+let initialized = false;
+
+/**
+ * Whether the visitor allows tracking: neither Global Privacy Control nor
+ * Do Not Track is turned on
+ * @param {Navigator} [nav] - Defaults to navigator
+ * @param {Window} [win] - Defaults to window, for older browsers' window.doNotTrack
+ * @returns {boolean}
+ */
+export function isTrackingAllowed(nav = navigator, win = window) {
+  if (nav.globalPrivacyControl === true) {
+    return false;
+  }
+  const doNotTrack = nav.doNotTrack || win.doNotTrack;
+  return doNotTrack !== "1" && doNotTrack !== "yes";
+}
+
+/**
+ * The page's analytics endpoint
+ * @returns {string} - Empty when the page has none
+ */
+export function getEndpoint() {
+  const meta = document.querySelector(ENDPOINT_SELECTOR);
+  return meta ? (meta.getAttribute("content") || "").trim() : "";
+}
+
+/**
+ * Send every queued event in one beacon
+ * @returns {boolean} - Whether a beacon was queued by the browser
+ */
+export function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!queue.length) {
+    return false;
+  }
+
+  const events = queue;
+  queue = [];
+  const endpoint = getEndpoint();
+  if (!endpoint || typeof navigator.sendBeacon !== "function") {
+    return false;
+  }
+  // A string body is sent as text/plain, which needs no CORS preflight
+  return navigator.sendBeacon(endpoint, JSON.stringify({ events }));
+}
+
+/**
+ * Record an event for the current page
+ * @param {string} type - e.g. "pageview", "outbound", "theme", "contact"
+ * @param {object} [data] - Extra fields; never personal data
+ */
+export function track(type, data = {}) {
+  if (!isTrackingAllowed()) {
+    return;
+  }
+
+  queue.push({
+    type,
+    path: normalizePath(window.location.pathname),
+    time: Date.now(),
+    ...data
+  });
+
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_DELAY);
+  }
+}
+
+/**
+ * Hostname of the page that linked here, if it was another site
+ * @returns {string|undefined}
+ */
+function externalReferrer() {
+  try {
+    const referrer = new URL(document.referrer);
+    return referrer.origin === window.location.origin ? undefined : referrer.hostname;
+  } catch {
+    // No referrer, or not a URL
+    return undefined;
+  }
+}
+
+/**
+ * Count clicks on links to other sites
+ * @param {MouseEvent} e
+ */
+function onLinkClick(e) {
+  const link = e.target.closest ? e.target.closest("a[href]") : null;
+  if (!link) {
+    return;
+  }
+
+  let url;
+  try {
+    url = new URL(link.getAttribute("href"), window.location.href);
+  } catch {
+    return;
+  }
+  if (/^https?:$/.test(url.protocol) && url.origin !== window.location.origin) {
+    track("outbound", { url: `${url.origin}${url.pathname}` });
+  }
+}
+
+/**
+ * Start recording: a page view now and after each client-side navigation,
+ * plus outbound clicks. Does nothing if the visitor opted out.
+ */
+export function initAnalytics() {
+  if (initialized || !isTrackingAllowed()) {
+    return;
+  }
+  initialized = true;
+
+  track("pageview", { referrer: externalReferrer() });
+  document.addEventListener("router:navigated", () => track("pageview"));
+  document.addEventListener("click", onLinkClick);
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      flush();
+    }
+  });
+  window.addEventListener("pagehide", flush);
+}
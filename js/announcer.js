@@ -0,0 +1,62 @@
+// Screen reader announcements
+//
+// Two visually hidden live regions shared by every script on the page, so
+// status changes that happen without a page load (a partial loading, the
+// contact form sending, the kitty cam going offline) are read out the same
+// way. Polite messages wait until the screen reader is idle; assertive ones
+// are for errors and interrupt it.
+//
+// The regions sit at the end of <body>, outside the <main> the router swaps,
+// and are added the first time they're needed. Messages are written after a
+// short delay: a live region only reads changes made after it is in the
+// page, and clearing it first means the same message twice is read twice.
+
+const ANNOUNCE_DELAY = 100;
+
+const REGION_ROLES = {
+  polite: "status",
+  assertive: "alert"
+};
+
+// Live region and pending message timer per politeness
+const regions = {};
+const timers = {};
+
+/**
+ * The live region for a politeness, added to the page if it isn't there
+ * @param {string} politeness - "polite" or "assertive"
+ * @returns {HTMLElement}
+ */
+function getRegion(politeness) {
+  if (regions[politeness] && regions[politeness].isConnected) {
+    return regions[politeness];
+  }
+
+  const body = document.body;
+  body.insertAdjacentHTML(
+    "beforeend",
+    `<div class="visually-hidden" role="${REGION_ROLES[politeness]}" ` +
+      `aria-live="${politeness}" aria-atomic="true" data-announcer="${politeness}"></div>`
+  );
+  regions[politeness] = body.lastElementChild;
+  return regions[politeness];
+}
+
+/**
+ * Read a message out to screen reader users
+ * @param {string} message - Plain text to announce
+ * @param {object} [options]
+ * @param {string} [options.politeness] - "polite" (default) or "assertive"
+ */
+export function announce(message, { politeness = "polite" } = {}) {
+  if (!message || !REGION_ROLES[politeness]) {
+    return;
+  }
+
+  const region = getRegion(politeness);
+  region.textContent = "";
+  clearTimeout(timers[politeness]);
+  timers[politeness] = setTimeout(() => {
+    region.textContent = message;
+  }, ANNOUNCE_DELAY);
+}
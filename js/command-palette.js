@@ -0,0 +1,485 @@
+// Command palette
+//
+// Ctrl+K (Cmd+K on macOS) opens a fuzzy-searchable list of places to go and
+// things to do: the pages in the header nav, sections of those pages, and a
+// few site actions. The search input is an ARIA combobox that controls a
+// listbox; focus never leaves the input and aria-activedescendant tracks the
+// highlighted option.
+//
+// Sections are declared in page markup: any element with an id and a
+// data-command="Label" attribute (e.g. the resume sections and the project
+// cards) becomes an entry, grouped under its page's nav label. They are read
+// from the current page and fetched once per session from the other
+// same-origin nav pages.
+
+import { reportError } from "./error-reporter.js";
+import { normalizePath } from "./nav-match.js";
+import { visit } from "./router.js";
+import { scrollToTop } from "./scroll.js";
+import { getThemeOptions, setThemePreference } from "./theme.js";
+
+const PALETTE_ID = "commandPalette";
+const LIST_ID = "commandPaletteList";
+
+let started = false;
+let palette = null;
+let commands = [];
+let results = [];
+let activeIndex = 0;
+let returnFocus = null;
+// Incremented per open so late section fetches can't leak into a newer list
+let openId = 0;
+// Page URL -> Promise of that page's section commands
+const sectionCache = new Map();
+
+/**
+ * Score how well a query fuzzy-matches some text. Every query character
+ * must appear in order; consecutive characters and word starts score higher.
+ * Whitespace in the query is ignored, so "back top" finds "Back to top".
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to match against
+ * @returns {number|null} - Score, or null if the text doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) {
+      return null;
+    }
+
+    score += 1;
+    if (index === previous + 1) {
+      score += 2;
+    }
+    if (index === 0 || /[\s\-:/&]/.test(haystack[index - 1])) {
+      score += 3;
+    }
+    previous = index;
+    from = index + 1;
+  }
+
+  return score;
+}
+
+/**
+ * Filter commands by a query and order them best match first. Ties keep
+ * their original order, so an empty query lists everything as collected.
+ * @param {string} query - What the user typed
+ * @param {Array<{label: string, group: string}>} list - Commands to filter
+ * @returns {Array<object>} - Matching commands
+ */
+export function filterCommands(query, list) {
+  return list
+    .map((command, index) => ({
+      command,
+      index,
+      score: fuzzyScore(query, `${command.label} ${command.group}`)
+    }))
+    .filter((entry) => entry.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((entry) => entry.command);
+}
+
+/**
+ * Normalize a URL to its page so "/", "/index.html" and clean URLs compare
+ * equal
+ * @param {string} href - Absolute URL
+ * @returns {string}
+ */
+function pageKey(href) {
+  const url = new URL(href);
+  return `${url.origin}${normalizePath(url.pathname)}`;
+}
+
+/**
+ * Header nav links to other pages
+ * @returns {Array<{label: string, url: string}>}
+ */
+function getNavPages() {
+  return Array.from(document.querySelectorAll(".navbar .nav-link[href]")).map(
+    (link) => ({ label: link.textContent.trim(), url: link.href })
+  );
+}
+
+/**
+ * Build commands for the data-command sections in a document
+ * @param {Document|Element} root - Where to look
+ * @param {string} pageUrl - URL of the page the sections belong to
+ * @param {string} group - Group label, the page's nav label
+ * @returns {Array<object>}
+ */
+function collectSections(root, pageUrl, group) {
+  return Array.from(root.querySelectorAll("[data-command][id]")).map(
+    (element) => {
+      const url = new URL(`#${element.id}`, pageUrl).href;
+      return {
+        label: element.getAttribute("data-command") || element.textContent.trim(),
+        group,
+        icon: "bi-hash",
+        run: () => visit(url)
+      };
+    }
+  );
+}
+
+/**
+ * Fetch another page once and collect its sections
+ * @param {{label: string, url: string}} page - Nav page
+ * @returns {Promise<Array<object>>}
+ */
+function loadSections(page) {
+  const key = pageKey(page.url);
+  if (!sectionCache.has(key)) {
+    const request = fetch(page.url, { headers: { Accept: "text/html" } })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+      })
+      .then((html) => {
+        const doc = new DOMParser().parseFromString(html, "text/html");
+        return collectSections(doc, page.url, page.label);
+      })
+      .catch((error) => {
+        console.error("Error loading commands:", page.url, error);
+        reportError(error, { source: "commands", url: page.url });
+        // Try again next time the palette opens
+        sectionCache.delete(key);
+        return [];
+      });
+    sectionCache.set(key, request);
+  }
+  return sectionCache.get(key);
+}
+
+/**
+ * Focus the contact form, loading the contact page first if needed
+ * @param {Array<{label: string, url: string}>} pages - Nav pages
+ */
+function openContactForm(pages) {
+  const form = document.getElementById("contactForm");
+  if (form) {
+    const field = form.querySelector("input, textarea");
+    (field || form).focus();
+    return;
+  }
+
+  const contact = pages.find((page) =>
+    normalizePath(new URL(page.url).pathname) === "/contact"
+  );
+  visit(contact ? contact.url : "/contact.html");
+}
+
+/**
+ * Site-wide actions
+ * @param {Array<{label: string, url: string}>} pages - Nav pages
+ * @returns {Array<object>}
+ */
+function getActions(pages) {
+  const actions = [
+    {
+      label: "Toggle dark mode",
+      group: "Action",
+      icon: "bi-circle-half",
+      run: () => {
+        const dark = document.documentElement.classList.contains("dark-mode");
+        setThemePreference(dark ? "light" : "dark");
+      }
+    },
+    {
+      label: "Back to top",
+      group: "Action",
+      icon: "bi-arrow-up",
+      run: scrollToTop
+    },
+    {
+      label: "Open contact form",
+      group: "Action",
+      icon: "bi-envelope",
+      run: () => openContactForm(pages)
+    }
+  ];
+
+  getThemeOptions().forEach(({ value, label, icon }) => {
+    actions.push({
+      label: `Theme: ${label}`,
+      group: "Action",
+      icon,
+      run: () => setThemePreference(value)
+    });
+  });
+
+  return actions;
+}
+
+/**
+ * Everything available without a network request
+ * @param {Array<{label: string, url: string}>} pages - Nav pages
+ * @returns {Array<object>}
+ */
+function collectCommands(pages) {
+  const current = pageKey(window.location.href);
+  const currentPage = pages.find((page) => pageKey(page.url) === current);
+
+  const pageCommands = pages.map((page) => ({
+    label: page.label,
+    group: "Page",
+    icon: "bi-file-earmark-text",
+    run: () => visit(page.url)
+  }));
+
+  const sections = collectSections(
+    document,
+    window.location.href,
+    currentPage ? currentPage.label : document.title
+  );
+
+  return [...pageCommands, ...sections, ...getActions(pages)];
+}
+
+/**
+ * Create the palette markup on first use
+ * @returns {{root: HTMLElement, input: HTMLInputElement, list: HTMLElement, empty: HTMLElement, status: HTMLElement}}
+ */
+function ensurePalette() {
+  if (palette && document.body.contains(palette.root)) {
+    return palette;
+  }
+
+  const root = document.createElement("div");
+  root.id = PALETTE_ID;
+  root.className = "command-palette";
+  root.hidden = true;
+  root.innerHTML = `
+    <div class="command-palette-dialog" role="dialog" aria-modal="true"
+      aria-label="Command palette">
+      <input class="command-palette-input" type="text" role="combobox"
+        aria-label="Search pages, sections and actions"
+        aria-autocomplete="list" aria-expanded="false"
+        aria-controls="${LIST_ID}" autocomplete="off" spellcheck="false"
+        placeholder="Search pages, sections and actions…" />
+      <ul class="command-palette-list" id="${LIST_ID}" role="listbox"
+        aria-label="Commands"></ul>
+      <p class="command-palette-empty" hidden>No matching commands</p>
+      <div class="visually-hidden" role="status" aria-live="polite"></div>
+    </div>`;
+  document.body.appendChild(root);
+
+  palette = {
+    root,
+    input: root.querySelector(".command-palette-input"),
+    list: root.querySelector(".command-palette-list"),
+    empty: root.querySelector(".command-palette-empty"),
+    status: root.querySelector("[role=\"status\"]")
+  };
+
+  palette.input.addEventListener("input", () => {
+    activeIndex = 0;
+    render();
+  });
+  palette.input.addEventListener("keydown", handleInputKeydown);
+
+  // Keep focus in the input while clicking options
+  palette.list.addEventListener("mousedown", (e) => e.preventDefault());
+  palette.list.addEventListener("click", (e) => {
+    const option = e.target.closest("[role=\"option\"]");
+    if (option) {
+      runCommand(Number(option.getAttribute("data-index")));
+    }
+  });
+  palette.list.addEventListener("mousemove", (e) => {
+    const option = e.target.closest("[role=\"option\"]");
+    if (option) {
+      setActive(Number(option.getAttribute("data-index")));
+    }
+  });
+
+  // Clicking the backdrop closes the palette
+  root.addEventListener("click", (e) => {
+    if (e.target === root) {
+      closeCommandPalette();
+    }
+  });
+
+  return palette;
+}
+
+/**
+ * Re-filter the commands and redraw the listbox
+ */
+function render() {
+  const { input, list, empty, status } = palette;
+  results = filterCommands(input.value, commands);
+  activeIndex = Math.min(activeIndex, Math.max(results.length - 1, 0));
+
+  list.innerHTML = "";
+  results.forEach((command, index) => {
+    const option = document.createElement("li");
+    option.id = `${LIST_ID}-option-${index}`;
+    option.className = "command-palette-option";
+    option.setAttribute("role", "option");
+    option.setAttribute("data-index", String(index));
+    option.innerHTML = `
+      <i class="bi ${command.icon}" aria-hidden="true"></i>
+      <span class="command-palette-label"></span>
+      <span class="command-palette-group"></span>`;
+    // Labels can come from fetched pages; never parse them as HTML
+    option.querySelector(".command-palette-label").textContent = command.label;
+    option.querySelector(".command-palette-group").textContent = command.group;
+    list.appendChild(option);
+  });
+
+  empty.hidden = results.length > 0;
+  status.textContent = results.length
+    ? `${results.length} result${results.length === 1 ? "" : "s"}`
+    : "No matching commands";
+  setActive(activeIndex);
+}
+
+/**
+ * Highlight an option and point aria-activedescendant at it
+ * @param {number} index - Index into the current results
+ */
+function setActive(index) {
+  const { input, list } = palette;
+  activeIndex = index;
+
+  list.querySelectorAll("[role=\"option\"]").forEach((option) => {
+    option.setAttribute(
+      "aria-selected",
+      String(option.getAttribute("data-index") === String(index))
+    );
+  });
+
+  const active = document.getElementById(`${LIST_ID}-option-${index}`);
+  if (!active) {
+    input.removeAttribute("aria-activedescendant");
+    return;
+  }
+
+  input.setAttribute("aria-activedescendant", active.id);
+  if (typeof active.scrollIntoView === "function") {
+    active.scrollIntoView({ block: "nearest" });
+  }
+}
+
+/**
+ * Close the palette and run one of the current results
+ * @param {number} index - Index into the current results
+ */
+function runCommand(index) {
+  const command = results[index];
+  if (!command) {
+    return;
+  }
+
+  closeCommandPalette();
+  command.run();
+}
+
+function handleInputKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (results.length) {
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((activeIndex + step + results.length) % results.length);
+    }
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runCommand(activeIndex);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    closeCommandPalette();
+  } else if (e.key === "Tab") {
+    // The input is the only focusable element in the dialog
+    e.preventDefault();
+  }
+}
+
+function handleShortcut(e) {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+    e.preventDefault();
+    if (palette && !palette.root.hidden) {
+      closeCommandPalette();
+    } else {
+      openCommandPalette();
+    }
+  }
+}
+
+/**
+ * Show the palette with an empty query and focus its input
+ */
+export function openCommandPalette() {
+  const { root, input } = ensurePalette();
+  if (!root.hidden) {
+    return;
+  }
+
+  const id = ++openId;
+  const pages = getNavPages();
+  returnFocus = document.activeElement;
+  commands = collectCommands(pages);
+  activeIndex = 0;
+  input.value = "";
+  root.hidden = false;
+  input.setAttribute("aria-expanded", "true");
+  document.body.classList.add("command-palette-open");
+  render();
+  input.focus();
+
+  // Sections of other pages arrive later; add them to the open list
+  const current = pageKey(window.location.href);
+  const others = pages.filter(
+    (page) =>
+      new URL(page.url).origin === window.location.origin &&
+      pageKey(page.url) !== current
+  );
+  Promise.all(others.map(loadSections)).then((groups) => {
+    if (id !== openId || root.hidden) {
+      return;
+    }
+    const actionsStart = commands.findIndex((c) => c.group === "Action");
+    commands.splice(actionsStart, 0, ...groups.flat());
+    render();
+  });
+}
+
+/**
+ * Hide the palette and return focus to where it was
+ */
+export function closeCommandPalette() {
+  if (!palette || palette.root.hidden) {
+    return;
+  }
+
+  const { root, input } = palette;
+  root.hidden = true;
+  input.setAttribute("aria-expanded", "false");
+  input.removeAttribute("aria-activedescendant");
+  document.body.classList.remove("command-palette-open");
+
+  if (returnFocus && document.body.contains(returnFocus)) {
+    returnFocus.focus();
+  }
+  returnFocus = null;
+}
+
+/**
+ * Listen for the Ctrl/Cmd+K shortcut. Safe to call more than once.
+ */
+export function initCommandPalette() {
+  if (started) {
+    return;
+  }
+
+  started = true;
+  document.addEventListener("keydown", handleShortcut);
+}
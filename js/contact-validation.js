@@ -1,4 +1,16 @@
 // Contact form validation
+//
+// Progress and errors are announced to screen readers (js/announcer.js), and
+// when the error or success modal closes, focus returns to the form: the
+// first invalid field, else the Submit button. Each step, from opening the
+// form to a successful send, is counted by js/analytics.js. Sends that fail
+// because the API is down or unreachable are reported by
+// js/error-reporter.js; ones the API turned down, such as invalid input,
+// are not.
+import { track } from "./analytics.js";
+import { announce } from "./announcer.js";
+import { reportError } from "./error-reporter.js";
+import { focusElement } from "./focus.js";
 import {
   sanitizeInput,
   isValidName,
@@ -7,6 +19,8 @@ import {
   isValidMessage
 } from "./validation-helpers.js";
 
+const MODAL_IDS = ["validationErrorModal", "successModal"];
+
 const API_ENDPOINT =
   "https://674lumu19j.execute-api.us-west-2.amazonaws.com/prod/contact";
 
@@ -77,6 +91,7 @@ function validateContactForm(event) {
 
   // If there are errors, show the modal
   if (errors.length > 0) {
+    track("contact", { step: "validation_failed", errors: errors.length });
     showErrorModal(errors);
     return false;
   }
@@ -121,6 +136,7 @@ function showErrorModal(errors) {
     </ul>
   `;
 
+  announce(errors.join(". "), { politeness: "assertive" });
   showModal(modal);
 }
 
@@ -159,6 +175,8 @@ async function submitForm(formData) {
     submitButton.disabled = true;
     submitButton.innerHTML =
       "<span class=\"spinner-border spinner-border-sm me-2\"></span>Sending...";
+    announce("Sending your message...");
+    track("contact", { step: "submitted" });
 
     const response = await fetch(API_ENDPOINT, {
       method: "POST",
@@ -171,24 +189,51 @@ async function submitForm(formData) {
     const result = await response.json();
 
     if (response.ok) {
+      track("contact", { step: "succeeded" });
       showSuccessModal();
       document.getElementById("contactForm").reset();
       submitButton.disabled = false;
       submitButton.innerHTML = "Submit";
     } else {
+      if (response.status >= 500) {
+        reportError(new Error(`Contact API responded HTTP ${response.status}`), {
+          source: "contact",
+          url: API_ENDPOINT,
+          status: response.status
+        });
+      }
       showErrorModal([result.message || "Failed to send message"]);
       submitButton.disabled = false;
       submitButton.innerHTML = "Submit";
     }
   } catch (error) {
     console.error("Error:", error);
-    showErrorModal(["Failed to send message. Please try again later."]);
+    reportError(error, { source: "contact", url: API_ENDPOINT });
+    showErrorModal([
+      navigator.onLine
+        ? "Failed to send message. Please try again later."
+        : "You're offline, so your message wasn't sent. Please try again once you're reconnected."
+    ]);
     const submitButton = document.getElementById("submitButton");
     submitButton.disabled = false;
     submitButton.innerHTML = "Submit";
+    updateOfflineNotice();
   }
 }
 
+// Show the offline notice and disable sending while there is no connection
+function updateOfflineNotice() {
+  const notice = document.getElementById("offlineNotice");
+  const submitButton = document.getElementById("submitButton");
+  if (!notice || !submitButton) {
+    return;
+  }
+
+  const offline = !navigator.onLine;
+  notice.classList.toggle("d-none", !offline);
+  submitButton.disabled = offline;
+}
+
 // Show success modal
 function showSuccessModal() {
   let modal = document.getElementById("successModal");
@@ -218,6 +263,7 @@ function showSuccessModal() {
     document.body.appendChild(modal);
   }
 
+  announce("Your message was sent.");
   showModal(modal);
 }
 
@@ -248,6 +294,7 @@ function showModal(modal) {
   }
 
   document.body.classList.add("modal-open");
+  focusElement(modal);
 }
 
 function hideFallbackModal(modal) {
@@ -262,18 +309,50 @@ function hideFallbackModal(modal) {
   }
 
   document.body.classList.remove("modal-open");
+  returnFocusToForm();
 }
 
-// Initialize form validation when DOM is ready
-document.addEventListener("DOMContentLoaded", function () {
+// Focus would otherwise be left on <body> once the modal has gone
+function returnFocusToForm() {
+  const submitButton = document.getElementById("submitButton");
+  const target =
+    document.querySelector("#contactForm .is-invalid") ||
+    (submitButton && !submitButton.disabled ? submitButton : null) ||
+    document.getElementById("name");
+  if (target) {
+    focusElement(target);
+  }
+}
+
+// Bind form validation; also called by js/router.js after client-side
+// navigation swaps in the contact page
+function initPage() {
   const contactForm = document.getElementById("contactForm");
   if (contactForm) {
     contactForm.addEventListener("submit", validateContactForm);
+    track("contact", { step: "opened" });
+  }
+  updateOfflineNotice();
+}
+
+// Initialize form validation when DOM is ready
+document.addEventListener("DOMContentLoaded", initPage);
+
+// Connectivity is page-independent, so these listeners are registered once
+window.addEventListener("online", updateOfflineNotice);
+window.addEventListener("offline", updateOfflineNotice);
+
+// Bootstrap modals dispatch hidden.bs.modal once they have finished closing
+document.addEventListener("hidden.bs.modal", (event) => {
+  if (MODAL_IDS.includes(event.target.id)) {
+    returnFocusToForm();
   }
 });
 
 // Export functions for testing
 export {
+  initPage,
+  updateOfflineNotice,
   validateContactForm,
   submitForm,
   showErrorModal,
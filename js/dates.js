@@ -0,0 +1,46 @@
+// Dates in data files
+//
+// Data files (resume.json, projects.json) write dates as "2019", "2019-06" or
+// "2019-06-01", as JSON Resume does, and show them as "2019" or "Jun 2019".
+// Shared by the pages that render them, in the browser and at build time.
+
+export const DATE_PATTERN = /^[12]\d{3}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Format a date for display
+ * @param {string} value - "2019", "2019-06" or "2019-06-01"
+ * @returns {string} - "2019" or "Jun 2019"
+ */
+export function formatDate(value) {
+  const [year, month] = value.split("-");
+  return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+}
+
+/**
+ * Text for a date range; an entry without an end date is ongoing
+ * @param {string} [startDate]
+ * @param {string} [endDate]
+ * @returns {string} - e.g. "2019 - Present"; empty without a start date
+ */
+export function formatDateRangeText(startDate, endDate) {
+  if (!startDate) {
+    return "";
+  }
+  return `${formatDate(startDate)} - ${endDate ? formatDate(endDate) : "Present"}`;
+}
+
+/**
+ * Markup for a date range; an entry without an end date is ongoing
+ * @param {string} [startDate]
+ * @param {string} [endDate]
+ * @returns {string} - e.g. "2019 - Present"; empty without a start date
+ */
+export function formatDateRange(startDate, endDate) {
+  if (!startDate) {
+    return "";
+  }
+  const time = (value) => `<time datetime="${value}">${formatDate(value)}</time>`;
+  return `${time(startDate)} - ${endDate ? time(endDate) : "Present"}`;
+}
@@ -0,0 +1,145 @@
+// Client-side error reporting
+//
+// Sends uncaught errors, unhandled promise rejections and failures scripts
+// report themselves (a partial, a page, the search index or the contact API
+// not responding) to the collector named by
+//
+//   <meta name="error-collector" content="/api/errors" />
+//
+// Pages without that tag report nothing. Each report carries the page, the
+// user agent and the release from <meta name="release">, which
+// `npm run build` stamps with the package version.
+//
+// The same error is only reported once per page load, at most
+// MAX_REPORTS_PER_WINDOW reports go out per RATE_WINDOW, and failed requests
+// aren't reported while the browser is offline, since that's expected.
+//
+// `npm run analytics:stub` runs a local collector as well
+// (scripts/analytics-stub.mjs).
+
+const COLLECTOR_SELECTOR = "meta[name=\"error-collector\"]";
+const RELEASE_SELECTOR = "meta[name=\"release\"]";
+const RATE_WINDOW = 60000;
+const MAX_REPORTS_PER_WINDOW = 5;
+const MAX_STACK_LENGTH = 2000;
+
+// Errors already reported, and when recent reports were sent
+const reported = new Set();
+let sentAt = [];
+let initialized = false;
+
+/**
+ * The page's error collector
+ * @returns {string} - Empty when the page has none
+ */
+export function getCollector() {
+  const meta = document.querySelector(COLLECTOR_SELECTOR);
+  return meta ? (meta.getAttribute("content") || "").trim() : "";
+}
+
+/**
+ * The release the page was built from
+ * @returns {string} - "dev" for unbuilt pages, "unknown" without the tag
+ */
+export function getRelease() {
+  const meta = document.querySelector(RELEASE_SELECTOR);
+  return (meta && meta.getAttribute("content")) || "unknown";
+}
+
+/**
+ * Name, message and stack of anything that was thrown
+ * @param {*} error - Usually an Error, but any value can be thrown
+ * @returns {{name: string, message: string, stack: (string|undefined)}}
+ */
+function describeError(error) {
+  if (error && typeof error === "object" && "message" in error) {
+    return {
+      name: String(error.name || "Error"),
+      message: String(error.message),
+      stack: typeof error.stack === "string" ? error.stack.slice(0, MAX_STACK_LENGTH) : undefined
+    };
+  }
+  return { name: "Error", message: String(error), stack: undefined };
+}
+
+/**
+ * Send an error to the collector
+ * @param {*} error - What was thrown or rejected
+ * @param {object} [context] - Where it happened
+ * @param {string} [context.source] - e.g. "partial", "contact", "uncaught"
+ * @param {string} [context.url] - The request that failed, for fetch failures
+ * @param {number} [context.status] - Its HTTP status, if there was a response
+ * @returns {boolean} - Whether a report was sent
+ */
+export function reportError(error, context = {}) {
+  if (context.url && navigator.onLine === false) {
+    return false;
+  }
+
+  const collector = getCollector();
+  if (!collector || typeof navigator.sendBeacon !== "function") {
+    return false;
+  }
+
+  const { name, message, stack } = describeError(error);
+  const key = [context.source, context.url, name, message].join("\n");
+  const now = Date.now();
+  sentAt = sentAt.filter((time) => now - time < RATE_WINDOW);
+  if (reported.has(key) || sentAt.length >= MAX_REPORTS_PER_WINDOW) {
+    return false;
+  }
+  reported.add(key);
+  sentAt.push(now);
+
+  const { origin, pathname } = window.location;
+  return navigator.sendBeacon(
+    collector,
+    JSON.stringify({
+      name,
+      message,
+      stack,
+      ...context,
+      page: `${origin}${pathname}`,
+      userAgent: navigator.userAgent,
+      release: getRelease(),
+      time: now
+    })
+  );
+}
+
+/**
+ * Report an uncaught error
+ * @param {ErrorEvent} event
+ */
+function onError(event) {
+  // All the browser reveals about errors in scripts from other origins
+  if (!event.error && event.message === "Script error.") {
+    return;
+  }
+  reportError(event.error || event.message, {
+    source: "uncaught",
+    file: event.filename,
+    line: event.lineno,
+    column: event.colno
+  });
+}
+
+/**
+ * Report a promise rejection nothing handled
+ * @param {PromiseRejectionEvent} event
+ */
+function onUnhandledRejection(event) {
+  reportError(event.reason, { source: "unhandledrejection" });
+}
+
+/**
+ * Start reporting uncaught errors and unhandled rejections
+ */
+export function initErrorReporter() {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+  window.addEventListener("error", onError);
+  window.addEventListener("unhandledrejection", onUnhandledRejection);
+}
@@ -0,0 +1,57 @@
+// Focus management
+//
+// Helpers for keeping keyboard and screen reader focus somewhere sensible
+// when scripts add, replace or remove content. Focus left on an element
+// that is no longer in the page falls back to <body>, which sends keyboard
+// users back to the top and leaves screen readers with nothing to read.
+
+export const FOCUSABLE_SELECTOR =
+  "a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex=\"-1\"])";
+
+/**
+ * Move focus to an element, making it focusable from script if it isn't
+ * already (a section or message rather than a control)
+ * @param {HTMLElement} element
+ * @param {FocusOptions} [options] - Passed on to focus()
+ */
+export function focusElement(element, options) {
+  if (element.tabIndex < 0 && !element.hasAttribute("tabindex")) {
+    element.setAttribute("tabindex", "-1");
+  }
+  element.focus(options);
+}
+
+/**
+ * Remember the focused element inside a container before its content is
+ * replaced, so focus can move to its counterpart in the new content: the
+ * element with the same id, then the link with the same href, then the
+ * control in the same position, then the container itself
+ * @param {HTMLElement} container - Element whose children are about to change
+ * @returns {() => void} - Restores focus; does nothing if focus was outside
+ *   the container or has moved on since
+ */
+export function preserveFocus(container) {
+  const active = document.activeElement;
+  if (!active || active === container || !container.contains(active)) {
+    return () => {};
+  }
+
+  const id = active.id;
+  const href = active.getAttribute("href");
+  const index = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).indexOf(active);
+
+  return () => {
+    if (document.activeElement && document.activeElement !== document.body) {
+      return;
+    }
+
+    const focusables = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR));
+    const byId = id ? document.getElementById(id) : null;
+    const target =
+      (byId && container.contains(byId) ? byId : null) ||
+      (href !== null && focusables.find((el) => el.getAttribute("href") === href)) ||
+      focusables[index] ||
+      container;
+    focusElement(target, { preventScroll: true });
+  };
+}
@@ -0,0 +1,18 @@
+// HTML escaping
+//
+// For markup built from data files, such as the header nav (js/nav.js) and
+// the resume (js/resume.js), both in the browser and at build time.
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,160 @@
+// Mobile navigation
+//
+// Runs the navbar toggler as a WAI-ARIA disclosure button. aria-expanded
+// follows the menu, and opening the menu moves focus to its first link.
+// Escape closes it and returns focus to the toggler. Following a link,
+// clicking outside, tabbing out of the menu, client-side navigation and
+// widening the window past the collapse breakpoint all close it too.
+//
+// Bootstrap's Collapse animates the menu when Bootstrap has loaded;
+// otherwise the "show" class is toggled directly. The toggler has no
+// data-bs-toggle, so Bootstrap's own click handler doesn't toggle it a
+// second time.
+
+import { FOCUSABLE_SELECTOR } from "./focus.js";
+
+// Where .navbar-expand-lg stops collapsing
+const DESKTOP_QUERY = "(min-width: 992px)";
+
+// Togglers already bound, so re-initializing doesn't double up
+const boundTogglers = new WeakSet();
+// The most recently bound menu. Listeners on document and the breakpoint are
+// bound once and act on it, so re-rendered headers don't pile them up.
+let active = null;
+let documentListenersBound = false;
+
+/**
+ * Show or hide the menu and keep the toggler's aria-expanded in step
+ * @param {HTMLElement} toggler - .navbar-toggler button
+ * @param {HTMLElement} menu - The .navbar-collapse it controls
+ * @param {boolean} open
+ */
+function setMenuOpen(toggler, menu, open) {
+  toggler.setAttribute("aria-expanded", String(open));
+
+  if (typeof bootstrap !== "undefined") {
+    const collapse = bootstrap.Collapse.getOrCreateInstance(menu, { toggle: false });
+    if (open) {
+      collapse.show();
+    } else {
+      collapse.hide();
+    }
+  } else {
+    menu.classList.toggle("show", open);
+  }
+}
+
+/**
+ * Bind the listeners that close the active menu from outside it: Escape,
+ * clicks elsewhere, client-side navigation and the window widening. They go
+ * quiet once the active toggler has left the page.
+ */
+function bindDocumentListeners() {
+  if (documentListenersBound) {
+    return;
+  }
+  documentListenersBound = true;
+
+  const whileConnected = (listener) => (e) => {
+    if (active && active.toggler.isConnected) {
+      listener(active, e);
+    }
+  };
+
+  document.addEventListener(
+    "keydown",
+    whileConnected(({ menu, isOpen, close }, e) => {
+      // Let an open dropdown inside the menu (search results, theme picker)
+      // take the first Escape; this runs in the capture phase, before they do
+      if (
+        e.key === "Escape" &&
+        isOpen() &&
+        !menu.querySelector(".dropdown-menu.show")
+      ) {
+        close({ restoreFocus: true });
+      }
+    }),
+    true
+  );
+  document.addEventListener(
+    "click",
+    whileConnected(({ toggler, menu, close }, e) => {
+      if (!menu.contains(e.target) && !toggler.contains(e.target)) {
+        close();
+      }
+    })
+  );
+  document.addEventListener(
+    "router:navigated",
+    whileConnected(({ close }) => close())
+  );
+
+  const desktop =
+    typeof window.matchMedia === "function" ? window.matchMedia(DESKTOP_QUERY) : null;
+  if (desktop && typeof desktop.addEventListener === "function") {
+    desktop.addEventListener(
+      "change",
+      whileConnected(({ close }, e) => {
+        if (e.matches) {
+          close();
+        }
+      })
+    );
+  }
+}
+
+/**
+ * Bind the mobile menu toggler. Safe to call more than once per toggler.
+ * @param {HTMLElement} toggler - .navbar-toggler button
+ * @param {HTMLElement} menu - The .navbar-collapse it controls
+ */
+export function initMobileNav(toggler, menu) {
+  if (boundTogglers.has(toggler)) {
+    return;
+  }
+  boundTogglers.add(toggler);
+
+  const isOpen = () => toggler.getAttribute("aria-expanded") === "true";
+
+  const open = () => {
+    setMenuOpen(toggler, menu, true);
+    const first = menu.querySelector(FOCUSABLE_SELECTOR);
+    if (first) {
+      first.focus();
+    }
+  };
+
+  const close = ({ restoreFocus = false } = {}) => {
+    if (!isOpen()) {
+      return;
+    }
+    setMenuOpen(toggler, menu, false);
+    if (restoreFocus) {
+      toggler.focus();
+    }
+  };
+
+  toggler.addEventListener("click", () => {
+    if (isOpen()) {
+      close();
+    } else {
+      open();
+    }
+  });
+
+  menu.addEventListener("click", (e) => {
+    if (e.target.closest("a[href]")) {
+      close();
+    }
+  });
+
+  menu.addEventListener("focusout", (e) => {
+    const next = e.relatedTarget;
+    if (next && !menu.contains(next) && next !== toggler) {
+      close();
+    }
+  });
+
+  active = { toggler, menu, isOpen, close };
+  bindDocumentListeners();
+}
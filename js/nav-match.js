@@ -0,0 +1,76 @@
+// Navigation route matching
+//
+// Decides which header links describe the current page. Paths are compared
+// after normalizing, so /resume, /resume.html and /resume/ are the same page
+// and /, /index.html and /index are the home page.
+//
+// Links match exactly by default. A link with data-match="prefix" also
+// matches every page below it, so /projects.html stays active on
+// /projects/foo.html. Links with a hash only match while the URL has that
+// hash, and links to other origins never match.
+
+const EXTENSION_PATTERN = /\.html?$/i;
+
+/**
+ * Reduce a path to a canonical form: no extension, no index page and no
+ * trailing slash
+ * @param {string} path - URL pathname, e.g. "/projects/index.html"
+ * @returns {string} - e.g. "/projects", or "/" for the home page
+ */
+export function normalizePath(path) {
+  let normalized = path.replace(/\/{2,}/g, "/");
+  try {
+    normalized = decodeURI(normalized);
+  } catch {
+    // Keep malformed escapes as they are
+  }
+
+  const segments = normalized
+    .replace(EXTENSION_PATTERN, "")
+    .split("/")
+    .filter(Boolean);
+  if (segments[segments.length - 1] === "index") {
+    segments.pop();
+  }
+
+  return `/${segments.join("/")}`;
+}
+
+/**
+ * Whether a nav link points at the current page
+ * @param {string} href - The link's href attribute
+ * @param {Location|URL} location - Current page URL
+ * @param {object} [options]
+ * @param {string} [options.match] - "exact" (default) or "prefix"
+ * @returns {boolean}
+ */
+export function matchesRoute(href, location, { match = "exact" } = {}) {
+  let target;
+  try {
+    target = new URL(href, location.href);
+  } catch {
+    return false;
+  }
+
+  if (target.origin !== location.origin) {
+    return false;
+  }
+
+  const targetPath = normalizePath(target.pathname);
+  const currentPath = normalizePath(location.pathname);
+
+  if (target.hash) {
+    return targetPath === currentPath && target.hash === location.hash;
+  }
+
+  if (targetPath === currentPath) {
+    return true;
+  }
+
+  // Everything is below the home page, so "/" only ever matches exactly
+  return (
+    match === "prefix" &&
+    targetPath !== "/" &&
+    currentPath.startsWith(`${targetPath}/`)
+  );
+}
@@ -0,0 +1,183 @@
+// Header navigation
+//
+// The nav links are defined in /partials/nav.json and rendered into the
+// header's <ul data-nav="/partials/nav.json"> by js/scripts.js at runtime and
+// by scripts/build.mjs at build time, so pages work without JavaScript. Both
+// use renderNavItems(); nothing here touches the DOM at import.
+//
+// Each item has a label and either an href or children (a dropdown group),
+// plus optional fields:
+//   icon      Bootstrap icon class shown before the label, e.g. "bi-github"
+//   external  Open in a new tab
+//   match     "prefix" to stay active on pages below the link (js/nav-match.js)
+//   when      Condition name (or list of names, all required) from
+//             NAV_CONDITIONS; prefix a name with "!" to negate it
+//
+// Root-relative hrefs point at the main site ("site" in the config) when the
+// header is shown on one of its subdomains, such as the kitty cam.
+
+import { escapeHtml } from "./html.js";
+
+export const NAV_CONFIG_URL = "/partials/nav.json";
+
+// Shared with the kitty cam page (subdomains/kittycam/stream-loader.js),
+// which sets it for the parent domain; the page itself is only served to
+// signed-in viewers. It is a hint for showing links, not an access check.
+const VIEWER_COOKIE_PATTERN = /(?:^|;\s*)kc_viewer=1(?:;|$)/;
+const ICON_PATTERN = /^bi-[a-z0-9-]+$/;
+
+let configPromise = null;
+
+/**
+ * Named conditions for an item's "when" field
+ * @type {Object<string, (context: object) => boolean>}
+ */
+export const NAV_CONDITIONS = {
+  // Signed in to the kitty cam recently
+  kittycamViewer: (context) => VIEWER_COOKIE_PATTERN.test(context.cookie || ""),
+  // Shown on a subdomain of the main site
+  subdomain: (context) => Boolean(context.onSubdomain)
+};
+
+/**
+ * Describe where the header is being shown
+ * @param {{site?: string}} config - Nav config
+ * @param {Location|URL} [location] - Current page URL
+ * @param {string} [cookie] - document.cookie
+ * @returns {{siteUrl: string, onSubdomain: boolean, cookie: string}}
+ */
+export function getNavContext(config, location = window.location, cookie = document.cookie) {
+  const siteUrl = config.site || "";
+  let onSubdomain = false;
+  if (siteUrl) {
+    const siteHost = new URL(siteUrl).hostname;
+    onSubdomain = location.hostname.endsWith(`.${siteHost}`);
+  }
+  return { siteUrl, onSubdomain, cookie };
+}
+
+/**
+ * Whether an item's conditions hold. Unknown conditions never do.
+ * @param {{when?: string|string[]}} item - Nav item
+ * @param {object} [context] - From getNavContext; empty at build time
+ * @returns {boolean}
+ */
+export function isVisible(item, context = {}) {
+  const conditions = [].concat(item.when || []);
+  return conditions.every((name) => {
+    const negated = name.startsWith("!");
+    const condition = NAV_CONDITIONS[negated ? name.slice(1) : name];
+    if (!condition) {
+      console.warn("Unknown nav condition:", name);
+      return false;
+    }
+    return condition(context) !== negated;
+  });
+}
+
+/**
+ * Point root-relative links at the main site when on a subdomain
+ * @param {string} href - Link from the config
+ * @param {object} [context] - From getNavContext
+ * @returns {string}
+ */
+export function resolveHref(href, context = {}) {
+  if (context.onSubdomain && /^\/(?!\/)/.test(href)) {
+    return new URL(href, context.siteUrl).href;
+  }
+  return href;
+}
+
+/**
+ * Markup for a link's icon, label and new-tab hint
+ * @param {object} item - Nav item
+ * @returns {string}
+ */
+function linkContent(item) {
+  const icon =
+    item.icon && ICON_PATTERN.test(item.icon)
+      ? `<i class="bi ${item.icon} me-1" aria-hidden="true"></i>`
+      : "";
+  const external = item.external
+    ? "<span class=\"visually-hidden\"> (opens in a new tab)</span>"
+    : "";
+  return `${icon}${escapeHtml(item.label)}${external}`;
+}
+
+/**
+ * Markup for a link's attributes
+ * @param {object} item - Nav item
+ * @param {object} context - From getNavContext
+ * @returns {string}
+ */
+function linkAttributes(item, context) {
+  let attributes = `href="${escapeHtml(resolveHref(item.href, context))}"`;
+  if (item.match === "prefix") {
+    attributes += " data-match=\"prefix\"";
+  }
+  if (item.external) {
+    attributes += " target=\"_blank\" rel=\"noopener noreferrer\"";
+  }
+  return attributes;
+}
+
+/**
+ * Render nav items as <li> elements for the header's navbar-nav list.
+ * Hidden and malformed items are left out, as are empty dropdown groups.
+ * @param {Array<object>} items - Nav config items
+ * @param {object} [context] - From getNavContext; empty at build time, which
+ *   hides every conditional item
+ * @returns {string}
+ */
+export function renderNavItems(items, context = {}) {
+  return items
+    .filter((item) => item && item.label && isVisible(item, context))
+    .map((item) => {
+      if (Array.isArray(item.children)) {
+        const children = item.children
+          .filter((child) => child && child.label && child.href && isVisible(child, context))
+          .map(
+            (child) =>
+              `<li><a class="dropdown-item" ${linkAttributes(child, context)}>${linkContent(child)}</a></li>`
+          );
+        if (!children.length) {
+          return "";
+        }
+        return (
+          "<li class=\"nav-item dropdown\">" +
+          "<button class=\"nav-link dropdown-toggle\" type=\"button\" " +
+          `data-bs-toggle="dropdown" aria-expanded="false">${linkContent(item)}</button>` +
+          `<ul class="dropdown-menu">${children.join("")}</ul></li>`
+        );
+      }
+
+      if (!item.href) {
+        return "";
+      }
+      return `<li class="nav-item"><a class="nav-link" ${linkAttributes(item, context)}>${linkContent(item)}</a></li>`;
+    })
+    .join("");
+}
+
+/**
+ * Fetch the nav config once per page load
+ * @param {string} [url] - Config URL
+ * @returns {Promise<{site?: string, items: Array<object>}>}
+ */
+export function loadNavConfig(url = NAV_CONFIG_URL) {
+  if (!configPromise) {
+    configPromise = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        // Let the next render try again
+        configPromise = null;
+        throw error;
+      });
+  }
+  return configPromise;
+}
@@ -0,0 +1,256 @@
+// Declarative HTML partials
+//
+// Any element with a data-include="/partials/name.html" attribute is filled
+// with the contents of that partial. Includes are fetched in parallel, may
+// themselves contain further data-include elements, and any <script>,
+// <style> or <link rel="stylesheet"> inside a partial is activated.
+//
+// Partials are cached in sessionStorage so later page loads render the
+// header and footer immediately. The cached copy is then revalidated in the
+// background with If-None-Match, and the DOM is only swapped (followed by a
+// "partial:updated" event) when the server returns different markup.
+//
+// Pages built with `npm run build` already have their partials inlined.
+// Those elements are marked data-included, just like elements this loader
+// has filled, and are never fetched again.
+//
+// Give an include a data-include-label="Site navigation" attribute to have
+// screen readers told when it arrives from the network, fails to load or is
+// swapped for a newer version. Keyboard focus inside a swapped partial moves
+// to the matching element in the new markup.
+//
+// Partials that fail to load are reported with js/error-reporter.js.
+
+import { announce } from "./announcer.js";
+import { reportError } from "./error-reporter.js";
+import { preserveFocus } from "./focus.js";
+
+const INCLUDE_SELECTOR = "[data-include]:not([data-included])";
+const CACHE_PREFIX = "partial:";
+
+// Guard against runaway recursion from deeply nested or cyclic includes
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * Read a cached partial from sessionStorage
+ * @param {string} url - Partial URL
+ * @returns {{html: string, etag: (string|null)}|null} - Cached entry, if any
+ */
+function readCache(url) {
+  try {
+    const entry = JSON.parse(sessionStorage.getItem(CACHE_PREFIX + url));
+    return entry && typeof entry.html === "string" ? entry : null;
+  } catch {
+    // Storage disabled or entry corrupted - treat as a cache miss
+    return null;
+  }
+}
+
+/**
+ * Store a partial in sessionStorage
+ * @param {string} url - Partial URL
+ * @param {{html: string, etag: (string|null)}} entry - Entry to cache
+ */
+function writeCache(url, entry) {
+  try {
+    sessionStorage.setItem(CACHE_PREFIX + url, JSON.stringify(entry));
+  } catch {
+    // Storage full or disabled - the partial simply won't be cached
+  }
+}
+
+/**
+ * Fetch the raw HTML for a partial and cache it
+ * @param {string} url - Partial URL
+ * @param {string|null} [etag] - Validator of the cached copy, if any
+ * @returns {Promise<string|null>} - Partial markup, or null if the server
+ *   confirmed the cached copy is still current (HTTP 304)
+ */
+async function fetchPartial(url, etag = null) {
+  const options = { cache: "no-cache" };
+  if (etag) {
+    options.headers = { "If-None-Match": etag };
+  }
+
+  const response = await fetch(url, options);
+  if (response.status === 304) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to load partial ${url}: HTTP ${response.status}`);
+  }
+
+  const html = await response.text();
+  const headers = response.headers;
+  writeCache(url, { html, etag: headers ? headers.get("ETag") : null });
+  return html;
+}
+
+/**
+ * Get a partial, preferring the sessionStorage copy.
+ * A cache hit resolves immediately and starts a background revalidation.
+ * @param {string} url - Partial URL
+ * @returns {{html: Promise<string>, updated: Promise<string|null>, cached: boolean}} -
+ *   Markup to render now, replacement markup if the cached copy was stale,
+ *   and whether the markup came from the cache
+ */
+function requestPartial(url) {
+  const cached = readCache(url);
+  if (!cached) {
+    return { html: fetchPartial(url), updated: Promise.resolve(null), cached: false };
+  }
+
+  const updated = fetchPartial(url, cached.etag)
+    .then((html) => (html === cached.html ? null : html))
+    .catch((error) => {
+      console.error("Error revalidating partial:", url, error);
+      reportError(error, { source: "partial", url });
+      return null;
+    });
+
+  return { html: Promise.resolve(cached.html), updated, cached: true };
+}
+
+/**
+ * Tell screen reader users about a labelled include
+ * @param {Element} element - Include element
+ * @param {string} status - e.g. "loaded"
+ */
+function announceInclude(element, status) {
+  const label = element.getAttribute("data-include-label");
+  if (label) {
+    announce(`${label} ${status}`);
+  }
+}
+
+/**
+ * Recreate a parsed <script> so the browser executes it.
+ * Scripts created by DOMParser are marked as already started and never run.
+ * @param {HTMLScriptElement} inert - Script element from the parsed document
+ * @returns {HTMLScriptElement} - Executable copy
+ */
+function activateScript(inert) {
+  const script = document.createElement("script");
+  for (const { name, value } of inert.attributes) {
+    script.setAttribute(name, value);
+  }
+  // Preserve document order for external scripts
+  script.async = false;
+  script.textContent = inert.textContent;
+  return script;
+}
+
+/**
+ * Parse partial markup into nodes ready for insertion.
+ * DOMParser hoists leading <style>, <link> and <script> elements into the
+ * parsed document's <head>, so both head and body are collected.
+ * @param {string} html - Partial markup
+ * @returns {Node[]} - Nodes to insert
+ */
+function parsePartial(html) {
+  // Use DOMParser for safer HTML parsing
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(html, "text/html");
+  const nodes = [
+    ...(doc.head ? doc.head.childNodes : []),
+    ...(doc.body ? doc.body.childNodes : [])
+  ];
+
+  return nodes.map((node) => {
+    if (node.nodeName === "SCRIPT") {
+      return activateScript(node);
+    }
+    if (node.querySelectorAll) {
+      node.querySelectorAll("script").forEach((inert) => {
+        inert.replaceWith(activateScript(inert));
+      });
+    }
+    return node;
+  });
+}
+
+/**
+ * Swap freshly revalidated markup into an already-rendered include
+ * @param {Element} element - Previously filled include element
+ * @param {string} url - Partial URL
+ * @param {Promise<string|null>} updated - Replacement markup, if stale
+ * @param {string[]} ancestors - Include chain for nested includes
+ * @returns {Promise<void>}
+ */
+async function applyUpdate(element, url, updated, ancestors) {
+  const html = await updated;
+  if (html === null || !element.isConnected) {
+    return;
+  }
+
+  const restoreFocus = preserveFocus(element);
+  element.replaceChildren(...parsePartial(html));
+  await loadIncludes(element, new Map(), [...ancestors, url]);
+  restoreFocus();
+  announceInclude(element, "updated");
+  element.dispatchEvent(
+    new CustomEvent("partial:updated", { bubbles: true, detail: { url } })
+  );
+}
+
+/**
+ * Fill a single include element and then resolve any nested includes
+ * @param {Element} element - Element carrying a data-include attribute
+ * @param {Map<string, object>} requests - Partial requests made for this page
+ * @param {string[]} ancestors - Partial URLs already being included above this one
+ * @returns {Promise<void>}
+ */
+async function includePartial(element, requests, ancestors) {
+  const url = element.getAttribute("data-include");
+  if (!url) {
+    return;
+  }
+
+  if (ancestors.includes(url) || ancestors.length >= MAX_INCLUDE_DEPTH) {
+    console.error("Skipping recursive partial include:", url);
+    return;
+  }
+
+  if (!requests.has(url)) {
+    requests.set(url, requestPartial(url));
+  }
+  const request = requests.get(url);
+
+  try {
+    const html = await request.html;
+    element.replaceChildren(...parsePartial(html));
+    element.removeAttribute("data-include");
+    element.setAttribute("data-included", url);
+  } catch (error) {
+    console.error("Error loading partial:", url, error);
+    reportError(error, { source: "partial", url });
+    announceInclude(element, "couldn't be loaded");
+    return;
+  }
+
+  await loadIncludes(element, requests, [...ancestors, url]);
+  // A cached partial renders straight away, like the rest of the page
+  if (!request.cached) {
+    announceInclude(element, "loaded");
+  }
+  applyUpdate(element, url, request.updated, ancestors);
+}
+
+/**
+ * Resolve every data-include element within a root, in parallel
+ * @param {ParentNode} [root=document] - Subtree to search for includes
+ * @param {Map<string, object>} [requests] - Shared request cache so a
+ *   partial used several times on one page is only fetched once
+ * @param {string[]} [ancestors] - Include chain used for cycle detection
+ * @returns {Promise<void>}
+ */
+export async function loadIncludes(
+  root = document,
+  requests = new Map(),
+  ancestors = []
+) {
+  const elements = Array.from(root.querySelectorAll(INCLUDE_SELECTOR));
+  await Promise.all(
+    elements.map((element) => includePartial(element, requests, ancestors))
+  );
+}
@@ -0,0 +1,587 @@
+// Projects
+//
+// The projects live in /projects.json as { "projects": [...] }, each with a
+// title, summary, tech tags, links, a status, dates and an optional image.
+// A project with a GitHub "repo" ("owner/name") also shows the repository's
+// stars, language, last commit and latest release, from the snapshot in
+// /projects-github.json that scripts/sync-github.mjs writes. Visitors never
+// call the GitHub API, and stats missing from the snapshot are left out.
+// Long-form case studies (content/projects/*.md) are built into pages by
+// scripts/build-case-studies.mjs, which lists them in /case-studies.json. A
+// project named by a case study's "project" links to it from its card.
+// Page module for projects.html: <div data-projects="list"> gets a card per
+// project, <div data-projects="tags"> a filter chip per tag and
+// <div data-projects="case-studies"> a card per case study. Like the
+// resume (js/resume.js), scripts/build.mjs renders them at build time and
+// drops aria-busy; unbuilt sections are rendered here. Nothing here touches
+// the DOM at import.
+//
+// The <form data-project-filters> around the chips, a text box (q) and a sort
+// menu (sort) is hidden until the projects have loaded. Its state is kept in
+// the query string, so filtered views can be shared:
+//   /projects.html?tag=Amazon+AWS&tag=DynamoDB&sort=status&q=serverless
+// Selected tags must all be on a project, and every word of q must be in its
+// title, summary or tags.
+
+import { announce } from "./announcer.js";
+import { DATE_PATTERN, formatDate, formatDateRange } from "./dates.js";
+import { reportError } from "./error-reporter.js";
+import { escapeHtml } from "./html.js";
+import { invalidDataError, validate } from "./schema.js";
+import { slugify } from "./slug.js";
+
+export const PROJECTS_URL = "/projects.json";
+export const GITHUB_URL = "/projects-github.json";
+export const CASE_STUDIES_URL = "/case-studies.json";
+
+// Statuses, in the order "sort=status" lists them
+export const PROJECT_STATUSES = {
+  active: { label: "Active", badge: "text-bg-success" },
+  maintained: { label: "Maintained", badge: "text-bg-primary" },
+  planned: { label: "Planned", badge: "text-bg-info" },
+  archived: { label: "Archived", badge: "text-bg-secondary" }
+};
+
+// Sort orders for the sort menu; the first is the default
+const SORTS = {
+  date: (a, b) => b.startDate.localeCompare(a.startDate),
+  status: (a, b) => statusRank(a) - statusRank(b) || SORTS.date(a, b)
+};
+export const DEFAULT_SORT = "date";
+
+const string = { type: "string" };
+
+// The parts of projects.json the page renders
+const PROJECTS_SCHEMA = {
+  type: "object",
+  fields: {
+    projects: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        fields: {
+          title: { type: "string", required: true },
+          summary: { type: "string", required: true },
+          tags: { type: "array", items: string },
+          links: {
+            type: "array",
+            items: {
+              type: "object",
+              fields: {
+                label: { type: "string", required: true },
+                url: { type: "url", required: true }
+              }
+            }
+          },
+          status: { type: "enum", required: true, values: Object.keys(PROJECT_STATUSES) },
+          startDate: { type: "date", required: true },
+          endDate: { type: "date" },
+          repo: { type: "repo" },
+          image: {
+            type: "object",
+            fields: {
+              src: { type: "string", required: true },
+              alt: { type: "string", required: true }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// The parts of a case-studies.json entry the page renders
+const CASE_STUDY_SCHEMA = {
+  type: "object",
+  fields: {
+    url: { type: "string", required: true },
+    title: { type: "string", required: true },
+    summary: { type: "string", required: true },
+    date: { type: "date", required: true },
+    tags: { type: "array", items: string },
+    project: string
+  }
+};
+
+let projectsPromise = null;
+
+/**
+ * Position of a project's status in PROJECT_STATUSES
+ * @param {object} project
+ * @returns {number}
+ */
+function statusRank(project) {
+  return Object.keys(PROJECT_STATUSES).indexOf(project.status);
+}
+
+/**
+ * Check projects.json against the fields the page renders
+ * @param {*} data - Parsed projects.json
+ * @returns {string[]} - Every problem found, empty if it is valid
+ */
+export function validateProjects(data) {
+  return validate(data, PROJECTS_SCHEMA, "The project list");
+}
+
+/**
+ * Throw if projects.json is invalid
+ * @param {*} data - Parsed projects.json
+ * @param {string} [source] - Where it came from, for the message
+ * @returns {object} - The data
+ */
+export function assertValidProjects(data, source = PROJECTS_URL) {
+  const errors = validateProjects(data);
+  if (errors.length) {
+    throw invalidDataError(`Invalid projects in ${source}`, errors);
+  }
+  return data;
+}
+
+/**
+ * A repository's stats from the GitHub snapshot, leaving out any that are
+ * missing or malformed
+ * @param {object} snapshot - Parsed projects-github.json
+ * @param {string} repo - "owner/name"
+ * @returns {{stars?: number, language?: string, lastCommit?: string, release?: string}|null}
+ *   - null if the snapshot has nothing for the repository
+ */
+export function repoStats(snapshot, repo) {
+  const repos = snapshot && snapshot.repos;
+  const entry = repos && Object.hasOwn(repos, repo) ? repos[repo] : null;
+  if (!entry || typeof entry !== "object") {
+    return null;
+  }
+  const text = (value) => typeof value === "string" && Boolean(value.trim());
+  const stats = {};
+  if (Number.isInteger(entry.stars) && entry.stars >= 0) {
+    stats.stars = entry.stars;
+  }
+  if (text(entry.language)) {
+    stats.language = entry.language;
+  }
+  if (typeof entry.lastCommit === "string" && DATE_PATTERN.test(entry.lastCommit)) {
+    stats.lastCommit = entry.lastCommit;
+  }
+  if (text(entry.release)) {
+    stats.release = entry.release;
+  }
+  return stats;
+}
+
+/**
+ * Attach each project's repository stats, as project.github
+ * @param {object} data - Valid projects.json
+ * @param {object} [snapshot] - Parsed projects-github.json
+ * @returns {object} - A copy of data
+ */
+export function withRepoStats(data, snapshot) {
+  return {
+    ...data,
+    projects: data.projects.map((project) =>
+      project.repo ? { ...project, github: repoStats(snapshot, project.repo) } : project
+    )
+  };
+}
+
+/**
+ * The case studies from a listing, leaving out malformed entries
+ * @param {object} [listing] - Parsed case-studies.json
+ * @returns {Array<object>}
+ */
+export function caseStudyList(listing) {
+  const entries = listing && Array.isArray(listing.caseStudies) ? listing.caseStudies : [];
+  return entries.filter(
+    (entry) => !validate(entry, CASE_STUDY_SCHEMA, "The case study").length && entry.url.startsWith("/")
+  );
+}
+
+/**
+ * Attach the case studies, as data.caseStudies, and link each project to
+ * the case study about it, as project.caseStudy
+ * @param {object} data - Valid projects.json
+ * @param {object} [listing] - Parsed case-studies.json
+ * @returns {object} - A copy of data
+ */
+export function withCaseStudies(data, listing) {
+  const caseStudies = caseStudyList(listing);
+  return {
+    ...data,
+    caseStudies,
+    projects: data.projects.map((project) => {
+      const caseStudy = caseStudies.find((study) => study.project === project.title);
+      return caseStudy ? { ...project, caseStudy } : project;
+    })
+  };
+}
+
+/**
+ * Every tag used by the projects
+ * @param {Array<object>} projects
+ * @returns {string[]} - Sorted, without duplicates
+ */
+export function projectTags(projects) {
+  const tags = new Set(projects.flatMap((project) => project.tags || []));
+  return Array.from(tags).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Read filters from a query string
+ * @param {string} search - e.g. "?tag=Java&sort=status&q=api"
+ * @returns {{tags: string[], sort: string, query: string}}
+ */
+export function parseFilters(search) {
+  const params = new URLSearchParams(search);
+  const sort = params.get("sort");
+  return {
+    tags: params.getAll("tag"),
+    sort: Object.hasOwn(SORTS, sort) ? sort : DEFAULT_SORT,
+    query: (params.get("q") || "").trim()
+  };
+}
+
+/**
+ * Write filters as a query string, leaving out defaults
+ * @param {{tags: string[], sort: string, query: string}} filters
+ * @returns {string} - e.g. "?tag=Java&q=api", or "" with no filters
+ */
+export function filtersToSearch({ tags, sort, query }) {
+  const params = new URLSearchParams();
+  tags.forEach((tag) => params.append("tag", tag));
+  if (sort !== DEFAULT_SORT) {
+    params.set("sort", sort);
+  }
+  if (query) {
+    params.set("q", query);
+  }
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+/**
+ * The projects that match filters, in the filters' sort order
+ * @param {Array<object>} projects
+ * @param {{tags: string[], sort: string, query: string}} filters
+ * @returns {Array<object>}
+ */
+export function filterProjects(projects, { tags, sort, query }) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return projects
+    .filter((project) => {
+      const projectTagList = project.tags || [];
+      if (!tags.every((tag) => projectTagList.includes(tag))) {
+        return false;
+      }
+      const text = [project.title, project.summary, ...projectTagList].join(" ").toLowerCase();
+      return words.every((word) => text.includes(word));
+    })
+    .sort(SORTS[sort] || SORTS[DEFAULT_SORT]);
+}
+
+/**
+ * Markup for a project's repository stats
+ * @param {object|null} [stats] - From repoStats()
+ * @returns {string} - Empty without any stats
+ */
+function renderRepoStats(stats) {
+  if (!stats) {
+    return "";
+  }
+  const items = [];
+  const item = (icon, content) =>
+    items.push(
+      `<li class="list-inline-item me-3"><i class="bi ${icon} me-1" aria-hidden="true"></i>${content}</li>`
+    );
+  if (stats.stars !== undefined) {
+    item("bi-star", `${stats.stars} ${stats.stars === 1 ? "star" : "stars"}`);
+  }
+  if (stats.language) {
+    item("bi-code-slash", escapeHtml(stats.language));
+  }
+  if (stats.lastCommit) {
+    item(
+      "bi-clock-history",
+      `Updated <time datetime="${stats.lastCommit}">${formatDate(stats.lastCommit)}</time>`
+    );
+  }
+  if (stats.release) {
+    item("bi-tag", escapeHtml(stats.release));
+  }
+  if (!items.length) {
+    return "";
+  }
+  return (
+    `<ul class="list-inline small text-muted mb-3" aria-label="GitHub repository">${items.join("")}</ul>`
+  );
+}
+
+/**
+ * Markup for a project card
+ * @param {object} project
+ * @returns {string}
+ */
+function renderProject(project) {
+  const status = PROJECT_STATUSES[project.status];
+  const tags = (project.tags || [])
+    .map((tag) => `<li class="list-inline-item"><span class="badge bg-light text-dark">${escapeHtml(tag)}</span></li>`)
+    .join("");
+  const links = (project.links || [])
+    .map(
+      (link) =>
+        `<a class="btn btn-outline-primary btn-sm px-3 me-2 mb-2" href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a>`
+    )
+    .join("");
+  const caseStudy = project.caseStudy
+    ? `<a class="btn btn-primary btn-sm px-3 me-2 mb-2" href="${escapeHtml(project.caseStudy.url)}">Read the case study</a>`
+    : "";
+  const stats = renderRepoStats(project.github);
+  const image = project.image
+    ? `<img class="img-fluid d-none d-md-block" src="${escapeHtml(project.image.src)}" alt="${escapeHtml(project.image.alt)}" loading="lazy" />`
+    : "";
+  return (
+    // data-command lists the card in the command palette
+    `<article class="card overflow-hidden shadow rounded-4 border-0 mb-5" id="${slugify(project.title)}" data-command="${escapeHtml(project.title)}">` +
+    "<div class=\"card-body p-0\"><div class=\"d-flex align-items-center\"><div class=\"p-5\">" +
+    "<div class=\"d-flex flex-wrap align-items-center gap-2 mb-2\">" +
+    `<span class="badge ${status.badge}">${status.label}</span>` +
+    `<span class="small text-muted">${formatDateRange(project.startDate, project.endDate)}</span></div>` +
+    `<h2 class="fw-bolder">${escapeHtml(project.title)}</h2>` +
+    `<p>${escapeHtml(project.summary)}</p>` +
+    (tags ? `<ul class="list-inline mb-3" aria-label="Technologies">${tags}</ul>` : "") +
+    stats +
+    (caseStudy || links ? `<div>${caseStudy}${links}</div>` : "") +
+    `</div>${image}</div></div></article>`
+  );
+}
+
+/**
+ * Markup for the project cards, or a notice when none match
+ * @param {Array<object>} projects
+ * @returns {string}
+ */
+export function renderProjectList(projects) {
+  if (!projects.length) {
+    return (
+      "<div class=\"card shadow rounded-4 border-0\"><div class=\"card-body p-5 text-center\">" +
+      "<p class=\"text-muted\">No projects match these filters.</p>" +
+      "<button class=\"btn btn-primary btn-sm px-3\" type=\"button\" data-projects-clear>Clear filters</button>" +
+      "</div></div>"
+    );
+  }
+  return projects.map(renderProject).join("");
+}
+
+/**
+ * Markup for the tag filter chips
+ * @param {string[]} tags
+ * @returns {string}
+ */
+export function renderTagFilters(tags) {
+  const chips = tags.map((tag) => {
+    const id = `project-tag-${slugify(tag)}`;
+    return (
+      `<input class="btn-check" type="checkbox" id="${id}" name="tag" value="${escapeHtml(tag)}" autocomplete="off" />` +
+      `<label class="btn btn-outline-primary btn-sm rounded-pill px-3" for="${id}">${escapeHtml(tag)}</label>`
+    );
+  });
+  return `<div class="d-flex flex-wrap gap-2">${chips.join("")}</div>`;
+}
+
+/**
+ * Markup for the case study listing
+ * @param {Array<object>} caseStudies - From caseStudyList(), newest first
+ * @returns {string} - Empty without any case studies
+ */
+export function renderCaseStudyList(caseStudies) {
+  if (!caseStudies.length) {
+    return "";
+  }
+  const cards = caseStudies.map(
+    (study) =>
+      "<div class=\"col\"><div class=\"card h-100 shadow-sm rounded-4 border-0\"><div class=\"card-body p-4\">" +
+      `<p class="small text-muted mb-1"><time datetime="${study.date}">${formatDate(study.date)}</time></p>` +
+      `<h3 class="h5 fw-bolder"><a class="stretched-link text-decoration-none" href="${escapeHtml(study.url)}">${escapeHtml(study.title)}</a></h3>` +
+      `<p class="mb-0">${escapeHtml(study.summary)}</p>` +
+      "</div></div></div>"
+  );
+  return (
+    "<h2 class=\"fw-bolder mb-4\" id=\"case-studies\">Case studies</h2>" +
+    `<div class="row row-cols-1 row-cols-md-2 g-4">${cards.join("")}</div>`
+  );
+}
+
+// Renderers for each data-projects section name
+const SECTION_RENDERERS = {
+  list: (data) => renderProjectList(filterProjects(data.projects, parseFilters(""))),
+  tags: (data) => renderTagFilters(projectTags(data.projects)),
+  "case-studies": (data) => renderCaseStudyList(data.caseStudies || [])
+};
+
+/**
+ * Markup for one section of the projects page, unfiltered
+ * @param {string} section - "list", "tags" or "case-studies"
+ * @param {object} data - Valid projects.json
+ * @returns {string}
+ */
+export function renderProjectsSection(section, data) {
+  if (!Object.hasOwn(SECTION_RENDERERS, section)) {
+    throw new Error(`Unknown projects section: ${section}`);
+  }
+  return SECTION_RENDERERS[section](data);
+}
+
+/**
+ * Fetch a JSON file
+ * @param {string} url
+ * @returns {Promise<*>}
+ */
+function fetchJson(url) {
+  return fetch(url).then((response) => {
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  });
+}
+
+/**
+ * Fetch and validate the projects, with their repository stats and case
+ * studies, once per page load. The projects still load without the GitHub
+ * snapshot or the case study listing.
+ * @param {string} [url] - projects.json URL
+ * @returns {Promise<object>}
+ */
+export function loadProjects(url = PROJECTS_URL) {
+  if (!projectsPromise) {
+    const snapshot = fetchJson(GITHUB_URL).catch(() => null);
+    const listing = fetchJson(CASE_STUDIES_URL).catch(() => null);
+    projectsPromise = Promise.all([fetchJson(url), snapshot, listing])
+      .then(([data, github, caseStudies]) =>
+        withCaseStudies(withRepoStats(assertValidProjects(data, url), github), caseStudies)
+      )
+      .catch((error) => {
+        // Let the next page view try again
+        projectsPromise = null;
+        throw error;
+      });
+  }
+  return projectsPromise;
+}
+
+/**
+ * Read the filters a form is set to
+ * @param {HTMLFormElement} form
+ * @returns {{tags: string[], sort: string, query: string}}
+ */
+function readForm(form) {
+  const checked = form.querySelectorAll("input[name=\"tag\"]:checked");
+  return {
+    tags: Array.from(checked, (input) => input.value),
+    sort: form.elements.sort ? form.elements.sort.value : DEFAULT_SORT,
+    query: form.elements.q ? form.elements.q.value.trim() : ""
+  };
+}
+
+/**
+ * Set a form's controls to filters
+ * @param {HTMLFormElement} form
+ * @param {{tags: string[], sort: string, query: string}} filters
+ */
+function fillForm(form, { tags, sort, query }) {
+  form.querySelectorAll("input[name=\"tag\"]").forEach((input) => {
+    input.checked = tags.includes(input.value);
+  });
+  if (form.elements.sort) {
+    form.elements.sort.value = sort;
+  }
+  if (form.elements.q) {
+    form.elements.q.value = query;
+  }
+}
+
+/**
+ * Show the projects that match the form, and keep the URL in step
+ * @param {HTMLFormElement} form
+ * @param {HTMLElement} list - The data-projects="list" container
+ * @param {Array<object>} projects
+ */
+function applyFilters(form, list, projects) {
+  const filters = readForm(form);
+  const matches = filterProjects(projects, filters);
+  list.innerHTML = renderProjectList(matches);
+
+  const { pathname, hash } = window.location;
+  window.history.replaceState(window.history.state, "", `${pathname}${filtersToSearch(filters)}${hash}`);
+  announce(
+    matches.length === projects.length
+      ? `Showing all ${projects.length} projects`
+      : `Showing ${matches.length} of ${projects.length} projects`
+  );
+}
+
+/**
+ * Wire up the filter form: set it from the URL, then filter as it changes
+ * @param {HTMLFormElement} form
+ * @param {HTMLElement} list - The data-projects="list" container
+ * @param {Array<object>} projects
+ */
+function bindFilters(form, list, projects) {
+  const filters = parseFilters(window.location.search);
+  const known = projectTags(projects);
+  filters.tags = filters.tags.filter((tag) => known.includes(tag));
+  fillForm(form, filters);
+  list.innerHTML = renderProjectList(filterProjects(projects, filters));
+
+  form.addEventListener("input", () => applyFilters(form, list, projects));
+  form.addEventListener("submit", (event) => event.preventDefault());
+  list.addEventListener("click", (event) => {
+    if (event.target.closest("[data-projects-clear]")) {
+      fillForm(form, parseFilters(""));
+      applyFilters(form, list, projects);
+      if (form.elements.q) {
+        form.elements.q.focus();
+      }
+    }
+  });
+  form.hidden = false;
+}
+
+// Render the page's unrendered sections and wire up the filters; also called
+// by js/router.js after client-side navigation swaps in the page.
+async function initPage() {
+  const sections = Array.from(document.querySelectorAll("[data-projects]"));
+  if (!sections.length) {
+    return;
+  }
+  const busy = sections.filter((section) => section.getAttribute("aria-busy") === "true");
+
+  try {
+    const data = await loadProjects();
+    busy.forEach((section) => {
+      section.innerHTML = renderProjectsSection(section.getAttribute("data-projects"), data);
+    });
+    const form = document.querySelector("[data-project-filters]");
+    const list = document.querySelector("[data-projects=\"list\"]");
+    if (form && list) {
+      bindFilters(form, list, data.projects);
+    }
+  } catch (error) {
+    console.error("Error loading projects:", error);
+    reportError(error, { source: "projects", url: PROJECTS_URL });
+    busy.forEach((section) => {
+      section.innerHTML =
+        "<p class=\"text-muted text-center\">The projects couldn't be loaded. Please try again later.</p>";
+    });
+  }
+
+  busy.forEach((section) => section.removeAttribute("aria-busy"));
+  if (busy.length) {
+    document.dispatchEvent(new CustomEvent("content:rendered"));
+  }
+}
+
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", initPage);
+}
+
+export { initPage };
@@ -0,0 +1,374 @@
+// Resume exports
+//
+// Turns /resume.json (js/resume.js) into the formats recruiters ask for:
+//   text      Plain text for applicant tracking systems: no tables or
+//             columns, one fact per line
+//   markdown  Markdown
+//   vcard     A vCard 3.0 contact card from basics
+// and PDF, which is the print layout (css/styles.css) saved from the print
+// dialog.
+//
+// scripts/build.mjs writes each export next to the resume (/resume.txt,
+// /resume.md, /resume.vcf), so the download links on resume.html work without
+// JavaScript. Page module for resume.html: with JavaScript, a click on a
+// [data-resume-export] control generates the file in the browser from the
+// resume the page was rendered from, and data-resume-export="pdf" opens the
+// print dialog. Nothing here touches the DOM at import, apart from listening
+// for those clicks.
+
+import { track } from "./analytics.js";
+import { announce } from "./announcer.js";
+import { formatDateRangeText } from "./dates.js";
+import { loadResume } from "./resume.js";
+import { slugify } from "./slug.js";
+
+// Object URLs for downloads are released after this long
+const REVOKE_DELAY = 1000;
+
+// vCard lines longer than this many characters are folded
+const VCARD_LINE_LENGTH = 75;
+
+/**
+ * The lines for the profile and website links in basics
+ * @param {object} basics
+ * @returns {Array<{label: string, url: string}>}
+ */
+function contactLinks(basics) {
+  const links = basics.url ? [{ label: "Website", url: basics.url }] : [];
+  (basics.profiles || []).forEach((profile) => {
+    links.push({ label: profile.network, url: profile.url });
+  });
+  return links;
+}
+
+/**
+ * "City, Region" from basics.location
+ * @param {object} [location]
+ * @returns {string}
+ */
+function placeName(location = {}) {
+  return [location.city, location.region].filter(Boolean).join(", ");
+}
+
+/**
+ * A school's degree, e.g. "Bachelor of Science, Computer Engineering"
+ * @param {object} school - Education entry
+ * @returns {string}
+ */
+function degree(school) {
+  return [school.studyType, school.area].filter(Boolean).join(", ");
+}
+
+/**
+ * Plain text for applicant tracking systems
+ * @param {object} resume - A valid resume
+ * @returns {string}
+ */
+export function toPlainText(resume) {
+  const { basics } = resume;
+  const lines = [basics.name.toUpperCase()];
+  if (basics.label) {
+    lines.push(basics.label);
+  }
+  [basics.email, basics.phone, placeName(basics.location)]
+    .filter(Boolean)
+    .forEach((line) => lines.push(line));
+  contactLinks(basics).forEach(({ label, url }) => lines.push(`${label}: ${url}`));
+
+  const section = (title, entries) => {
+    if (entries.length) {
+      lines.push("", title.toUpperCase(), "", entries.join("\n\n"));
+    }
+  };
+
+  section(
+    "Experience",
+    resume.work.map((job) =>
+      [
+        `${job.position}, ${job.name}`,
+        formatDateRangeText(job.startDate, job.endDate),
+        job.summary,
+        ...(job.highlights || []).map((highlight) => `- ${highlight}`)
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+  );
+  section(
+    "Education",
+    resume.education.map((school) =>
+      [
+        [school.institution, school.location].filter(Boolean).join(", "),
+        degree(school),
+        formatDateRangeText(school.startDate, school.endDate),
+        school.summary
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+  );
+  section(
+    "Skills",
+    resume.skills.map((skill) =>
+      (skill.keywords || []).length ? `${skill.name}: ${skill.keywords.join(", ")}` : skill.name
+    )
+  );
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Escape text so Markdown shows it as written
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>]/g, "\\$&");
+}
+
+/**
+ * A Markdown link, or just the text without a URL
+ * @param {string} text
+ * @param {string} [url]
+ * @returns {string}
+ */
+function markdownLink(text, url) {
+  return url ? `[${escapeMarkdown(text)}](${url})` : escapeMarkdown(text);
+}
+
+/**
+ * Markdown
+ * @param {object} resume - A valid resume
+ * @returns {string}
+ */
+export function toMarkdown(resume) {
+  const { basics } = resume;
+  const blocks = [`# ${escapeMarkdown(basics.name)}`];
+  if (basics.label) {
+    blocks.push(escapeMarkdown(basics.label));
+  }
+  const contact = [
+    basics.email ? `[${escapeMarkdown(basics.email)}](mailto:${basics.email})` : "",
+    basics.phone ? escapeMarkdown(basics.phone) : "",
+    escapeMarkdown(placeName(basics.location)),
+    ...contactLinks(basics).map(({ label, url }) => markdownLink(label, url))
+  ].filter(Boolean);
+  if (contact.length) {
+    blocks.push(contact.join(" · "));
+  }
+
+  const entry = (heading, details, summary, highlights = []) => {
+    blocks.push(`### ${heading}`);
+    if (details) {
+      blocks.push(details);
+    }
+    if (summary) {
+      blocks.push(escapeMarkdown(summary));
+    }
+    if (highlights.length) {
+      blocks.push(highlights.map((highlight) => `- ${escapeMarkdown(highlight)}`).join("\n"));
+    }
+  };
+
+  if (resume.work.length) {
+    blocks.push("## Experience");
+    resume.work.forEach((job) => {
+      entry(
+        `${escapeMarkdown(job.position)}, ${markdownLink(job.name, job.url)}`,
+        `*${formatDateRangeText(job.startDate, job.endDate)}*`,
+        job.summary,
+        job.highlights
+      );
+    });
+  }
+
+  if (resume.education.length) {
+    blocks.push("## Education");
+    resume.education.forEach((school) => {
+      const dates = formatDateRangeText(school.startDate, school.endDate);
+      const details = [
+        escapeMarkdown(school.location || ""),
+        escapeMarkdown(degree(school)),
+        dates ? `*${dates}*` : ""
+      ].filter(Boolean);
+      entry(markdownLink(school.institution, school.url), details.join(" · "), school.summary);
+    });
+  }
+
+  if (resume.skills.length) {
+    blocks.push("## Skills");
+    blocks.push(
+      resume.skills
+        .map((skill) => {
+          const keywords = (skill.keywords || []).map(escapeMarkdown).join(", ");
+          return `- **${escapeMarkdown(skill.name)}**${keywords ? `: ${keywords}` : ""}`;
+        })
+        .join("\n")
+    );
+  }
+
+  return `${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * Escape a vCard text value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeVCard(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/([,;])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a vCard line: continuation lines start with a space
+ * @param {string} line
+ * @returns {string}
+ */
+function foldVCardLine(line) {
+  const parts = [line.slice(0, VCARD_LINE_LENGTH)];
+  for (let i = VCARD_LINE_LENGTH; i < line.length; i += VCARD_LINE_LENGTH - 1) {
+    parts.push(` ${line.slice(i, i + VCARD_LINE_LENGTH - 1)}`);
+  }
+  return parts.join("\r\n");
+}
+
+/**
+ * A vCard 3.0 contact card from basics
+ * @param {object} resume - A valid resume
+ * @returns {string}
+ */
+export function toVCard(resume) {
+  const { basics } = resume;
+  const names = basics.name.trim().split(/\s+/);
+  const family = names.length > 1 ? names.pop() : "";
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `N:${escapeVCard(family)};${escapeVCard(names.join(" "))};;;`,
+    `FN:${escapeVCard(basics.name)}`
+  ];
+  if (basics.label) {
+    lines.push(`TITLE:${escapeVCard(basics.label)}`);
+  }
+  if (basics.email) {
+    lines.push(`EMAIL;TYPE=INTERNET:${escapeVCard(basics.email)}`);
+  }
+  if (basics.phone) {
+    lines.push(`TEL;TYPE=CELL:${escapeVCard(basics.phone)}`);
+  }
+  if (basics.location) {
+    const { address, city, region, postalCode, countryCode } = basics.location;
+    const parts = ["", "", address, city, region, postalCode, countryCode];
+    lines.push(`ADR;TYPE=HOME:${parts.map((part) => escapeVCard(part || "")).join(";")}`);
+  }
+  if (basics.url) {
+    lines.push(`URL:${basics.url}`);
+  }
+  (basics.profiles || []).forEach((profile) => {
+    lines.push(`X-SOCIALPROFILE;TYPE=${escapeVCard(profile.network.toLowerCase())}:${profile.url}`);
+  });
+  lines.push("END:VCARD");
+  return `${lines.map(foldVCardLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * The export formats, by data-resume-export value
+ * @type {Object<string, {file: string, extension: string, type: string, render: function(object): string}>}
+ */
+export const EXPORT_FORMATS = {
+  text: {
+    file: "resume.txt",
+    extension: "txt",
+    type: "text/plain;charset=utf-8",
+    render: toPlainText
+  },
+  markdown: {
+    file: "resume.md",
+    extension: "md",
+    type: "text/markdown;charset=utf-8",
+    render: toMarkdown
+  },
+  vcard: {
+    file: "resume.vcf",
+    extension: "vcf",
+    type: "text/vcard;charset=utf-8",
+    render: toVCard
+  }
+};
+
+/**
+ * The name a downloaded export is saved as
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} resume - A valid resume
+ * @returns {string} - e.g. "chris-pivonka-resume.md", or "chris-pivonka.vcf"
+ */
+export function exportFileName(format, resume) {
+  const name = slugify(resume.basics.name);
+  const { extension } = EXPORT_FORMATS[format];
+  return format === "vcard" ? `${name}.${extension}` : `${name}-resume.${extension}`;
+}
+
+/**
+ * Save text as a file
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
+
+/**
+ * Generate an export in the browser and download it
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<void>}
+ */
+export async function exportResume(format) {
+  const resume = await loadResume();
+  const { render, type } = EXPORT_FORMATS[format];
+  download(exportFileName(format, resume), render(resume), type);
+}
+
+/**
+ * Handle a click on an export control
+ * @param {MouseEvent} event
+ */
+function onExportClick(event) {
+  const control = event.target.closest("[data-resume-export]");
+  if (!control) {
+    return;
+  }
+  const format = control.getAttribute("data-resume-export");
+
+  if (format === "pdf") {
+    track("export", { format });
+    window.print();
+    return;
+  }
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return;
+  }
+
+  event.preventDefault();
+  track("export", { format });
+  exportResume(format).catch((error) => {
+    console.error("Error exporting resume:", error);
+    announce("The resume couldn't be downloaded. Please try again later.", {
+      politeness: "assertive"
+    });
+  });
+}
+
+if (typeof document !== "undefined") {
+  document.addEventListener("click", onExportClick);
+}
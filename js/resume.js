@@ -0,0 +1,378 @@
+// Resume
+//
+// The resume lives in /resume.json, in the JSON Resume format
+// (https://jsonresume.org/schema). Page module for resume.html: each
+// <div data-resume="work" aria-busy="true"></div> is filled with that
+// section of the resume. scripts/build.mjs renders the same sections at build
+// time with renderResumeSection() and drops aria-busy, so built pages are
+// left alone here. Nothing here touches the DOM at import.
+//
+// Sections: "profiles" (basics.profiles), "work", "education" and
+// "skills". Fields beyond the JSON Resume ones: education[].location and
+// education[].summary, and skills[].icon, a Bootstrap icon class.
+//
+// validateResume() checks the fields rendered here or exported by
+// js/resume-export.js (basics.email, phone and location) and lists every
+// problem with its path, e.g. "work[1].startDate must be a date like 2019,
+// 2019-06 or 2019-06-01". An invalid resume fails the build, and at runtime
+// leaves a notice in place of each section.
+
+import { formatDateRange } from "./dates.js";
+import { reportError } from "./error-reporter.js";
+import { escapeHtml } from "./html.js";
+import { invalidDataError, validate } from "./schema.js";
+
+export const RESUME_URL = "/resume.json";
+
+// Icons for basics.profiles[].network, lowercased
+const PROFILE_ICONS = {
+  github: "bi-github",
+  linkedin: "bi-linkedin",
+  mastodon: "bi-mastodon",
+  x: "bi-twitter-x"
+};
+
+// Skill keywords are laid out in rows of this many
+const SKILLS_PER_ROW = 3;
+
+const string = { type: "string" };
+const url = { type: "url" };
+const date = { type: "date" };
+const email = { type: "email" };
+const strings = { type: "array", items: string };
+
+// The parts of the JSON Resume schema the page renders
+const RESUME_SCHEMA = {
+  type: "object",
+  fields: {
+    basics: {
+      type: "object",
+      required: true,
+      fields: {
+        name: { type: "string", required: true },
+        label: string,
+        email,
+        phone: string,
+        url,
+        location: {
+          type: "object",
+          fields: {
+            address: string,
+            postalCode: string,
+            city: string,
+            region: string,
+            countryCode: string
+          }
+        },
+        profiles: {
+          type: "array",
+          items: {
+            type: "object",
+            fields: {
+              network: { type: "string", required: true },
+              username: string,
+              url: { type: "url", required: true }
+            }
+          }
+        }
+      }
+    },
+    work: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        fields: {
+          name: { type: "string", required: true },
+          position: { type: "string", required: true },
+          url,
+          startDate: { type: "date", required: true },
+          endDate: date,
+          summary: string,
+          highlights: strings
+        }
+      }
+    },
+    education: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        fields: {
+          institution: { type: "string", required: true },
+          url,
+          location: string,
+          studyType: string,
+          area: string,
+          startDate: date,
+          endDate: date,
+          summary: string
+        }
+      }
+    },
+    skills: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        fields: {
+          name: { type: "string", required: true },
+          icon: { type: "icon" },
+          keywords: strings
+        }
+      }
+    }
+  }
+};
+
+let resumePromise = null;
+
+/**
+ * Check a resume against the fields the page renders
+ * @param {*} resume - Parsed resume.json
+ * @returns {string[]} - Every problem found, empty if the resume is valid
+ */
+export function validateResume(resume) {
+  return validate(resume, RESUME_SCHEMA, "The resume");
+}
+
+/**
+ * Throw if a resume is invalid
+ * @param {*} resume - Parsed resume.json
+ * @param {string} [source] - Where it came from, for the message
+ * @returns {object} - The resume
+ */
+export function assertValidResume(resume, source = RESUME_URL) {
+  const errors = validateResume(resume);
+  if (errors.length) {
+    throw invalidDataError(`Invalid resume in ${source}`, errors);
+  }
+  return resume;
+}
+
+/**
+ * Text, as a link when there is a URL
+ * @param {string} text
+ * @param {string} [href]
+ * @returns {string}
+ */
+function maybeLink(text, href) {
+  return href
+    ? `<a class="text-reset" href="${escapeHtml(href)}">${escapeHtml(text)}</a>`
+    : escapeHtml(text);
+}
+
+/**
+ * Markup for a summary paragraph and highlights list
+ * @param {{summary?: string, highlights?: string[]}} entry
+ * @returns {string}
+ */
+function entryDetails(entry) {
+  const summary = entry.summary ? `<div>${escapeHtml(entry.summary)}</div>` : "";
+  const items = (entry.highlights || []).map((highlight) => `<li>${escapeHtml(highlight)}</li>`);
+  const highlights = items.length
+    ? `<ul class="mb-0${summary ? " mt-3" : ""}">${items.join("")}</ul>`
+    : "";
+  return `<div class="col-lg-8">${summary}${highlights}</div>`;
+}
+
+/**
+ * Markup for a card: a shaded aside with dates and names, and the details
+ * @param {string} aside - Aside content
+ * @param {object} entry - Work or education entry
+ * @returns {string}
+ */
+function card(aside, entry) {
+  return (
+    "<div class=\"card shadow border-0 rounded-4 mb-5\"><div class=\"card-body p-5\">" +
+    "<div class=\"row align-items-center gx-5\">" +
+    `<div class="col text-center text-lg-start mb-4 mb-lg-0"><div class="bg-light p-4 rounded-4">${aside}</div></div>` +
+    `${entryDetails(entry)}</div></div></div>`
+  );
+}
+
+/**
+ * Markup for work entries, one card each
+ * @param {Array<object>} work
+ * @returns {string}
+ */
+export function renderWork(work) {
+  return work
+    .map((job) => {
+      // The comma keeps the heading readable, and its ID stable
+      // ("software-engineer-fandango"), without showing on screen
+      const aside =
+        `<div class="text-primary fw-bolder mb-2">${formatDateRange(job.startDate, job.endDate)}</div>` +
+        `<h3 class="small fw-bolder mb-0">${escapeHtml(job.position)}<span class="visually-hidden">,</span> ` +
+        `<span class="d-block text-muted fw-normal">${maybeLink(job.name, job.url)}</span></h3>`;
+      return card(aside, job);
+    })
+    .join("");
+}
+
+/**
+ * Markup for education entries, one card each
+ * @param {Array<object>} education
+ * @returns {string}
+ */
+export function renderEducation(education) {
+  return education
+    .map((school) => {
+      const dates = school.startDate
+        ? `<div class="text-secondary fw-bolder mb-2">${formatDateRange(school.startDate, school.endDate)}</div>`
+        : "";
+      const location = school.location
+        ? `<div class="small text-muted">${escapeHtml(school.location)}</div>`
+        : "";
+      const degree = [school.studyType, school.area]
+        .filter(Boolean)
+        .map((line) => `<div class="small text-muted">${escapeHtml(line)}</div>`)
+        .join("");
+      const aside =
+        dates +
+        `<div class="mb-2"><h3 class="small fw-bolder mb-0">${maybeLink(school.institution, school.url)}</h3>${location}</div>` +
+        (degree ? `<div class="fst-italic">${degree}</div>` : "");
+      return card(aside, school);
+    })
+    .join("");
+}
+
+/**
+ * Markup for the skills card: a heading and rows of keywords per skill
+ * @param {Array<object>} skills
+ * @returns {string}
+ */
+export function renderSkills(skills) {
+  if (!skills.length) {
+    return "";
+  }
+  const groups = skills.map((skill, index) => {
+    const keywords = skill.keywords || [];
+    const rows = [];
+    for (let start = 0; start < keywords.length; start += SKILLS_PER_ROW) {
+      const row = keywords.slice(start, start + SKILLS_PER_ROW);
+      const last = start + SKILLS_PER_ROW >= keywords.length;
+      rows.push(
+        `<div class="row row-cols-1 row-cols-md-3${last ? "" : " mb-4"}">` +
+          row
+            .map(
+              (keyword, column) =>
+                `<div class="col${column < row.length - 1 ? " mb-4 mb-md-0" : ""}">` +
+                `<div class="d-flex align-items-center bg-light rounded-4 p-3 h-100">${escapeHtml(keyword)}</div></div>`
+            )
+            .join("") +
+          "</div>"
+      );
+    }
+    const icon = skill.icon
+      ? "<div class=\"feature bg-primary bg-gradient-primary-to-secondary text-white rounded-3 me-3\">" +
+        `<i class="bi ${skill.icon}" aria-hidden="true"></i></div>`
+      : "";
+    return (
+      `<div class="${index < skills.length - 1 ? "mb-5" : "mb-0"}">` +
+      `<div class="d-flex align-items-center mb-4">${icon}` +
+      `<h3 class="fw-bolder mb-0"><span class="text-gradient d-inline">${escapeHtml(skill.name)}</span></h3></div>` +
+      `${rows.join("")}</div>`
+    );
+  });
+  return `<div class="card shadow border-0 rounded-4 mb-5"><div class="card-body p-5">${groups.join("")}</div></div>`;
+}
+
+/**
+ * Markup for the profile links in basics.profiles
+ * @param {Array<object>} profiles
+ * @returns {string}
+ */
+export function renderProfiles(profiles) {
+  if (!profiles.length) {
+    return "";
+  }
+  const links = profiles.map((profile) => {
+    const icon = PROFILE_ICONS[profile.network.toLowerCase()];
+    return (
+      "<li class=\"list-inline-item\">" +
+      `<a class="btn btn-outline-primary btn-sm px-3" href="${escapeHtml(profile.url)}">` +
+      (icon ? `<i class="bi ${icon} me-1" aria-hidden="true"></i>` : "") +
+      `${escapeHtml(profile.network)}</a></li>`
+    );
+  });
+  return `<ul class="list-inline mb-0">${links.join("")}</ul>`;
+}
+
+// Renderers for each data-resume section name
+const SECTION_RENDERERS = {
+  profiles: (resume) => renderProfiles(resume.basics.profiles || []),
+  work: (resume) => renderWork(resume.work),
+  education: (resume) => renderEducation(resume.education),
+  skills: (resume) => renderSkills(resume.skills)
+};
+
+/**
+ * Markup for one section of a resume
+ * @param {string} section - "profiles", "work", "education" or "skills"
+ * @param {object} resume - A valid resume
+ * @returns {string}
+ */
+export function renderResumeSection(section, resume) {
+  if (!Object.hasOwn(SECTION_RENDERERS, section)) {
+    throw new Error(`Unknown resume section: ${section}`);
+  }
+  return SECTION_RENDERERS[section](resume);
+}
+
+/**
+ * Fetch and validate the resume once per page load
+ * @param {string} [url] - Resume URL
+ * @returns {Promise<object>}
+ */
+export function loadResume(url = RESUME_URL) {
+  if (!resumePromise) {
+    resumePromise = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((resume) => assertValidResume(resume, url))
+      .catch((error) => {
+        // Let the next page view try again
+        resumePromise = null;
+        throw error;
+      });
+  }
+  return resumePromise;
+}
+
+// Fill the page's unrendered sections; also called by js/router.js after
+// client-side navigation swaps in the page. The table of contents (js/toc.js)
+// waits for the "content:rendered" event this dispatches.
+async function initPage() {
+  const containers = Array.from(document.querySelectorAll("[data-resume][aria-busy=\"true\"]"));
+  if (!containers.length) {
+    return;
+  }
+
+  try {
+    const resume = await loadResume();
+    containers.forEach((container) => {
+      container.innerHTML = renderResumeSection(container.getAttribute("data-resume"), resume);
+    });
+  } catch (error) {
+    console.error("Error loading resume:", error);
+    reportError(error, { source: "resume", url: RESUME_URL });
+    containers.forEach((container) => {
+      container.innerHTML =
+        "<p class=\"text-muted\">This part of the resume couldn't be loaded. Please try again later.</p>";
+    });
+  }
+
+  containers.forEach((container) => container.removeAttribute("aria-busy"));
+  document.dispatchEvent(new CustomEvent("content:rendered"));
+}
+
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", initPage);
+}
+
+export { initPage };
@@ -0,0 +1,301 @@
+// Client-side router
+//
+// Opt-in per page with <body data-router>. Same-origin links to other
+// router-enabled pages are fetched and only <main> is swapped, so the header,
+// footer, theme and any open connections survive navigation. Anything the
+// router cannot handle (other origins, downloads, modified clicks, pages
+// without data-router, fetch failures) falls back to a normal page load.
+//
+// After each swap the router loads data-include partials inside the new
+// <main>, calls initPage() on the page's module scripts and dispatches a
+// "router:navigated" event on document with detail.url.
+
+import { reportError } from "./error-reporter.js";
+import { focusElement } from "./focus.js";
+import { loadIncludes } from "./partials.js";
+
+const ROUTER_ATTRIBUTE = "data-router";
+const NO_ROUTER_ATTRIBUTE = "data-no-router";
+
+let started = false;
+// Incremented per navigation so a slow response can't overwrite a newer one
+let navigationId = 0;
+// Path and query of the page in <main>; history entries that differ from it
+// only by hash belong to the same page
+let currentPath = "";
+
+/**
+ * The part of a URL that identifies a page
+ * @param {string} href - URL, absolute or relative
+ * @returns {string} - Path and query, without the hash
+ */
+function pagePath(href) {
+  const url = new URL(href, window.location.href);
+  return url.pathname + url.search;
+}
+
+/**
+ * Check whether a URL is an anchor on the current page
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isInPageAnchor(url) {
+  const current = window.location;
+  return Boolean(
+    url.hash &&
+      url.origin === current.origin &&
+      url.pathname === current.pathname &&
+      url.search === current.search
+  );
+}
+
+/**
+ * Check whether a link click should be handled by the router
+ * @param {MouseEvent} event - Click event
+ * @param {HTMLAnchorElement} link - Clicked link
+ * @returns {boolean}
+ */
+function shouldIntercept(event, link) {
+  if (
+    event.defaultPrevented ||
+    event.button !== 0 ||
+    event.metaKey ||
+    event.ctrlKey ||
+    event.shiftKey ||
+    event.altKey
+  ) {
+    return false;
+  }
+
+  const target = link.getAttribute("target");
+  if (
+    (target && target !== "_self") ||
+    link.hasAttribute("download") ||
+    link.hasAttribute(NO_ROUTER_ATTRIBUTE)
+  ) {
+    return false;
+  }
+
+  const url = new URL(link.href, window.location.href);
+  if (url.origin !== window.location.origin) {
+    return false;
+  }
+
+  // Only pages, not assets such as PDFs or images
+  if (!/(\/|\.html)$/.test(url.pathname)) {
+    return false;
+  }
+
+  // In-page anchors are left to the browser
+  return !isInPageAnchor(url);
+}
+
+/**
+ * Give up on client-side navigation and let the browser load the page
+ * @param {string} url - Page URL
+ * @param {boolean} push - Whether this navigation should add a history entry
+ */
+function loadDocument(url, push) {
+  if (push) {
+    window.location.assign(url);
+  } else {
+    // Back/forward already moved the history entry
+    window.location.replace(url);
+  }
+}
+
+/**
+ * Remember the current scroll position on the current history entry
+ */
+function saveScrollPosition() {
+  const state = { ...(window.history.state || {}), scrollY: window.scrollY };
+  window.history.replaceState(state, "", window.location.href);
+}
+
+/**
+ * Import the new page's module scripts and run their initPage() hooks.
+ * import() returns the cached module when an earlier page already loaded
+ * it, so page setup lives in initPage() rather than at module top level.
+ * @param {Document} doc - Fetched page
+ * @param {string} pageUrl - URL the page was fetched from
+ */
+async function runPageModules(doc, pageUrl) {
+  const scripts = doc.querySelectorAll("script[type=\"module\"][src]");
+
+  for (const script of scripts) {
+    const src = new URL(script.getAttribute("src"), pageUrl).href;
+    try {
+      const module = await import(src);
+      if (typeof module.initPage === "function") {
+        module.initPage();
+      }
+    } catch (error) {
+      console.error("Error running page module:", src, error);
+      reportError(error, { source: "router", url: src });
+    }
+  }
+}
+
+/**
+ * Swap in the page at a URL
+ * @param {string} path - Same-origin page URL, absolute or relative
+ * @param {object} [options]
+ * @param {boolean} [options.push] - Add a history entry (false for back/forward)
+ * @param {number} [options.scrollY] - Scroll position to restore
+ * @returns {Promise<boolean>} - false if the browser had to load the page
+ */
+export async function navigate(path, { push = true, scrollY = 0 } = {}) {
+  const id = ++navigationId;
+  const url = new URL(path, window.location.href).href;
+  let doc;
+
+  try {
+    const response = await fetch(url, { headers: { Accept: "text/html" } });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    doc = new DOMParser().parseFromString(await response.text(), "text/html");
+  } catch (error) {
+    console.error("Error loading page:", url, error);
+    reportError(error, { source: "router", url });
+    loadDocument(url, push);
+    return false;
+  }
+
+  if (id !== navigationId) {
+    return true;
+  }
+
+  const currentMain = document.querySelector("main");
+  const nextMain = doc.querySelector("main");
+  if (!currentMain || !nextMain || !doc.body.hasAttribute(ROUTER_ATTRIBUTE)) {
+    loadDocument(url, push);
+    return false;
+  }
+
+  if (push) {
+    saveScrollPosition();
+    window.history.pushState({ scrollY: 0 }, "", url);
+  }
+
+  document.title = doc.title;
+  document.body.className = doc.body.className;
+  const description = doc.querySelector("meta[name=\"description\"]");
+  const currentDescription = document.querySelector("meta[name=\"description\"]");
+  if (description && currentDescription) {
+    currentDescription.setAttribute("content", description.getAttribute("content"));
+  }
+
+  const main = document.adoptNode(nextMain);
+  currentMain.replaceWith(main);
+  currentPath = pagePath(url);
+  await loadIncludes(main);
+
+  const hash = new URL(url).hash;
+  const anchor = push && hash ? document.getElementById(hash.slice(1)) : null;
+  if (anchor) {
+    anchor.scrollIntoView();
+  } else {
+    window.scrollTo(0, scrollY);
+  }
+
+  // Move focus to the new content so screen readers announce it
+  focusElement(main, { preventScroll: true });
+
+  await runPageModules(doc, url);
+  document.dispatchEvent(
+    new CustomEvent("router:navigated", { detail: { url } })
+  );
+  return true;
+}
+
+/**
+ * Go to a URL from script: in-page anchors just scroll, other pages go
+ * through the router when it is active and load normally otherwise
+ * @param {string} path - Same-origin URL, absolute or relative
+ * @returns {Promise<boolean>} - false if the browser had to load the page
+ */
+export async function visit(path) {
+  const url = new URL(path, window.location.href);
+  const current = window.location;
+
+  if (isInPageAnchor(url)) {
+    saveScrollPosition();
+    const anchor = document.getElementById(url.hash.slice(1));
+    if (current.hash === url.hash && anchor) {
+      // Re-assigning the same hash doesn't scroll
+      anchor.scrollIntoView();
+    } else {
+      window.location.hash = url.hash;
+    }
+    return true;
+  }
+
+  if (!started || url.origin !== current.origin) {
+    window.location.assign(url.href);
+    return false;
+  }
+
+  return navigate(url.href);
+}
+
+function handleClick(event) {
+  const link = event.target.closest("a[href]");
+  if (!link) {
+    return;
+  }
+  if (!shouldIntercept(event, link)) {
+    if (isInPageAnchor(new URL(link.href, window.location.href))) {
+      // So Back can return to where the link was
+      saveScrollPosition();
+    }
+    return;
+  }
+
+  event.preventDefault();
+  navigate(link.href);
+}
+
+function handlePopState(event) {
+  const saved = event.state && event.state.scrollY;
+
+  // Back/forward between anchors on the same page. Manual scroll restoration
+  // leaves the scrolling to us, but there's nothing to fetch.
+  if (pagePath(window.location.href) === currentPath) {
+    const anchor = window.location.hash
+      ? document.getElementById(window.location.hash.slice(1))
+      : null;
+    if (typeof saved === "number") {
+      window.scrollTo(0, saved);
+    } else if (anchor) {
+      anchor.scrollIntoView();
+    }
+    return;
+  }
+
+  const scrollY = saved || 0;
+  navigate(window.location.href, { push: false, scrollY });
+}
+
+/**
+ * Start intercepting navigation if the current page opts in.
+ * Safe to call more than once.
+ * @returns {boolean} - Whether the router is active
+ */
+export function initRouter() {
+  if (!document.body.hasAttribute(ROUTER_ATTRIBUTE)) {
+    return false;
+  }
+  if (started) {
+    return true;
+  }
+
+  started = true;
+  currentPath = pagePath(window.location.href);
+  if ("scrollRestoration" in window.history) {
+    window.history.scrollRestoration = "manual";
+  }
+  document.addEventListener("click", handleClick);
+  window.addEventListener("popstate", handlePopState);
+  return true;
+}
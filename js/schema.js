@@ -0,0 +1,140 @@
+// Data file validation
+//
+// Checks parsed data files (resume.json, projects.json) against a schema
+// before they're rendered, and lists every problem with its path, e.g.
+// "work[1].startDate must be a date like 2019, 2019-06 or 2019-06-01". A
+// schema is a tree of specs:
+//   { type: "object", required?, fields: { name: spec, ... } }
+//   { type: "array", required?, items: spec }
+//   { type: "enum", required?, values: ["a", "b"] }
+//   { type: "string" | "url" | "email" | "date" | "icon" | "repo", required? }
+// Fields not in the schema are allowed. An object with a valid startDate and
+// endDate must not end before it starts.
+
+import { DATE_PATTERN } from "./dates.js";
+
+const ICON_PATTERN = /^bi-[a-z0-9-]+$/;
+const REPO_PATTERN = /^[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+/**
+ * Describe a value for an error message
+ * @param {*} value
+ * @returns {string}
+ */
+function describe(value) {
+  if (Array.isArray(value)) {
+    return "an array";
+  }
+  return value === null ? "null" : JSON.stringify(value);
+}
+
+// Checks for leaf values: what they must be, for the error message
+const VALUE_CHECKS = {
+  string: {
+    test: (value) => typeof value === "string" && Boolean(value.trim()),
+    expected: "non-empty text"
+  },
+  url: {
+    test: (value) => typeof value === "string" && /^https?:\/\/[^\s/]+\.\S+$/.test(value),
+    expected: "an http(s) URL"
+  },
+  email: {
+    test: (value) => typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    expected: "an email address"
+  },
+  date: {
+    test: (value) => typeof value === "string" && DATE_PATTERN.test(value),
+    expected: "a date like 2019, 2019-06 or 2019-06-01"
+  },
+  icon: {
+    test: (value) => typeof value === "string" && ICON_PATTERN.test(value),
+    expected: "a Bootstrap icon class like \"bi-cloud\""
+  },
+  repo: {
+    test: (value) => typeof value === "string" && REPO_PATTERN.test(value),
+    expected: "a GitHub repository like \"owner/name\""
+  }
+};
+
+/**
+ * Check a value against part of a schema
+ * @param {*} value
+ * @param {object} spec - Part of the schema
+ * @param {string} path - e.g. "work[1].startDate"; empty for the whole value
+ * @param {string} subject - What the whole value is called, e.g. "The resume"
+ * @param {string[]} errors - Problems found, appended to
+ */
+function check(value, spec, path, subject, errors) {
+  if (spec.type === "array") {
+    if (!Array.isArray(value)) {
+      errors.push(`${path || subject} must be an array, not ${describe(value)}`);
+      return;
+    }
+    value.forEach((item, index) => check(item, spec.items, `${path}[${index}]`, subject, errors));
+    return;
+  }
+
+  if (spec.type === "enum") {
+    if (!spec.values.includes(value)) {
+      const values = spec.values.map((allowed) => JSON.stringify(allowed)).join(", ");
+      errors.push(`${path} must be one of ${values}, not ${describe(value)}`);
+    }
+    return;
+  }
+
+  if (spec.type !== "object") {
+    const { test, expected } = VALUE_CHECKS[spec.type];
+    if (!test(value)) {
+      errors.push(`${path} must be ${expected}, not ${describe(value)}`);
+    }
+    return;
+  }
+
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${path || subject} must be an object, not ${describe(value)}`);
+    return;
+  }
+  Object.entries(spec.fields).forEach(([name, field]) => {
+    const fieldPath = path ? `${path}.${name}` : name;
+    if (value[name] === undefined) {
+      if (field.required) {
+        errors.push(`${fieldPath} is required`);
+      }
+      return;
+    }
+    check(value[name], field, fieldPath, subject, errors);
+  });
+
+  const { startDate, endDate } = value;
+  if (VALUE_CHECKS.date.test(startDate) && VALUE_CHECKS.date.test(endDate)) {
+    // Compare as precisely as both dates allow: 2014 doesn't end before 2014-05
+    const length = Math.min(startDate.length, endDate.length);
+    if (endDate.slice(0, length) < startDate.slice(0, length)) {
+      errors.push(`${path}.endDate must not be before its startDate`);
+    }
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Parsed data file
+ * @param {object} schema
+ * @param {string} subject - What the value is called in messages about it as a
+ *   whole, e.g. "The resume"
+ * @returns {string[]} - Every problem found, empty if the value is valid
+ */
+export function validate(value, schema, subject) {
+  const errors = [];
+  check(value, schema, "", subject, errors);
+  return errors;
+}
+
+/**
+ * An error listing every problem found by validate()
+ * @param {string} heading - e.g. "Invalid resume in /resume.json"
+ * @param {string[]} errors
+ * @returns {Error}
+ */
+export function invalidDataError(heading, errors) {
+  return new Error(`${heading}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+}
@@ -4,42 +4,50 @@
  * Licensed under MIT (https://github.com/StartBootstrap/startbootstrap-personal/blob/master/LICENSE)
  */
 
-// Load header and footer partials
+import { initAnalytics, track } from "./analytics.js";
+import { initCommandPalette } from "./command-palette.js";
+import { initErrorReporter, reportError } from "./error-reporter.js";
+import { initMobileNav } from "./mobile-nav.js";
+import { getNavContext, loadNavConfig, renderNavItems } from "./nav.js";
+import { matchesRoute } from "./nav-match.js";
+import { loadIncludes } from "./partials.js";
+import { initRouter } from "./router.js";
+import { initBackToTop, initScrollSpy } from "./scroll.js";
+import { initSkipLink } from "./skip-link.js";
+import {
+  getThemeOptions,
+  getThemePreference,
+  initTheme,
+  onThemeChange,
+  setThemePreference
+} from "./theme.js";
+import { initVitals } from "./vitals.js";
+
+// Header and footer elements whose listeners are bound. initializePartialScripts()
+// runs again whenever a partial is revalidated, and only the elements of the
+// partial that was swapped are new.
+const boundElements = new WeakSet();
+
+/**
+ * Mark an element as bound
+ * @param {Element} element
+ * @returns {boolean} - false if it already was, so its listeners stay single
+ */
+function bindOnce(element) {
+  if (boundElements.has(element)) {
+    return false;
+  }
+  boundElements.add(element);
+  return true;
+}
+
+// Load header, footer and any other data-include partials
 async function loadPartials() {
   try {
-    // Load header
-    const headerResponse = await fetch("/partials/header.html");
-    if (headerResponse.ok) {
-      const headerHtml = await headerResponse.text();
-      const headerPlaceholder = document.getElementById("header-placeholder");
-      if (headerPlaceholder) {
-        // Use DOMParser for safer HTML parsing
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(headerHtml, "text/html");
-        // Check for parse errors
-        if (doc.body) {
-          headerPlaceholder.replaceChildren(...doc.body.childNodes);
-        }
-      }
-    }
-
-    // Load footer
-    const footerResponse = await fetch("/partials/footer.html");
-    if (footerResponse.ok) {
-      const footerHtml = await footerResponse.text();
-      const footerPlaceholder = document.getElementById("footer-placeholder");
-      if (footerPlaceholder) {
-        // Use DOMParser for safer HTML parsing
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(footerHtml, "text/html");
-        // Check for parse errors
-        if (doc.body) {
-          footerPlaceholder.replaceChildren(...doc.body.childNodes);
-        }
-      }
-    }
+    await loadIncludes(document);
   } catch (error) {
     console.error("Error loading partials:", error);
+    reportError(error, { source: "partials" });
   }
 }
 
@@ -58,27 +66,108 @@ if (typeof document !== "undefined" && document.readyState !== "loading") {
   });
 }
 
+if (typeof document !== "undefined") {
+  // Report uncaught errors to the page's collector (see js/error-reporter.js)
+  initErrorReporter();
+
+  // Apply the saved theme right away on every page. js/theme-boot.js has
+  // usually done so before first paint; this also starts following OS
+  // changes. The header theme menu is just one consumer of theme changes.
+  initTheme();
+  onThemeChange(updateThemeMenu);
+
+  // Count theme choices made anywhere (the header menu, the command palette),
+  // but not OS changes while the preference follows the system
+  let themePreference = getThemePreference();
+  onThemeChange(({ preference }) => {
+    if (preference !== themePreference) {
+      themePreference = preference;
+      track("theme", { theme: preference });
+    }
+  });
+
+  // Re-bind header/footer behavior when a cached partial is replaced with a
+  // newer version after background revalidation
+  document.addEventListener("partial:updated", () => {
+    initializePartialScripts();
+  });
+
+  // The header persists across client-side navigation, so only its active
+  // link needs to follow the new URL; the new <main> may bring scroll-spy
+  // navigation of its own
+  document.addEventListener("router:navigated", () => {
+    setActiveNavLink();
+    initializeScrollSpy();
+  });
+
+  // Nav links with a hash follow in-page navigation too
+  window.addEventListener("hashchange", () => {
+    setActiveNavLink();
+  });
+}
+
 function initializeScripts() {
-  // Initialize navbar toggler for mobile
-  // Bootstrap's data-bs-toggle relies on event delegation, but the navbar
-  // is loaded dynamically via fetch(). Manually bind the toggle to ensure
-  // it works reliably across all mobile browsers.
+  initSkipLink();
+
+  initializePartialScripts();
+
+  document.addEventListener("click", closeThemeMenuOnOutsideClick);
+
+  // First-party page view and outbound link counts (see js/analytics.js),
+  // and real-user Core Web Vitals for a sample of page loads
+  initAnalytics();
+  initVitals();
+
+  // Client-side navigation for pages with <body data-router>
+  initRouter();
+
+  registerServiceWorker();
+
+  // Ctrl/Cmd+K command palette
+  initCommandPalette();
+
+  // Back to top button, driven by the shared scroll listener in scroll.js
+  const backToTopBtn = document.getElementById("backToTopBtn");
+  if (backToTopBtn) {
+    initBackToTop(backToTopBtn);
+  }
+
+  initializeScrollSpy();
+}
+
+// Highlight in-page navigation (e.g. the resume's table of contents) for the
+// section being read
+function initializeScrollSpy() {
+  document.querySelectorAll("[data-scroll-spy]").forEach((nav) => {
+    initScrollSpy(nav);
+  });
+}
+
+// Register the offline service worker (sw.js) on pages that link the web
+// app manifest, i.e. the installable main site but not subdomains that
+// reuse these scripts
+function registerServiceWorker() {
+  if (
+    !("serviceWorker" in navigator) ||
+    !document.querySelector("link[rel=\"manifest\"]")
+  ) {
+    return;
+  }
+
+  navigator.serviceWorker.register("/sw.js").catch((error) => {
+    console.error("Error registering service worker:", error);
+  });
+}
+
+// Behavior for elements that live inside the header and footer partials
+function initializePartialScripts() {
+  // Mobile menu (see js/mobile-nav.js). The navbar is loaded dynamically,
+  // so the toggler is bound here rather than through Bootstrap's
+  // data-bs-toggle delegation.
   const toggler = document.querySelector(".navbar-toggler");
   const navCollapse = document.getElementById("navbarSupportedContent");
   if (toggler && navCollapse) {
-    toggler.addEventListener("click", function () {
-      if (typeof bootstrap !== "undefined") {
-        const bsCollapse = bootstrap.Collapse.getOrCreateInstance(navCollapse);
-        bsCollapse.toggle();
-      } else {
-        // Fallback if Bootstrap JS hasn't loaded
-        navCollapse.classList.toggle("show");
-        toggler.setAttribute(
-          "aria-expanded",
-          String(navCollapse.classList.contains("show"))
-        );
-      }
-    });
+    initMobileNav(toggler, navCollapse);
   }
 
   // Update current year in footer
@@ -88,91 +177,183 @@ function initializeScripts() {
   }
 
   setActiveNavLink();
+  initializeNav();
 
-  // Back to top button functionality
-  const backToTopBtn = document.getElementById("backToTopBtn");
+  initializeSiteSearch();
 
-  // Only initialize back to top if button exists
-  if (backToTopBtn) {
-    // Show/hide button based on scroll position
-    window.addEventListener("scroll", function () {
-      if (window.pageYOffset > 300) {
-        backToTopBtn.classList.add("show");
-      } else {
-        backToTopBtn.classList.remove("show");
-      }
-    });
+  initializeThemeMenu();
+}
 
-    // Smooth scroll to top when button is clicked
-    backToTopBtn.addEventListener("click", function (e) {
-      e.preventDefault();
-      window.scrollTo({
-        top: 0,
-        behavior: "smooth"
-      });
+// Render the header links from the nav config (see js/nav.js). Pages built
+// by scripts/build.mjs already have the unconditional links in place; this
+// adds the ones that depend on where and by whom the page is viewed.
+function initializeNav() {
+  const list = document.querySelector("[data-nav]");
+  if (!list) {
+    return;
+  }
+
+  const url = list.getAttribute("data-nav");
+  loadNavConfig(url)
+    .then((config) => {
+      list.innerHTML = renderNavItems(config.items, getNavContext(config));
+      setActiveNavLink();
+    })
+    .catch((error) => {
+      console.error("Error loading navigation:", error);
+      reportError(error, { source: "nav", url });
     });
+}
+
+// Header search box; js/search.js and the search index load on first use
+function initializeSiteSearch() {
+  const form = document.getElementById("siteSearch");
+  if (!form || !bindOnce(form)) {
+    return;
   }
 
-  // Dark mode toggle functionality
+  form.addEventListener(
+    "focusin",
+    function () {
+      import("./search.js")
+        .then(({ initSearch }) => initSearch(form))
+        .catch((error) => {
+          console.error("Error loading search:", error);
+          reportError(error, { source: "search" });
+        });
+    },
+    { once: true }
+  );
+}
+
+// Theme picker in the header, built from the theme registry in theme.js
+function initializeThemeMenu() {
   const darkModeToggle = document.getElementById("darkModeToggle");
-  const html = document.documentElement;
-
-  // Only initialize dark mode if toggle exists
-  if (darkModeToggle) {
-    // Check for saved dark mode preference or system preference
-    const savedMode = localStorage.getItem("darkMode");
-    const prefersDark = window.matchMedia(
-      "(prefers-color-scheme: dark)"
-    ).matches;
-
-    if (savedMode === "enabled" || (savedMode === null && prefersDark)) {
-      html.classList.add("dark-mode");
-      updateToggleIcon();
+  const themeMenu = document.getElementById("themeMenu");
+
+  // Only initialize the theme menu if it exists
+  if (!darkModeToggle || !themeMenu) {
+    return;
+  }
+
+  themeMenu.innerHTML = getThemeOptions()
+    .map(
+      ({ value, label, icon }) => `
+        <li>
+          <button class="dropdown-item" type="button" role="menuitemradio"
+            aria-checked="false" data-theme-value="${value}">
+            <i class="bi ${icon} me-2" aria-hidden="true"></i>${label}
+          </button>
+        </li>`
+    )
+    .join("");
+  updateThemeMenu();
+
+  // The toggle and menu are swapped together, with the header
+  if (!bindOnce(darkModeToggle)) {
+    return;
+  }
+
+  darkModeToggle.addEventListener("click", function () {
+    setThemeMenuOpen(!themeMenu.classList.contains("show"));
+  });
+
+  themeMenu.addEventListener("click", function (e) {
+    const item = e.target.closest("[data-theme-value]");
+    if (!item) {
+      return;
     }
 
-    // Toggle dark mode when button is clicked
-    darkModeToggle.addEventListener("click", function () {
-      html.classList.toggle("dark-mode");
+    const theme = item.getAttribute("data-theme-value");
+    setThemePreference(theme);
+    setThemeMenuOpen(false);
+    darkModeToggle.focus();
+  });
 
-      if (html.classList.contains("dark-mode")) {
-        localStorage.setItem("darkMode", "enabled");
-      } else {
-        localStorage.setItem("darkMode", "disabled");
-      }
+  themeMenu.addEventListener("keydown", function (e) {
+    const items = Array.from(themeMenu.querySelectorAll("[data-theme-value]"));
+    const index = items.indexOf(document.activeElement);
 
-      updateToggleIcon();
-    });
+    if (e.key === "Escape") {
+      setThemeMenuOpen(false);
+      darkModeToggle.focus();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      items[(index + step + items.length) % items.length].focus();
+    }
+  });
+}
+
+// Reflect the current preference in the toggle icon and checked menu item
+function updateThemeMenu() {
+  const darkModeToggle = document.getElementById("darkModeToggle");
+  const themeMenu = document.getElementById("themeMenu");
+  if (!darkModeToggle || !themeMenu) {
+    return;
   }
 
-  function updateToggleIcon() {
-    const icon = darkModeToggle.querySelector("i");
-    if (html.classList.contains("dark-mode")) {
-      icon.classList.remove("bi-moon-fill");
-      icon.classList.add("bi-sun-fill");
-    } else {
-      icon.classList.remove("bi-sun-fill");
-      icon.classList.add("bi-moon-fill");
+  const preference = getThemePreference();
+  const options = getThemeOptions();
+  const selected = options.find((option) => option.value === preference);
+
+  const icon = darkModeToggle.querySelector("i");
+  icon.classList.remove(...options.map((option) => option.icon));
+  icon.classList.add(selected.icon);
+
+  themeMenu.querySelectorAll("[data-theme-value]").forEach((item) => {
+    const checked = item.getAttribute("data-theme-value") === preference;
+    item.setAttribute("aria-checked", String(checked));
+    item.classList.toggle("active", checked);
+  });
+}
+
+function setThemeMenuOpen(open) {
+  const darkModeToggle = document.getElementById("darkModeToggle");
+  const themeMenu = document.getElementById("themeMenu");
+
+  themeMenu.classList.toggle("show", open);
+  darkModeToggle.setAttribute("aria-expanded", String(open));
+
+  if (open) {
+    const checked = themeMenu.querySelector("[aria-checked=\"true\"]");
+    if (checked) {
+      checked.focus();
     }
   }
 }
 
+// Close the theme menu when clicking anywhere outside of it
+function closeThemeMenuOnOutsideClick(e) {
+  const themeMenu = document.getElementById("themeMenu");
+  if (
+    themeMenu &&
+    themeMenu.classList.contains("show") &&
+    !e.target.closest(".theme-menu")
+  ) {
+    setThemeMenuOpen(false);
+  }
+}
+
+// Mark the header link for the current page. Links match their page exactly
+// unless they opt into data-match="prefix" (see js/nav-match.js); a dropdown
+// toggle is active while one of its items is
 function setActiveNavLink() {
-  const navLinks = document.querySelectorAll(".navbar .nav-link");
+  const navLinks = document.querySelectorAll(
+    ".navbar .nav-link, .navbar .dropdown-item"
+  );
   if (!navLinks.length) {
     return;
   }
 
-  const path = window.location.pathname;
-  const currentPage = path.split("/").pop() || "index.html";
-
   navLinks.forEach((link) => {
     const href = link.getAttribute("href");
-    if (!href || href.startsWith("http")) {
+    if (!href) {
       return;
     }
 
-    const targetPage = href.split("/").pop();
-    if (targetPage === currentPage) {
+    const match = link.dataset.match === "prefix" ? "prefix" : "exact";
+    if (matchesRoute(href, window.location, { match })) {
       link.classList.add("active");
       link.setAttribute("aria-current", "page");
     } else {
@@ -180,6 +361,16 @@ function setActiveNavLink() {
       link.removeAttribute("aria-current");
     }
   });
+
+  document.querySelectorAll(".navbar .nav-item.dropdown").forEach((item) => {
+    const toggle = item.querySelector(".dropdown-toggle");
+    if (toggle) {
+      toggle.classList.toggle(
+        "active",
+        Boolean(item.querySelector(".dropdown-item.active"))
+      );
+    }
+  });
 }
 
 // Export functions for testing
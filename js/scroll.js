@@ -0,0 +1,157 @@
+// Scroll manager
+//
+// One passive scroll (and resize) listener for the whole site. Events are
+// batched to at most one update per animation frame, and subscribers receive
+// the scroll position instead of each reading layout on every event.
+//
+// It drives the back-to-top button and scroll-spy: give a <nav> of in-page
+// links the data-scroll-spy attribute and the link for the section being read
+// gets the "active" class and aria-current="location".
+//
+// Programmatic smooth scrolling goes through scrollToTop() so it respects
+// prefers-reduced-motion, as the CSS scroll-behavior for anchor links does.
+
+const BACK_TO_TOP_THRESHOLD = 300;
+// Below the fixed navbar and the sticky table of contents
+const SPY_OFFSET = 160;
+
+const subscribers = new Set();
+let framePending = false;
+// Navs already spied on, so re-initializing doesn't double up
+const spiedNavs = new WeakSet();
+
+function update() {
+  framePending = false;
+  const scrollY = window.scrollY;
+  subscribers.forEach((callback) => callback(scrollY));
+}
+
+function handleScroll() {
+  if (!framePending) {
+    framePending = true;
+    window.requestAnimationFrame(update);
+  }
+}
+
+/**
+ * Run a callback with the scroll position now and after each scroll or
+ * resize, at most once per frame
+ * @param {(scrollY: number) => void} callback
+ * @returns {() => void} - Unsubscribe function
+ */
+export function onScroll(callback) {
+  subscribers.add(callback);
+  // Re-adding the same listener is a no-op, so there is only ever one
+  window.addEventListener("scroll", handleScroll, { passive: true });
+  window.addEventListener("resize", handleScroll, { passive: true });
+  callback(window.scrollY);
+  return () => subscribers.delete(callback);
+}
+
+/**
+ * Whether the visitor asked the OS for less motion
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return (
+    typeof window.matchMedia === "function" &&
+    Boolean(window.matchMedia("(prefers-reduced-motion: reduce)").matches)
+  );
+}
+
+/**
+ * Smoothly scroll to the top of the page, or jump there for reduced motion
+ */
+export function scrollToTop() {
+  window.scrollTo({
+    top: 0,
+    behavior: prefersReducedMotion() ? "auto" : "smooth"
+  });
+}
+
+/**
+ * Show the back-to-top button once the page is scrolled down. Stops by
+ * itself if the button leaves the page.
+ * @param {HTMLElement} button - Back-to-top button
+ * @returns {() => void} - Unsubscribe function
+ */
+export function initBackToTop(button) {
+  button.addEventListener("click", function (e) {
+    e.preventDefault();
+    scrollToTop();
+  });
+
+  const toggle = (scrollY) => {
+    if (!button.isConnected) {
+      subscribers.delete(toggle);
+      return;
+    }
+
+    if (scrollY > BACK_TO_TOP_THRESHOLD) {
+      button.classList.add("show");
+    } else {
+      button.classList.remove("show");
+    }
+  };
+
+  return onScroll(toggle);
+}
+
+/**
+ * Highlight the link in a nav for the section currently being read. The
+ * current section is the last one whose top has passed the offset, or the
+ * last section once the page is scrolled to the bottom. Stops by itself when
+ * the nav leaves the page (e.g. after client-side navigation).
+ * @param {HTMLElement} nav - Element containing links to in-page anchors
+ * @param {object} [options]
+ * @param {number} [options.offset] - Pixels from the viewport top
+ */
+export function initScrollSpy(nav, { offset = SPY_OFFSET } = {}) {
+  if (spiedNavs.has(nav) || !nav.isConnected) {
+    return;
+  }
+  spiedNavs.add(nav);
+
+  const sections = Array.from(nav.querySelectorAll("a[href^=\"#\"]"))
+    .map((link) => ({
+      link,
+      target: document.getElementById(
+        decodeURIComponent(link.getAttribute("href").slice(1))
+      )
+    }))
+    .filter(({ target }) => target);
+
+  const spy = () => {
+    if (!nav.isConnected) {
+      subscribers.delete(spy);
+      return;
+    }
+
+    let current = null;
+    sections.forEach((section) => {
+      if (section.target.getBoundingClientRect().top <= offset) {
+        current = section;
+      }
+    });
+
+    const root = document.documentElement;
+    const atBottom =
+      window.innerHeight + window.scrollY >= root.scrollHeight - 1 &&
+      root.scrollHeight > window.innerHeight;
+    if (atBottom && sections.length) {
+      current = sections[sections.length - 1];
+    }
+
+    sections.forEach((section) => {
+      const active = section === current;
+      section.link.classList.toggle("active", active);
+      if (active) {
+        section.link.setAttribute("aria-current", "location");
+      } else {
+        section.link.removeAttribute("aria-current");
+      }
+    });
+  };
+
+  onScroll(spy);
+}
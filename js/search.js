@@ -0,0 +1,333 @@
+// Site search
+//
+// Loaded on demand by js/scripts.js the first time the header search box is
+// used. The index (/search-index.json, generated by
+// scripts/build-search-index.mjs) is fetched once and holds one entry per
+// page section. Results rank heading matches above body matches and exact
+// words above prefixes above near-misses, and link to the section's anchor.
+
+import { reportError } from "./error-reporter.js";
+
+const INDEX_URL = "/search-index.json";
+const MAX_RESULTS = 8;
+const SNIPPET_LENGTH = 120;
+
+let indexPromise = null;
+// Search forms already wired up, so re-rendered headers aren't bound twice
+const boundForms = new WeakSet();
+
+/**
+ * Split text into lowercase words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Edit distance counting swapped neighbours as one typo (optimal string
+ * alignment), giving up once it exceeds a limit
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance worth computing
+ * @returns {number} - The distance, or max + 1 if it is larger
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score one query term against a list of words
+ * @param {string} term - Lowercase query word
+ * @param {string[]} words - Lowercase words to search
+ * @returns {number} - 3 exact, 2 prefix, 1 fuzzy, 0 no match
+ */
+export function scoreTerm(term, words) {
+  // Short terms are too ambiguous to correct
+  const maxEdits = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+  let best = 0;
+
+  for (const word of words) {
+    if (word === term) {
+      return 3;
+    }
+    if (word.startsWith(term)) {
+      best = 2;
+    } else if (
+      best === 0 &&
+      maxEdits &&
+      editDistance(term, word, maxEdits) <= maxEdits
+    ) {
+      best = 1;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Turn the raw index into searchable entries
+ * @param {{pages: Array<{url: string, title: string}>, entries: Array<object>}} index
+ * @returns {Array<object>}
+ */
+export function prepareIndex(index) {
+  return index.entries.map(({ p, a, h, t }) => {
+    const page = index.pages[p];
+    return {
+      url: a ? `${page.url}#${a}` : page.url,
+      page: page.title,
+      heading: h,
+      text: t,
+      headingWords: tokenize(h),
+      words: Array.from(new Set(tokenize(t)))
+    };
+  });
+}
+
+/**
+ * Fetch and prepare the search index once
+ * @param {string} [url] - Index URL
+ * @returns {Promise<Array<object>>}
+ */
+export function loadSearchIndex(url = INDEX_URL) {
+  if (!indexPromise) {
+    indexPromise = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(prepareIndex)
+      .catch((error) => {
+        // Let the next search try again
+        indexPromise = null;
+        throw error;
+      });
+  }
+  return indexPromise;
+}
+
+/**
+ * Cut a short excerpt of text around the first query term it contains
+ * @param {string} text - Section text
+ * @param {string[]} terms - Query terms
+ * @returns {string}
+ */
+export function makeSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms
+    .map((term) => lower.indexOf(term))
+    .filter((position) => position !== -1);
+  const first = positions.length ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - SNIPPET_LENGTH / 3);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Rank entries against a query. Every query word has to match the section
+ * heading or text; heading matches count double.
+ * @param {Array<object>} entries - Prepared entries
+ * @param {string} query - What the user typed
+ * @param {number} [limit] - Maximum number of results
+ * @returns {Array<{url: string, page: string, heading: string, snippet: string}>}
+ */
+export function searchEntries(entries, query, limit = MAX_RESULTS) {
+  const terms = Array.from(new Set(tokenize(query)));
+  if (!terms.length) {
+    return [];
+  }
+
+  const ranked = [];
+  entries.forEach((entry, index) => {
+    let score = 0;
+    for (const term of terms) {
+      const termScore = Math.max(
+        scoreTerm(term, entry.headingWords) * 2,
+        scoreTerm(term, entry.words)
+      );
+      if (!termScore) {
+        return;
+      }
+      score += termScore;
+    }
+    ranked.push({ entry, index, score });
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ entry }) => ({
+      url: entry.url,
+      page: entry.page,
+      heading: entry.heading,
+      snippet: makeSnippet(entry.text, terms)
+    }));
+}
+
+/**
+ * Render results as links in the results list
+ * @param {HTMLElement} list - Results list
+ * @param {Array<object>} results - From searchEntries
+ */
+function renderResults(list, results) {
+  list.innerHTML = "";
+
+  if (!results.length) {
+    const empty = document.createElement("li");
+    empty.className = "dropdown-item-text site-search-empty";
+    empty.textContent = "No results";
+    list.appendChild(empty);
+    return;
+  }
+
+  results.forEach((result) => {
+    const item = document.createElement("li");
+    item.innerHTML = `
+      <a class="dropdown-item site-search-result">
+        <span class="site-search-heading"></span>
+        <small class="site-search-page"></small>
+        <small class="site-search-snippet"></small>
+      </a>`;
+    const link = item.querySelector("a");
+    link.setAttribute("href", result.url);
+    // Index text comes from page content; never parse it as HTML
+    link.querySelector(".site-search-heading").textContent = result.heading;
+    link.querySelector(".site-search-page").textContent = result.page;
+    link.querySelector(".site-search-snippet").textContent = result.snippet;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Wire up a header search form: results update as you type, Enter opens the
+ * best match, arrow keys move between results and Escape closes them.
+ * Safe to call more than once per form.
+ * @param {HTMLFormElement} form - Form containing a search input
+ */
+export function initSearch(form) {
+  if (boundForms.has(form)) {
+    return;
+  }
+  boundForms.add(form);
+
+  const input = form.querySelector("input[type=\"search\"]");
+  const list = document.getElementById(input.getAttribute("aria-controls"));
+  const status = form.querySelector("[role=\"status\"]");
+  // Ignore responses to queries that have since changed
+  let searchId = 0;
+
+  const links = () => Array.from(list.querySelectorAll("a"));
+
+  const setOpen = (open) => {
+    list.classList.toggle("show", open);
+  };
+
+  const update = async () => {
+    const id = ++searchId;
+    const query = input.value.trim();
+    if (!query) {
+      setOpen(false);
+      status.textContent = "";
+      return;
+    }
+
+    let entries;
+    try {
+      entries = await loadSearchIndex();
+    } catch (error) {
+      console.error("Error loading search index:", error);
+      reportError(error, { source: "search", url: INDEX_URL });
+      if (id === searchId) {
+        status.textContent = "Search is unavailable right now";
+      }
+      return;
+    }
+    if (id !== searchId) {
+      return;
+    }
+
+    const results = searchEntries(entries, query);
+    renderResults(list, results);
+    setOpen(true);
+    status.textContent = results.length
+      ? `${results.length} result${results.length === 1 ? "" : "s"}, use the down arrow to browse`
+      : "No results";
+  };
+
+  input.addEventListener("input", update);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    await update();
+    const first = links()[0];
+    if (first) {
+      first.click();
+    }
+  });
+
+  form.addEventListener("keydown", (e) => {
+    const items = links();
+    const index = items.indexOf(document.activeElement);
+
+    if (e.key === "Escape") {
+      setOpen(false);
+      input.focus();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!items.length || !list.classList.contains("show")) {
+        return;
+      }
+      e.preventDefault();
+      if (e.key === "ArrowUp" && index <= 0) {
+        input.focus();
+      } else {
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        items[Math.min(index + step, items.length - 1)].focus();
+      }
+    }
+  });
+
+  // Following a result or clicking elsewhere closes the list
+  list.addEventListener("click", (e) => {
+    if (e.target.closest("a")) {
+      setOpen(false);
+      input.value = "";
+    }
+  });
+  document.addEventListener("click", (e) => {
+    if (!form.contains(e.target)) {
+      setOpen(false);
+    }
+  });
+
+  // Text typed while this module was loading
+  if (input.value.trim()) {
+    update();
+  }
+}
@@ -0,0 +1,53 @@
+// "Skip to content" link
+//
+// Injected as the first element of <body>, so it is the first thing keyboard
+// users reach, ahead of the header however and whenever that was loaded. It
+// stays visually hidden until focused and moves focus past the header to the
+// page's main content.
+
+import { focusElement } from "./focus.js";
+
+/**
+ * The element the skip link lands on: <main>, or the first element after
+ * the header on pages that keep the header inside <main> (the kitty cam)
+ * @returns {HTMLElement|null}
+ */
+export function findMainContent() {
+  const main = document.querySelector("main");
+  if (!main) {
+    return null;
+  }
+
+  const header = document.getElementById("header-placeholder");
+  if (header && main.contains(header) && header.nextElementSibling) {
+    return header.nextElementSibling;
+  }
+  return main;
+}
+
+/**
+ * Add the skip link to the page once
+ */
+export function initSkipLink() {
+  const body = document.body;
+  if (body.firstElementChild && body.firstElementChild.classList.contains("skip-link")) {
+    return;
+  }
+
+  body.insertAdjacentHTML(
+    "afterbegin",
+    "<a class=\"skip-link visually-hidden-focusable\" href=\"#main-content\">Skip to content</a>"
+  );
+
+  // Focus is moved by hand: <main> is replaced on client-side navigation,
+  // so there is no lasting id to link to
+  body.firstElementChild.addEventListener("click", (e) => {
+    const target = findMainContent();
+    if (!target) {
+      return;
+    }
+
+    e.preventDefault();
+    focusElement(target);
+  });
+}
@@ -0,0 +1,35 @@
+// Heading slugs
+//
+// Turns heading text into URL fragment IDs. Shared by js/toc.js in the
+// browser and scripts/build-search-index.mjs at build time, so search results
+// deep-link to the same anchors the table of contents creates.
+
+/**
+ * Turn text into a lowercase, dash-separated ID
+ * @param {string} text - e.g. "Backend & Cloud"
+ * @returns {string} - e.g. "backend-cloud", or "section" if nothing is left
+ */
+export function slugify(text) {
+  const slug = text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "section";
+}
+
+/**
+ * Slugify text, adding -2, -3, ... until the ID is free
+ * @param {string} text - Heading text
+ * @param {(id: string) => boolean} isTaken - Whether an ID is already used
+ * @returns {string}
+ */
+export function uniqueSlug(text, isTaken) {
+  const base = slugify(text);
+  let slug = base;
+  for (let n = 2; isTaken(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
@@ -0,0 +1,58 @@
+// Apply the saved theme before first paint
+//
+// Loaded as a classic, render-blocking <script> in the <head> of every page
+// (including the kittycam subdomain), so the dark-mode class is set before
+// the body is painted and without waiting for the header partial.
+// Sets the same dark-mode class and data-theme attribute as js/theme.js.
+// It only reads the preference; js/theme.js owns saving, migration, cookie
+// reconciliation and live updates, so keep the storage format here in sync
+// with that module.
+(function () {
+  const html = document.documentElement;
+  // Built-in themes from the js/theme.js registry and whether each is dark.
+  // Themes registered at runtime are applied once js/theme.js loads.
+  const themes = {
+    light: false,
+    dark: true,
+    "high-contrast": true,
+    sepia: false
+  };
+  const valid = (value) =>
+    Object.prototype.hasOwnProperty.call(themes, value) || value === "system"
+      ? value
+      : null;
+
+  function readLocal() {
+    try {
+      const legacy = { enabled: "dark", disabled: "light" };
+      return (
+        valid(localStorage.getItem("theme")) ||
+        legacy[localStorage.getItem("darkMode")] ||
+        null
+      );
+    } catch {
+      // Storage unavailable (e.g. privacy mode)
+      return null;
+    }
+  }
+
+  try {
+    // The .chrispivonka.com cookie is shared by every subdomain and wins
+    const cookie = document.cookie.match(/(?:^|;\s*)theme=([^;]*)/);
+    const preference = valid(cookie && cookie[1]) || readLocal() || "system";
+
+    let theme = preference;
+    if (preference === "system") {
+      const prefersDark =
+        typeof window.matchMedia === "function" &&
+        window.matchMedia("(prefers-color-scheme: dark)").matches;
+      theme = prefersDark ? "dark" : "light";
+    }
+
+    html.classList.toggle("dark-mode", themes[theme]);
+    html.setAttribute("data-theme", theme);
+    html.setAttribute("data-theme-preference", preference);
+  } catch {
+    // Cookies blocked - js/theme.js applies the theme once it loads
+  }
+})();
@@ -0,0 +1,303 @@
+// Theme preference: a named theme from the registry, or follow the OS
+//
+// js/theme-boot.js applies the saved preference before first paint; this
+// module owns saving, migration and live updates. Any UI (such as the header
+// theme menu) subscribes with onThemeChange() rather than touching the
+// document itself.
+//
+// The preference lives in localStorage and in a cookie scoped to
+// .chrispivonka.com, so every subdomain that loads js/scripts.js shares it.
+// localStorage is per-origin; the cookie is what carries a choice made on
+// one subdomain over to the others, so it wins when the two disagree.
+//
+// Each theme is a set of CSS custom properties. Built-in palettes live in
+// css/styles.css under html[data-theme="<name>"]; themes added at runtime
+// with registerTheme() can carry their properties inline instead.
+
+export const SYSTEM_PREFERENCE = "system";
+
+// Registered themes, in picker order. colorScheme decides whether the theme
+// builds on the light or the dark base rules (dark ones get .dark-mode).
+const themes = new Map([
+  ["light", { label: "Light", icon: "bi-sun-fill", colorScheme: "light" }],
+  ["dark", { label: "Dark", icon: "bi-moon-fill", colorScheme: "dark" }],
+  [
+    "high-contrast",
+    { label: "High contrast", icon: "bi-eye-fill", colorScheme: "dark" }
+  ],
+  ["sepia", { label: "Sepia", icon: "bi-book-fill", colorScheme: "light" }]
+]);
+
+const SYSTEM_OPTION = { label: "System", icon: "bi-circle-half" };
+
+const STORAGE_KEY = "theme";
+// Pre-tri-state key holding "enabled" / "disabled"
+const LEGACY_STORAGE_KEY = "darkMode";
+const DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+
+const COOKIE_NAME = "theme";
+const COOKIE_DOMAIN = "chrispivonka.com";
+const COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+// Extracts the COOKIE_NAME value from document.cookie
+const COOKIE_PATTERN = /(?:^|;\s*)theme=([^;]*)/;
+
+let systemWatcher = null;
+const listeners = new Set();
+// Inline custom properties set by the active runtime-registered theme
+let inlineProperties = [];
+
+/**
+ * Check whether a value names a registered theme or "system"
+ * @param {string} value - Candidate preference
+ * @returns {boolean}
+ */
+function isThemePreference(value) {
+  return value === SYSTEM_PREFERENCE || themes.has(value);
+}
+
+/**
+ * Add a theme to the registry, or replace one with the same name.
+ * If the saved preference names this theme it is applied right away, so a
+ * theme registered after page load still takes effect.
+ *
+ * @param {string} name - Theme name, used as html[data-theme]
+ * @param {object} definition
+ * @param {string} definition.label - Name shown in the picker
+ * @param {string} definition.icon - Bootstrap Icons class for the toggle
+ * @param {string} [definition.colorScheme] - "light" (default) or "dark"
+ * @param {Object<string, string>} [definition.properties] - CSS custom
+ *   properties set on <html> while the theme is active
+ */
+export function registerTheme(
+  name,
+  { label, icon, colorScheme = "light", properties = {} } = {}
+) {
+  if (
+    !name ||
+    name === SYSTEM_PREFERENCE ||
+    !label ||
+    !icon ||
+    (colorScheme !== "light" && colorScheme !== "dark")
+  ) {
+    throw new Error(`Invalid theme definition: ${name}`);
+  }
+
+  themes.set(name, { label, icon, colorScheme, properties });
+  if (getThemePreference() === name) {
+    applyTheme(name);
+  }
+}
+
+/**
+ * List the choices offered by a theme picker: every registered theme
+ * followed by "system".
+ * @returns {{value: string, label: string, icon: string}[]}
+ */
+export function getThemeOptions() {
+  const options = Array.from(themes, ([value, { label, icon }]) => ({
+    value,
+    label,
+    icon
+  }));
+  return [...options, { value: SYSTEM_PREFERENCE, ...SYSTEM_OPTION }];
+}
+
+/**
+ * Move a legacy darkMode value over to the theme key.
+ * A preference already saved under the new key takes precedence.
+ */
+function migrateLegacyPreference() {
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (legacy === null) {
+    return;
+  }
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  if (
+    localStorage.getItem(STORAGE_KEY) === null &&
+    (legacy === "enabled" || legacy === "disabled")
+  ) {
+    localStorage.setItem(STORAGE_KEY, legacy === "enabled" ? "dark" : "light");
+  }
+}
+
+/**
+ * Read the shared theme cookie
+ * @returns {string|null} - Saved preference, or null if unset or invalid
+ */
+function readCookie() {
+  const match = document.cookie.match(COOKIE_PATTERN);
+  return match && isThemePreference(match[1]) ? match[1] : null;
+}
+
+/**
+ * Write the shared theme cookie.
+ * The Domain attribute is only set on chrispivonka.com and its subdomains;
+ * browsers reject it anywhere else (localhost, preview hosts).
+ * @param {string} preference - A theme name or "system"
+ */
+function writeCookie(preference) {
+  const { hostname, protocol } = window.location;
+  let cookie = `${COOKIE_NAME}=${preference}; Path=/; Max-Age=${COOKIE_MAX_AGE}; SameSite=Lax`;
+  if (hostname === COOKIE_DOMAIN || hostname.endsWith(`.${COOKIE_DOMAIN}`)) {
+    cookie += `; Domain=.${COOKIE_DOMAIN}`;
+  }
+  if (protocol === "https:") {
+    cookie += "; Secure";
+  }
+  document.cookie = cookie;
+}
+
+/**
+ * Read the preference saved in localStorage on this origin
+ * @returns {string|null} - Saved preference, or null if unset or invalid
+ */
+function readLocalPreference() {
+  try {
+    migrateLegacyPreference();
+    const preference = localStorage.getItem(STORAGE_KEY);
+    return isThemePreference(preference) ? preference : null;
+  } catch {
+    // localStorage unavailable (e.g. privacy mode)
+    return null;
+  }
+}
+
+/**
+ * Save a preference to localStorage on this origin
+ * @param {string} preference - A theme name or "system"
+ */
+function writeLocalPreference(preference) {
+  try {
+    localStorage.setItem(STORAGE_KEY, preference);
+  } catch {
+    // Preference still applies for this page view
+  }
+}
+
+/**
+ * Read the saved theme preference.
+ * The shared cookie takes precedence over this origin's localStorage.
+ * @returns {string} - A theme name, or "system" (the default)
+ */
+export function getThemePreference() {
+  return readCookie() || readLocalPreference() || SYSTEM_PREFERENCE;
+}
+
+/**
+ * Bring localStorage and the shared cookie back in line.
+ * A cookie set from another subdomain overwrites the local copy; a
+ * preference saved only locally (e.g. before the cookie existed) is
+ * published to the cookie.
+ */
+export function reconcileThemePreference() {
+  const shared = readCookie();
+  const local = readLocalPreference();
+
+  if (shared) {
+    if (shared !== local) {
+      writeLocalPreference(shared);
+    }
+  } else if (local) {
+    writeCookie(local);
+  }
+}
+
+/**
+ * Resolve a preference to the theme that should actually be shown.
+ * "system" follows prefers-color-scheme.
+ * @param {string} preference - A theme name or "system"
+ * @returns {string} - Registered theme name
+ */
+export function resolveTheme(preference) {
+  if (themes.has(preference)) {
+    return preference;
+  }
+  const prefersDark =
+    typeof window.matchMedia === "function" &&
+    window.matchMedia(DARK_SCHEME_QUERY).matches;
+  return prefersDark ? "dark" : "light";
+}
+
+/**
+ * Apply a preference to the document
+ * @param {string} [preference] - Defaults to the saved preference
+ * @returns {string} - The resolved theme name
+ */
+export function applyTheme(preference = getThemePreference()) {
+  const theme = resolveTheme(preference);
+  const { colorScheme, properties = {} } = themes.get(theme);
+  const html = document.documentElement;
+
+  inlineProperties.forEach((property) => html.style.removeProperty(property));
+  inlineProperties = Object.keys(properties);
+  inlineProperties.forEach((property) =>
+    html.style.setProperty(property, properties[property])
+  );
+
+  html.classList.toggle("dark-mode", colorScheme === "dark");
+  html.setAttribute("data-theme", theme);
+  html.setAttribute("data-theme-preference", preference);
+  listeners.forEach((listener) => listener({ preference, theme }));
+  return theme;
+}
+
+/**
+ * Subscribe to theme changes
+ * @param {function({preference: string, theme: string}): void} listener
+ * @returns {function(): void} - Unsubscribe function
+ */
+export function onThemeChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Save and apply a new preference
+ * @param {string} preference - A theme name or "system"
+ * @returns {string} - The resolved theme name
+ */
+export function setThemePreference(preference) {
+  if (!isThemePreference(preference)) {
+    throw new Error(`Unknown theme preference: ${preference}`);
+  }
+
+  writeLocalPreference(preference);
+  writeCookie(preference);
+  return applyTheme(preference);
+}
+
+/**
+ * Follow operating system theme changes while the preference is "system".
+ * Safe to call more than once; only one listener is registered.
+ */
+export function watchSystemTheme() {
+  if (systemWatcher || typeof window.matchMedia !== "function") {
+    return;
+  }
+
+  const query = window.matchMedia(DARK_SCHEME_QUERY);
+  systemWatcher = () => {
+    if (getThemePreference() === SYSTEM_PREFERENCE) {
+      applyTheme(SYSTEM_PREFERENCE);
+    }
+  };
+
+  if (typeof query.addEventListener === "function") {
+    query.addEventListener("change", systemWatcher);
+  } else if (typeof query.addListener === "function") {
+    // Safari < 14
+    query.addListener(systemWatcher);
+  }
+}
+
+/**
+ * Reconcile storage, apply the saved preference and start following OS
+ * changes. Called on every page, whether or not the header theme menu exists.
+ * @returns {string} - The resolved theme name
+ */
+export function initTheme() {
+  reconcileThemePreference();
+  watchSystemTheme();
+  return applyTheme();
+}
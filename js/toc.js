@@ -0,0 +1,293 @@
+// Table of contents and heading links
+//
+// Page module for pages with a <nav data-toc> (the resume). It gives every
+// h2/h3 in <main> a stable ID, renders a collapsible table of contents into
+// the nav, adds a copy-link button to each heading, and scrolls to and
+// highlights the section named in the URL hash.
+//
+// A heading keeps an id it already has, the first heading of a section
+// shares the section's id, and any other heading gets a slug of its text
+// (js/slug.js). Links such as /resume.html#software-engineer-fandango keep
+// working for as long as the heading text does not change.
+
+import { announce } from "./announcer.js";
+import { initScrollSpy, onScroll } from "./scroll.js";
+import { uniqueSlug } from "./slug.js";
+
+const HEADING_SELECTOR = "h2, h3";
+const HIGHLIGHT_CLASS = "toc-highlight";
+const HIGHLIGHT_DURATION = 2000;
+const COPIED_DURATION = 2000;
+
+// Element currently highlighted, and the timer that clears it
+let highlighted = null;
+let highlightTimer = null;
+
+/**
+ * Heading text as a reader sees it, without the copy-link button
+ * @param {HTMLElement} heading
+ * @returns {string}
+ */
+export function headingText(heading) {
+  return heading.textContent
+    .replace(/\s+/g, " ")
+    .replace(/\s+([,.;:!?])/g, "$1")
+    .trim();
+}
+
+/**
+ * Give each h2/h3 under a root an ID, skipping headings inside navs
+ * @param {ParentNode} root - Usually <main>
+ * @returns {Array<{heading: HTMLElement, id: string, level: number, text: string}>}
+ */
+export function assignHeadingIds(root) {
+  return Array.from(root.querySelectorAll(HEADING_SELECTOR))
+    .filter((heading) => !heading.closest("nav"))
+    .map((heading) => {
+      const text = headingText(heading);
+      let id = heading.id;
+
+      if (!id) {
+        const section = heading.closest("section[id], article[id]");
+        if (section && section.querySelector(HEADING_SELECTOR) === heading) {
+          id = section.id;
+        } else {
+          id = uniqueSlug(text, (slug) => document.getElementById(slug) !== null);
+          heading.id = id;
+        }
+      }
+
+      return { heading, id, level: Number(heading.tagName[1]), text };
+    });
+}
+
+/**
+ * Absolute URL of the current page pointing at an anchor
+ * @param {string} id - Anchor ID
+ * @returns {string}
+ */
+export function sectionUrl(id) {
+  const url = new URL(window.location.href);
+  url.hash = id;
+  return url.href;
+}
+
+/**
+ * Copy a section link to the clipboard. Without clipboard access the link
+ * goes into the address bar instead so it can be copied from there.
+ * @param {HTMLButtonElement} button - Copy-link button, for feedback
+ * @param {string} id - Anchor ID
+ * @param {string} text - Heading text, for the button label
+ */
+export async function copyLink(button, id, text) {
+  const url = sectionUrl(id);
+  let label = "Link copied";
+
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch (error) {
+    console.error("Error copying link:", error);
+    window.history.replaceState(window.history.state, "", url);
+    label = "Link is in the address bar";
+  }
+
+  // A focused button's new label isn't reliably read out, so say it too
+  announce(label);
+  const icon = button.querySelector("i");
+  button.setAttribute("aria-label", label);
+  button.title = label;
+  icon.className = "bi bi-check2";
+  setTimeout(() => {
+    button.setAttribute("aria-label", `Copy link to ${text}`);
+    button.title = "Copy link";
+    icon.className = "bi bi-link-45deg";
+  }, COPIED_DURATION);
+}
+
+/**
+ * Add a copy-link button to the end of a heading (once)
+ * @param {{heading: HTMLElement, id: string, text: string}} item - From assignHeadingIds
+ */
+export function addCopyLinkButton({ heading, id, text }) {
+  if (heading.querySelector(".heading-link")) {
+    return;
+  }
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "heading-link";
+  button.title = "Copy link";
+  button.setAttribute("aria-label", `Copy link to ${text}`);
+  button.innerHTML = "<i class=\"bi bi-link-45deg\" aria-hidden=\"true\"></i>";
+  button.addEventListener("click", () => copyLink(button, id, text));
+  heading.appendChild(button);
+}
+
+/**
+ * Render the table of contents: a toggle button and a list of h2 links with
+ * their h3 links nested underneath
+ * @param {HTMLElement} nav - The <nav data-toc>
+ * @param {Array<{id: string, level: number, text: string}>} items - From assignHeadingIds
+ */
+export function renderToc(nav, items) {
+  const listId = `${nav.id || "toc"}-list`;
+  nav.innerHTML = `
+    <button class="toc-toggle" type="button" aria-expanded="false">
+      <i class="bi bi-list-ul" aria-hidden="true"></i>
+      <span>Contents</span>
+      <span class="toc-current" aria-hidden="true"></span>
+      <i class="bi bi-chevron-down toc-chevron" aria-hidden="true"></i>
+    </button>
+    <ol class="toc-list" hidden></ol>`;
+
+  const list = nav.querySelector(".toc-list");
+  list.id = listId;
+  nav.querySelector(".toc-toggle").setAttribute("aria-controls", listId);
+
+  let parent = null;
+  let sublist = null;
+  items.forEach(({ id, level, text }) => {
+    const item = document.createElement("li");
+    const link = document.createElement("a");
+    link.className = "toc-link";
+    link.href = `#${encodeURIComponent(id)}`;
+    // Heading text comes from the page; never parse it as HTML
+    link.textContent = text;
+    item.appendChild(link);
+
+    if (level > 2 && parent) {
+      if (!sublist) {
+        sublist = document.createElement("ol");
+        parent.appendChild(sublist);
+      }
+      sublist.appendChild(item);
+    } else {
+      list.appendChild(item);
+      parent = item;
+      sublist = null;
+    }
+  });
+}
+
+/**
+ * Open or close the table of contents list
+ * @param {HTMLElement} nav - The <nav data-toc>
+ * @param {boolean} open
+ */
+function setTocOpen(nav, open) {
+  nav.querySelector(".toc-toggle").setAttribute("aria-expanded", String(open));
+  nav.querySelector(".toc-list").hidden = !open;
+  nav.classList.toggle("open", open);
+}
+
+/**
+ * Make a rendered table of contents interactive: the toggle opens and closes
+ * it, following a link or pressing Escape closes it, and the toggle names
+ * the section being read while the list is closed
+ * @param {HTMLElement} nav - The <nav data-toc>
+ */
+function bindToc(nav) {
+  const toggle = nav.querySelector(".toc-toggle");
+  const current = nav.querySelector(".toc-current");
+
+  toggle.addEventListener("click", () => {
+    setTocOpen(nav, toggle.getAttribute("aria-expanded") !== "true");
+  });
+  nav.addEventListener("click", (e) => {
+    if (e.target.closest(".toc-link")) {
+      setTocOpen(nav, false);
+    }
+  });
+  nav.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && toggle.getAttribute("aria-expanded") === "true") {
+      setTocOpen(nav, false);
+      toggle.focus();
+    }
+  });
+
+  // Subscribed after the spy, so it reads the link the spy just marked
+  initScrollSpy(nav);
+  let unsubscribe = null;
+  const showCurrent = () => {
+    if (!nav.isConnected) {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+      return;
+    }
+    const active = nav.querySelector(".toc-link.active");
+    current.textContent = active ? active.textContent : "";
+  };
+  unsubscribe = onScroll(showCurrent);
+}
+
+/**
+ * Briefly highlight the section an anchor points at, scrolling to it if asked
+ * @param {string} [hash] - "#id", defaults to the current URL's hash
+ * @param {object} [options]
+ * @param {boolean} [options.scroll] - Jump to the anchor first
+ * @returns {HTMLElement|null} - The highlighted element
+ */
+export function highlightTarget(hash = window.location.hash, { scroll = false } = {}) {
+  let target = null;
+  try {
+    target = hash.length > 1 ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+  } catch {
+    // Malformed escape sequence in the hash
+  }
+  if (!target) {
+    return null;
+  }
+
+  if (scroll) {
+    target.scrollIntoView({ block: "start" });
+  }
+
+  if (highlighted) {
+    highlighted.classList.remove(HIGHLIGHT_CLASS);
+    clearTimeout(highlightTimer);
+  }
+  // A role's heading lights up its whole card
+  highlighted = target.closest(".card") || target;
+  highlighted.classList.add(HIGHLIGHT_CLASS);
+  const element = highlighted;
+  highlightTimer = setTimeout(() => {
+    element.classList.remove(HIGHLIGHT_CLASS);
+    highlighted = null;
+  }, HIGHLIGHT_DURATION);
+
+  return element;
+}
+
+// Build the table of contents and heading links; also called by
+// js/router.js after client-side navigation swaps in the page. Content still
+// being rendered (aria-busy, like the resume sections js/resume.js fills in)
+// is waited for until the next "content:rendered" event.
+function initPage() {
+  const nav = document.querySelector("nav[data-toc]");
+  if (!nav || nav.querySelector(".toc-toggle")) {
+    return;
+  }
+
+  const main = nav.closest("main") || document.body;
+  if (main.querySelector("[aria-busy=\"true\"]")) {
+    document.addEventListener("content:rendered", initPage, { once: true });
+    return;
+  }
+
+  const items = assignHeadingIds(main);
+  items.forEach(addCopyLinkButton);
+  renderToc(nav, items);
+  bindToc(nav);
+
+  // The generated IDs didn't exist when the browser looked for the anchor
+  highlightTarget(window.location.hash, { scroll: true });
+}
+
+// Initialize the table of contents when DOM is ready
+document.addEventListener("DOMContentLoaded", initPage);
+
+// In-page links (including the table of contents) highlight their target
+window.addEventListener("hashchange", () => highlightTarget());
+
+export { initPage };
@@ -0,0 +1,228 @@
+// Core Web Vitals
+//
+// Measures real visitors' LCP, CLS, INP, FCP and TTFB with
+// PerformanceObserver and records each as a "vital" analytics event
+// (js/analytics.js), tagged with the page it was measured on and the theme
+// in use. Run `npm run vitals:report` to turn the collected events into
+// percentiles per page (scripts/vitals-report.mjs).
+//
+// Only a sample of page loads is measured:
+//
+//   <meta name="vitals-sample-rate" content="0.25" />
+//
+// measures one load in four; without the tag every load is measured. Opting
+// out of analytics (Do Not Track, Global Privacy Control) opts out of this.
+//
+// FCP and TTFB are final as soon as they are known. LCP stops at the first
+// click or key press, and LCP, CLS and INP are reported when the page is
+// first hidden, which is the last point the browser reliably lets us send.
+
+import { flush, isTrackingAllowed, track } from "./analytics.js";
+import { normalizePath } from "./nav-match.js";
+
+const SAMPLE_RATE_SELECTOR = "meta[name=\"vitals-sample-rate\"]";
+const DEFAULT_SAMPLE_RATE = 1;
+
+// Upper bounds of "good" and "needs improvement", from web.dev/vitals
+export const THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+};
+
+// Layout shifts within this long of each other, in a window no longer than
+// the maximum, count as one session of shifting
+const CLS_GAP = 1000;
+const CLS_MAX_WINDOW = 5000;
+
+// INP ignores one slow interaction per this many, approximating the 98th
+// percentile on pages with many interactions
+const INP_INTERACTIONS_PER_OUTLIER = 50;
+
+let initialized = false;
+
+/**
+ * How a value compares with a metric's thresholds
+ * @param {string} name - Metric name, e.g. "LCP"
+ * @param {number} value
+ * @returns {string} - "good", "needs-improvement" or "poor"
+ */
+export function rate(name, value) {
+  const [good, poor] = THRESHOLDS[name];
+  if (value <= good) {
+    return "good";
+  }
+  return value <= poor ? "needs-improvement" : "poor";
+}
+
+/**
+ * The page's sample rate, between 0 and 1
+ * @returns {number}
+ */
+export function getSampleRate() {
+  const meta = document.querySelector(SAMPLE_RATE_SELECTOR);
+  const value = meta ? Number.parseFloat(meta.getAttribute("content")) : DEFAULT_SAMPLE_RATE;
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : DEFAULT_SAMPLE_RATE;
+}
+
+/**
+ * CLS: the largest total of unexpected layout shifts in any session window
+ * @param {Array<{startTime: number, value: number, hadRecentInput: boolean}>} shifts
+ * @returns {number}
+ */
+export function cumulativeLayoutShift(shifts) {
+  let largest = 0;
+  let session = 0;
+  let sessionStart = 0;
+  let previous = 0;
+
+  shifts
+    .filter((shift) => !shift.hadRecentInput)
+    .forEach((shift) => {
+      if (
+        session &&
+        shift.startTime - previous < CLS_GAP &&
+        shift.startTime - sessionStart < CLS_MAX_WINDOW
+      ) {
+        session += shift.value;
+      } else {
+        session = shift.value;
+        sessionStart = shift.startTime;
+      }
+      previous = shift.startTime;
+      largest = Math.max(largest, session);
+    });
+
+  return largest;
+}
+
+/**
+ * INP: the slowest interaction, skipping one outlier per 50 interactions
+ * @param {number[]} durations - Longest event duration of each interaction
+ * @returns {number|null} - null if there were no interactions
+ */
+export function interactionToNextPaint(durations) {
+  if (!durations.length) {
+    return null;
+  }
+  const slowest = [...durations].sort((a, b) => b - a);
+  const skip = Math.floor(durations.length / INP_INTERACTIONS_PER_OUTLIER);
+  return slowest[Math.min(skip, slowest.length - 1)];
+}
+
+/**
+ * Observe a performance entry type, including entries from before now
+ * @param {string} type - Entry type
+ * @param {function(PerformanceEntry[]): void} callback
+ * @param {object} [options] - Extra observe() options
+ * @returns {PerformanceObserver|null} - null if the type isn't supported
+ */
+function observe(type, callback, options = {}) {
+  if (
+    typeof PerformanceObserver === "undefined" ||
+    !(PerformanceObserver.supportedEntryTypes || []).includes(type)
+  ) {
+    return null;
+  }
+  const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+  observer.observe({ type, buffered: true, ...options });
+  return observer;
+}
+
+/**
+ * Start measuring, for a sample of page loads. Safe to call more than once.
+ * @param {object} [options]
+ * @param {number} [options.sampleRate] - Overrides the page's sample rate
+ * @param {function(): number} [options.random] - Random source, for tests
+ */
+export function initVitals({ sampleRate = getSampleRate(), random = Math.random } = {}) {
+  if (initialized || !isTrackingAllowed() || random() >= sampleRate) {
+    return;
+  }
+  initialized = true;
+
+  // Client-side navigation doesn't start a new measurement, so every
+  // metric belongs to the page the visitor landed on
+  const path = normalizePath(window.location.pathname);
+  const reported = new Set();
+  const report = (name, value) => {
+    if (reported.has(name) || value === null || value < 0) {
+      return;
+    }
+    reported.add(name);
+    track("vital", {
+      path,
+      name,
+      value: name === "CLS" ? Number(value.toFixed(4)) : Math.round(value),
+      rating: rate(name, value),
+      theme: document.documentElement.getAttribute("data-theme") || undefined
+    });
+  };
+
+  const [navigation] =
+    typeof performance.getEntriesByType === "function"
+      ? performance.getEntriesByType("navigation")
+      : [];
+  if (navigation) {
+    report("TTFB", navigation.responseStart);
+  }
+
+  observe("paint", (entries) => {
+    const fcp = entries.find((entry) => entry.name === "first-contentful-paint");
+    if (fcp) {
+      report("FCP", fcp.startTime);
+    }
+  });
+
+  let lcp = null;
+  const lcpObserver = observe("largest-contentful-paint", (entries) => {
+    lcp = entries[entries.length - 1].startTime;
+  });
+  const finishLcp = () => {
+    if (lcpObserver) {
+      lcpObserver.takeRecords().forEach((entry) => {
+        lcp = entry.startTime;
+      });
+      lcpObserver.disconnect();
+    }
+    report("LCP", lcp);
+  };
+  // The browser stops looking for a larger paint once the visitor interacts
+  ["keydown", "pointerdown"].forEach((type) => {
+    window.addEventListener(type, finishLcp, { once: true, capture: true });
+  });
+
+  const shifts = [];
+  const clsObserver = observe("layout-shift", (entries) => shifts.push(...entries));
+
+  const interactions = new Map();
+  const recordInteractions = (entries) => {
+    entries
+      .filter((entry) => entry.interactionId)
+      .forEach((entry) => {
+        const longest = interactions.get(entry.interactionId) || 0;
+        interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+      });
+  };
+  const inpObserver = observe("event", recordInteractions, { durationThreshold: 40 });
+  observe("first-input", recordInteractions);
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState !== "hidden") {
+      return;
+    }
+    finishLcp();
+    if (clsObserver) {
+      shifts.push(...clsObserver.takeRecords());
+      report("CLS", cumulativeLayoutShift(shifts));
+    }
+    if (inpObserver) {
+      recordInteractions(inpObserver.takeRecords());
+      report("INP", interactionToNextPaint([...interactions.values()]));
+    }
+    // analytics.js may have flushed before these were queued
+    flush();
+  });
+}
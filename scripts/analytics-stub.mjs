@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * Local analytics endpoint and error collector.
+ *
+ * Serves the site like `npm run serve` and accepts the beacons js/analytics.js
+ * sends to /api/collect and the error reports js/error-reporter.js sends to
+ * /api/errors, so both can be tried without a real collector. It has to be
+ * the same server: the pages' Content-Security-Policy only lets them connect
+ * to their own origin. Each event and report is printed and appended as a
+ * line of JSON to its log file.
+ *
+ * The pages ship with empty analytics-endpoint and error-collector meta tags
+ * until collectors are deployed; the stub fills them in with its own paths as
+ * it serves them.
+ *
+ * Usage:
+ *   npm run analytics:stub                          # serves . on port 8000
+ *   SITE_DIR=dist npm run analytics:stub            # serves a build
+ *   PORT=9000 ANALYTICS_LOG=/tmp/events.jsonl npm run analytics:stub
+ *   ERROR_LOG=/tmp/errors.jsonl npm run analytics:stub
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, statSync } from "node:fs";
+import { createServer } from "node:http";
+import { dirname, extname, join, resolve, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+export const COLLECT_PATH = "/api/collect";
+export const ERRORS_PATH = "/api/errors";
+
+// Beacons are small; anything bigger isn't from js/analytics.js or
+// js/error-reporter.js
+const MAX_BODY_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = {
+  ".css": "text/css; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".ico": "image/x-icon",
+  ".jpg": "image/jpeg",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".vcf": "text/vcard; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".woff2": "font/woff2"
+};
+
+// Endpoint meta tags the stub fills in, by name
+const STUB_ENDPOINTS = {
+  "analytics-endpoint": COLLECT_PATH,
+  "error-collector": ERRORS_PATH
+};
+
+/**
+ * Point a page's empty endpoint meta tags at the stub
+ * @param {string} html - Page markup
+ * @returns {string}
+ */
+export function withStubEndpoints(html) {
+  return html.replace(/<meta\s+name="([\w-]+)"\s+content=""\s*\/?>/g, (tag, name) =>
+    Object.hasOwn(STUB_ENDPOINTS, name) ? `<meta name="${name}" content="${STUB_ENDPOINTS[name]}" />` : tag
+  );
+}
+
+/**
+ * Parse a beacon body into its events
+ * @param {string} body - Raw request body
+ * @returns {Array<object>|null} Events, or null if the body isn't a batch
+ */
+export function parseBatch(body) {
+  try {
+    const { events } = JSON.parse(body);
+    if (Array.isArray(events) && events.every((event) => event && typeof event.type === "string")) {
+      return events;
+    }
+  } catch {
+    // Not JSON
+  }
+  return null;
+}
+
+/**
+ * Parse an error report
+ * @param {string} body - Raw request body
+ * @returns {Array<object>|null} The report, or null if the body isn't one
+ */
+export function parseErrorReport(body) {
+  try {
+    const report = JSON.parse(body);
+    if (report && typeof report === "object" && typeof report.message === "string") {
+      return [report];
+    }
+  } catch {
+    // Not JSON
+  }
+  return null;
+}
+
+/**
+ * Find the file for a request path, refusing paths outside the site root
+ * @param {string} root - Site root directory
+ * @param {string} pathname - URL pathname
+ * @returns {string|null} File path, or null if there is none
+ */
+export function resolveFile(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+
+  const base = resolve(root);
+  let file = resolve(join(base, decoded));
+  if (file !== base && !file.startsWith(base + sep)) {
+    return null;
+  }
+  if (existsSync(file) && statSync(file).isDirectory()) {
+    file = join(file, "index.html");
+  }
+  return existsSync(file) && statSync(file).isFile() ? file : null;
+}
+
+/**
+ * Handle a beacon: log each entry and reply 204, or 400/413 for anything else
+ * @param {import("node:http").IncomingMessage} request
+ * @param {import("node:http").ServerResponse} response
+ * @param {(body: string) => (Array<object>|null)} parse - parseBatch or parseErrorReport
+ * @param {(entry: object) => void} record - Called for each entry
+ */
+function collect(request, response, parse, record) {
+  let body = "";
+  let tooLarge = false;
+  request.setEncoding("utf8");
+  request.on("data", (chunk) => {
+    if (!tooLarge) {
+      body += chunk;
+      tooLarge = body.length > MAX_BODY_BYTES;
+    }
+  });
+  request.on("end", () => {
+    if (tooLarge) {
+      response.writeHead(413).end();
+      return;
+    }
+    const entries = parse(body);
+    if (!entries) {
+      response.writeHead(400).end();
+      return;
+    }
+    entries.forEach(record);
+    response.writeHead(204).end();
+  });
+}
+
+/**
+ * Create a recorder that appends entries to a JSON Lines file
+ * @param {string|null} logFile - File to append to; null to only call back
+ * @param {(entry: object) => void} callback - Also called for each entry
+ * @returns {(entry: object) => void}
+ */
+function createRecorder(logFile, callback) {
+  if (logFile) {
+    mkdirSync(dirname(logFile), { recursive: true });
+  }
+  return (entry) => {
+    if (logFile) {
+      appendFileSync(logFile, `${JSON.stringify(entry)}\n`, "utf8");
+    }
+    callback(entry);
+  };
+}
+
+/**
+ * Create the stub server
+ * @param {object} [options]
+ * @param {string} [options.root] - Site directory to serve
+ * @param {string|null} [options.logFile] - JSON Lines file events are appended to
+ * @param {string|null} [options.errorLogFile] - JSON Lines file error reports are appended to
+ * @param {(event: object) => void} [options.onEvent] - Also called for each event
+ * @param {(report: object) => void} [options.onErrorReport] - Also called for each error report
+ * @returns {import("node:http").Server}
+ */
+export function createStubServer({
+  root = ROOT,
+  logFile = join(ROOT, "logs", "analytics.jsonl"),
+  errorLogFile = join(ROOT, "logs", "errors.jsonl"),
+  onEvent = () => {},
+  onErrorReport = () => {}
+} = {}) {
+  const endpoints = {
+    [COLLECT_PATH]: { parse: parseBatch, record: createRecorder(logFile, onEvent) },
+    [ERRORS_PATH]: { parse: parseErrorReport, record: createRecorder(errorLogFile, onErrorReport) }
+  };
+
+  return createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    if (Object.hasOwn(endpoints, pathname)) {
+      if (request.method !== "POST") {
+        response.writeHead(405, { Allow: "POST" }).end();
+        return;
+      }
+      const { parse, record } = endpoints[pathname];
+      collect(request, response, parse, record);
+      return;
+    }
+
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      response.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+
+    const file = resolveFile(root, pathname);
+    if (!file) {
+      response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+      return;
+    }
+    response.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[extname(file)] || "application/octet-stream"
+    });
+    if (request.method === "HEAD") {
+      response.end();
+    } else if (extname(file) === ".html") {
+      response.end(withStubEndpoints(readFileSync(file, "utf8")));
+    } else {
+      response.end(readFileSync(file));
+    }
+  });
+}
+
+function main() {
+  const port = Number(process.env.PORT) || 8000;
+  const root = resolve(ROOT, process.env.SITE_DIR || ".");
+  const logFile = resolve(process.env.ANALYTICS_LOG || join(ROOT, "logs", "analytics.jsonl"));
+  const errorLogFile = resolve(process.env.ERROR_LOG || join(ROOT, "logs", "errors.jsonl"));
+
+  createStubServer({
+    root,
+    logFile,
+    errorLogFile,
+    onEvent: (event) => console.log(`  ${JSON.stringify(event)}`),
+    onErrorReport: (report) => console.error(`  ${JSON.stringify(report)}`)
+  }).listen(port, () => {
+    console.log(`Serving ${root} on http://localhost:${port}`);
+    console.log(`Analytics events from ${COLLECT_PATH} are logged to ${logFile}`);
+    console.log(`Error reports from ${ERRORS_PATH} are logged to ${errorLogFile}`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+
+/**
+ * Case study pages.
+ *
+ * Turns each content/projects/<slug>.md into a standalone page,
+ * /projects/<slug>.html, from templates/case-study.html, and writes the
+ * listing (/case-studies.json) that js/projects.js shows on the projects page.
+ * A file starts with front matter between "---" lines:
+ *
+ *   ---
+ *   title: Building chrispivonka.com
+ *   summary: One or two sentences for the listing and the page description.
+ *   date: 2026-03-15
+ *   tags: [JavaScript, Amazon AWS]
+ *   project: chrispivonka.com     # a title in projects.json; links its card
+ *   image: /assets/case-studies/site.png
+ *   imageAlt: The home page in dark mode
+ *   ---
+ *
+ * title, summary and date are required. Lists may also be written one
+ * "- item" per line. The body is Markdown (see scripts/markdown.mjs). Case
+ * studies are listed newest first; each page links to the one before it
+ * (older) and after it (newer). Invalid front matter fails with every problem
+ * listed, like an invalid resume.json.
+ *
+ * The template keeps its data-include placeholders: scripts/build.mjs renders
+ * these pages with the rest of the site, inlining the header and footer.
+ *
+ * Usage:
+ *   node scripts/build-case-studies.mjs    # writes projects/*.html and case-studies.json
+ *   OUT_DIR=/tmp/site node scripts/build-case-studies.mjs
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { formatDate } from "../js/dates.js";
+import { escapeHtml } from "../js/html.js";
+import { CASE_STUDIES_URL } from "../js/projects.js";
+import { invalidDataError, validate } from "../js/schema.js";
+import { renderInline, renderMarkdown } from "./markdown.mjs";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+export const CONTENT_DIR = "content/projects";
+export const TEMPLATE_FILE = "templates/case-study.html";
+// Pages are written to PAGES_DIR/<slug>.html, under the Projects nav item
+export const PAGES_DIR = "projects";
+
+const SITE_URL = "https://chrispivonka.com";
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const FRONT_MATTER_LINE = /^([A-Za-z][\w-]*):(?:\s+(.*))?$/;
+
+const string = { type: "string" };
+
+const FRONT_MATTER_SCHEMA = {
+  type: "object",
+  fields: {
+    title: { type: "string", required: true },
+    summary: { type: "string", required: true },
+    date: { type: "date", required: true },
+    tags: { type: "array", items: string },
+    project: string,
+    image: string,
+    imageAlt: string
+  }
+};
+
+/**
+ * A front matter value without its quotes, or its trailing # comment if it
+ * isn't quoted
+ * @param {string} value
+ * @returns {string}
+ */
+function readValue(value) {
+  const quoted = /^(["'])(.*)\1$/.exec(value.trim());
+  return quoted ? quoted[2] : value.replace(/\s#.*$/, "").trim();
+}
+
+/**
+ * Split a Markdown file into its front matter and body. Front matter is
+ * "key: value" lines, with [a, b] or "- item" lines for lists; # starts a
+ * comment.
+ *
+ * @param {string} text - File contents
+ * @returns {{data: object, body: string}} - data is empty without front matter
+ * @throws {Error} If the front matter isn't closed or has a line it can't read
+ */
+export function parseFrontMatter(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  if (lines[0].trim() !== "---") {
+    return { data: {}, body: text };
+  }
+  const end = lines.indexOf("---", 1);
+  if (end === -1) {
+    throw new Error("Front matter has no closing ---");
+  }
+
+  const data = {};
+  let list = null;
+  lines.slice(1, end).forEach((raw, index) => {
+    const line = raw.trimEnd();
+    if (!line.trim() || /^\s*#/.test(line)) {
+      return;
+    }
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && list) {
+      list.push(readValue(item[1]));
+      return;
+    }
+    const field = FRONT_MATTER_LINE.exec(line);
+    if (!field) {
+      throw new Error(`Front matter line ${index + 2} isn't "key: value": ${raw}`);
+    }
+    const [, key, rawValue = ""] = field;
+    const value = /^["']/.test(rawValue) ? rawValue : readValue(rawValue);
+    list = null;
+    if (!value) {
+      list = [];
+      data[key] = list;
+    } else if (/^\[.*\]$/.test(value)) {
+      data[key] = value
+        .slice(1, -1)
+        .split(",")
+        .map(readValue)
+        .filter(Boolean);
+    } else {
+      data[key] = readValue(value);
+    }
+  });
+
+  return { data, body: lines.slice(end + 1).join("\n") };
+}
+
+/**
+ * Read one case study
+ *
+ * @param {string} file - File name, e.g. "building-this-site.md"; its name is the slug
+ * @param {string} text - File contents
+ * @returns {object} Front matter, plus slug, url and the rendered body (html)
+ * @throws {Error} Listing every problem, if the name or front matter is invalid
+ */
+export function readCaseStudy(file, text) {
+  const slug = file.replace(/\.md$/, "");
+  const source = `${CONTENT_DIR}/${file}`;
+  const { data, body } = parseFrontMatter(text);
+
+  const errors = validate(data, FRONT_MATTER_SCHEMA, "The front matter");
+  if (!SLUG_PATTERN.test(slug)) {
+    errors.push("the file name must be lowercase words separated by dashes, like \"my-project.md\"");
+  }
+  if (data.image && !data.imageAlt) {
+    errors.push("imageAlt is required with an image");
+  }
+  if (errors.length) {
+    throw invalidDataError(`Invalid case study in ${source}`, errors);
+  }
+
+  return { ...data, slug, url: `/${PAGES_DIR}/${slug}.html`, html: renderMarkdown(body) };
+}
+
+/**
+ * Read every case study, newest first
+ *
+ * @param {string} [root] - Site root directory
+ * @returns {Array<object>} From readCaseStudy(); empty without a content directory
+ */
+export function readCaseStudies(root = ROOT) {
+  const dir = join(root, CONTENT_DIR);
+  if (!existsSync(dir)) {
+    return [];
+  }
+  return readdirSync(dir)
+    .filter((file) => file.endsWith(".md"))
+    .map((file) => readCaseStudy(file, readFileSync(join(dir, file), "utf8")))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+}
+
+/**
+ * The listing js/projects.js shows on the projects page
+ *
+ * @param {Array<object>} studies - From readCaseStudies()
+ * @returns {{caseStudies: Array<object>}}
+ */
+export function caseStudyListing(studies) {
+  return {
+    caseStudies: studies.map(({ url, title, summary, date, tags, project }) => ({
+      url,
+      title,
+      summary,
+      date,
+      tags: tags || [],
+      ...(project ? { project } : {})
+    }))
+  };
+}
+
+/**
+ * A link to another case study
+ * @param {object} study
+ * @param {string} rel - "prev" or "next"
+ * @returns {string}
+ */
+function renderPagerLink(study, rel) {
+  const label = rel === "prev" ? "Previous case study" : "Next case study";
+  const icon = `<i class="bi ${rel === "prev" ? "bi-arrow-left" : "bi-arrow-right"}" aria-hidden="true"></i>`;
+  const text = `<span class="d-block small text-muted">${label}</span>${escapeHtml(study.title)}`;
+  return (
+    `<a class="case-study-pager-link text-decoration-none d-flex align-items-center gap-2" href="${study.url}" rel="${rel}">` +
+    (rel === "prev" ? `${icon}<span>${text}</span>` : `<span class="text-end">${text}</span>${icon}`) +
+    "</a>"
+  );
+}
+
+/**
+ * Markup for a case study's <main> content: the article, then links to the
+ * previous and next case studies and back to the projects page
+ *
+ * @param {object} study - From readCaseStudy()
+ * @param {object} [neighbours]
+ * @param {object} [neighbours.previous] - The case study before it (older)
+ * @param {object} [neighbours.next] - The case study after it (newer)
+ * @returns {string}
+ */
+export function renderCaseStudy(study, { previous, next } = {}) {
+  const tags = (study.tags || [])
+    .map((tag) => `<li class="list-inline-item"><span class="badge bg-light text-dark">${escapeHtml(tag)}</span></li>`)
+    .join("");
+  const image = study.image
+    ? `<img class="img-fluid rounded-4 shadow mb-5" src="${escapeHtml(study.image)}" alt="${escapeHtml(study.imageAlt)}" />`
+    : "";
+  const pager = [
+    previous ? renderPagerLink(previous, "prev") : "<span></span>",
+    "<a class=\"text-nowrap\" href=\"/projects.html#case-studies\">All projects</a>",
+    next ? renderPagerLink(next, "next") : "<span></span>"
+  ].join("");
+
+  return (
+    "<article class=\"case-study\">" +
+    "<header class=\"text-center mb-5\">" +
+    `<h1 class="display-5 fw-bolder mb-3"><span class="text-gradient d-inline">${escapeHtml(study.title)}</span></h1>` +
+    `<p class="lead fw-light mb-3">${renderInline(study.summary)}</p>` +
+    `<p class="small text-muted mb-2"><time datetime="${study.date}">${formatDate(study.date)}</time></p>` +
+    (tags ? `<ul class="list-inline mb-0" aria-label="Technologies">${tags}</ul>` : "") +
+    "</header>" +
+    image +
+    `<div class="case-study-body">${study.html}</div>` +
+    "</article>" +
+    "<nav class=\"case-study-pager d-flex justify-content-between align-items-center gap-3 mt-5 pt-4 border-top\" aria-label=\"Case studies\">" +
+    pager +
+    "</nav>"
+  );
+}
+
+/**
+ * Fill in the page template's {{placeholders}}
+ *
+ * @param {string} template - templates/case-study.html
+ * @param {object} study - From readCaseStudy()
+ * @param {object} [neighbours] - See renderCaseStudy()
+ * @returns {string} Page markup
+ */
+export function renderCaseStudyPage(template, study, neighbours) {
+  const values = {
+    title: escapeHtml(study.title),
+    description: escapeHtml(study.summary),
+    url: `${SITE_URL}${study.url}`,
+    content: renderCaseStudy(study, neighbours)
+  };
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    Object.hasOwn(values, key) ? values[key] : match
+  );
+}
+
+/**
+ * Render every case study page and the listing
+ *
+ * @param {string} [root] - Site root directory
+ * @returns {{pages: Array<{path: string, html: string}>, listing: object}}
+ *   Pages' paths are relative to the site root, e.g. "projects/my-project.html"
+ */
+export function buildCaseStudies(root = ROOT) {
+  const studies = readCaseStudies(root);
+  const template = studies.length ? readFileSync(join(root, TEMPLATE_FILE), "utf8") : "";
+  const pages = studies.map((study, index) => ({
+    path: study.url.slice(1),
+    html: renderCaseStudyPage(template, study, {
+      previous: studies[index + 1],
+      next: studies[index - 1]
+    })
+  }));
+  return { pages, listing: caseStudyListing(studies) };
+}
+
+/**
+ * Write the case study pages and listing
+ *
+ * @param {string} outDir - Directory to write into
+ * @param {string} [root] - Site root directory
+ * @returns {string[]} Files written
+ */
+export function writeCaseStudies(outDir, root = ROOT) {
+  const { pages, listing } = buildCaseStudies(root);
+  pages.forEach(({ path, html }) => {
+    mkdirSync(dirname(join(outDir, path)), { recursive: true });
+    writeFileSync(join(outDir, path), html, "utf8");
+  });
+  const listingFile = CASE_STUDIES_URL.slice(1);
+  writeFileSync(join(outDir, listingFile), `${JSON.stringify(listing, null, 2)}\n`, "utf8");
+  return [...pages.map(({ path }) => path), listingFile];
+}
+
+function main() {
+  const outDir = resolve(process.env.OUT_DIR || ROOT);
+  const files = writeCaseStudies(outDir);
+  files.forEach((file) => console.log(`  Wrote ${file}`));
+  console.log(`Done: wrote ${files.length} files into ${outDir}`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
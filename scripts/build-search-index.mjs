@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+/**
+ * Search index build.
+ *
+ * Extracts the visible text of each page's <main> into a compact JSON index
+ * for js/search.js. Every h1-h3 heading starts a new entry, so results can
+ * link to the section they came from: an entry's anchor is the heading's own
+ * id or the id of its closest enclosing <section>/<article>.
+ *
+ * Pages with a table of contents (<nav data-toc>) get their h2/h3 IDs from
+ * js/toc.js at runtime, so there the anchors follow the same rules: a
+ * section's first heading uses the section id and other headings a slug of
+ * their text (js/slug.js).
+ *
+ * Content inside <nav>, <form>, <button>, <script> and <style>, hidden
+ * elements and anything marked data-search-ignore is left out.
+ *
+ * Index format (kept small, it is fetched on first search):
+ *   { "version": 1,
+ *     "pages": [{ "url": "/resume.html", "title": "Resume" }],
+ *     "entries": [{ "p": 0, "a": "experience", "h": "Experience", "t": "..." }] }
+ * where p indexes pages, a is the anchor ("" for the top of the page), h is
+ * the heading and t the text under it.
+ *
+ * Usage:
+ *   node scripts/build-search-index.mjs                 # writes ./search-index.json
+ *   OUT_FILE=/tmp/index.json node scripts/build-search-index.mjs
+ *
+ * scripts/build.mjs also writes the index into dist/ on every build.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { uniqueSlug } from "../js/slug.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+export const INDEX_FILE = "search-index.json";
+export const INDEX_VERSION = 1;
+
+// Pages worth searching; offline.html and subdomains are left out
+export const SEARCH_PAGES = [
+  "index.html",
+  "resume.html",
+  "projects.html",
+  "contact.html"
+];
+
+const VOID_TAGS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr"
+]);
+const SKIPPED_TAGS = new Set([
+  "button",
+  "form",
+  "nav",
+  "noscript",
+  "script",
+  "style",
+  "svg",
+  "template"
+]);
+const ANCHOR_TAGS = new Set(["section", "article"]);
+const HEADING_PATTERN = /^h[1-3]$/;
+// Headings js/toc.js gives IDs to
+const TOC_HEADING_PATTERN = /^h[23]$/;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: " "
+};
+
+/**
+ * Decode the HTML entities that appear in page text
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Read an attribute from the inside of a start tag
+ * @param {string} attrs - Everything after the tag name
+ * @param {string} name - Attribute name
+ * @returns {string|null} Value ("" for bare attributes), or null if absent
+ */
+function getAttribute(attrs, name) {
+  const match = new RegExp(
+    `(?:^|\\s)${name}(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+)))?(?=\\s|/|$)`,
+    "i"
+  ).exec(attrs);
+  if (!match) {
+    return null;
+  }
+  return match[1] ?? match[2] ?? match[3] ?? "";
+}
+
+/**
+ * Whether a start tag hides its content from search
+ * @param {string} tag - Lowercase tag name
+ * @param {string} attrs - Attributes
+ * @returns {boolean}
+ */
+function isIgnored(tag, attrs) {
+  return (
+    SKIPPED_TAGS.has(tag) ||
+    getAttribute(attrs, "hidden") !== null ||
+    getAttribute(attrs, "data-search-ignore") !== null ||
+    getAttribute(attrs, "aria-hidden") === "true"
+  );
+}
+
+// Text pieces are joined with spaces, so also drop the space that leaves
+// before punctuation ("Engineer , Fandango")
+const collapse = (text) =>
+  text
+    .replace(/\s+/g, " ")
+    .replace(/ ([,.;:!?])/g, "$1")
+    .trim();
+
+/**
+ * Split a page into search entries, one per h1-h3 heading.
+ *
+ * @param {string} html - Full page markup
+ * @returns {{title: string, entries: Array<{anchor: string, heading: string, text: string}>}}
+ */
+export function extractEntries(html) {
+  // Comments go first: they may mention tags such as <main>
+  const source = html.replace(/<!--[\s\S]*?-->/g, "");
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(source);
+  // "Resume - chrispivonka.com" -> "Resume"
+  const title = titleMatch
+    ? collapse(decodeEntities(titleMatch[1])).split(" - ")[0]
+    : "";
+
+  const mainMatch = /<main[^>]*>([\s\S]*)<\/main>/i.exec(source);
+  const body = mainMatch ? mainMatch[1] : "";
+  const slugHeadings = /<nav\s[^>]*\bdata-toc\b/i.test(body);
+  // IDs on the page, so generated slugs avoid them like js/toc.js does
+  const usedIds = new Set(
+    Array.from(source.matchAll(/\sid\s*=\s*["']([^"']+)["']/gi), (m) => m[1])
+  );
+
+  const entries = [];
+  let current = { anchor: "", heading: title, text: [] };
+  let heading = null;
+  // Open elements: { tag, ignored, anchor, section, headingSeen }
+  const stack = [];
+  const ignoring = () => stack.some((frame) => frame.ignored);
+  const enclosingAnchor = () => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].anchor) {
+        return stack[i].anchor;
+      }
+    }
+    return "";
+  };
+
+  const pushEntry = () => {
+    const text = collapse(current.text.join(" "));
+    if (text || current.heading !== title) {
+      entries.push({ anchor: current.anchor, heading: current.heading, text });
+    }
+  };
+
+  const TOKEN_PATTERN = /<(\/?)([a-z][a-z0-9-]*)([^>]*?)(\/?)>|([^<]+)/gi;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(body))) {
+    const [, closing, rawTag, attrs = "", selfClosing, text] = match;
+
+    if (text !== undefined) {
+      if (!ignoring()) {
+        const decoded = decodeEntities(text);
+        (heading ? heading.text : current.text).push(decoded);
+      }
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      // Pop back to the matching element; tolerates unclosed children
+      const index = stack.map((frame) => frame.tag).lastIndexOf(tag);
+      if (index !== -1) {
+        stack.length = index;
+      }
+      if (heading && tag === heading.tag) {
+        pushEntry();
+        const headingText = collapse(heading.text.join(" "));
+        let anchor = heading.anchor;
+        if (heading.slug) {
+          anchor = uniqueSlug(headingText, (id) => usedIds.has(id));
+          usedIds.add(anchor);
+        }
+        current = { anchor, heading: headingText, text: [] };
+        heading = null;
+      }
+      continue;
+    }
+
+    if (VOID_TAGS.has(tag) || selfClosing) {
+      continue;
+    }
+
+    const id = getAttribute(attrs, "id");
+    const ignored = isIgnored(tag, attrs);
+    const section = Boolean(id) && ANCHOR_TAGS.has(tag);
+    stack.push({
+      tag,
+      ignored,
+      anchor: id && (section || HEADING_PATTERN.test(tag)) ? id : "",
+      section,
+      headingSeen: false
+    });
+
+    if (HEADING_PATTERN.test(tag) && !heading && !ignoring()) {
+      heading = { tag, anchor: id || enclosingAnchor(), slug: false, text: [] };
+
+      if (slugHeadings && TOC_HEADING_PATTERN.test(tag)) {
+        const sections = stack.filter((frame) => frame.section);
+        const nearest = sections[sections.length - 1];
+        // Only a section's first heading shares the section's id
+        heading.slug = !id && !(nearest && !nearest.headingSeen);
+        sections.forEach((frame) => {
+          frame.headingSeen = true;
+        });
+      }
+    }
+  }
+
+  pushEntry();
+  return { title, entries };
+}
+
+/**
+ * Build the search index for a set of pages.
+ *
+ * @param {object} [options]
+ * @param {string} [options.root] - Directory holding the pages
+ * @param {string[]} [options.pages] - Page paths relative to root
+ * @returns {{version: number, pages: Array<{url: string, title: string}>, entries: Array<object>}}
+ */
+export function buildSearchIndex({ root = ROOT, pages = SEARCH_PAGES } = {}) {
+  const index = { version: INDEX_VERSION, pages: [], entries: [] };
+
+  pages.forEach((page) => {
+    const source = join(root, page);
+    if (!existsSync(source)) {
+      console.warn(`  Skipping missing page: ${page}`);
+      return;
+    }
+
+    const html = readFileSync(source, "utf8");
+    const { title, entries } = extractEntries(html);
+    const p = index.pages.push({ url: `/${page}`, title }) - 1;
+
+    entries.forEach(({ anchor, heading, text }) => {
+      index.entries.push({ p, a: anchor, h: heading, t: text });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Build the search index and write it as compact JSON.
+ *
+ * @param {string} outFile - Destination path
+ * @param {object} [options] - Passed to buildSearchIndex
+ * @returns {object} The index
+ */
+export function writeSearchIndex(outFile, options) {
+  const index = buildSearchIndex(options);
+  writeFileSync(outFile, JSON.stringify(index), "utf8");
+  return index;
+}
+
+function main() {
+  const outFile = resolve(process.env.OUT_FILE || join(ROOT, INDEX_FILE));
+  const index = writeSearchIndex(outFile);
+  console.log(
+    `Indexed ${index.entries.length} sections from ${index.pages.length} pages into ${outFile}`
+  );
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
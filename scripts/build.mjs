@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+
+/**
+ * Static site build.
+ *
+ * Copies the site into dist/ and pre-renders every data-include partial
+ * directly into the HTML pages, so crawlers and visitors without JavaScript
+ * get the full header and footer. Pre-rendered elements carry
+ * data-included="<url>" instead of data-include, which is the same marker
+ * js/partials.js leaves behind, so the runtime loader skips them.
+ *
+ * The header's nav links are rendered from /partials/nav.json with the same
+ * code js/scripts.js uses (js/nav.js). Items with a "when" condition are left
+ * for the browser, which re-renders the list for its own context.
+ *
+ * The resume sections (<div data-resume="work">) are rendered from
+ * /resume.json with js/resume.js. An invalid resume.json fails the build,
+ * listing every problem. The resume's downloads (resume.txt, resume.md and
+ * resume.vcf, from js/resume-export.js) are written next to it. The project
+ * cards and filter chips (<div data-projects="list">) are rendered the same
+ * way from /projects.json with js/projects.js, with repository stats from the
+ * snapshot scripts/sync-github.mjs writes (/projects-github.json).
+ *
+ * Case studies (content/projects/*.md) become /projects/<slug>.html pages,
+ * rendered like the other pages, and their listing (/case-studies.json) feeds
+ * the projects page (see scripts/build-case-studies.mjs).
+ *
+ * The search index for js/search.js is generated from the rendered pages,
+ * case studies included (see scripts/build-search-index.mjs).
+ *
+ * The service worker (sw.js) gets its CACHE_VERSION stamped with a hash of
+ * the built files, so each deploy replaces the visitor's offline cache.
+ *
+ * Pages' <meta name="release"> is stamped with the package version (or
+ * $RELEASE), which js/error-reporter.js sends with every error report.
+ *
+ * Usage:
+ *   node scripts/build.mjs              # builds into ./dist
+ *   OUT_DIR=/tmp/site node scripts/build.mjs
+ *   RELEASE=1.2.0-rc.1 node scripts/build.mjs
+ */
+
+import { createHash } from "node:crypto";
+import {
+  cpSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  writeFileSync
+} from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { renderNavItems } from "../js/nav.js";
+import {
+  CASE_STUDIES_URL,
+  GITHUB_URL,
+  PROJECTS_URL,
+  assertValidProjects,
+  renderProjectsSection,
+  withCaseStudies,
+  withRepoStats
+} from "../js/projects.js";
+import { RESUME_URL, assertValidResume, renderResumeSection } from "../js/resume.js";
+import { EXPORT_FORMATS } from "../js/resume-export.js";
+import { buildCaseStudies } from "./build-case-studies.mjs";
+import { INDEX_FILE, SEARCH_PAGES, writeSearchIndex } from "./build-search-index.mjs";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+// Pages whose data-include placeholders are pre-rendered
+export const PAGES = [
+  "index.html",
+  "resume.html",
+  "projects.html",
+  "contact.html",
+  "offline.html",
+  "subdomains/kittycam/kitty-cam.html"
+];
+
+// Everything else that ships with the site, copied as-is
+export const STATIC_PATHS = [
+  "css",
+  "js",
+  "assets",
+  "partials",
+  "subdomains",
+  ".well-known",
+  "robots.txt",
+  "sitemap.xml",
+  "manifest.json",
+  "resume.json",
+  "projects.json",
+  "projects-github.json",
+  "sw.js"
+];
+
+const SERVICE_WORKER = "sw.js";
+const CACHE_VERSION_PATTERN = /const CACHE_VERSION = "[^"]*";/;
+const RELEASE_PATTERN = /(<meta name="release" content=")[^"]*(")/;
+
+// Same guard as the runtime loader in js/partials.js
+const MAX_INCLUDE_DEPTH = 10;
+
+// Matches a placeholder element such as
+//   <div id="header-placeholder" data-include="/partials/header.html"></div>
+// Placeholders may hold fallback text but not nested elements of the same tag.
+const INCLUDE_PATTERN =
+  /<([a-z][a-z0-9-]*)(\s[^>]*?)?\sdata-include="([^"]*)"([^>]*)>([\s\S]*?)<\/\1>/gi;
+
+/**
+ * Inline every data-include placeholder in a chunk of HTML, recursively.
+ *
+ * @param {string} html - Page or partial markup
+ * @param {(url: string) => string} readPartial - Returns a partial's markup
+ * @param {string[]} [ancestors] - Include chain used for cycle detection
+ * @returns {string} Markup with partials inlined
+ */
+export function inlinePartials(html, readPartial, ancestors = []) {
+  return html.replace(
+    INCLUDE_PATTERN,
+    (match, tag, before = "", url, after, fallback) => {
+      if (!url) {
+        return match;
+      }
+      if (ancestors.includes(url) || ancestors.length >= MAX_INCLUDE_DEPTH) {
+        throw new Error(
+          `Recursive partial include: ${[...ancestors, url].join(" -> ")}`
+        );
+      }
+
+      const partial = readPartial(url);
+      if (partial === null) {
+        console.warn(`  Partial not found, leaving placeholder: ${url}`);
+        return match;
+      }
+
+      const content = inlinePartials(partial, readPartial, [...ancestors, url]);
+      return `<${tag}${before} data-included="${url}"${after}>${content.trim()}</${tag}>`;
+    }
+  );
+}
+
+// Matches the header's empty nav list, e.g.
+//   <ul class="navbar-nav" data-nav="/partials/nav.json"></ul>
+const NAV_PATTERN = /(<ul\s[^>]*\bdata-nav="([^"]*)"[^>]*>)\s*(<\/ul>)/gi;
+
+/**
+ * Render the links of every data-nav list from its JSON config.
+ *
+ * @param {string} html - Page markup with partials inlined
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {string} Markup with nav lists filled in
+ */
+export function renderNavLists(html, readPartial) {
+  return html.replace(NAV_PATTERN, (match, open, url, close) => {
+    const config = readPartial(url);
+    if (config === null) {
+      console.warn(`  Nav config not found, leaving list empty: ${url}`);
+      return match;
+    }
+    return `${open}${renderNavItems(JSON.parse(config).items)}${close}`;
+  });
+}
+
+/**
+ * Create a partial reader rooted at the site directory.
+ * Partial URLs are site-absolute ("/partials/header.html").
+ *
+ * @param {string} root - Site root directory
+ * @returns {(url: string) => (string|null)} Reader returning null if missing
+ */
+export function createPartialReader(root) {
+  return (url) => {
+    const path = join(root, url.replace(/^\/+/, ""));
+    return existsSync(path) ? readFileSync(path, "utf8") : null;
+  };
+}
+
+/**
+ * The release a build is stamped with: the version in package.json.
+ *
+ * @param {string} root - Site root directory
+ * @returns {string|null} The version, or null without a package.json
+ */
+export function readRelease(root) {
+  const manifest = join(root, "package.json");
+  if (!existsSync(manifest)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(manifest, "utf8")).version || null;
+}
+
+// Data files rendered into pages. Each marks its sections with an attribute
+// naming the section, e.g. <div data-resume="work" aria-busy="true"></div>
+const RESUME_DATA = {
+  name: "Resume",
+  url: RESUME_URL,
+  attribute: "data-resume",
+  assertValid: assertValidResume,
+  renderSection: renderResumeSection
+};
+const PROJECTS_DATA = {
+  name: "Projects",
+  url: PROJECTS_URL,
+  attribute: "data-projects",
+  assertValid: assertValidProjects,
+  renderSection: renderProjectsSection,
+  // Repository stats from scripts/sync-github.mjs and the case study
+  // listing, if there are any
+  extend: (projects, readPartial) =>
+    withCaseStudies(
+      readRepoStats(projects, readPartial),
+      readOptionalJson(CASE_STUDIES_URL, readPartial)
+    )
+};
+const BUSY_PATTERN = /\saria-busy="true"/g;
+
+/**
+ * Read and validate a data file.
+ *
+ * @param {object} data - RESUME_DATA or PROJECTS_DATA
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {object|null} The parsed file, or null if there is none
+ * @throws {Error} If the file isn't valid JSON or fails validation
+ */
+function readDataFile(data, readPartial) {
+  const text = readPartial(data.url);
+  if (text === null) {
+    console.warn(`  ${data.name} not found, leaving sections empty: ${data.url}`);
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${data.url}: ${error.message}`);
+  }
+  const valid = data.assertValid(parsed, data.url);
+  return data.extend ? data.extend(valid, readPartial) : valid;
+}
+
+/**
+ * Read a file that only adds to a page, such as the GitHub snapshot. Project
+ * cards are still built without it, so a missing or unreadable file only
+ * leaves out what it adds.
+ *
+ * @param {string} url - e.g. "/projects-github.json"
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {object|null} The parsed file, or null
+ */
+function readOptionalJson(url, readPartial) {
+  const text = readPartial(url);
+  if (text === null) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.warn(`  Ignoring invalid JSON in ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Attach the GitHub snapshot's stats to the projects, warning about each
+ * repository the snapshot has nothing for, since its card ships without them
+ *
+ * @param {object} projects - Valid projects.json
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {object} See withRepoStats()
+ */
+function readRepoStats(projects, readPartial) {
+  const data = withRepoStats(projects, readOptionalJson(GITHUB_URL, readPartial));
+  data.projects
+    .filter((project) => project.repo && !project.github)
+    .forEach((project) =>
+      console.warn(`  No GitHub stats for ${project.repo} in ${GITHUB_URL} (npm run github:sync)`)
+    );
+  return data;
+}
+
+/**
+ * Render every section of a page marked with a data file's attribute. The
+ * file is only read if the page has such a section. Rendered sections lose
+ * aria-busy, which is what tells the page's module to leave them alone.
+ *
+ * @param {string} html - Page markup
+ * @param {object} data - RESUME_DATA or PROJECTS_DATA
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {string} Markup with the sections filled in
+ */
+function renderDataSections(html, data, readPartial) {
+  const pattern = new RegExp(
+    `<div(\\s[^>]*?)?\\s${data.attribute}="([^"]*)"([^>]*)>\\s*<\\/div>`,
+    "gi"
+  );
+  let parsed;
+  return html.replace(pattern, (match, before = "", section, after) => {
+    if (parsed === undefined) {
+      parsed = readDataFile(data, readPartial);
+    }
+    if (parsed === null) {
+      return match;
+    }
+    const attributes = `${before} ${data.attribute}="${section}"${after}`.replace(BUSY_PATTERN, "");
+    return `<div${attributes}>${data.renderSection(section, parsed)}</div>`;
+  });
+}
+
+/**
+ * Render every data-resume section from resume.json (see js/resume.js).
+ *
+ * @param {string} html - Page markup
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {string} Markup with resume sections filled in
+ */
+export function renderResumeSections(html, readPartial) {
+  return renderDataSections(html, RESUME_DATA, readPartial);
+}
+
+/**
+ * Render every data-projects section from projects.json (see js/projects.js).
+ *
+ * @param {string} html - Page markup
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {string} Markup with project sections filled in
+ */
+export function renderProjectSections(html, readPartial) {
+  return renderDataSections(html, PROJECTS_DATA, readPartial);
+}
+
+/**
+ * Write the resume's downloads into the build.
+ *
+ * @param {string} outDir - Build output directory
+ * @param {(url: string) => (string|null)} readPartial - Returns a file's contents
+ * @returns {string[]} Files written; none without a resume.json
+ */
+export function writeResumeExports(outDir, readPartial) {
+  if (readPartial(RESUME_URL) === null) {
+    return [];
+  }
+  const resume = readDataFile(RESUME_DATA, readPartial);
+  return Object.values(EXPORT_FORMATS).map(({ file, render }) => {
+    writeFileSync(join(outDir, file), render(resume), "utf8");
+    return file;
+  });
+}
+
+/**
+ * Stamp a page's <meta name="release"> with the release it was built from.
+ *
+ * @param {string} html - Page markup
+ * @param {string|null} release - Release; null leaves the page as it is
+ * @returns {string} Stamped markup
+ */
+export function stampRelease(html, release) {
+  if (!release) {
+    return html;
+  }
+  return html.replace(RELEASE_PATTERN, (match, before, after) => `${before}${release}${after}`);
+}
+
+/**
+ * Stamp the service worker's CACHE_VERSION with a hash of every built file.
+ *
+ * @param {string} outDir - Build output directory
+ * @returns {string|null} The version, or null if the build has no sw.js
+ */
+export function stampServiceWorker(outDir) {
+  const workerPath = join(outDir, SERVICE_WORKER);
+  if (!existsSync(workerPath)) {
+    return null;
+  }
+
+  const files = readdirSync(outDir, { recursive: true })
+    .filter((file) => statSync(join(outDir, file)).isFile())
+    .sort();
+  const hash = createHash("sha256");
+  for (const file of files) {
+    hash.update(file);
+    hash.update(readFileSync(join(outDir, file)));
+  }
+
+  const version = hash.digest("hex").slice(0, 12);
+  const worker = readFileSync(workerPath, "utf8");
+  writeFileSync(
+    workerPath,
+    worker.replace(CACHE_VERSION_PATTERN, `const CACHE_VERSION = "${version}";`),
+    "utf8"
+  );
+  return version;
+}
+
+/**
+ * Build the site into an output directory.
+ *
+ * @param {object} [options]
+ * @param {string} [options.root] - Site root directory
+ * @param {string} [options.outDir] - Output directory (wiped first)
+ * @param {string|null} [options.release] - Release pages are stamped with
+ * @returns {string[]} Pages that were rendered
+ */
+export function build({
+  root = ROOT,
+  outDir = join(root, "dist"),
+  release = readRelease(root)
+} = {}) {
+  rmSync(outDir, { recursive: true, force: true });
+  mkdirSync(outDir, { recursive: true });
+
+  for (const path of STATIC_PATHS) {
+    const source = join(root, path);
+    if (existsSync(source)) {
+      cpSync(source, join(outDir, path), { recursive: true });
+    }
+  }
+
+  // Case study pages are rendered like the others; their listing is read
+  // from the build rather than from any stale copy in the site root
+  const caseStudies = buildCaseStudies(root);
+  const listing = JSON.stringify(caseStudies.listing, null, 2);
+  const readFile = createPartialReader(root);
+  const readPartial = (url) => (url === CASE_STUDIES_URL ? listing : readFile(url));
+  writeFileSync(join(outDir, CASE_STUDIES_URL.slice(1)), `${listing}\n`, "utf8");
+
+  const sources = [];
+  for (const page of PAGES) {
+    const source = join(root, page);
+    if (!existsSync(source)) {
+      console.warn(`  Skipping missing page: ${page}`);
+      continue;
+    }
+    sources.push({ path: page, html: readFileSync(source, "utf8") });
+  }
+
+  const rendered = [];
+  for (const { path, html: source } of [...sources, ...caseStudies.pages]) {
+    const inlined = inlinePartials(source, readPartial);
+    const withData = renderProjectSections(
+      renderResumeSections(renderNavLists(inlined, readPartial), readPartial),
+      readPartial
+    );
+    const html = stampRelease(withData, release);
+    const target = join(outDir, path);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, html, "utf8");
+    rendered.push(path);
+  }
+
+  writeResumeExports(outDir, readPartial);
+  writeSearchIndex(join(outDir, INDEX_FILE), {
+    root: outDir,
+    pages: [...SEARCH_PAGES, ...caseStudies.pages.map(({ path }) => path)]
+  });
+  stampServiceWorker(outDir);
+  return rendered;
+}
+
+function main() {
+  const outDir = resolve(process.env.OUT_DIR || join(ROOT, "dist"));
+  console.log(`Building site into ${outDir}...`);
+  const pages = build({ outDir, release: process.env.RELEASE || undefined });
+  pages.forEach((page) => console.log(`  Rendered ${page}`));
+  console.log(`Done: ${pages.length} pages`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
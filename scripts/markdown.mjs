@@ -0,0 +1,331 @@
+/**
+ * Markdown for case studies.
+ *
+ * Renders the Markdown that content/projects/*.md is written in, for
+ * scripts/build-case-studies.mjs. It covers what the case studies use rather
+ * than all of CommonMark:
+ *   - headings (# is the page title, so "#" and "##" both become <h2>),
+ *     paragraphs, ---, > quotes, and - / 1. lists (one level)
+ *   - `code`, **bold**, *italic*, [links](url) and ![images](src "caption")
+ *   - fenced code blocks, highlighted for js, json, bash, html and css
+ *   - a paragraph of only images: one becomes a <figure>, more a gallery
+ *
+ * Raw HTML is escaped, not passed through, and links may only point at
+ * http(s), mailto or site paths.
+ */
+
+import { escapeHtml } from "../js/html.js";
+import { uniqueSlug } from "../js/slug.js";
+
+const JS_KEYWORDS = [
+  "async", "await", "break", "case", "catch", "class", "const", "continue",
+  "default", "delete", "do", "else", "export", "extends", "finally", "for",
+  "from", "function", "if", "import", "in", "instanceof", "let", "new", "of",
+  "return", "static", "super", "switch", "this", "throw", "try", "typeof",
+  "var", "void", "while", "yield"
+];
+
+// Token rules per language, tried in order at each position. Patterns must
+// not match empty text or use capturing groups.
+const LANGUAGES = {
+  js: [
+    ["comment", /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+    ["string", /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/],
+    ["keyword", new RegExp(`\\b(?:${JS_KEYWORDS.join("|")})\\b`)],
+    ["literal", /\b(?:true|false|null|undefined|NaN|Infinity)\b/],
+    ["number", /\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+    ["function", /[A-Za-z_$][\w$]*(?=\s*\()/]
+  ],
+  json: [
+    ["property", /"(?:\\.|[^\\"\n])*"(?=\s*:)/],
+    ["string", /"(?:\\.|[^\\"\n])*"/],
+    ["literal", /\b(?:true|false|null)\b/],
+    ["number", /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+  ],
+  bash: [
+    ["comment", /(?<=^|\s)#[^\n]*/],
+    ["string", /"(?:\\.|[^\\"])*"|'[^']*'/],
+    ["variable", /\$\{[^}\n]*\}|\$[\w@*#?]+/],
+    ["keyword", /\b(?:if|then|else|elif|fi|for|while|do|done|case|esac|function|in|export|local|return)\b/]
+  ],
+  html: [
+    ["comment", /<!--[\s\S]*?-->/],
+    ["tag", /<\/?[A-Za-z][\w-]*|\/?>/],
+    ["attr", /[A-Za-z_:][\w:.-]*(?==)/],
+    ["string", /"[^"]*"|'[^']*'/]
+  ],
+  css: [
+    ["comment", /\/\*[\s\S]*?\*\//],
+    ["string", /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/],
+    ["property", /-{0,2}[A-Za-z][\w-]*(?=\s*:[^;{}]*[;}])/],
+    ["number", /-?\b\d+(?:\.\d+)?(?:px|rem|em|%|vh|vw|ms|s|fr)?/]
+  ]
+};
+
+// Other names a fence may give a language
+const LANGUAGE_ALIASES = {
+  javascript: "js",
+  mjs: "js",
+  sh: "bash",
+  shell: "bash",
+  xml: "html",
+  svg: "html"
+};
+
+// Each language's rules as one pattern, one group per rule
+const TOKEN_PATTERNS = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([language, rules]) => [
+    language,
+    new RegExp(rules.map(([, pattern]) => `(${pattern.source})`).join("|"), "g")
+  ])
+);
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING_PATTERN = /^\s*(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?/;
+const LIST_PATTERN = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(([^\s)]+)(?:\s+"([^"]*)")?\)/g;
+const IMAGES_ONLY_PATTERN = /^(?:\s*!\[[^\]]*\]\([^\s)]+(?:\s+"[^"]*")?\)\s*)+$/;
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|[/#.?]|[^:/?#]+(?:[/?#]|$))/i;
+
+/**
+ * The canonical name of a code block's language
+ * @param {string} language - As written after the fence, e.g. "JavaScript"
+ * @returns {string} - e.g. "js"; "" if there was none
+ */
+export function normalizeLanguage(language) {
+  const name = (language || "").toLowerCase();
+  return Object.hasOwn(LANGUAGE_ALIASES, name) ? LANGUAGE_ALIASES[name] : name;
+}
+
+/**
+ * Highlight code, wrapping tokens in <span class="token-TYPE">
+ * @param {string} code
+ * @param {string} [language] - Unknown languages are only escaped
+ * @returns {string} - Escaped markup
+ */
+export function highlightCode(code, language) {
+  const name = normalizeLanguage(language);
+  if (!Object.hasOwn(TOKEN_PATTERNS, name)) {
+    return escapeHtml(code);
+  }
+  const rules = LANGUAGES[name];
+  let html = "";
+  let last = 0;
+  for (const match of code.matchAll(TOKEN_PATTERNS[name])) {
+    const rule = rules[match.slice(1).findIndex((group) => group !== undefined)];
+    html +=
+      escapeHtml(code.slice(last, match.index)) +
+      `<span class="token-${rule[0]}">${escapeHtml(match[0])}</span>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+/**
+ * A URL that is safe to link to, or "#" for script and data URLs
+ * @param {string} url - Escaped URL
+ * @returns {string}
+ */
+function safeUrl(url) {
+  return SAFE_URL_PATTERN.test(url) ? url : "#";
+}
+
+/**
+ * Markup for an image
+ * @param {string} alt - Escaped alt text
+ * @param {string} src - Escaped URL
+ * @param {string} [className]
+ * @returns {string}
+ */
+function renderImage(alt, src, className = "img-fluid rounded-3") {
+  return `<img class="${className}" src="${safeUrl(src)}" alt="${alt}" loading="lazy" />`;
+}
+
+/**
+ * Render **bold** and *italic* text
+ * @param {string} html - Escaped text
+ * @returns {string}
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (match, stars, underscores) =>
+      `<strong>${stars || underscores}</strong>`
+    )
+    .replace(/\*(?=[^\s*])([^*]+?)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+/**
+ * Render inline Markdown: code, images, links, bold and italics
+ * @param {string} text
+ * @returns {string} - Markup, with everything else escaped
+ */
+export function renderInline(text) {
+  // Code, images and links are set aside as they're rendered, so nothing
+  // inside them (such as the _ in a URL) is formatted again
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+  const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(held[index]));
+
+  const html = escapeHtml(
+    text
+      .replace(/\u0000/g, "")
+      .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+  )
+    .replace(/!\[([^\]]*)\]\(([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, alt, src) =>
+      hold(renderImage(alt, src))
+    )
+    .replace(/\[([^\]]+)\]\(([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, url, title) =>
+      hold(`<a href="${safeUrl(url)}"${title ? ` title="${title}"` : ""}>${renderEmphasis(label)}</a>`)
+    );
+  return restore(renderEmphasis(html));
+}
+
+/**
+ * Markup for a paragraph of only images: a captioned figure for one, a
+ * gallery of linked thumbnails for more
+ * @param {string} text
+ * @returns {string}
+ */
+function renderImages(text) {
+  const images = Array.from(text.matchAll(IMAGE_PATTERN), ([, alt, src, caption]) => ({
+    alt: escapeHtml(alt),
+    src: escapeHtml(src),
+    caption: caption ? renderInline(caption) : ""
+  }));
+  const figcaption = (caption, className) =>
+    caption ? `<figcaption class="${className}">${caption}</figcaption>` : "";
+
+  if (images.length === 1) {
+    const [{ alt, src, caption }] = images;
+    return (
+      `<figure class="figure d-block text-center my-4">${renderImage(alt, src, "figure-img img-fluid rounded-3")}` +
+      `${figcaption(caption, "figure-caption")}</figure>`
+    );
+  }
+  const items = images.map(
+    ({ alt, src, caption }) =>
+      `<figure class="col mb-0"><a href="${safeUrl(src)}">${renderImage(alt, src, "img-fluid rounded-3 shadow-sm")}</a>` +
+      `${figcaption(caption, "figure-caption mt-2")}</figure>`
+  );
+  return `<div class="case-study-gallery row row-cols-1 row-cols-sm-2 row-cols-lg-3 g-3 my-4">${items.join("")}</div>`;
+}
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  return [FENCE_PATTERN, HEADING_PATTERN, RULE_PATTERN, QUOTE_PATTERN, LIST_PATTERN].some(
+    (pattern) => pattern.test(line)
+  );
+}
+
+/**
+ * Render block-level Markdown
+ * @param {string[]} lines
+ * @param {Set<string>} ids - Heading IDs used so far, added to
+ * @returns {string}
+ */
+function renderBlocks(lines, ids) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = normalizeLanguage(fence[2]);
+      blocks.push(
+        `<pre class="code-block"${language ? ` data-language="${escapeHtml(language)}"` : ""}>` +
+          `<code${language ? ` class="language-${escapeHtml(language)}"` : ""}>` +
+          `${highlightCode(code.join("\n"), language)}</code></pre>`
+      );
+      continue;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      const level = Math.max(heading[1].length, 2);
+      const id = uniqueSlug(heading[2], (taken) => ids.has(taken));
+      ids.add(id);
+      blocks.push(`<h${level} id="${id}">${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push("<hr />");
+      i++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE_PATTERN, ""));
+        i++;
+      }
+      blocks.push(`<blockquote class="blockquote border-start ps-3">${renderBlocks(quoted, ids)}</blockquote>`);
+      continue;
+    }
+
+    const listItem = LIST_PATTERN.exec(line);
+    if (listItem) {
+      const ordered = listItem[2] !== undefined;
+      const items = [];
+      while (i < lines.length) {
+        const item = LIST_PATTERN.exec(lines[i]);
+        if (item && (item[2] !== undefined) === ordered) {
+          items.push(item[3]);
+        } else if (items.length && lines[i].trim() && !startsBlock(lines[i])) {
+          // A wrapped line continues the item above it
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else if (!lines[i].trim() && LIST_PATTERN.test(lines[i + 1] || "")) {
+          // A blank line between items doesn't end the list
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? "ol" : "ul";
+      const start = ordered && listItem[2] !== "1" ? ` start="${Number(listItem[2])}"` : "";
+      blocks.push(`<${tag}${start}>${items.map((item) => `<li>${renderInline(item)}</li>`).join("")}</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !(paragraph.length && startsBlock(lines[i]))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    const text = paragraph.join("\n");
+    blocks.push(IMAGES_ONLY_PATTERN.test(text) ? renderImages(text) : `<p>${renderInline(text)}</p>`);
+  }
+
+  return blocks.join("\n");
+}
+
+/**
+ * Render a Markdown document
+ * @param {string} markdown
+ * @returns {string} - Markup
+ */
+export function renderMarkdown(markdown) {
+  return renderBlocks(markdown.replace(/\r\n?/g, "\n").split("\n"), new Set());
+}
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub repository sync.
+ *
+ * Pulls stars, primary language, last commit date and latest release for
+ * every project in projects.json with a "repo" ("owner/name") and writes them
+ * to projects-github.json, which is committed and read by js/projects.js
+ * (in the browser and at build time), so visitors never call the GitHub API.
+ *
+ * A field GitHub doesn't have (no releases, an empty repository) is left out
+ * of the snapshot, and the page leaves it off the card. If a repository can't
+ * be fetched, its entry from the last snapshot is kept.
+ *
+ * Set GITHUB_TOKEN for the higher authenticated rate limit. With --fixtures,
+ * API responses are read from a JSON file instead of the network, keyed by
+ * path (e.g. "/repos/owner/name/releases/latest"); paths that aren't in it
+ * are treated as not found. See scripts/fixtures/github-api.json.
+ *
+ * Usage:
+ *   node scripts/sync-github.mjs                  # writes projects-github.json
+ *   node scripts/sync-github.mjs --fixtures scripts/fixtures/github-api.json --out /tmp/github.json
+ */
+
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { GITHUB_URL, PROJECTS_URL, assertValidProjects } from "../js/projects.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+export const API_ROOT = "https://api.github.com";
+
+// Responses that mean "nothing there": not found, and an empty repository's commits
+const NOT_FOUND_STATUSES = [404, 409];
+
+/**
+ * A reader for the GitHub REST API
+ *
+ * @param {object} [options]
+ * @param {string} [options.token] - Token for authenticated requests
+ * @param {typeof fetch} [options.fetchImpl] - fetch, replaceable for tests
+ * @returns {(path: string) => Promise<*>} Resolves with the parsed response,
+ *   or null if it wasn't found
+ */
+export function createApiReader({ token, fetchImpl = fetch } = {}) {
+  const headers = {
+    Accept: "application/vnd.github+json",
+    "X-GitHub-Api-Version": "2022-11-28",
+    "User-Agent": "chrispivonka.com-sync"
+  };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return async (path) => {
+    const response = await fetchImpl(`${API_ROOT}${path}`, { headers });
+    if (NOT_FOUND_STATUSES.includes(response.status)) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`GitHub API responded HTTP ${response.status} for ${path}`);
+    }
+    return response.json();
+  };
+}
+
+/**
+ * A reader that answers from recorded responses instead of the network
+ *
+ * @param {Object<string, *>} fixtures - Responses by API path
+ * @returns {(path: string) => Promise<*>} Resolves with the response, or null
+ */
+export function createFixtureReader(fixtures) {
+  return async (path) => (Object.hasOwn(fixtures, path) ? fixtures[path] : null);
+}
+
+/**
+ * Fetch one repository's stats, leaving out fields GitHub doesn't have
+ *
+ * @param {string} repo - "owner/name"
+ * @param {(path: string) => Promise<*>} read - From createApiReader() or createFixtureReader()
+ * @returns {Promise<{stars?: number, language?: string, lastCommit?: string, release?: string}>}
+ * @throws {Error} If the repository doesn't exist or a request fails
+ */
+export async function fetchRepoStats(repo, read) {
+  const [info, commits, release] = await Promise.all([
+    read(`/repos/${repo}`),
+    read(`/repos/${repo}/commits?per_page=1`),
+    read(`/repos/${repo}/releases/latest`)
+  ]);
+  if (!info) {
+    throw new Error(`Repository not found: ${repo}`);
+  }
+
+  const stats = {};
+  if (Number.isInteger(info.stargazers_count)) {
+    stats.stars = info.stargazers_count;
+  }
+  if (info.language) {
+    stats.language = info.language;
+  }
+  const commit = Array.isArray(commits) && commits[0] && commits[0].commit;
+  const date =
+    commit && ((commit.committer && commit.committer.date) || (commit.author && commit.author.date));
+  if (typeof date === "string") {
+    stats.lastCommit = date.slice(0, 10);
+  }
+  if (release && release.tag_name) {
+    stats.release = release.tag_name;
+  }
+  return stats;
+}
+
+/**
+ * Build a new snapshot for the projects' repositories
+ *
+ * @param {object} options
+ * @param {Array<object>} options.projects - Valid projects from projects.json
+ * @param {(path: string) => Promise<*>} options.read - API reader
+ * @param {object|null} [options.previous] - The last snapshot, for repositories that fail
+ * @param {Date} [options.now] - Sync time
+ * @returns {Promise<{snapshot: object, failed: string[]}>} The snapshot, and
+ *   the repositories that couldn't be fetched
+ */
+export async function syncRepos({ projects, read, previous = null, now = new Date() }) {
+  const repoNames = Array.from(new Set(projects.map((project) => project.repo).filter(Boolean))).sort();
+  const previousRepos = (previous && previous.repos) || {};
+  const repos = {};
+  const failed = [];
+
+  for (const repo of repoNames) {
+    try {
+      repos[repo] = await fetchRepoStats(repo, read);
+    } catch (error) {
+      failed.push(repo);
+      const kept = Object.hasOwn(previousRepos, repo);
+      console.warn(`  ${error.message}${kept ? "; keeping the last snapshot" : ""}`);
+      if (kept) {
+        repos[repo] = previousRepos[repo];
+      }
+    }
+  }
+
+  return { snapshot: { syncedAt: now.toISOString(), repos }, failed };
+}
+
+/**
+ * Read a JSON file, or null if it doesn't exist
+ *
+ * @param {string} path
+ * @returns {*}
+ */
+function readJsonFile(path) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : null;
+}
+
+/**
+ * The value after a command-line flag
+ *
+ * @param {string[]} args
+ * @param {string} flag - e.g. "--out"
+ * @returns {string|undefined}
+ */
+function flagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fixtures = flagValue(args, "--fixtures");
+  const outFile = resolve(flagValue(args, "--out") || join(ROOT, GITHUB_URL.slice(1)));
+
+  const projectsFile = join(ROOT, PROJECTS_URL.slice(1));
+  const { projects } = assertValidProjects(readJsonFile(projectsFile), PROJECTS_URL);
+  const read = fixtures
+    ? createFixtureReader(readJsonFile(resolve(fixtures)) || {})
+    : createApiReader({ token: process.env.GITHUB_TOKEN });
+
+  console.log(`Syncing GitHub repositories${fixtures ? ` from ${fixtures}` : ""}...`);
+  const { snapshot, failed } = await syncRepos({ projects, read, previous: readJsonFile(outFile) });
+  writeFileSync(outFile, `${JSON.stringify(snapshot, null, 2)}\n`, "utf8");
+
+  Object.keys(snapshot.repos)
+    .filter((repo) => !failed.includes(repo))
+    .forEach((repo) => console.log(`  Synced ${repo}`));
+  console.log(`Done: wrote ${outFile}`);
+  if (failed.length) {
+    process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Core Web Vitals report.
+ *
+ * Reads analytics events as JSON Lines (one event per line, as written by
+ * scripts/analytics-stub.mjs) and summarizes the "vital" events sent by
+ * js/vitals.js: for each page and metric, the number of samples, the 50th,
+ * 75th and 95th percentiles, and the rating of the 75th percentile, which is
+ * the one the Core Web Vitals assessment uses. Other events and malformed
+ * lines are skipped.
+ *
+ * Usage:
+ *   node scripts/vitals-report.mjs                   # logs/analytics.jsonl
+ *   node scripts/vitals-report.mjs a.jsonl b.jsonl   # combine several logs
+ *   node scripts/vitals-report.mjs --json            # JSON instead of a table
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { THRESHOLDS, rate } from "../js/vitals.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_LOG = join(ROOT, "logs", "analytics.jsonl");
+
+export const PERCENTILES = [50, 75, 95];
+
+// Report order; also the metrics that are accepted
+const METRICS = Object.keys(THRESHOLDS);
+
+/**
+ * Parse JSON Lines into the vital events they contain
+ * @param {string} text - File contents
+ * @returns {Array<{path: string, name: string, value: number}>}
+ */
+export function parseVitals(text) {
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(
+      (event) =>
+        event &&
+        event.type === "vital" &&
+        typeof event.path === "string" &&
+        METRICS.includes(event.name) &&
+        Number.isFinite(event.value)
+    );
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  const index = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+}
+
+/**
+ * Summarize vitals per page and metric
+ * @param {Array<{path: string, name: string, value: number}>} vitals
+ * @returns {Object<string, Object<string, {count: number, p50: number, p75: number, p95: number, rating: string}>>}
+ *   Pages in path order, each with its metrics in report order
+ */
+export function aggregateVitals(vitals) {
+  const samples = new Map();
+  vitals.forEach(({ path, name, value }) => {
+    const key = `${path}\n${name}`;
+    if (!samples.has(key)) {
+      samples.set(key, []);
+    }
+    samples.get(key).push(value);
+  });
+
+  const report = {};
+  [...new Set(vitals.map((vital) => vital.path))].sort().forEach((path) => {
+    report[path] = {};
+    METRICS.forEach((name) => {
+      const values = samples.get(`${path}\n${name}`);
+      if (!values) {
+        return;
+      }
+      values.sort((a, b) => a - b);
+      const summary = { count: values.length };
+      PERCENTILES.forEach((p) => {
+        summary[`p${p}`] = percentile(values, p);
+      });
+      summary.rating = rate(name, summary.p75);
+      report[path][name] = summary;
+    });
+  });
+  return report;
+}
+
+/**
+ * Format a value in the metric's unit
+ * @param {string} name - Metric name
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(name, value) {
+  return name === "CLS" ? value.toFixed(3) : `${Math.round(value)} ms`;
+}
+
+/**
+ * Render a report as a plain-text table per page
+ * @param {object} report - From aggregateVitals
+ * @returns {string}
+ */
+export function formatReport(report) {
+  const paths = Object.keys(report);
+  if (!paths.length) {
+    return "No Core Web Vitals recorded.";
+  }
+
+  const header = ["Metric", "Count", ...PERCENTILES.map((p) => `p${p}`), "Rating (p75)"];
+  return paths
+    .map((path) => {
+      const rows = Object.entries(report[path]).map(([name, summary]) => [
+        name,
+        String(summary.count),
+        ...PERCENTILES.map((p) => formatValue(name, summary[`p${p}`])),
+        summary.rating
+      ]);
+      const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map((row) => row[column].length))
+      );
+      const line = (cells) =>
+        `  ${cells.map((cell, column) => cell.padEnd(widths[column])).join("  ")}`.trimEnd();
+      return [path, line(header), ...rows.map(line)].join("\n");
+    })
+    .join("\n\n");
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes("--json");
+  const files = args.filter((arg) => arg !== "--json");
+  if (!files.length) {
+    files.push(DEFAULT_LOG);
+  }
+
+  const missing = files.filter((file) => !existsSync(file));
+  if (missing.length) {
+    console.error(`No such file: ${missing.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const vitals = files.flatMap((file) => parseVitals(readFileSync(file, "utf8")));
+  const report = aggregateVitals(vitals);
+  console.log(json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -21,6 +21,7 @@ const STREAM_CONFIG = {
   type: "youtube",
   url: "YOUR_VIDEO_ID",
   title: "Kitty Cam Live Stream",
+  onlineMessage: "The stream is online.",
   offlineMessage: "The stream is currently offline. Check back later!",
 };
 
@@ -1,24 +1,27 @@
 import STREAM_CONFIG from "./stream-config.js";
+// Shared with the main site; deployed alongside this page under js/
+import { announce } from "./js/announcer.js";
+import { focusElement } from "./js/focus.js";
 
-const MAIN_SITE = "https://chrispivonka.com";
+const VIEWER_COOKIE_DOMAIN = "chrispivonka.com";
+// Matches the session length in infra/kittycam/src/auth/index.mjs
+const VIEWER_COOKIE_MAX_AGE = 14400;
 const HLS_JS_CDN = "https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js";
 
-function rewriteNavLinks() {
-  const header = document.getElementById("header-placeholder");
-  if (!header) return;
-
-  const observer = new MutationObserver(() => {
-    const links = header.querySelectorAll("a.nav-link");
-    links.forEach((link) => {
-      const href = link.getAttribute("href");
-      if (href && !href.startsWith("http") && !href.startsWith("#")) {
-        link.setAttribute("href", `${MAIN_SITE}/${href}`);
-      }
-    });
-    if (links.length > 0) observer.disconnect();
-  });
+// The main site's nav (js/nav.js) shows a Kitty Cam link while this cookie
+// is set. This page is only served to signed-in viewers, so loading it is the
+// signal; the cookie lasts as long as a session and grants nothing itself.
+function markViewer() {
+  const { hostname, protocol } = window.location;
+  if (hostname !== VIEWER_COOKIE_DOMAIN && !hostname.endsWith(`.${VIEWER_COOKIE_DOMAIN}`)) {
+    return;
+  }
 
-  observer.observe(header, { childList: true, subtree: true });
+  let cookie = `kc_viewer=1; Domain=.${VIEWER_COOKIE_DOMAIN}; Path=/; Max-Age=${VIEWER_COOKIE_MAX_AGE}; SameSite=Lax`;
+  if (protocol === "https:") {
+    cookie += "; Secure";
+  }
+  document.cookie = cookie;
 }
 
 function createYouTubeEmbed(videoId, title) {
@@ -51,6 +54,9 @@ function createHlsEmbed(streamUrl) {
   video.style.left = "0";
   video.style.objectFit = "contain";
   video.style.backgroundColor = "#000";
+  video.addEventListener("playing", () => announce(STREAM_CONFIG.onlineMessage), {
+    once: true,
+  });
 
   if (video.canPlayType("application/vnd.apple.mpegurl")) {
     video.src = streamUrl;
@@ -96,6 +102,8 @@ function createIframeEmbed(url, title) {
 function showOfflineMessage() {
   const container = document.getElementById("stream-container");
   if (!container) return;
+  // Focus on the player's controls would be lost along with the player
+  const hadFocus = container.contains(document.activeElement);
   container.innerHTML = "";
   const msg = document.createElement("div");
   msg.className =
@@ -109,6 +117,10 @@ function showOfflineMessage() {
     </div>
   `;
   container.appendChild(msg);
+  announce(STREAM_CONFIG.offlineMessage);
+  if (hadFocus) {
+    focusElement(msg);
+  }
 }
 
 function loadStream() {
@@ -141,14 +153,18 @@ function loadStream() {
   }
 
   container.appendChild(embed);
+  // An HLS stream is only online once it starts playing
+  if (type !== "hls") {
+    announce(STREAM_CONFIG.onlineMessage);
+  }
 }
 
 if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", () => {
-    rewriteNavLinks();
+    markViewer();
     loadStream();
   });
 } else {
-  rewriteNavLinks();
+  markViewer();
   loadStream();
 }
@@ -0,0 +1,155 @@
+// Service worker: offline support for the installed site
+//
+// Registered from js/scripts.js. On install it precaches every page,
+// partial, stylesheet, script and the bootstrap-icons font. Same-origin GET
+// requests are then served stale-while-revalidate: the cached copy answers
+// immediately and the network refreshes it in the background. Pages that
+// were never cached fall back to offline.html when the network is down.
+// Cross-origin requests (CDN, Google Fonts, the contact API) are left alone.
+//
+// scripts/build.mjs stamps CACHE_VERSION with a hash of the built site, so
+// each deploy installs a fresh precache and the activate step drops the old.
+
+const CACHE_VERSION = "dev";
+const CACHE_PREFIX = "site-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const OFFLINE_URL = "/offline.html";
+
+// search-index.json, case-studies.json and the case study pages only exist
+// in built sites, so they are cached on first use rather than precached (a
+// missing URL would fail the install)
+const PRECACHE_URLS = [
+  "/",
+  "/index.html",
+  "/resume.html",
+  "/projects.html",
+  "/contact.html",
+  OFFLINE_URL,
+  "/partials/header.html",
+  "/partials/footer.html",
+  "/partials/nav.json",
+  "/resume.json",
+  "/projects.json",
+  "/projects-github.json",
+  "/css/styles.css",
+  "/assets/bootstrap-icons/font/bootstrap-icons.css",
+  "/assets/bootstrap-icons/font/fonts/bootstrap-icons.woff2",
+  "/assets/bootstrap-icons/font/fonts/bootstrap-icons.woff",
+  "/assets/favicon.ico",
+  "/assets/profile.png",
+  "/js/scripts.js",
+  "/js/command-palette.js",
+  "/js/search.js",
+  "/js/scroll.js",
+  "/js/toc.js",
+  "/js/slug.js",
+  "/js/partials.js",
+  "/js/router.js",
+  "/js/nav.js",
+  "/js/html.js",
+  "/js/dates.js",
+  "/js/schema.js",
+  "/js/resume.js",
+  "/js/resume-export.js",
+  "/js/projects.js",
+  "/js/nav-match.js",
+  "/js/mobile-nav.js",
+  "/js/skip-link.js",
+  "/js/announcer.js",
+  "/js/focus.js",
+  "/js/analytics.js",
+  "/js/vitals.js",
+  "/js/error-reporter.js",
+  "/js/theme.js",
+  "/js/theme-boot.js",
+  "/js/contact-validation.js",
+  "/js/validation-helpers.js",
+  "/manifest.json"
+];
+
+/**
+ * Whether a request is for a page rather than a sub-resource.
+ * Router fetches are not navigations but ask for text/html.
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isPageRequest(request) {
+  return (
+    request.mode === "navigate" ||
+    (request.headers.get("Accept") || "").includes("text/html")
+  );
+}
+
+/**
+ * Answer from the cache when possible while refreshing it from the network
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  // Query strings are page state (e.g. project filters), and the font URLs
+  // carry a cache-busting hash; neither changes the file served
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request).then((response) => {
+    // Only store complete same-origin responses, never 304s or errors
+    if (response.status === 200 && response.type === "basic") {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  try {
+    return await network;
+  } catch (error) {
+    const offline = isPageRequest(request)
+      ? await cache.match(OFFLINE_URL)
+      : undefined;
+    if (offline) {
+      return offline;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (
+    request.method !== "GET" ||
+    new URL(request.url).origin !== self.location.origin
+  ) {
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event));
+});